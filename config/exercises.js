@@ -0,0 +1,86 @@
+// Exercise taxonomy. Values are stored upper case with underscores; input is normalized
+// the same way, so 'Martial arts' matches MARTIAL_ARTS.
+
+// Categories of the exercise library. A workout's exerciseType is one of these as well.
+const EXERCISE_CATEGORIES = [
+    'CARDIO',
+    'STRENGTH',
+    'FLEXIBILITY',
+    'BALANCE',
+    'SPORTS',
+    'RUNNING',
+    'CYCLING',
+    'SWIMMING',
+    'WALKING',
+    'WEIGHTLIFTING',
+    'YOGA',
+    'PILATES',
+    'CROSSFIT',
+    'BASKETBALL',
+    'FOOTBALL',
+    'TENNIS',
+    'BOXING',
+    'MARTIAL_ARTS',
+    'DANCING',
+    'HIKING',
+    'CLIMBING',
+    'ROWING',
+    'OTHER'
+];
+
+// Workout types measured over a distance; personal records include their fastest pace
+const DISTANCE_ACTIVITIES = ['RUNNING', 'CYCLING', 'SWIMMING', 'WALKING', 'HIKING', 'ROWING'];
+
+const MUSCLE_GROUPS = [
+    'CHEST',
+    'BACK',
+    'LATS',
+    'TRAPS',
+    'SHOULDERS',
+    'BICEPS',
+    'TRICEPS',
+    'FOREARMS',
+    'ABS',
+    'OBLIQUES',
+    'LOWER_BACK',
+    'GLUTES',
+    'QUADRICEPS',
+    'HAMSTRINGS',
+    'CALVES',
+    'ADDUCTORS',
+    'ABDUCTORS',
+    'HIP_FLEXORS',
+    'NECK',
+    'FULL_BODY'
+];
+
+const EQUIPMENT = [
+    'BODYWEIGHT',
+    'BARBELL',
+    'DUMBBELL',
+    'KETTLEBELL',
+    'EZ_BAR',
+    'TRAP_BAR',
+    'SMITH_MACHINE',
+    'MACHINE',
+    'CABLE',
+    'RESISTANCE_BAND',
+    'MEDICINE_BALL',
+    'PULL_UP_BAR',
+    'BENCH',
+    'BOX',
+    'TREADMILL',
+    'BIKE',
+    'ROWER',
+    'OTHER'
+];
+
+const normalizeTaxonomyValue = (value) => value.trim().toUpperCase().replace(/\s+/g, '_');
+
+module.exports = {
+    EXERCISE_CATEGORIES,
+    DISTANCE_ACTIVITIES,
+    MUSCLE_GROUPS,
+    EQUIPMENT,
+    normalizeTaxonomyValue
+};
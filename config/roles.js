@@ -0,0 +1,46 @@
+// Permissions are '<resource>:<action>:<scope>' strings. Acting on your own data needs no
+// permission; the 'any' scope allows acting on data that belongs to other users.
+const PERMISSIONS = [
+    'users:read:any',
+    'users:update:any',
+    'users:delete:any',
+    'users:password:any',
+    'users:role:update',
+    'users:lockout:manage',
+    'users:status:manage',
+    'settings:manage',
+    'workouts:read:any',
+    'workouts:create:any',
+    'workouts:update:any',
+    'workouts:delete:any',
+    'workouts:stats:any',
+    'exercises:manage',
+    'templates:manage',
+    'programs:manage',
+    'coaching:invite',
+    'oauth:clients:manage'
+];
+
+// Roles and the permissions they grant
+const ROLES = {
+    user: [],
+    // Coaches can invite athletes; workout access then comes from accepted coaching relationships
+    coach: ['coaching:invite'],
+    // Support staff can look into accounts and unlock them, but not change or delete anything
+    support: ['users:read:any', 'users:lockout:manage', 'workouts:read:any', 'workouts:stats:any'],
+    admin: PERMISSIONS
+};
+
+const VALID_ROLES = Object.keys(ROLES);
+
+const hasPermission = (role, permission) => {
+    const permissions = ROLES[role] || ROLES.user;
+    return permissions.includes(permission);
+};
+
+module.exports = {
+    PERMISSIONS,
+    ROLES,
+    VALID_ROLES,
+    hasPermission
+};
@@ -0,0 +1,15 @@
+// Scopes limit what API keys and third-party (OAuth) access tokens can do on behalf of a user.
+// Routes opt in with allowScope(scope) from middleware/auth.js; all other routes reject them.
+// The descriptions are shown to users when an application asks for access.
+const SCOPES = {
+    'workouts:read': 'View your workouts, comments, workout statistics, exercises, templates and programs',
+    'workouts:write': 'Create, update and delete your workouts, exercises, templates and programs, and add comments',
+    'profile:read': 'View your profile'
+};
+
+const SCOPE_NAMES = Object.keys(SCOPES);
+
+module.exports = {
+    SCOPES,
+    SCOPE_NAMES
+};
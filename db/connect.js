@@ -31,7 +31,23 @@ const getDb = () => {
     return _db;
 };
 
+// Runs fn(session) in a transaction and returns its result. Transactions need a
+// replica set (MongoDB Atlas clusters are one).
+const withTransaction = async (fn) => {
+    const session = getDb().startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await fn(session);
+        });
+        return result;
+    } finally {
+        session.endSession();
+    }
+};
+
 module.exports = {
     initDb,
-    getDb
+    getDb,
+    withTransaction
 };
@@ -0,0 +1,69 @@
+// Indexes required by the API. Run once after the database connection is established;
+// createIndex is a no-op when an identical index already exists.
+const ensureIndexes = async (db) => {
+    // Users - OAuth logins are looked up by linked provider account
+    await db.collection('users').createIndex({ 'identities.provider': 1, 'identities.providerId': 1 });
+
+    // Refresh tokens - looked up by hash, revoked by family, expired ones removed by MongoDB
+    await db.collection('refreshTokens').createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection('refreshTokens').createIndex({ familyId: 1 });
+    await db.collection('refreshTokens').createIndex({ userId: 1 });
+    await db.collection('refreshTokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // Revoked access tokens - only kept until the tokens would have expired anyway
+    await db.collection('revokedTokens').createIndex({ jti: 1 });
+    await db.collection('revokedTokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // Single-use tokens sent by email
+    await db.collection('actionTokens').createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection('actionTokens').createIndex({ purpose: 1, userId: 1 });
+    await db.collection('actionTokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // Failed login tracking per account and per IP
+    await db.collection('loginAttempts').createIndex({ scope: 1, key: 1 }, { unique: true });
+    await db.collection('loginAttempts').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // Coaching relationships - checked on every coach access to an athlete's workouts
+    await db.collection('coachingRelationships').createIndex({ coachId: 1, athleteId: 1, status: 1 });
+    await db.collection('coachingRelationships').createIndex({ athleteId: 1, status: 1 });
+
+    // Personal API keys - looked up by hash on every request, listed per user
+    await db.collection('apiKeys').createIndex({ keyHash: 1 }, { unique: true });
+    await db.collection('apiKeys').createIndex({ userId: 1 });
+
+    // OAuth2 authorization server
+    await db.collection('oauthClients').createIndex({ clientId: 1 }, { unique: true });
+    await db.collection('oauthAuthorizationCodes').createIndex({ codeHash: 1 }, { unique: true });
+    await db.collection('oauthAuthorizationCodes').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('oauthConsents').createIndex({ userId: 1, clientId: 1 }, { unique: true });
+    await db.collection('oauthRefreshTokens').createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection('oauthRefreshTokens').createIndex({ userId: 1, clientId: 1 });
+    await db.collection('oauthRefreshTokens').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+    // Workout comments - listed per workout in order
+    await db.collection('workoutComments').createIndex({ workoutId: 1, createdAt: 1 });
+
+    // Exercise library - global (userId null) and custom exercises listed by name
+    await db.collection('exercises').createIndex({ userId: 1, name: 1 });
+    await db.collection('exercises').createIndex({ category: 1 });
+    await db.collection('workouts').createIndex({ 'exercises.exerciseId': 1 });
+
+    // Workout templates - listed per owner and by visibility, workouts looked up per template
+    await db.collection('workoutTemplates').createIndex({ userId: 1, name: 1 });
+    await db.collection('workoutTemplates').createIndex({ visibility: 1, name: 1 });
+    await db.collection('workouts').createIndex({ templateId: 1 });
+
+    // Training programs - listed like templates; enrollments listed per user and program
+    await db.collection('programs').createIndex({ userId: 1, name: 1 });
+    await db.collection('programs').createIndex({ visibility: 1, name: 1 });
+    await db.collection('programEnrollments').createIndex({ userId: 1, status: 1 });
+    await db.collection('programEnrollments').createIndex({ programId: 1, status: 1 });
+
+    // Personal records - looked up per user and record key, removed with their workout
+    await db.collection('personalRecords').createIndex({ userId: 1, key: 1, type: 1 });
+    await db.collection('personalRecords').createIndex({ workoutId: 1 });
+};
+
+module.exports = {
+    ensureIndexes
+};
@@ -0,0 +1,56 @@
+// One-off data migrations. Each one is idempotent and runs at startup, so
+// deployments pick them up without a separate step.
+
+// Users used to store a linked GitHub account as loose githubId/githubUsername fields
+// (and Google as googleId); they now live in a structured `identities` array
+const migrateLegacyIdentities = async (db) => {
+    const legacyUsers = await db
+        .collection('users')
+        .find({ $or: [{ githubId: { $exists: true } }, { googleId: { $exists: true } }] })
+        .toArray();
+
+    for (const user of legacyUsers) {
+        const identities = (user.identities || []).slice();
+        const hasProvider = (provider) => identities.some((identity) => identity.provider === provider);
+        const linkedAt = user.updatedAt || user.createdAt || new Date();
+
+        if (user.githubId && !hasProvider('github')) {
+            identities.push({
+                provider: 'github',
+                providerId: user.githubId.toString(),
+                username: user.githubUsername || null,
+                email: null,
+                linkedAt
+            });
+        }
+
+        if (user.googleId && !hasProvider('google')) {
+            identities.push({
+                provider: 'google',
+                providerId: user.googleId.toString(),
+                username: null,
+                email: null,
+                linkedAt
+            });
+        }
+
+        await db
+            .collection('users')
+            .updateOne(
+                { _id: user._id },
+                { $set: { identities }, $unset: { githubId: '', githubUsername: '', googleId: '' } }
+            );
+    }
+
+    if (legacyUsers.length > 0) {
+        console.log(`Migrated linked identities for ${legacyUsers.length} users`);
+    }
+};
+
+const runMigrations = async (db) => {
+    await migrateLegacyIdentities(db);
+};
+
+module.exports = {
+    runMigrations
+};
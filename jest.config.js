@@ -5,5 +5,5 @@ module.exports = {
     testTimeout: 30000,
     verbose: true,
     setupFilesAfterEnv: ['<rootDir>/tests/setup.js'],
-    collectCoverageFrom: ['routes/**/*.js', 'validators/**/*.js', '!**/node_modules/**']
+    collectCoverageFrom: ['routes/**/*.js', 'validators/**/*.js', 'services/**/*.js', '!**/node_modules/**']
 };
@@ -1,32 +1,157 @@
-const jwt = require('jsonwebtoken');
+const mongodb = require('../db/connect');
+const { ObjectId } = require('mongodb');
+const { isAccessTokenRevoked } = require('../services/revocationService');
+const { isConsentCurrent } = require('../services/oauthService');
+const { getUserState } = require('../services/userStateService');
+const { findApiKey } = require('../services/apiKeyService');
+const { hasPermission } = require('../config/roles');
+const { isSigningConfigured } = require('../services/signingKeyService');
+const { verifyAccessToken } = require('../services/tokenService');
 
-const authenticateToken = (req, res, next) => {
+// Personal API keys act as their owner, limited to the scope the route accepts (see allowScope)
+const authenticateApiKey = async (req, res, next, key) => {
+    if (!req.allowedScope) {
+        return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+    }
+
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const apiKey = await findApiKey(db, key);
+        if (!apiKey) {
+            return res.status(401).json({ error: 'Invalid or expired API key' });
+        }
+
+        if (!apiKey.scopes.includes(req.allowedScope)) {
+            return res.status(403).json({
+                error: 'API key does not have the required scope',
+                requiredScope: req.allowedScope
+            });
+        }
+
+        const user = await db.collection('users').findOne({ _id: new ObjectId(apiKey.userId) });
+        if (!user || user.isActive === false || user.deletionScheduledAt) {
+            return res.status(401).json({ error: 'Invalid or expired API key' });
+        }
+
+        req.user = {
+            userId: user._id.toString(),
+            email: user.email,
+            role: user.role || 'user',
+            apiKeyId: apiKey._id.toString()
+        };
+        next();
+    } catch (error) {
+        console.error('Error checking API key:', error);
+        return res.status(500).json({ error: 'Failed to authenticate API key' });
+    }
+};
+
+const authenticateToken = async (req, res, next) => {
     // Get token from Authorization header
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
+    // Integrations can send a personal API key instead
+    const apiKey = req.headers['x-api-key'];
+    if (!token && apiKey) {
+        return authenticateApiKey(req, res, next, apiKey);
+    }
+
     if (!token) {
         return res.status(401).json({ error: 'Access token required' });
     }
 
     // Verify token
-    const jwtSecret = process.env.JWT_SECRET;
-    if (!jwtSecret) {
-        console.error('JWT_SECRET not found in environment variables');
+    if (!isSigningConfigured()) {
+        console.error('Neither JWT_SIGNING_KEYS_DIR nor JWT_SECRET is set in environment variables');
         return res.status(500).json({ error: 'Server configuration error' });
     }
 
-    jwt.verify(token, jwtSecret, (err, user) => {
-        if (err) {
-            return res.status(403).json({ error: 'Invalid or expired token' });
+    // Checks the signature, expiry, issuer and audience
+    let user;
+    try {
+        user = verifyAccessToken(token);
+    } catch (error) {
+        return res.status(403).json({ error: 'Invalid or expired token' });
+    }
+
+    // Access tokens issued to third-party applications only reach routes within their scopes
+    if (user.clientId) {
+        if (!req.allowedScope) {
+            return res.status(403).json({ error: 'This endpoint is not available to third-party applications' });
         }
+        if (!user.scope.split(' ').includes(req.allowedScope)) {
+            return res.status(403).json({
+                error: 'Token does not have the required scope',
+                requiredScope: req.allowedScope
+            });
+        }
+    }
 
-        // Add user info to request object
-        req.user = user;
-        next();
-    });
+    // Accounts that must set up 2FA can only reach the enrollment routes until they do
+    if (user.twoFactorSetupRequired && !req.allowTwoFactorSetup) {
+        return res.status(403).json({
+            error: 'Two-factor authentication must be set up before using this account'
+        });
+    }
+
+    // Reject tokens revoked by logout, or issued before the user's tokenVersion was bumped
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        if (await isAccessTokenRevoked(db, user)) {
+            return res.status(401).json({ error: 'Token has been revoked' });
+        }
+        // Third-party tokens end when the user revokes access or the application is deleted
+        if (user.clientId && !(await isConsentCurrent(db, user))) {
+            return res.status(401).json({ error: 'Token has been revoked' });
+        }
+
+        // Reconcile the token with the user's current state (cached briefly, see userStateService)
+        const state = await getUserState(db, user.userId);
+        if (!state.isActive) {
+            return res.status(401).json({ error: 'Account is deactivated' });
+        }
+        // Third-party tokens always act with the 'user' role
+        if (!user.clientId) {
+            user.role = state.role;
+        }
+    } catch (error) {
+        console.error('Error checking token revocation:', error);
+        return res.status(500).json({ error: 'Failed to authenticate token' });
+    }
+
+    // Add user info to request object
+    req.user = user;
+    next();
+};
+
+// Placed before authenticateToken on the routes needed to set up 2FA
+const allowTwoFactorSetup = (req, res, next) => {
+    req.allowTwoFactorSetup = true;
+    next();
+};
+
+// Placed before authenticateToken on routes that accept API keys and third-party access
+// tokens with the given scope (see config/scopes.js)
+const allowScope = (scope) => (req, res, next) => {
+    req.allowedScope = scope;
+    next();
+};
+
+// Placed after authenticateToken on routes that need a permission (see config/roles.js)
+const authorize = (permission) => (req, res, next) => {
+    if (!hasPermission(req.user.role, permission)) {
+        return res.status(403).json({
+            error: 'Access denied. Insufficient permissions.',
+            requiredPermission: permission
+        });
+    }
+    next();
 };
 
 module.exports = {
-    authenticateToken
+    authenticateToken,
+    allowTwoFactorSetup,
+    allowScope,
+    authorize
 };
@@ -0,0 +1,33 @@
+const { createExpiringMap } = require('../services/expiringMap');
+
+// Fixed-window rate limiter kept in memory. Counts are per process and reset on
+// restart, which is fine for a single instance.
+const rateLimit = ({ windowMs, max, message = 'Too many requests, please try again later', keyGenerator }) => {
+    const hits = createExpiringMap();
+    const getKey = keyGenerator || ((req) => req.ip);
+
+    return (req, res, next) => {
+        const now = Date.now();
+        const key = getKey(req);
+
+        // A finished window has expired, so a new one starts
+        let entry = hits.get(key);
+        if (!entry) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(key, entry, windowMs);
+        }
+
+        entry.count += 1;
+
+        if (entry.count > max) {
+            res.set('Retry-After', String(Math.ceil((entry.resetAt - now) / 1000)));
+            return res.status(429).json({ error: message });
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    rateLimit
+};
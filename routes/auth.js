@@ -1,109 +1,339 @@
 const express = require('express');
 const passport = require('passport');
 const GitHubStrategy = require('passport-github2').Strategy;
-const jwt = require('jsonwebtoken');
+const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const { ObjectId } = require('mongodb');
 const mongodb = require('../db/connect');
+const {
+   rotateRefreshToken,
+   revokeTokenFamily,
+   revokeRefreshToken
+} = require('../services/refreshTokenService');
+const { revokeAccessToken, revokeUserSessions } = require('../services/revocationService');
+const { authenticateToken, allowTwoFactorSetup } = require('../middleware/auth');
+const { isTwoFactorRequired, createLoginChallenge } = require('../services/twoFactorService');
+const { isSigningConfigured } = require('../services/signingKeyService');
+const { issueAccessToken } = require('../services/tokenService');
+const { startLoginSession } = require('../services/loginService');
+const {
+   readGitHubProfile,
+   readGoogleProfile,
+   verifyOAuthLogin
+} = require('../services/identityService');
 const router = express.Router();
 
+// Shared verify callback: links when the flow was started from a logged-in session,
+// logs in (or registers) otherwise
+const verifyProviderLogin = async (req, login, done) => {
+   try {
+       if (login.error) {
+           return done(null, false, { message: login.error });
+       }
+
+       const db = mongodb.getDb().db('cse341-project2');
+       const { user, linked, error } = await verifyOAuthLogin(db, req.query.state, login);
+       if (error) {
+           return done(null, false, { message: error });
+       }
+       return done(null, user, { linked });
+   } catch (error) {
+       return done(error, null);
+   }
+};
+
 // Configure GitHub Strategy
 passport.use(new GitHubStrategy({
    clientID: process.env.GITHUB_CLIENT_ID,
    clientSecret: process.env.GITHUB_CLIENT_SECRET,
-   callbackURL: process.env.GITHUB_CALLBACK_URL
-}, async (accessToken, refreshToken, profile, done) => {
+   callbackURL: process.env.GITHUB_CALLBACK_URL,
+   passReqToCallback: true
+}, (req, accessToken, refreshToken, profile, done) => {
+   verifyProviderLogin(req, readGitHubProfile(profile), done);
+}));
+
+// Google login is optional - the strategy is only registered when its credentials are configured
+const isGoogleConfigured = Boolean(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET);
+
+if (isGoogleConfigured) {
+   passport.use(new GoogleStrategy({
+       clientID: process.env.GOOGLE_CLIENT_ID,
+       clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+       callbackURL: process.env.GOOGLE_CALLBACK_URL,
+       passReqToCallback: true
+   }, (req, accessToken, refreshToken, profile, done) => {
+       // Never links or creates accounts from an address Google hasn't verified
+       verifyProviderLogin(req, readGoogleProfile(profile), done);
+   }));
+}
+
+const requireGoogleConfigured = (req, res, next) => {
+   if (!isGoogleConfigured) {
+       return res.status(503).json({ error: 'Google login is not configured' });
+   }
+   next();
+};
+
+// Starts the session once passport has authenticated the OAuth user, with the same
+// checks as password logins: deactivated accounts, 2FA and the 2FA role policy
+const completeOAuthLogin = (providerName) => async (req, res) => {
    try {
+       // Linking an additional provider doesn't start a new session
+       if (req.authInfo?.linked) {
+           return res.status(200).json({
+               message: `${providerName} account linked successfully`,
+               identities: req.user.identities
+           });
+       }
+
+       if (!isSigningConfigured()) {
+           console.error('Neither JWT_SIGNING_KEYS_DIR nor JWT_SECRET is set in the environment variables');
+           return res.status(500).json({ error: 'Server configuration error' });
+       }
+
+       if (!req.user.isActive) {
+           return res.status(401).json({ error: 'Account is deactivated' });
+       }
+
+       // The provider login replaces the password, not the second factor
+       if (req.user.twoFactor && req.user.twoFactor.enabled) {
+           return res.status(200).json({
+               message: 'Two-factor authentication required',
+               twoFactorRequired: true,
+               challengeToken: createLoginChallenge(req.user._id)
+           });
+       }
+
        const db = mongodb.getDb().db('cse341-project2');
-       const email = profile.emails?.[0]?.value?.toLowerCase() || `${profile.username}@github.local`;
-       
-       // First try to find by GitHub ID
-       let user = await db.collection('users').findOne({ githubId: profile.id });
-       // If no GitHub ID match, try email
-       if (!user) {
-           user = await db.collection('users').findOne({ email: email });
-           
-           // If found by email, link the GitHub account
-           if (user) {
-               await db.collection('users').updateOne(
-                   { _id: user._id },
-                   { $set: { githubId: profile.id, githubUsername: profile.username } }
-               );
-           }
+       const session = await startLoginSession(db, req.user);
+
+       // For demo purposes, return JSON with token
+       const response = {
+           message: `${providerName} OAuth login successful`,
+           token: session.token
+       };
+
+       if (session.deletionCancelled) {
+           response.deletionCancelled = true;
        }
-       
-       if (!user) {
-           // Create new user with GitHub OAuth data
-           const newUser = {
-               firstName: profile.displayName?.split(' ')[0] || profile.username,
-               lastName: profile.displayName?.split(' ')[1] || '',
-               email: email,
-               githubId: profile.id,
-               githubUsername: profile.username,
-               dateOfBirth: new Date('1990-01-01'), // Default
-               gender: 'NOT_SPECIFIED',
-               height: 170,
-               weight: 70,
-               role: 'user',
-               emailVerified: true, // OAuth emails are verified
-               isActive: true,
-               isTestUser: false,
-               createdAt: new Date()
-           };
-           
-           const result = await db.collection('users').insertOne(newUser);
-           user = { ...newUser, _id: result.insertedId };
+
+       if (session.twoFactorSetupRequired) {
+           response.message = `${providerName} OAuth login successful. Two-factor authentication must be set up before using this account.`;
+           response.twoFactorSetupRequired = true;
+       } else {
+           response.refreshToken = session.refreshToken;
        }
-       
-       return done(null, user);
+
+       response.user = {
+           id: req.user._id,
+           firstName: req.user.firstName,
+           lastName: req.user.lastName,
+           email: req.user.email,
+           role: req.user.role,
+           identities: req.user.identities
+       };
+
+       res.status(200).json(response);
    } catch (error) {
-       return done(error, null);
+       console.error(`Error completing ${providerName} login:`, error);
+       res.status(500).json({ error: 'Failed to complete OAuth login' });
    }
-}));
+};
 
 router.get('/github',
    /* 
    #swagger.tags = ['Authentication']
    #swagger.summary = 'Initiate GitHub OAuth login'
-   #swagger.description = 'Redirects user to GitHub for OAuth authentication'
+   #swagger.description = 'Redirects user to GitHub for OAuth authentication. When `link` is given (see POST /users/profile/me/identities), the GitHub account is linked to the logged-in user instead.'
+   #swagger.parameters['link'] = {
+       in: 'query',
+       required: false,
+       type: 'string',
+       description: 'Link request token returned by POST /users/profile/me/identities'
+   }
    #swagger.responses[302] = { description: 'Redirect to GitHub OAuth' }
    */
-   passport.authenticate('github', { scope: ['user:email'] })
+   (req, res, next) => {
+       passport.authenticate('github', { scope: ['user:email'], state: req.query.link })(req, res, next);
+   }
 );
 
 router.get('/github/callback',
    /* 
    #swagger.tags = ['Authentication']
    #swagger.summary = 'GitHub OAuth callback'
-   #swagger.description = 'Handles GitHub OAuth callback and returns JWT token'
-   #swagger.responses[200] = { description: 'OAuth login successful' }
-   #swagger.responses[401] = { description: 'OAuth authentication failed' }
+   #swagger.description = 'Handles GitHub OAuth callback and returns a JWT access token and a refresh token, or confirms the link when the flow was started from POST /users/profile/me/identities. Logins follow the same rules as POST /users/login: accounts with 2FA enabled get a challenge token for POST /users/login/2fa, and accounts that still have to set up 2FA required for their role only get a restricted access token.'
+   #swagger.responses[200] = { description: 'OAuth login successful / Two-factor authentication required / Account linked successfully' }
+   #swagger.responses[401] = { description: 'OAuth authentication failed / Account is deactivated' }
+   #swagger.responses[500] = { description: 'Failed to complete OAuth login' }
    */
    passport.authenticate('github', { session: false }),
-   (req, res) => {
-       const tokenPayload = {
-           userId: req.user._id,
-           email: req.user.email,
-           role: req.user.role || 'user'
-       };
-       
-       const token = jwt.sign(tokenPayload, process.env.JWT_SECRET, {
-           expiresIn: '2h',
-           algorithm: 'HS256',
-           issuer: 'cse341-project2'
-       });
-       
-       // For demo purposes, return JSON with token
-       res.status(200).json({
-           message: 'GitHub OAuth login successful',
-           token: token,
-           user: {
-               id: req.user._id,
-               firstName: req.user.firstName,
-               lastName: req.user.lastName,
-               email: req.user.email,
-               role: req.user.role,
-               githubUsername: req.user.githubUsername
+   completeOAuthLogin('GitHub')
+);
+
+router.get('/google',
+   /* 
+   #swagger.tags = ['Authentication']
+   #swagger.summary = 'Initiate Google OAuth login'
+   #swagger.description = 'Redirects user to Google for OAuth authentication. When `link` is given (see POST /users/profile/me/identities), the Google account is linked to the logged-in user instead.'
+   #swagger.parameters['link'] = {
+       in: 'query',
+       required: false,
+       type: 'string',
+       description: 'Link request token returned by POST /users/profile/me/identities'
+   }
+   #swagger.responses[302] = { description: 'Redirect to Google OAuth' }
+   #swagger.responses[503] = { description: 'Google login is not configured' }
+   */
+   requireGoogleConfigured,
+   (req, res, next) => {
+       passport.authenticate('google', { scope: ['profile', 'email'], state: req.query.link })(req, res, next);
+   }
+);
+
+router.get('/google/callback',
+   /* 
+   #swagger.tags = ['Authentication']
+   #swagger.summary = 'Google OAuth callback'
+   #swagger.description = 'Handles Google OAuth callback and returns a JWT access token and a refresh token, or confirms the link when the flow was started from POST /users/profile/me/identities. Logins follow the same rules as POST /users/login: accounts with 2FA enabled get a challenge token for POST /users/login/2fa, and accounts that still have to set up 2FA required for their role only get a restricted access token.'
+   #swagger.responses[200] = { description: 'OAuth login successful / Two-factor authentication required / Account linked successfully' }
+   #swagger.responses[401] = { description: 'OAuth authentication failed / Account is deactivated' }
+   #swagger.responses[500] = { description: 'Failed to complete OAuth login' }
+   #swagger.responses[503] = { description: 'Google login is not configured' }
+   */
+   requireGoogleConfigured,
+   passport.authenticate('google', { session: false }),
+   completeOAuthLogin('Google')
+);
+
+router.post('/refresh',
+   /*
+   #swagger.tags = ['Authentication']
+   #swagger.summary = 'Refresh access token'
+   #swagger.description = 'Exchanges a refresh token for a new access token. The refresh token is rotated: the one sent is invalidated and a new one is returned. Sending an already-used refresh token revokes every refresh token issued from the same login.'
+   #swagger.parameters['body'] = {
+       in: 'body',
+       required: true,
+       schema: { refreshToken: 'string' }
+   }
+   #swagger.responses[200] = { description: 'Token refreshed successfully' }
+   #swagger.responses[400] = { description: 'Refresh token required' }
+   #swagger.responses[401] = { description: 'Invalid or expired refresh token / Refresh token reuse detected / Account is deactivated / Two-factor authentication setup required' }
+   #swagger.responses[500] = { description: 'Failed to refresh token / Server configuration error' }
+   */
+   async (req, res) => {
+       try {
+           const { refreshToken } = req.body || {};
+
+           if (!refreshToken || typeof refreshToken !== 'string') {
+               return res.status(400).json({ error: 'Refresh token required' });
+           }
+
+           if (!isSigningConfigured()) {
+               console.error('Neither JWT_SIGNING_KEYS_DIR nor JWT_SECRET is set in the environment variables');
+               return res.status(500).json({ error: 'Server configuration error' });
+           }
+
+           const db = mongodb.getDb().db('cse341-project2');
+           const rotation = await rotateRefreshToken(db, refreshToken);
+
+           if (rotation.status === 'reused') {
+               return res.status(401).json({
+                   error: 'Refresh token reuse detected. All sessions from this login have been revoked.'
+               });
+           }
+
+           if (rotation.status !== 'rotated') {
+               return res.status(401).json({ error: 'Invalid or expired refresh token' });
            }
-       });
+
+           // Re-read the user so role changes and deactivation are picked up
+           const user = await db.collection('users').findOne({ _id: new ObjectId(rotation.userId) });
+
+           if (!user) {
+               await revokeTokenFamily(db, rotation.familyId, 'user_not_found');
+               return res.status(401).json({ error: 'Invalid or expired refresh token' });
+           }
+
+           if (!user.isActive) {
+               await revokeTokenFamily(db, rotation.familyId, 'account_deactivated');
+               return res.status(401).json({ error: 'Account is deactivated' });
+           }
+
+           // A refresh token must not lift the restriction on accounts that still have to set up required 2FA
+           if (!(user.twoFactor && user.twoFactor.enabled) && (await isTwoFactorRequired(db, user))) {
+               await revokeTokenFamily(db, rotation.familyId, '2fa_setup_required');
+               return res.status(401).json({ error: 'Two-factor authentication must be set up. Please log in again.' });
+           }
+
+           const token = issueAccessToken(user);
+
+           res.status(200).json({
+               message: 'Token refreshed successfully',
+               token,
+               refreshToken: rotation.refreshToken
+           });
+       } catch (error) {
+           console.error('Error refreshing token:', error);
+           res.status(500).json({ error: 'Failed to refresh token' });
+       }
+   }
+);
+
+router.post('/logout',
+   /*
+   #swagger.tags = ['Authentication']
+   #swagger.summary = 'Log out'
+   #swagger.description = 'Revokes the access token used for this request. If a refresh token is sent in the body, every refresh token from the same login is revoked as well.'
+   #swagger.security = [{ bearerAuth: [] }]
+   #swagger.parameters['body'] = {
+       in: 'body',
+       required: false,
+       schema: { refreshToken: 'string' }
+   }
+   #swagger.responses[200] = { description: 'Logged out successfully' }
+   #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+   #swagger.responses[500] = { description: 'Failed to log out' }
+   */
+   allowTwoFactorSetup, authenticateToken, async (req, res) => {
+       try {
+           const { refreshToken } = req.body || {};
+           const db = mongodb.getDb().db('cse341-project2');
+
+           await revokeAccessToken(db, req.user);
+
+           if (refreshToken && typeof refreshToken === 'string') {
+               await revokeRefreshToken(db, refreshToken, req.user.userId, 'logout');
+           }
+
+           res.status(200).json({ message: 'Logged out successfully' });
+       } catch (error) {
+           console.error('Error logging out:', error);
+           res.status(500).json({ error: 'Failed to log out' });
+       }
+   }
+);
+
+router.post('/logout-all',
+   /*
+   #swagger.tags = ['Authentication']
+   #swagger.summary = 'Log out of all sessions'
+   #swagger.description = 'Revokes every access token and refresh token issued to the authenticated user, on all devices and to third-party applications. API keys keep working until they are revoked at DELETE /users/profile/me/api-keys/{keyId}.'
+   #swagger.security = [{ bearerAuth: [] }]
+   #swagger.responses[200] = { description: 'Logged out of all sessions successfully' }
+   #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+   #swagger.responses[500] = { description: 'Failed to log out of all sessions' }
+   */
+   allowTwoFactorSetup, authenticateToken, async (req, res) => {
+       try {
+           const db = mongodb.getDb().db('cse341-project2');
+
+           await revokeUserSessions(db, req.user.userId, 'logout_all');
+
+           res.status(200).json({ message: 'Logged out of all sessions successfully' });
+       } catch (error) {
+           console.error('Error logging out of all sessions:', error);
+           res.status(500).json({ error: 'Failed to log out of all sessions' });
+       }
    }
 );
 
@@ -0,0 +1,234 @@
+const express = require('express');
+const router = express.Router();
+const mongodb = require('../db/connect');
+const { ObjectId } = require('mongodb');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { normalizeEmail, validateEmail } = require('../validators/userValidator');
+
+// Adds coach and athlete names to relationships for display
+const withUserNames = async (db, relationships) => {
+    const userIds = [...new Set(relationships.flatMap((r) => [r.coachId, r.athleteId]))];
+    const users = await db.collection('users')
+        .find({ _id: { $in: userIds.map((id) => new ObjectId(id)) } })
+        .project({ firstName: 1, lastName: 1, email: 1 })
+        .toArray();
+
+    const usersById = new Map(users.map((user) => [user._id.toString(), user]));
+    const summarize = (id) => {
+        const user = usersById.get(id);
+        return user
+            ? { userId: id, name: `${user.firstName} ${user.lastName}`, email: user.email }
+            : { userId: id };
+    };
+
+    return relationships.map((relationship) => ({
+        _id: relationship._id,
+        status: relationship.status,
+        coach: summarize(relationship.coachId),
+        athlete: summarize(relationship.athleteId),
+        createdAt: relationship.createdAt,
+        acceptedAt: relationship.acceptedAt || null
+    }));
+};
+
+// GET coaching relationships of the current user
+router.get('/', authenticateToken,
+    /*
+    #swagger.tags = ['Coaching']
+    #swagger.summary = 'List coaching relationships'
+    #swagger.description = 'List the pending and active coaching relationships of the authenticated user, both as coach and as athlete.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'Coaching relationships retrieved successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to fetch coaching relationships' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const userId = req.user.userId;
+
+        const relationships = await db.collection('coachingRelationships')
+            .find({
+                $or: [{ coachId: userId }, { athleteId: userId }],
+                status: { $in: ['pending', 'active'] }
+            })
+            .sort({ createdAt: -1 })
+            .toArray();
+
+        const detailed = await withUserNames(db, relationships);
+
+        res.status(200).json({
+            athletes: detailed.filter((relationship) => relationship.coach.userId === userId),
+            coaches: detailed.filter((relationship) => relationship.athlete.userId === userId)
+        });
+    } catch (error) {
+        console.error('Error fetching coaching relationships:', error);
+        res.status(500).json({ error: 'Failed to fetch coaching relationships' });
+    }
+});
+
+// POST invite an athlete
+router.post('/invitations', authenticateToken, authorize('coaching:invite'),
+    /*
+    #swagger.tags = ['Coaching']
+    #swagger.summary = 'Invite an athlete'
+    #swagger.description = 'Invite a user to be coached by the authenticated user. Once the athlete accepts, the coach can list, create and comment on their workouts and read their statistics. Requires the coaching:invite permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { athleteEmail: 'athlete@example.com' }
+    }
+    #swagger.responses[201] = { description: 'Invitation sent successfully' }
+    #swagger.responses[400] = { description: 'Validation failed / Cannot coach yourself' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - coaching:invite permission required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[409] = { description: 'A coaching relationship with this athlete already exists' }
+    #swagger.responses[500] = { description: 'Failed to send invitation' }
+    */
+    async (req, res) => {
+    try {
+        const { athleteEmail } = req.body;
+        const emailError = validateEmail(athleteEmail);
+        if (emailError) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: [emailError]
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const athlete = await db.collection('users').findOne({ email: normalizeEmail(athleteEmail) });
+        if (!athlete || athlete.isActive === false) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const coachId = req.user.userId;
+        const athleteId = athlete._id.toString();
+        if (athleteId === coachId) {
+            return res.status(400).json({ error: 'You cannot coach yourself' });
+        }
+
+        const existing = await db.collection('coachingRelationships').findOne({
+            coachId,
+            athleteId,
+            status: { $in: ['pending', 'active'] }
+        });
+        if (existing) {
+            return res.status(409).json({ error: 'A coaching relationship with this athlete already exists' });
+        }
+
+        const relationship = {
+            coachId,
+            athleteId,
+            status: 'pending',
+            createdAt: new Date()
+        };
+        const result = await db.collection('coachingRelationships').insertOne(relationship);
+
+        res.status(201).json({
+            message: 'Invitation sent successfully',
+            relationshipId: result.insertedId
+        });
+    } catch (error) {
+        console.error('Error inviting athlete:', error);
+        res.status(500).json({ error: 'Failed to send invitation' });
+    }
+});
+
+// POST accept a coaching invitation - athlete only
+router.post('/:id/accept', authenticateToken,
+    /*
+    #swagger.tags = ['Coaching']
+    #swagger.summary = 'Accept a coaching invitation'
+    #swagger.description = 'Accept a pending invitation, giving the coach access to your workouts and statistics. Only the invited athlete can accept.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Coaching relationship ID'
+    }
+    #swagger.responses[200] = { description: 'Invitation accepted successfully' }
+    #swagger.responses[400] = { description: 'Invalid relationship ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'Invitation not found' }
+    #swagger.responses[500] = { description: 'Failed to accept invitation' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid relationship ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+
+        // Invitations addressed to someone else are reported as not found
+        const result = await db.collection('coachingRelationships').updateOne(
+            { _id: new ObjectId(req.params.id), athleteId: req.user.userId, status: 'pending' },
+            { $set: { status: 'active', acceptedAt: new Date() } }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'Invitation not found' });
+        }
+
+        res.status(200).json({ message: 'Invitation accepted successfully' });
+    } catch (error) {
+        console.error('Error accepting coaching invitation:', error);
+        res.status(500).json({ error: 'Failed to accept invitation' });
+    }
+});
+
+// DELETE revoke a coaching relationship - coach or athlete
+router.delete('/:id', authenticateToken,
+    /*
+    #swagger.tags = ['Coaching']
+    #swagger.summary = 'Revoke a coaching relationship'
+    #swagger.description = 'End an active coaching relationship, withdraw an invitation or decline it. Either the coach or the athlete can revoke; the coach loses access immediately.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Coaching relationship ID'
+    }
+    #swagger.responses[200] = { description: 'Coaching relationship revoked successfully' }
+    #swagger.responses[400] = { description: 'Invalid relationship ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'Coaching relationship not found' }
+    #swagger.responses[500] = { description: 'Failed to revoke coaching relationship' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid relationship ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const userId = req.user.userId;
+
+        const result = await db.collection('coachingRelationships').updateOne(
+            {
+                _id: new ObjectId(req.params.id),
+                $or: [{ coachId: userId }, { athleteId: userId }],
+                status: { $in: ['pending', 'active'] }
+            },
+            { $set: { status: 'revoked', revokedAt: new Date(), revokedBy: userId } }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'Coaching relationship not found' });
+        }
+
+        res.status(200).json({ message: 'Coaching relationship revoked successfully' });
+    } catch (error) {
+        console.error('Error revoking coaching relationship:', error);
+        res.status(500).json({ error: 'Failed to revoke coaching relationship' });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
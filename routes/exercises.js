@@ -0,0 +1,387 @@
+const express = require('express');
+const router = express.Router();
+const mongodb = require('../db/connect');
+const { ObjectId } = require('mongodb');
+const { authenticateToken, allowScope } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { normalizeTaxonomyValue } = require('../config/exercises');
+const {
+    exerciseVisibilityQuery,
+    canManageExercise,
+    findExerciseNameConflict,
+    escapeRegex
+} = require('../services/exerciseService');
+const { validatePaginationParams } = require('../validators/workoutValidator');
+const {
+    validateLibraryExerciseForCreation,
+    validateLibraryExerciseForUpdate,
+    validateExerciseSearchParams,
+    normalizeLibraryExerciseData
+} = require('../validators/exerciseValidator');
+
+// GET exercises - global library plus the user's custom exercises
+router.get('/', allowScope('workouts:read'), authenticateToken,
+    /*
+    #swagger.tags = ['Exercises']
+    #swagger.summary = 'Search exercises'
+    #swagger.description = 'List the global exercise library and the custom exercises of the authenticated user, sorted by name. Search text matches names and aliases.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'q',
+        in: 'query',
+        type: 'string',
+        description: 'Search text, matched against names and aliases (case insensitive)'
+    }
+    #swagger.parameters[1] = {
+        name: 'category',
+        in: 'query',
+        type: 'string',
+        description: 'Filter by category, e.g. WEIGHTLIFTING'
+    }
+    #swagger.parameters[2] = {
+        name: 'muscleGroup',
+        in: 'query',
+        type: 'string',
+        description: 'Filter by muscle group, e.g. HAMSTRINGS'
+    }
+    #swagger.parameters[3] = {
+        name: 'equipment',
+        in: 'query',
+        type: 'string',
+        description: 'Filter by equipment, e.g. BARBELL'
+    }
+    #swagger.parameters[4] = {
+        name: 'custom',
+        in: 'query',
+        type: 'boolean',
+        description: 'true for only your custom exercises, false for only the global library'
+    }
+    #swagger.parameters[5] = {
+        name: 'page',
+        in: 'query',
+        type: 'integer',
+        description: 'Page number for pagination (default: 1)'
+    }
+    #swagger.parameters[6] = {
+        name: 'limit',
+        in: 'query',
+        type: 'integer',
+        description: 'Number of exercises per page (default: 20)'
+    }
+    #swagger.responses[200] = { description: 'Exercises retrieved successfully with pagination info' }
+    #swagger.responses[400] = { description: 'Validation failed - Invalid pagination or filter parameters' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to fetch exercises' }
+    */
+    async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const validationErrors = [
+            ...validatePaginationParams(page, limit),
+            ...validateExerciseSearchParams(req.query)
+        ];
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const conditions = [];
+
+        if (req.query.custom === 'true') {
+            conditions.push({ userId: req.user.userId });
+        } else if (req.query.custom === 'false') {
+            conditions.push({ userId: null });
+        } else {
+            conditions.push(exerciseVisibilityQuery(req.user.userId));
+        }
+
+        if (req.query.q && req.query.q.trim()) {
+            const pattern = { $regex: escapeRegex(req.query.q.trim()), $options: 'i' };
+            conditions.push({ $or: [{ name: pattern }, { aliases: pattern }] });
+        }
+        if (req.query.category) {
+            conditions.push({ category: normalizeTaxonomyValue(req.query.category) });
+        }
+        if (req.query.muscleGroup) {
+            conditions.push({ muscleGroups: normalizeTaxonomyValue(req.query.muscleGroup) });
+        }
+        if (req.query.equipment) {
+            conditions.push({ equipment: normalizeTaxonomyValue(req.query.equipment) });
+        }
+
+        const query = { $and: conditions };
+        const exercises = await db
+            .collection('exercises')
+            .find(query)
+            .sort({ name: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+
+        const totalCount = await db.collection('exercises').countDocuments(query);
+
+        res.status(200).json({
+            exercises,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalCount / limit),
+                totalExercises: totalCount,
+                hasNextPage: page < Math.ceil(totalCount / limit),
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching exercises:', error);
+        res.status(500).json({ error: 'Failed to fetch exercises' });
+    }
+});
+
+// GET single exercise by ID
+router.get('/:id', allowScope('workouts:read'), authenticateToken,
+    /*
+    #swagger.tags = ['Exercises']
+    #swagger.summary = 'Get exercise by ID'
+    #swagger.description = 'Retrieve a global exercise or one of your custom exercises. Users with the exercises:manage permission can view any custom exercise.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Exercise ID'
+    }
+    #swagger.responses[200] = { description: 'Exercise retrieved successfully' }
+    #swagger.responses[400] = { description: 'Invalid exercise ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'Exercise not found' }
+    #swagger.responses[500] = { description: 'Failed to fetch exercise' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid exercise ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const exercise = await db.collection('exercises').findOne({ _id: new ObjectId(req.params.id) });
+
+        // Other users' custom exercises are reported as missing
+        if (!exercise || (exercise.userId && !canManageExercise(req.user, exercise))) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        res.status(200).json(exercise);
+    } catch (error) {
+        console.error('Error fetching exercise:', error);
+        res.status(500).json({ error: 'Failed to fetch exercise' });
+    }
+});
+
+// POST create exercise - custom for the user, or global with exercises:manage
+router.post('/', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Exercises']
+    #swagger.summary = 'Create exercise'
+    #swagger.description = 'Create a custom exercise that only you can see. Users with the exercises:manage permission can pass global: true to add it to the library for everyone.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: {
+            name: 'Romanian Deadlift',
+            category: 'WEIGHTLIFTING',
+            muscleGroups: ['HAMSTRINGS', 'GLUTES', 'LOWER_BACK'],
+            equipment: ['BARBELL'],
+            aliases: ['RDL'],
+            description: 'Hinge at the hips with a slight knee bend, bar close to the legs.',
+            global: false
+        }
+    }
+    #swagger.responses[201] = { description: 'Exercise created successfully' }
+    #swagger.responses[400] = { description: 'Validation failed' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - exercises:manage permission required for global exercises' }
+    #swagger.responses[409] = { description: 'An exercise with this name already exists' }
+    #swagger.responses[500] = { description: 'Failed to create exercise' }
+    */
+    async (req, res) => {
+    try {
+        const validationErrors = validateLibraryExerciseForCreation(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const isGlobal = req.body.global === true;
+        if (isGlobal && !hasPermission(req.user.role, 'exercises:manage')) {
+            return res.status(403).json({
+                error: 'Access denied. Only library managers can add global exercises.'
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const ownerId = isGlobal ? null : req.user.userId;
+        const normalizedData = normalizeLibraryExerciseData(req.body);
+
+        if (await findExerciseNameConflict(db, normalizedData.name, ownerId)) {
+            return res.status(409).json({ error: 'An exercise with this name already exists' });
+        }
+
+        const exercise = {
+            name: normalizedData.name,
+            category: normalizedData.category,
+            muscleGroups: normalizedData.muscleGroups || [],
+            equipment: normalizedData.equipment || [],
+            aliases: normalizedData.aliases || [],
+            description: normalizedData.description || '',
+            userId: ownerId,
+            createdAt: new Date(),
+            createdBy: req.user.userId
+        };
+
+        const result = await db.collection('exercises').insertOne(exercise);
+
+        res.status(201).json({
+            message: 'Exercise created successfully',
+            exerciseId: result.insertedId
+        });
+    } catch (error) {
+        console.error('Error creating exercise:', error);
+        res.status(500).json({ error: 'Failed to create exercise' });
+    }
+});
+
+// PUT update exercise - owner of a custom exercise, or exercises:manage
+router.put('/:id', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Exercises']
+    #swagger.summary = 'Update exercise'
+    #swagger.description = 'Update one of your custom exercises. Global exercises and other users\' custom exercises require the exercises:manage permission. Workouts keep the exercise names they were logged with.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Exercise ID'
+    }
+    #swagger.responses[200] = { description: 'Exercise updated successfully' }
+    #swagger.responses[400] = { description: 'Invalid exercise ID format / Validation failed' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own custom exercises' }
+    #swagger.responses[404] = { description: 'Exercise not found' }
+    #swagger.responses[409] = { description: 'An exercise with this name already exists' }
+    #swagger.responses[500] = { description: 'Failed to update exercise' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid exercise ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const exerciseId = new ObjectId(req.params.id);
+
+        const existingExercise = await db.collection('exercises').findOne({ _id: exerciseId });
+        if (!existingExercise || (existingExercise.userId && !canManageExercise(req.user, existingExercise))) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        if (!canManageExercise(req.user, existingExercise)) {
+            return res.status(403).json({ error: 'Access denied. You can only update your own custom exercises.' });
+        }
+
+        const validationErrors = validateLibraryExerciseForUpdate(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const normalizedData = normalizeLibraryExerciseData(req.body);
+
+        if (normalizedData.name !== undefined) {
+            const conflict = await findExerciseNameConflict(db, normalizedData.name, existingExercise.userId, exerciseId);
+            if (conflict) {
+                return res.status(409).json({ error: 'An exercise with this name already exists' });
+            }
+        }
+
+        const updateData = { ...normalizedData, updatedAt: new Date() };
+
+        const result = await db.collection('exercises').updateOne(
+            { _id: exerciseId },
+            { $set: updateData }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        res.status(200).json({ message: 'Exercise updated successfully' });
+    } catch (error) {
+        console.error('Error updating exercise:', error);
+        res.status(500).json({ error: 'Failed to update exercise' });
+    }
+});
+
+// DELETE exercise - owner of a custom exercise, or exercises:manage
+router.delete('/:id', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Exercises']
+    #swagger.summary = 'Delete exercise'
+    #swagger.description = 'Delete one of your custom exercises. Global exercises and other users\' custom exercises require the exercises:manage permission. Workouts that used the exercise keep their logged name and sets.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Exercise ID'
+    }
+    #swagger.responses[200] = { description: 'Exercise deleted successfully' }
+    #swagger.responses[400] = { description: 'Invalid exercise ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only delete own custom exercises' }
+    #swagger.responses[404] = { description: 'Exercise not found' }
+    #swagger.responses[500] = { description: 'Failed to delete exercise' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid exercise ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const exerciseId = new ObjectId(req.params.id);
+
+        const existingExercise = await db.collection('exercises').findOne({ _id: exerciseId });
+        if (!existingExercise || (existingExercise.userId && !canManageExercise(req.user, existingExercise))) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        if (!canManageExercise(req.user, existingExercise)) {
+            return res.status(403).json({ error: 'Access denied. You can only delete your own custom exercises.' });
+        }
+
+        const result = await db.collection('exercises').deleteOne({ _id: exerciseId });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        res.status(200).json({ message: 'Exercise deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting exercise:', error);
+        res.status(500).json({ error: 'Failed to delete exercise' });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
@@ -1,9 +1,22 @@
 const express = require('express');
 const router = express.Router();
+const { getJwks } = require('../services/signingKeyService');
 
 // Home route
 router.get('/', (req, res) => {
     res.send('Fitness Tracker API is running! Visit /api-docs for documentation.');
 });
 
+// Public keys for verifying access tokens; clients may cache them for an hour
+router.get('/.well-known/jwks.json', (req, res) => {
+    /*
+    #swagger.tags = ['Authentication']
+    #swagger.summary = 'JSON Web Key Set'
+    #swagger.description = 'Public keys that verify the access tokens issued by this API. Select the key by the kid in the token header.'
+    #swagger.responses[200] = { description: 'JSON Web Key Set' }
+    */
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.status(200).json(getJwks());
+});
+
 module.exports = router;
@@ -0,0 +1,480 @@
+const express = require('express');
+const router = express.Router();
+const mongodb = require('../db/connect');
+const { ObjectId } = require('mongodb');
+const { URL } = require('url');
+const { authenticateToken, authorize } = require('../middleware/auth');
+const { SCOPES } = require('../config/scopes');
+const { validateClientForRegistration, parseScopeParam } = require('../validators/oauthValidator');
+const {
+    registerClient,
+    findClient,
+    listClients,
+    deleteClient,
+    authenticateClient,
+    createAuthorizationCode,
+    consumeAuthorizationCode,
+    verifyCodeVerifier,
+    findConsent,
+    saveConsent,
+    listConsents,
+    revokeConsent,
+    issueOAuthTokens,
+    consumeOAuthRefreshToken,
+    introspectToken
+} = require('../services/oauthService');
+
+// The token and introspection endpoints receive form-encoded bodies (RFC 6749)
+const parseForm = express.urlencoded({ extended: false });
+
+// Errors from the token and introspection endpoints use the OAuth2 format so client libraries understand them
+const sendOAuthError = (res, status, error, description) => {
+    res.status(status).json({ error, error_description: description });
+};
+
+// Client credentials from HTTP Basic authentication or the request body
+const getClientCredentials = (req) => {
+    const authHeader = req.headers['authorization'];
+    if (authHeader && authHeader.startsWith('Basic ')) {
+        const decoded = Buffer.from(authHeader.slice(6), 'base64').toString();
+        const separator = decoded.indexOf(':');
+        if (separator === -1) {
+            return {};
+        }
+        return {
+            clientId: decodeURIComponent(decoded.slice(0, separator)),
+            clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+        };
+    }
+    const body = req.body || {};
+    return { clientId: body.client_id, clientSecret: body.client_secret };
+};
+
+// Checks an authorization request. An unknown client or redirect URI is reported to the user;
+// other problems are sent back to the client through the redirect URI as redirectError.
+const checkAuthorizationRequest = async (db, params) => {
+    const { response_type, client_id, redirect_uri, scope, code_challenge, code_challenge_method } = params;
+
+    const client = await findClient(db, client_id);
+    if (!client) {
+        return { error: 'Unknown client' };
+    }
+
+    if (!redirect_uri || !client.redirectUris.includes(redirect_uri)) {
+        return { error: 'Redirect URI is not registered for this client' };
+    }
+
+    if (response_type !== 'code') {
+        return { client, redirectError: 'unsupported_response_type' };
+    }
+
+    const scopes = parseScopeParam(scope);
+    if (!scopes) {
+        return { client, redirectError: 'invalid_scope' };
+    }
+
+    if (code_challenge_method !== 'S256' || !/^[A-Za-z0-9_-]{43}$/.test(code_challenge || '')) {
+        return { client, redirectError: 'invalid_request' };
+    }
+
+    return { client, scopes };
+};
+
+const buildRedirectUrl = (redirectUri, params) => {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+        if (value) {
+            url.searchParams.set(key, value);
+        }
+    }
+    return url.toString();
+};
+
+// POST register a client application - requires oauth:clients:manage
+router.post('/clients', authenticateToken, authorize('oauth:clients:manage'),
+    /*
+    #swagger.tags = ['OAuth']
+    #swagger.summary = 'Register a client application'
+    #swagger.description = 'Register a third-party application that can ask users for access. Confidential clients (with a backend) get a client secret, which is only shown once; public clients (mobile and single-page apps) rely on PKCE alone. Requires the oauth:clients:manage permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { name: 'Nutrition Tracker', redirectUris: ['https://nutrition.example.com/callback'], confidential: true }
+    }
+    #swagger.responses[201] = { description: 'Client registered successfully' }
+    #swagger.responses[400] = { description: 'Validation failed' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - oauth:clients:manage permission required' }
+    #swagger.responses[500] = { description: 'Failed to register client' }
+    */
+    async (req, res) => {
+    try {
+        const validationErrors = validateClientForRegistration(req.body || {});
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const { name, redirectUris, confidential = true } = req.body;
+        const { client, clientSecret } = await registerClient(
+            db,
+            { name: name.trim(), redirectUris, confidential },
+            req.user.userId
+        );
+
+        const response = {
+            message: 'Client registered successfully',
+            client
+        };
+        if (clientSecret) {
+            response.message = 'Client registered successfully. Store the client secret somewhere safe; it is only shown once.';
+            response.clientSecret = clientSecret;
+        }
+
+        res.status(201).json(response);
+    } catch (error) {
+        console.error('Error registering OAuth client:', error);
+        res.status(500).json({ error: 'Failed to register client' });
+    }
+});
+
+// GET registered client applications - requires oauth:clients:manage
+router.get('/clients', authenticateToken, authorize('oauth:clients:manage'),
+    /*
+    #swagger.tags = ['OAuth']
+    #swagger.summary = 'List client applications'
+    #swagger.description = 'List the registered third-party applications. Requires the oauth:clients:manage permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'Clients retrieved successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - oauth:clients:manage permission required' }
+    #swagger.responses[500] = { description: 'Failed to fetch clients' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const clients = await listClients(db);
+
+        res.status(200).json({ clients });
+    } catch (error) {
+        console.error('Error fetching OAuth clients:', error);
+        res.status(500).json({ error: 'Failed to fetch clients' });
+    }
+});
+
+// DELETE a client application - requires oauth:clients:manage
+router.delete('/clients/:clientId', authenticateToken, authorize('oauth:clients:manage'),
+    /*
+    #swagger.tags = ['OAuth']
+    #swagger.summary = 'Delete a client application'
+    #swagger.description = 'Delete a third-party application along with the access users granted it, including the access tokens already issued. Requires the oauth:clients:manage permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['clientId'] = {
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Client ID'
+    }
+    #swagger.responses[200] = { description: 'Client deleted successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - oauth:clients:manage permission required' }
+    #swagger.responses[404] = { description: 'Client not found' }
+    #swagger.responses[500] = { description: 'Failed to delete client' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const deleted = await deleteClient(db, req.params.clientId);
+
+        if (!deleted) {
+            return res.status(404).json({ error: 'Client not found' });
+        }
+
+        res.status(200).json({ message: 'Client deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting OAuth client:', error);
+        res.status(500).json({ error: 'Failed to delete client' });
+    }
+});
+
+// GET details for the consent screen of an authorization request
+router.get('/authorize', authenticateToken,
+    /*
+    #swagger.tags = ['OAuth']
+    #swagger.summary = 'Get an authorization request'
+    #swagger.description = 'Check an authorization request (authorization code flow with PKCE, code_challenge_method S256) and return what the consent screen should show: the application and the scopes it asks for. Takes the standard OAuth2 query parameters: response_type=code, client_id, redirect_uri, scope, state, code_challenge and code_challenge_method.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'Authorization request is valid' }
+    #swagger.responses[400] = { description: 'Unknown client / Redirect URI is not registered / Invalid request' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to check authorization request' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const { error, redirectError, client, scopes } = await checkAuthorizationRequest(db, req.query);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (redirectError) {
+            return res.status(400).json({
+                error: 'Invalid authorization request',
+                details: [redirectError]
+            });
+        }
+
+        // Users aren't asked again for scopes they already granted
+        const consent = await findConsent(db, req.user.userId, client.clientId);
+        const grantedScopes = consent ? consent.scopes : [];
+
+        res.status(200).json({
+            client: { clientId: client.clientId, name: client.name },
+            scopes: scopes.map((name) => ({ name, description: SCOPES[name] })),
+            consentRequired: scopes.some((name) => !grantedScopes.includes(name))
+        });
+    } catch (error) {
+        console.error('Error checking authorization request:', error);
+        res.status(500).json({ error: 'Failed to check authorization request' });
+    }
+});
+
+// POST approve or deny an authorization request
+router.post('/authorize', authenticateToken,
+    /*
+    #swagger.tags = ['OAuth']
+    #swagger.summary = 'Approve or deny an authorization request'
+    #swagger.description = 'Submit the consent screen. Send the parameters of the authorization request together with approve (true or false). Returns the URL to send the browser back to the application, carrying an authorization code (valid for 10 minutes) or an access_denied error.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: {
+            response_type: 'code',
+            client_id: 'client-id',
+            redirect_uri: 'https://nutrition.example.com/callback',
+            scope: 'workouts:read',
+            state: 'xyz',
+            code_challenge: 'E9Melhoa2OwvFrEMTJguCHaoeK1t8URWbuGJSstw-cM',
+            code_challenge_method: 'S256',
+            approve: true
+        }
+    }
+    #swagger.responses[200] = { description: 'Redirect URL for the application' }
+    #swagger.responses[400] = { description: 'Unknown client / Redirect URI is not registered' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to process authorization request' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const params = req.body || {};
+        const { error, redirectError, client, scopes } = await checkAuthorizationRequest(db, params);
+
+        if (error) {
+            return res.status(400).json({ error });
+        }
+        if (redirectError) {
+            return res.status(200).json({
+                redirectUrl: buildRedirectUrl(params.redirect_uri, { error: redirectError, state: params.state })
+            });
+        }
+
+        if (params.approve !== true) {
+            return res.status(200).json({
+                redirectUrl: buildRedirectUrl(params.redirect_uri, { error: 'access_denied', state: params.state })
+            });
+        }
+
+        await saveConsent(db, req.user.userId, client.clientId, scopes);
+        const code = await createAuthorizationCode(db, {
+            clientId: client.clientId,
+            userId: req.user.userId,
+            redirectUri: params.redirect_uri,
+            scopes,
+            codeChallenge: params.code_challenge
+        });
+
+        res.status(200).json({
+            redirectUrl: buildRedirectUrl(params.redirect_uri, { code, state: params.state })
+        });
+    } catch (error) {
+        console.error('Error processing authorization request:', error);
+        res.status(500).json({ error: 'Failed to process authorization request' });
+    }
+});
+
+// POST exchange an authorization code or refresh token for tokens
+router.post('/token', parseForm,
+    /*
+    #swagger.tags = ['OAuth']
+    #swagger.summary = 'Get tokens'
+    #swagger.description = 'OAuth2 token endpoint. grant_type=authorization_code exchanges a code (with redirect_uri and the PKCE code_verifier); grant_type=refresh_token exchanges a refresh token, which is rotated. Confidential clients authenticate with HTTP Basic or client_id and client_secret; public clients send client_id. Access tokens last one hour and only reach endpoints within their scopes.'
+    #swagger.consumes = ['application/x-www-form-urlencoded', 'application/json']
+    #swagger.responses[200] = { description: 'Tokens issued' }
+    #swagger.responses[400] = { description: 'invalid_request / invalid_grant / unsupported_grant_type' }
+    #swagger.responses[401] = { description: 'invalid_client' }
+    #swagger.responses[500] = { description: 'server_error' }
+    */
+    async (req, res) => {
+    try {
+        // Tokens must not be cached by browsers or proxies
+        res.set('Cache-Control', 'no-store');
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const { clientId, clientSecret } = getClientCredentials(req);
+        const client = await authenticateClient(db, clientId, clientSecret);
+        if (!client) {
+            return sendOAuthError(res, 401, 'invalid_client', 'Client authentication failed');
+        }
+
+        const body = req.body || {};
+        let grant;
+
+        if (body.grant_type === 'authorization_code') {
+            const { code, redirect_uri, code_verifier } = body;
+            if (!code || !redirect_uri || !code_verifier) {
+                return sendOAuthError(res, 400, 'invalid_request', 'code, redirect_uri and code_verifier are required');
+            }
+
+            grant = await consumeAuthorizationCode(db, code);
+            if (
+                !grant ||
+                grant.clientId !== client.clientId ||
+                grant.redirectUri !== redirect_uri ||
+                !verifyCodeVerifier(code_verifier, grant.codeChallenge)
+            ) {
+                return sendOAuthError(res, 400, 'invalid_grant', 'Invalid or expired authorization code');
+            }
+        } else if (body.grant_type === 'refresh_token') {
+            if (!body.refresh_token) {
+                return sendOAuthError(res, 400, 'invalid_request', 'refresh_token is required');
+            }
+
+            grant = await consumeOAuthRefreshToken(db, body.refresh_token, client.clientId);
+            if (!grant) {
+                return sendOAuthError(res, 400, 'invalid_grant', 'Invalid or expired refresh token');
+            }
+        } else {
+            return sendOAuthError(res, 400, 'unsupported_grant_type', 'Use authorization_code or refresh_token');
+        }
+
+        const user = await db.collection('users').findOne({ _id: new ObjectId(grant.userId) });
+        if (!user || user.isActive === false || user.deletionScheduledAt) {
+            return sendOAuthError(res, 400, 'invalid_grant', 'The user is no longer available');
+        }
+
+        const tokens = await issueOAuthTokens(db, user, client.clientId, grant.scopes);
+        if (!tokens) {
+            return sendOAuthError(res, 400, 'invalid_grant', 'The user has revoked access');
+        }
+
+        res.status(200).json(tokens);
+    } catch (error) {
+        console.error('Error issuing OAuth tokens:', error);
+        sendOAuthError(res, 500, 'server_error', 'Failed to issue tokens');
+    }
+});
+
+// POST token introspection - confidential clients only
+router.post('/introspect', parseForm,
+    /*
+    #swagger.tags = ['OAuth']
+    #swagger.summary = 'Introspect a token'
+    #swagger.description = 'OAuth2 token introspection (RFC 7662). Confidential clients can check whether one of their access or refresh tokens is still active and which user and scopes it belongs to. Send token in the body; authenticate with HTTP Basic or client_id and client_secret.'
+    #swagger.consumes = ['application/x-www-form-urlencoded', 'application/json']
+    #swagger.responses[200] = { description: 'Token information ({ active: false } for unknown, expired or revoked tokens)' }
+    #swagger.responses[401] = { description: 'invalid_client' }
+    #swagger.responses[500] = { description: 'server_error' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const { clientId, clientSecret } = getClientCredentials(req);
+        const client = await authenticateClient(db, clientId, clientSecret);
+        if (!client || !client.confidential) {
+            return sendOAuthError(res, 401, 'invalid_client', 'Client authentication failed');
+        }
+
+        res.status(200).json(await introspectToken(db, (req.body || {}).token, client.clientId));
+    } catch (error) {
+        console.error('Error introspecting token:', error);
+        sendOAuthError(res, 500, 'server_error', 'Failed to introspect token');
+    }
+});
+
+// GET applications the current user has granted access to
+router.get('/consents', authenticateToken,
+    /*
+    #swagger.tags = ['OAuth']
+    #swagger.summary = 'List authorized applications'
+    #swagger.description = 'List the third-party applications the authenticated user has granted access to, with the granted scopes'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'Authorized applications retrieved successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to fetch authorized applications' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const consents = await listConsents(db, req.user.userId);
+
+        const applications = [];
+        for (const consent of consents) {
+            const client = await findClient(db, consent.clientId);
+            if (client) {
+                applications.push({
+                    clientId: client.clientId,
+                    name: client.name,
+                    scopes: consent.scopes,
+                    grantedAt: consent.createdAt
+                });
+            }
+        }
+
+        res.status(200).json({ applications });
+    } catch (error) {
+        console.error('Error fetching OAuth consents:', error);
+        res.status(500).json({ error: 'Failed to fetch authorized applications' });
+    }
+});
+
+// DELETE revoke access granted to an application
+router.delete('/consents/:clientId', authenticateToken,
+    /*
+    #swagger.tags = ['OAuth']
+    #swagger.summary = 'Revoke application access'
+    #swagger.description = 'Withdraw the access granted to a third-party application. Its refresh and access tokens stop working immediately.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['clientId'] = {
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Client ID'
+    }
+    #swagger.responses[200] = { description: 'Application access revoked successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'Application has no access' }
+    #swagger.responses[500] = { description: 'Failed to revoke application access' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const revoked = await revokeConsent(db, req.user.userId, req.params.clientId);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'Application has no access' });
+        }
+
+        res.status(200).json({ message: 'Application access revoked successfully' });
+    } catch (error) {
+        console.error('Error revoking OAuth consent:', error);
+        res.status(500).json({ error: 'Failed to revoke application access' });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
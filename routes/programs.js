@@ -0,0 +1,695 @@
+const express = require('express');
+const router = express.Router();
+const mongodb = require('../db/connect');
+const { ObjectId } = require('mongodb');
+const { authenticateToken, allowScope } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { canAccessUserWorkouts, sharedWithUserQuery } = require('../services/coachingService');
+const {
+    startOfUtcDay,
+    formatDay,
+    findProgramForUser,
+    canManageProgram,
+    buildSessions,
+    listScheduledSessions,
+    prescribeExercises,
+    describeScheduledSession,
+    summarizeEnrollment
+} = require('../services/programService');
+const { validatePaginationParams, validateDate, normalizeWorkoutData } = require('../validators/workoutValidator');
+const {
+    validateProgramForCreation,
+    validateProgramForUpdate,
+    validateEnrollment
+} = require('../validators/programValidator');
+
+// GET programs - own programs plus those shared with the user
+router.get('/', allowScope('workouts:read'), authenticateToken,
+    /*
+    #swagger.tags = ['Programs']
+    #swagger.summary = 'Get training programs'
+    #swagger.description = 'List your own training programs, those your coaches share with their athletes and public ones, sorted by name.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'mine',
+        in: 'query',
+        type: 'boolean',
+        description: 'true for only your own programs'
+    }
+    #swagger.parameters[1] = {
+        name: 'page',
+        in: 'query',
+        type: 'integer',
+        description: 'Page number for pagination (default: 1)'
+    }
+    #swagger.parameters[2] = {
+        name: 'limit',
+        in: 'query',
+        type: 'integer',
+        description: 'Number of programs per page (default: 10)'
+    }
+    #swagger.responses[200] = { description: 'Programs retrieved successfully with pagination info' }
+    #swagger.responses[400] = { description: 'Validation failed - Invalid pagination parameters' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to fetch programs' }
+    */
+    async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const paginationErrors = validatePaginationParams(page, limit);
+        if (paginationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: paginationErrors
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const query = req.query.mine === 'true'
+            ? { userId: req.user.userId }
+            : await sharedWithUserQuery(db, req.user.userId);
+
+        const programs = await db
+            .collection('programs')
+            .find(query)
+            .sort({ name: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+
+        const totalCount = await db.collection('programs').countDocuments(query);
+
+        res.status(200).json({
+            programs,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalCount / limit),
+                totalPrograms: totalCount,
+                hasNextPage: page < Math.ceil(totalCount / limit),
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching programs:', error);
+        res.status(500).json({ error: 'Failed to fetch programs' });
+    }
+});
+
+// GET own enrollments with their progress
+router.get('/enrollments/me', allowScope('workouts:read'), authenticateToken,
+    /*
+    #swagger.tags = ['Programs']
+    #swagger.summary = 'Get my program enrollments'
+    #swagger.description = 'List the programs you are enrolled in, newest first, with the number of completed, missed and remaining sessions.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'status',
+        in: 'query',
+        type: 'string',
+        enum: ['active', 'completed', 'cancelled'],
+        description: 'Only enrollments with this status'
+    }
+    #swagger.responses[200] = { description: 'Enrollments retrieved successfully' }
+    #swagger.responses[400] = { description: 'Invalid status' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to fetch enrollments' }
+    */
+    async (req, res) => {
+    try {
+        const query = { userId: req.user.userId };
+        if (req.query.status) {
+            if (!['active', 'completed', 'cancelled'].includes(req.query.status)) {
+                return res.status(400).json({ error: 'Status must be one of: active, completed, cancelled' });
+            }
+            query.status = req.query.status;
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const enrollments = await db
+            .collection('programEnrollments')
+            .find(query)
+            .sort({ createdAt: -1 })
+            .toArray();
+
+        const today = startOfUtcDay(new Date());
+        const results = [];
+        for (const enrollment of enrollments) {
+            const program = await db.collection('programs').findOne({ _id: new ObjectId(enrollment.programId) });
+            results.push({
+                ...enrollment,
+                programName: program ? program.name : null,
+                progress: program ? summarizeEnrollment(program, enrollment, today) : null
+            });
+        }
+
+        res.status(200).json({ enrollments: results });
+    } catch (error) {
+        console.error('Error fetching enrollments:', error);
+        res.status(500).json({ error: 'Failed to fetch enrollments' });
+    }
+});
+
+// GET sessions scheduled today across own active enrollments
+router.get('/enrollments/me/today', allowScope('workouts:read'), authenticateToken,
+    /*
+    #swagger.tags = ['Programs']
+    #swagger.summary = 'Get program sessions for today'
+    #swagger.description = 'List the sessions your active enrollments schedule for today, with the target sets for the current week after progression and whether you already logged them.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'date',
+        in: 'query',
+        type: 'string',
+        format: 'date',
+        description: 'Day to look up instead of today (YYYY-MM-DD, UTC)'
+    }
+    #swagger.responses[200] = { description: 'Sessions retrieved successfully' }
+    #swagger.responses[400] = { description: 'Validation failed - Invalid date' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to fetch sessions for today' }
+    */
+    async (req, res) => {
+    try {
+        if (req.query.date !== undefined) {
+            const dateError = validateDate(req.query.date);
+            if (dateError) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: [dateError]
+                });
+            }
+        }
+
+        const day = startOfUtcDay(req.query.date || new Date());
+        const today = startOfUtcDay(new Date());
+        const db = mongodb.getDb().db('cse341-project2');
+        const enrollments = await db
+            .collection('programEnrollments')
+            .find({ userId: req.user.userId, status: 'active' })
+            .toArray();
+
+        const sessions = [];
+        for (const enrollment of enrollments) {
+            const program = await db.collection('programs').findOne({ _id: new ObjectId(enrollment.programId) });
+            if (!program) continue;
+
+            listScheduledSessions(program, enrollment)
+                .filter((scheduled) => scheduled.date.getTime() === day.getTime())
+                .forEach((scheduled) => {
+                    sessions.push({
+                        enrollmentId: enrollment._id,
+                        programId: program._id,
+                        programName: program.name,
+                        ...describeScheduledSession(enrollment, scheduled, today),
+                        duration: scheduled.session.duration,
+                        exercises: prescribeExercises(scheduled.session.exercises, scheduled.week)
+                    });
+                });
+        }
+
+        res.status(200).json({ date: formatDay(day), sessions });
+    } catch (error) {
+        console.error('Error fetching sessions for today:', error);
+        res.status(500).json({ error: 'Failed to fetch sessions for today' });
+    }
+});
+
+// GET single enrollment with progress and missed sessions
+router.get('/enrollments/:id', allowScope('workouts:read'), authenticateToken,
+    /*
+    #swagger.tags = ['Programs']
+    #swagger.summary = 'Get program enrollment by ID'
+    #swagger.description = 'Retrieve an enrollment with its progress and the sessions that were missed, i.e. whose day has passed without a logged workout. Coaches can view the enrollments of athletes they coach; users with the workouts:read:any permission can view any enrollment.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Enrollment ID'
+    }
+    #swagger.responses[200] = { description: 'Enrollment retrieved successfully' }
+    #swagger.responses[400] = { description: 'Invalid enrollment ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only view own enrollments or those of athletes you coach' }
+    #swagger.responses[404] = { description: 'Enrollment not found / Program not found' }
+    #swagger.responses[500] = { description: 'Failed to fetch enrollment' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid enrollment ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const enrollment = await db.collection('programEnrollments').findOne({ _id: new ObjectId(req.params.id) });
+        if (!enrollment) {
+            return res.status(404).json({ error: 'Enrollment not found' });
+        }
+
+        const canView = await canAccessUserWorkouts(db, req.user, enrollment.userId, 'workouts:read:any');
+        if (!canView) {
+            return res.status(403).json({
+                error: 'Access denied. You can only view your own enrollments or those of athletes you coach.'
+            });
+        }
+
+        const program = await db.collection('programs').findOne({ _id: new ObjectId(enrollment.programId) });
+        if (!program) {
+            return res.status(404).json({ error: 'Program not found' });
+        }
+
+        res.status(200).json({
+            ...enrollment,
+            program: { _id: program._id, name: program.name, durationWeeks: program.durationWeeks },
+            progress: summarizeEnrollment(program, enrollment, startOfUtcDay(new Date()))
+        });
+    } catch (error) {
+        console.error('Error fetching enrollment:', error);
+        res.status(500).json({ error: 'Failed to fetch enrollment' });
+    }
+});
+
+// DELETE cancel enrollment - enrolled user, their coach or workouts:update:any
+router.delete('/enrollments/:id', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Programs']
+    #swagger.summary = 'Cancel program enrollment'
+    #swagger.description = 'Cancel an active enrollment. The enrollment and the workouts logged for it are kept.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Enrollment ID'
+    }
+    #swagger.responses[200] = { description: 'Enrollment cancelled successfully' }
+    #swagger.responses[400] = { description: 'Invalid enrollment ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only cancel own enrollments or those of athletes you coach' }
+    #swagger.responses[404] = { description: 'Enrollment not found' }
+    #swagger.responses[409] = { description: 'Enrollment is not active' }
+    #swagger.responses[500] = { description: 'Failed to cancel enrollment' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid enrollment ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const enrollment = await db.collection('programEnrollments').findOne({ _id: new ObjectId(req.params.id) });
+        if (!enrollment) {
+            return res.status(404).json({ error: 'Enrollment not found' });
+        }
+
+        const canCancel = await canAccessUserWorkouts(db, req.user, enrollment.userId, 'workouts:update:any');
+        if (!canCancel) {
+            return res.status(403).json({
+                error: 'Access denied. You can only cancel your own enrollments or those of athletes you coach.'
+            });
+        }
+
+        const result = await db.collection('programEnrollments').updateOne(
+            { _id: enrollment._id, status: 'active' },
+            { $set: { status: 'cancelled', cancelledAt: new Date() } }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(409).json({ error: 'Enrollment is not active' });
+        }
+
+        res.status(200).json({ message: 'Enrollment cancelled successfully' });
+    } catch (error) {
+        console.error('Error cancelling enrollment:', error);
+        res.status(500).json({ error: 'Failed to cancel enrollment' });
+    }
+});
+
+// GET single program by ID
+router.get('/:id', allowScope('workouts:read'), authenticateToken,
+    /*
+    #swagger.tags = ['Programs']
+    #swagger.summary = 'Get training program by ID'
+    #swagger.description = 'Retrieve a training program you own or that is shared with you. Users with the programs:manage permission can view any program.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Program ID'
+    }
+    #swagger.responses[200] = { description: 'Program retrieved successfully' }
+    #swagger.responses[400] = { description: 'Invalid program ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'Program not found' }
+    #swagger.responses[500] = { description: 'Failed to fetch program' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid program ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const program = await findProgramForUser(db, req.params.id, req.user);
+        if (!program) {
+            return res.status(404).json({ error: 'Program not found' });
+        }
+
+        res.status(200).json(program);
+    } catch (error) {
+        console.error('Error fetching program:', error);
+        res.status(500).json({ error: 'Failed to fetch program' });
+    }
+});
+
+// POST create program
+router.post('/', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Programs']
+    #swagger.summary = 'Create training program'
+    #swagger.description = 'Create a multi-week training program. Each session runs on a day (1-7) of one week, or of every week when week is left out, and lists exercises with target sets. A progression changes the targets over the weeks, e.g. +2.5 kg every week. Visibility works as for templates; public programs require the programs:manage permission.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: {
+            name: 'Beginner Strength',
+            description: 'Three full-body sessions a week',
+            exerciseType: 'WEIGHTLIFTING',
+            durationWeeks: 8,
+            visibility: 'private',
+            sessions: [{
+                name: 'Day A',
+                day: 1,
+                duration: 60,
+                exercises: [{
+                    name: 'Squat',
+                    sets: [{ reps: 5, weight: 60 }],
+                    progression: { weightIncrement: 2.5, repsIncrement: 0, everyWeeks: 1 }
+                }]
+            }]
+        }
+    }
+    #swagger.responses[201] = { description: 'Program created successfully' }
+    #swagger.responses[400] = { description: 'Validation failed / Referenced exercise does not exist' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - programs:manage permission required for public programs' }
+    #swagger.responses[500] = { description: 'Failed to create program' }
+    */
+    async (req, res) => {
+    try {
+        const validationErrors = validateProgramForCreation(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        if (req.body.visibility === 'public' && !hasPermission(req.user.role, 'programs:manage')) {
+            return res.status(403).json({ error: 'Access denied. You cannot publish programs.' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+
+        const sessions = await buildSessions(db, req.body.sessions, req.user.userId);
+        if (!sessions) {
+            return res.status(400).json({ error: 'Referenced exercise does not exist' });
+        }
+
+        const program = {
+            userId: req.user.userId,
+            name: req.body.name.trim(),
+            description: req.body.description ? req.body.description.trim() : '',
+            exerciseType: normalizeWorkoutData(req.body).exerciseType,
+            durationWeeks: Number(req.body.durationWeeks),
+            visibility: req.body.visibility || 'private',
+            sessions,
+            createdAt: new Date()
+        };
+
+        const result = await db.collection('programs').insertOne(program);
+
+        res.status(201).json({
+            message: 'Program created successfully',
+            programId: result.insertedId
+        });
+    } catch (error) {
+        console.error('Error creating program:', error);
+        res.status(500).json({ error: 'Failed to create program' });
+    }
+});
+
+// PUT update program - owner or programs:manage
+router.put('/:id', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Programs']
+    #swagger.summary = 'Update training program'
+    #swagger.description = 'Update a training program. Sending sessions replaces all of them and is required when changing durationWeeks; send the _id of an existing session to keep it, so enrollments keep their progress on it. Changes apply to existing enrollments.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Program ID'
+    }
+    #swagger.responses[200] = { description: 'Program updated successfully' }
+    #swagger.responses[400] = { description: 'Invalid program ID format / Validation failed / Referenced exercise does not exist' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own programs / Cannot publish programs' }
+    #swagger.responses[404] = { description: 'Program not found' }
+    #swagger.responses[500] = { description: 'Failed to update program' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid program ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const program = await findProgramForUser(db, req.params.id, req.user);
+        if (!program) {
+            return res.status(404).json({ error: 'Program not found' });
+        }
+
+        if (!canManageProgram(req.user, program)) {
+            return res.status(403).json({ error: 'Access denied. You can only update your own programs.' });
+        }
+
+        const body = req.body || {};
+        const validationErrors = validateProgramForUpdate(body, program.durationWeeks);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        if (body.visibility === 'public' && !hasPermission(req.user.role, 'programs:manage')) {
+            return res.status(403).json({ error: 'Access denied. You cannot publish programs.' });
+        }
+
+        const updateData = { updatedAt: new Date() };
+
+        if (body.name !== undefined) updateData.name = body.name.trim();
+        if (body.description !== undefined) updateData.description = body.description ? body.description.trim() : '';
+        if (body.exerciseType !== undefined) updateData.exerciseType = normalizeWorkoutData(body).exerciseType;
+        if (body.durationWeeks !== undefined) updateData.durationWeeks = Number(body.durationWeeks);
+        if (body.visibility !== undefined) updateData.visibility = body.visibility;
+
+        if (body.sessions !== undefined) {
+            updateData.sessions = await buildSessions(db, body.sessions, program.userId, program.sessions);
+            if (!updateData.sessions) {
+                return res.status(400).json({ error: 'Referenced exercise does not exist' });
+            }
+        }
+
+        const result = await db.collection('programs').updateOne(
+            { _id: program._id },
+            { $set: updateData }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'Program not found' });
+        }
+
+        res.status(200).json({ message: 'Program updated successfully' });
+    } catch (error) {
+        console.error('Error updating program:', error);
+        res.status(500).json({ error: 'Failed to update program' });
+    }
+});
+
+// DELETE program - owner or programs:manage, once nobody follows it
+router.delete('/:id', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Programs']
+    #swagger.summary = 'Delete training program'
+    #swagger.description = 'Delete a training program. Programs with active enrollments cannot be deleted; workouts logged for the program are kept.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Program ID'
+    }
+    #swagger.responses[200] = { description: 'Program deleted successfully' }
+    #swagger.responses[400] = { description: 'Invalid program ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only delete own programs' }
+    #swagger.responses[404] = { description: 'Program not found' }
+    #swagger.responses[409] = { description: 'Program has active enrollments' }
+    #swagger.responses[500] = { description: 'Failed to delete program' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid program ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const program = await findProgramForUser(db, req.params.id, req.user);
+        if (!program) {
+            return res.status(404).json({ error: 'Program not found' });
+        }
+
+        if (!canManageProgram(req.user, program)) {
+            return res.status(403).json({ error: 'Access denied. You can only delete your own programs.' });
+        }
+
+        const activeEnrollments = await db.collection('programEnrollments').countDocuments({
+            programId: program._id.toString(),
+            status: 'active'
+        });
+        if (activeEnrollments > 0) {
+            return res.status(409).json({ error: 'Program has active enrollments' });
+        }
+
+        const result = await db.collection('programs').deleteOne({ _id: program._id });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Program not found' });
+        }
+
+        res.status(200).json({ message: 'Program deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting program:', error);
+        res.status(500).json({ error: 'Failed to delete program' });
+    }
+});
+
+// POST enroll in a program
+router.post('/:id/enroll', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Programs']
+    #swagger.summary = 'Enroll in training program'
+    #swagger.description = 'Start following a program. The start date (default today, UTC) is day 1 of week 1. Coaches can pass the userId of an athlete they coach; the program must be visible to that athlete. A user can only have one active enrollment per program.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Program ID'
+    }
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: false,
+        schema: { startDate: '2025-01-06', userId: '507f1f77bcf86cd799439011' }
+    }
+    #swagger.responses[201] = { description: 'Enrolled in program' }
+    #swagger.responses[400] = { description: 'Invalid program ID format / Validation failed / Target user does not exist' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only enroll yourself or athletes you coach / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Program not found' }
+    #swagger.responses[409] = { description: 'Already enrolled in this program' }
+    #swagger.responses[500] = { description: 'Failed to enroll in program' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid program ID format' });
+        }
+
+        const body = req.body || {};
+        const validationErrors = validateEnrollment(body);
+        if (body.userId !== undefined && !ObjectId.isValid(body.userId)) {
+            validationErrors.push('Invalid user ID format');
+        }
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const program = await findProgramForUser(db, req.params.id, req.user);
+        if (!program) {
+            return res.status(404).json({ error: 'Program not found' });
+        }
+
+        const userId = body.userId || req.user.userId;
+        const canEnroll = await canAccessUserWorkouts(db, req.user, userId, 'workouts:create:any');
+        if (!canEnroll) {
+            return res.status(403).json({
+                error: 'Access denied. You can only enroll yourself or athletes you coach.'
+            });
+        }
+
+        const targetUser = await db.collection('users').findOne({ _id: new ObjectId(userId) });
+        if (!targetUser) {
+            return res.status(400).json({ error: 'Target user does not exist' });
+        }
+
+        if (targetUser.isActive === false) {
+            return res.status(403).json({ error: 'Workouts of deactivated accounts are read-only' });
+        }
+
+        // Coaches can only enroll athletes in programs the athlete can see
+        if (userId !== req.user.userId) {
+            const visibleToUser = await findProgramForUser(db, req.params.id, { userId, role: targetUser.role });
+            if (!visibleToUser) {
+                return res.status(404).json({ error: 'Program not found' });
+            }
+        }
+
+        const activeEnrollment = await db.collection('programEnrollments').findOne({
+            userId,
+            programId: program._id.toString(),
+            status: 'active'
+        });
+        if (activeEnrollment) {
+            return res.status(409).json({ error: 'Already enrolled in this program' });
+        }
+
+        const enrollment = {
+            userId,
+            programId: program._id.toString(),
+            startDate: startOfUtcDay(body.startDate || new Date()),
+            status: 'active',
+            completedSessions: [],
+            createdAt: new Date(),
+            createdBy: req.user.userId
+        };
+
+        const result = await db.collection('programEnrollments').insertOne(enrollment);
+
+        res.status(201).json({
+            message: 'Enrolled in program',
+            enrollmentId: result.insertedId
+        });
+    } catch (error) {
+        console.error('Error enrolling in program:', error);
+        res.status(500).json({ error: 'Failed to enroll in program' });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
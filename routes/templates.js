@@ -0,0 +1,429 @@
+const express = require('express');
+const router = express.Router();
+const mongodb = require('../db/connect');
+const { ObjectId } = require('mongodb');
+const { authenticateToken, allowScope } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { canAccessUserWorkouts, sharedWithUserQuery } = require('../services/coachingService');
+const { findTemplateForUser, canManageTemplate } = require('../services/templateService');
+const { buildExercises, copyTemplateExercises } = require('../services/workoutExerciseService');
+const {
+    validateWorkoutForCreation,
+    validatePaginationParams,
+    normalizeWorkoutData
+} = require('../validators/workoutValidator');
+const { validateTemplateForCreation, validateTemplateForUpdate } = require('../validators/templateValidator');
+
+// GET templates - own templates plus those shared with the user
+router.get('/', allowScope('workouts:read'), authenticateToken,
+    /*
+    #swagger.tags = ['Templates']
+    #swagger.summary = 'Get workout templates'
+    #swagger.description = 'List your own workout templates, those your coaches share with their athletes and public ones, sorted by name.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'mine',
+        in: 'query',
+        type: 'boolean',
+        description: 'true for only your own templates'
+    }
+    #swagger.parameters[1] = {
+        name: 'page',
+        in: 'query',
+        type: 'integer',
+        description: 'Page number for pagination (default: 1)'
+    }
+    #swagger.parameters[2] = {
+        name: 'limit',
+        in: 'query',
+        type: 'integer',
+        description: 'Number of templates per page (default: 10)'
+    }
+    #swagger.responses[200] = { description: 'Templates retrieved successfully with pagination info' }
+    #swagger.responses[400] = { description: 'Validation failed - Invalid pagination parameters' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to fetch templates' }
+    */
+    async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 10;
+        const paginationErrors = validatePaginationParams(page, limit);
+        if (paginationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: paginationErrors
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const query = req.query.mine === 'true'
+            ? { userId: req.user.userId }
+            : await sharedWithUserQuery(db, req.user.userId);
+
+        const templates = await db
+            .collection('workoutTemplates')
+            .find(query)
+            .sort({ name: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+
+        const totalCount = await db.collection('workoutTemplates').countDocuments(query);
+
+        res.status(200).json({
+            templates,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(totalCount / limit),
+                totalTemplates: totalCount,
+                hasNextPage: page < Math.ceil(totalCount / limit),
+                hasPrevPage: page > 1
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching templates:', error);
+        res.status(500).json({ error: 'Failed to fetch templates' });
+    }
+});
+
+// GET single template by ID
+router.get('/:id', allowScope('workouts:read'), authenticateToken,
+    /*
+    #swagger.tags = ['Templates']
+    #swagger.summary = 'Get workout template by ID'
+    #swagger.description = 'Retrieve a workout template you own or that is shared with you. Users with the templates:manage permission can view any template.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Template ID'
+    }
+    #swagger.responses[200] = { description: 'Template retrieved successfully' }
+    #swagger.responses[400] = { description: 'Invalid template ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'Template not found' }
+    #swagger.responses[500] = { description: 'Failed to fetch template' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid template ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const template = await findTemplateForUser(db, req.params.id, req.user);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        res.status(200).json(template);
+    } catch (error) {
+        console.error('Error fetching template:', error);
+        res.status(500).json({ error: 'Failed to fetch template' });
+    }
+});
+
+// POST create template
+router.post('/', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Templates']
+    #swagger.summary = 'Create workout template'
+    #swagger.description = 'Create a workout template with planned exercises and target sets. Visibility athletes shares it with the athletes you coach; public shares it with everyone and requires the templates:manage permission.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: {
+            name: 'Push Day A',
+            exerciseType: 'WEIGHTLIFTING',
+            duration: 60,
+            notes: 'Add weight when all sets reach the top of the rep range',
+            visibility: 'private',
+            exercises: [{ name: 'Bench Press', sets: [{ reps: 8, weight: 60, rpe: 8, restSeconds: 120 }] }]
+        }
+    }
+    #swagger.responses[201] = { description: 'Template created successfully' }
+    #swagger.responses[400] = { description: 'Validation failed / Referenced exercise does not exist' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - templates:manage permission required for public templates' }
+    #swagger.responses[500] = { description: 'Failed to create template' }
+    */
+    async (req, res) => {
+    try {
+        const validationErrors = validateTemplateForCreation(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        if (req.body.visibility === 'public' && !hasPermission(req.user.role, 'templates:manage')) {
+            return res.status(403).json({ error: 'Access denied. You cannot publish templates.' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+
+        const exercises = await buildExercises(db, req.body.exercises || [], req.user.userId);
+        if (!exercises) {
+            return res.status(400).json({ error: 'Referenced exercise does not exist' });
+        }
+
+        const normalizedData = normalizeWorkoutData(req.body);
+        const template = {
+            userId: req.user.userId,
+            name: req.body.name.trim(),
+            exerciseType: normalizedData.exerciseType,
+            duration: normalizedData.duration || null,
+            notes: normalizedData.notes || '',
+            visibility: req.body.visibility || 'private',
+            exercises,
+            createdAt: new Date()
+        };
+
+        const result = await db.collection('workoutTemplates').insertOne(template);
+
+        res.status(201).json({
+            message: 'Template created successfully',
+            templateId: result.insertedId
+        });
+    } catch (error) {
+        console.error('Error creating template:', error);
+        res.status(500).json({ error: 'Failed to create template' });
+    }
+});
+
+// PUT update template - owner or templates:manage
+router.put('/:id', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Templates']
+    #swagger.summary = 'Update workout template'
+    #swagger.description = 'Update a workout template. Sending exercises replaces all of them. Workouts already started from the template do not change.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Template ID'
+    }
+    #swagger.responses[200] = { description: 'Template updated successfully' }
+    #swagger.responses[400] = { description: 'Invalid template ID format / Validation failed / Referenced exercise does not exist' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own templates / Cannot publish templates' }
+    #swagger.responses[404] = { description: 'Template not found' }
+    #swagger.responses[500] = { description: 'Failed to update template' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid template ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const template = await findTemplateForUser(db, req.params.id, req.user);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (!canManageTemplate(req.user, template)) {
+            return res.status(403).json({ error: 'Access denied. You can only update your own templates.' });
+        }
+
+        const validationErrors = validateTemplateForUpdate(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        if (req.body.visibility === 'public' && !hasPermission(req.user.role, 'templates:manage')) {
+            return res.status(403).json({ error: 'Access denied. You cannot publish templates.' });
+        }
+
+        const normalizedData = normalizeWorkoutData(req.body);
+        const updateData = { updatedAt: new Date() };
+
+        if (req.body.name !== undefined) updateData.name = req.body.name.trim();
+        if (normalizedData.exerciseType !== undefined) updateData.exerciseType = normalizedData.exerciseType;
+        if (req.body.duration !== undefined) updateData.duration = normalizedData.duration || null;
+        if (normalizedData.notes !== undefined) updateData.notes = normalizedData.notes;
+        if (req.body.visibility !== undefined) updateData.visibility = req.body.visibility;
+
+        if (req.body.exercises !== undefined) {
+            updateData.exercises = await buildExercises(db, req.body.exercises, template.userId);
+            if (!updateData.exercises) {
+                return res.status(400).json({ error: 'Referenced exercise does not exist' });
+            }
+        }
+
+        const result = await db.collection('workoutTemplates').updateOne(
+            { _id: template._id },
+            { $set: updateData }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        res.status(200).json({ message: 'Template updated successfully' });
+    } catch (error) {
+        console.error('Error updating template:', error);
+        res.status(500).json({ error: 'Failed to update template' });
+    }
+});
+
+// DELETE template - owner or templates:manage
+router.delete('/:id', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Templates']
+    #swagger.summary = 'Delete workout template'
+    #swagger.description = 'Delete a workout template. Workouts started from it are kept.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Template ID'
+    }
+    #swagger.responses[200] = { description: 'Template deleted successfully' }
+    #swagger.responses[400] = { description: 'Invalid template ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only delete own templates' }
+    #swagger.responses[404] = { description: 'Template not found' }
+    #swagger.responses[500] = { description: 'Failed to delete template' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid template ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const template = await findTemplateForUser(db, req.params.id, req.user);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        if (!canManageTemplate(req.user, template)) {
+            return res.status(403).json({ error: 'Access denied. You can only delete your own templates.' });
+        }
+
+        const result = await db.collection('workoutTemplates').deleteOne({ _id: template._id });
+
+        if (result.deletedCount === 0) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        res.status(200).json({ message: 'Template deleted successfully' });
+    } catch (error) {
+        console.error('Error deleting template:', error);
+        res.status(500).json({ error: 'Failed to delete template' });
+    }
+});
+
+// POST start a workout from a template
+router.post('/:id/start', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Templates']
+    #swagger.summary = 'Start workout from template'
+    #swagger.description = 'Create a workout dated now with the name, type, exercises and target sets of the template. The target sets are planned (performed: false) and count towards personal records once updated through PUT /workouts/:id/exercises/:exerciseId/sets/:setId. The workout keeps the templateId, and each exercise the templateExerciseId it came from. Coaches can pass the userId of an athlete they coach.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Template ID'
+    }
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: false,
+        schema: { userId: '507f1f77bcf86cd799439011', duration: 55, caloriesBurned: 320, distance: null, notes: 'Felt strong' }
+    }
+    #swagger.responses[201] = { description: 'Workout started from template' }
+    #swagger.responses[400] = { description: 'Invalid template ID format / Validation failed / Target user does not exist' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only create workouts for yourself or athletes you coach / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Template not found' }
+    #swagger.responses[500] = { description: 'Failed to start workout' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid template ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const template = await findTemplateForUser(db, req.params.id, req.user);
+        if (!template) {
+            return res.status(404).json({ error: 'Template not found' });
+        }
+
+        // The template provides everything except what happened on the day
+        const body = req.body || {};
+        const workoutData = {
+            userId: body.userId || req.user.userId,
+            workoutName: template.name,
+            date: new Date(),
+            duration: body.duration !== undefined ? body.duration : template.duration,
+            caloriesBurned: body.caloriesBurned !== undefined ? body.caloriesBurned : 0,
+            distance: body.distance,
+            exerciseType: template.exerciseType,
+            notes: body.notes !== undefined ? body.notes : template.notes
+        };
+
+        const validationErrors = validateWorkoutForCreation(workoutData);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const canCreate = await canAccessUserWorkouts(db, req.user, workoutData.userId, 'workouts:create:any');
+        if (!canCreate) {
+            return res.status(403).json({
+                error: 'Access denied. You can only create workouts for yourself or athletes you coach.'
+            });
+        }
+
+        const targetUser = await db.collection('users').findOne({ _id: new ObjectId(workoutData.userId) });
+        if (!targetUser) {
+            return res.status(400).json({ error: 'Target user does not exist' });
+        }
+
+        if (targetUser.isActive === false) {
+            return res.status(403).json({ error: 'Workouts of deactivated accounts are read-only' });
+        }
+
+        const normalizedData = normalizeWorkoutData(workoutData);
+        const workout = {
+            ...normalizedData,
+            distance: normalizedData.distance !== undefined ? normalizedData.distance : null,
+            notes: normalizedData.notes || '',
+            exercises: copyTemplateExercises(template.exercises || []),
+            templateId: template._id.toString(),
+            createdAt: new Date(),
+            createdBy: req.user.userId
+        };
+
+        // The copied sets are planned, not performed, so personal records wait until they are logged
+        const result = await db.collection('workouts').insertOne(workout);
+
+        res.status(201).json({
+            message: 'Workout started from template',
+            workoutId: result.insertedId
+        });
+    } catch (error) {
+        console.error('Error starting workout from template:', error);
+        res.status(500).json({ error: 'Failed to start workout' });
+    }
+});
+
+module.exports = router;
\ No newline at end of file
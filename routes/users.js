@@ -3,22 +3,161 @@ const router = express.Router();
 const mongodb = require('../db/connect');
 const { ObjectId } = require('mongodb');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const {
     validateUserForCreation,
     validateUserForUpdate,
     normalizeEmail,
+    validateEmail,
+    validatePassword,
     validateUserForLogin
 } = require('../validators/userValidator');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, allowTwoFactorSetup, allowScope, authorize } = require('../middleware/auth');
+const { VALID_ROLES, hasPermission } = require('../config/roles');
+const { rateLimit } = require('../middleware/rateLimit');
+const { isSigningConfigured } = require('../services/signingKeyService');
+const { startLoginSession } = require('../services/loginService');
+const { invalidateUserState } = require('../services/userStateService');
+const {
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    purgeAccount
+} = require('../services/accountDeletionService');
+const {
+    SUPPORTED_PROVIDERS,
+    unlinkIdentity,
+    canUnlinkIdentity,
+    createLinkState
+} = require('../services/identityService');
+const {
+    isEmailVerificationRequired,
+    sendVerificationEmail,
+    isResendOnCooldown,
+    verifyEmailToken
+} = require('../services/emailVerificationService');
+const {
+    RECORD_TYPES,
+    listPersonalRecords,
+    listPersonalRecordHistory
+} = require('../services/personalRecordService');
+const {
+    isResetOnCooldown,
+    sendPasswordResetEmail,
+    findPasswordResetToken,
+    consumePasswordResetToken
+} = require('../services/passwordResetService');
+const { hashPassword, isPasswordReused, buildPasswordUpdate } = require('../services/passwordService');
+const { recordAuditEvent } = require('../services/auditService');
+const {
+    getLoginRetryAfter,
+    recordLoginFailure,
+    clearAccountLoginFailures,
+    getAccountLockout
+} = require('../services/loginThrottleService');
+const {
+    generateTotpSecret,
+    findTotpStep,
+    buildOtpauthUrl,
+    generateRecoveryCodes,
+    verifyTwoFactorCode,
+    getTwoFactorRequiredRoles,
+    setTwoFactorRequiredRoles,
+    isTwoFactorRequired,
+    createLoginChallenge,
+    verifyLoginChallenge
+} = require('../services/twoFactorService');
+const { revokeUserSessions } = require('../services/revocationService');
+const {
+    MAX_API_KEYS_PER_USER,
+    countApiKeys,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey
+} = require('../services/apiKeyService');
+const { validateApiKeyForCreation } = require('../validators/apiKeyValidator');
+
+// Fields never returned by the API, not even to the account owner
+const PRIVATE_USER_FIELDS = {
+    password: 0,
+    passwordHistory: 0,
+    'twoFactor.secret': 0,
+    'twoFactor.pendingSecret': 0,
+    'twoFactor.recoveryCodes': 0,
+    'twoFactor.lastUsedStep': 0
+};
+
+// Starts the session and sends the login response
+const completeLogin = async (db, user, res) => {
+    if (!isSigningConfigured()) {
+        console.error('Neither JWT_SIGNING_KEYS_DIR nor JWT_SECRET is set in the environment variables');
+        return res.status(500).json({ error: 'Server configuration error' });
+    }
+
+    const session = await startLoginSession(db, user);
+    if (!session) {
+        return res.status(401).json({ error: 'Account is deactivated' });
+    }
+
+    const response = {
+        message: 'Login successful',
+        token: session.token
+    };
+
+    if (session.deletionCancelled) {
+        response.deletionCancelled = true;
+    }
+
+    if (session.twoFactorSetupRequired) {
+        response.message = 'Login successful. Two-factor authentication must be set up before using this account.';
+        response.twoFactorSetupRequired = true;
+    } else {
+        response.refreshToken = session.refreshToken;
+    }
+
+    //Return success response (exclude password from user data)
+    response.user = {
+        id: user._id,
+        firstName: user.firstName,
+        lastName: user.lastName,
+        email: user.email,
+        role: user.role || 'user'
+    };
+
+    res.status(200).json(response);
+};
+
+// Limits how often one client can ask for verification emails
+const verificationResendLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.EMAIL_VERIFICATION_RESEND_LIMIT) || 5,
+    message: 'Too many verification email requests, please try again later'
+});
+
+// Limits how often one client can ask for password reset emails
+const passwordResetLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: parseInt(process.env.PASSWORD_RESET_LIMIT) || 5,
+    message: 'Too many password reset requests, please try again later'
+});
 
 // GET all users
 router.get('/',
     /*
     #swagger.tags = ['Users']
     #swagger.summary = 'Get all users'
-    #swagger.description = 'Retrieve a list of all users with publicly safe fields only. Requires authentication.'
+    #swagger.description = 'Retrieve a list of all users with publicly safe fields only. Deactivated accounts are left out unless a user with the users:read:any permission asks for them. Accounts pending deletion are only listed on their own, for users with the users:read:any permission. Requires authentication.'
     #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['includeInactive'] = {
+        in: 'query',
+        required: false,
+        type: 'boolean',
+        description: 'Include deactivated accounts (requires the users:read:any permission)'
+    }
+    #swagger.parameters['pendingDeletion'] = {
+        in: 'query',
+        required: false,
+        type: 'boolean',
+        description: 'List only accounts scheduled for deletion (requires the users:read:any permission)'
+    }
     #swagger.responses[200] = { description: 'Users retrieved successfully' }
     #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
     #swagger.responses[500] = { description: 'Failed to fetch users' }
@@ -27,11 +166,25 @@ router.get('/',
     try {
         const db = mongodb.getDb().db('cse341-project2');
 
+        // Deactivated accounts are hidden from everyone but those who can read any user
+        const includeInactive =
+            req.query.includeInactive === 'true' && hasPermission(req.user.role, 'users:read:any');
+        // Accounts pending deletion are hidden from everyone, unless those who can read any
+        // user ask for them alone (e.g. to cancel or purge the deletion)
+        const pendingDeletion =
+            req.query.pendingDeletion === 'true' && hasPermission(req.user.role, 'users:read:any');
+        let filter = includeInactive
+            ? { deletionScheduledAt: { $exists: false } }
+            : { isActive: { $ne: false }, deletionScheduledAt: { $exists: false } };
+        if (pendingDeletion) {
+            filter = { deletionScheduledAt: { $exists: true } };
+        }
+
         // Only return publicly safe fields
         const users = await db
             .collection('users')
             .find(
-                {},
+                filter,
                 {
                     projection: {
                         firstName: 1,
@@ -43,7 +196,10 @@ router.get('/',
                         // weight: 1,       // Personal info
                         createdAt: 1,
                         isTestUser: 1,
-                        _id: 1 // Usually included by default
+                        _id: 1, // Usually included by default
+                        // Only needed to tell deactivated accounts apart
+                        ...(includeInactive || pendingDeletion ? { isActive: 1 } : {}),
+                        ...(pendingDeletion ? { deletionScheduledAt: 1 } : {})
                     }
                 }
             )
@@ -56,12 +212,168 @@ router.get('/',
     }
 });
 
+// GET verify email address - must stay above GET /:id
+router.get('/verify-email',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Verify email address'
+    #swagger.description = 'Confirm an email address with the token from the verification email. Tokens are single-use and expire after 24 hours.'
+    #swagger.parameters['token'] = {
+        in: 'query',
+        required: true,
+        type: 'string',
+        description: 'Verification token from the email'
+    }
+    #swagger.responses[200] = { description: 'Email verified successfully' }
+    #swagger.responses[400] = { description: 'Verification token required / Invalid or expired verification token' }
+    #swagger.responses[500] = { description: 'Failed to verify email' }
+    */
+    async (req, res) => {
+    try {
+        const { token } = req.query;
+
+        if (!token || typeof token !== 'string') {
+            return res.status(400).json({ error: 'Verification token required' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const userId = await verifyEmailToken(db, token);
+
+        if (!userId) {
+            return res.status(400).json({ error: 'Invalid or expired verification token' });
+        }
+
+        res.status(200).json({ message: 'Email verified successfully' });
+    } catch (error) {
+        console.error('Error verifying email:', error);
+        res.status(500).json({ error: 'Failed to verify email' });
+    }
+});
+
+// POST resend verification email
+router.post('/verify-email/resend',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Resend verification email'
+    #swagger.description = 'Send a new verification email. Always returns 202 so it cannot be used to find out which emails are registered. Rate limited per client and per account.'
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { email: 'user@example.com' }
+    }
+    #swagger.responses[202] = { description: 'Verification email sent if the account exists and is unverified' }
+    #swagger.responses[400] = { description: 'Validation failed' }
+    #swagger.responses[429] = { description: 'Too many verification email requests' }
+    #swagger.responses[500] = { description: 'Failed to resend verification email' }
+    */
+    verificationResendLimiter, async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        const emailError = validateEmail(email);
+        if (emailError) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: [emailError]
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const user = await db.collection('users').findOne({ email: normalizeEmail(email) });
+
+        // Silently skip unknown, already verified and recently emailed accounts
+        if (user && !user.emailVerified && user.isActive && !isResendOnCooldown(user)) {
+            await sendVerificationEmail(db, user);
+        }
+
+        res.status(202).json({
+            message: 'If an unverified account exists for this email, a verification email has been sent'
+        });
+    } catch (error) {
+        console.error('Error resending verification email:', error);
+        res.status(500).json({ error: 'Failed to resend verification email' });
+    }
+});
+
+// GET two-factor authentication policy - must stay above GET /:id
+router.get('/2fa-policy',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Get two-factor authentication policy'
+    #swagger.description = 'List the roles that must use two-factor authentication. Requires the settings:manage permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'Policy retrieved successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - settings:manage permission required' }
+    #swagger.responses[500] = { description: 'Failed to retrieve two-factor policy' }
+    */
+    authenticateToken, authorize('settings:manage'), async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const requiredRoles = await getTwoFactorRequiredRoles(db);
+
+        res.status(200).json({ requiredRoles });
+    } catch (error) {
+        console.error('Error retrieving two-factor policy:', error);
+        res.status(500).json({ error: 'Failed to retrieve two-factor policy' });
+    }
+});
+
+// PUT two-factor authentication policy
+router.put('/2fa-policy',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Update two-factor authentication policy'
+    #swagger.description = 'Set the roles that must use two-factor authentication. Users with those roles who have not set it up can only reach the 2FA setup routes after logging in. Requires the settings:manage permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { requiredRoles: ['admin'] }
+    }
+    #swagger.responses[200] = { description: 'Policy updated successfully' }
+    #swagger.responses[400] = { description: 'Invalid roles' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - settings:manage permission required' }
+    #swagger.responses[500] = { description: 'Failed to update two-factor policy' }
+    */
+    authenticateToken, authorize('settings:manage'), async (req, res) => {
+    try {
+        const { requiredRoles } = req.body || {};
+        if (!Array.isArray(requiredRoles) || !requiredRoles.every((role) => VALID_ROLES.includes(role))) {
+            return res.status(400).json({
+                error: 'Invalid roles',
+                validRoles: VALID_ROLES
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const uniqueRoles = [...new Set(requiredRoles)];
+        await setTwoFactorRequiredRoles(db, uniqueRoles, req.user.userId);
+
+        await recordAuditEvent(db, {
+            action: 'settings.2fa_policy.updated',
+            actorId: req.user.userId,
+            details: { requiredRoles: uniqueRoles },
+            ip: req.ip
+        });
+
+        res.status(200).json({
+            message: 'Two-factor policy updated successfully',
+            requiredRoles: uniqueRoles
+        });
+    } catch (error) {
+        console.error('Error updating two-factor policy:', error);
+        res.status(500).json({ error: 'Failed to update two-factor policy' });
+    }
+});
+
 // GET single user by ID
 router.get('/:id',
     /*
     #swagger.tags = ['Users']
     #swagger.summary = 'Get user by ID'
-    #swagger.description = 'Retrieve a specific user by ID. Users can only view their own profile unless they are admin.'
+    #swagger.description = 'Retrieve a specific user by ID. Users can only view their own profile unless they have the users:read:any permission.'
     #swagger.security = [{ bearerAuth: [] }]
     #swagger.parameters[0] = {
         name: 'id',
@@ -82,27 +394,28 @@ router.get('/:id',
         const userId = new ObjectId(req.params.id);
         const requestingUserId = new ObjectId(req.user.userId);
 
-        // Check if user exists FIRST
+        const isOwner = userId.equals(requestingUserId);
+        const canReadAny = hasPermission(req.user.role, 'users:read:any');
+
+        // Check if user exists FIRST - accounts pending deletion only exist for those who can read any user
         const user = await db.collection('users').findOne({ _id: userId });
-        if (!user) {
+        if (!user || (user.deletionScheduledAt && !canReadAny)) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Check if user is requesting their own data or if they're an admin
-        const isOwner = userId.equals(requestingUserId);
-        const isAdmin = req.user.role === 'admin';
+        // Check if user is requesting their own data or may view any profile
 
-        if (!isOwner && !isAdmin) {
+        if (!isOwner && !canReadAny) {
             return res.status(403).json({ error: 'Access denied. You can only view your own profile.' });
         }
 
-        // Different projection based on whether it's the owner or admin
-        let projection = { password: 0 }; // Always exclude password
+        // Different projection based on whether it's the owner or someone else
+        let projection = { ...PRIVATE_USER_FIELDS }; // Always exclude password
 
-        if (!isOwner && isAdmin) {
-            // Admin viewing other user - might want to limit some fields
+        if (!isOwner && canReadAny) {
+            // Admin or support viewing other user - might want to limit some fields
             projection = {
-                password: 0
+                ...PRIVATE_USER_FIELDS
                 // Could add other sensitive fields admins shouldn't see
             };
         }
@@ -125,7 +438,7 @@ router.post('/',
     /*
     #swagger.tags = ['Users']
     #swagger.summary = 'Create new user'
-    #swagger.description = 'Register a new user account with email and password'
+    #swagger.description = 'Register a new user account with email and password. Passwords must be at least 8 characters (72 bytes at most) with upper and lowercase letters and a number, must not be a common password and must not contain the user\'s name or email. A verification email is sent to the address.'
     #swagger.responses[201] = { description: 'User created successfully' }
     #swagger.responses[400] = { description: 'Validation failed' }
     #swagger.responses[409] = { description: 'Email already exists' }
@@ -165,6 +478,8 @@ router.post('/',
         const db = mongodb.getDb().db('cse341-project2');
         const existingUser = await db.collection('users').findOne({ email: normalizedEmail });
 
+        // Accounts pending deletion keep their address until they are purged, so that
+        // the owner can still log in and cancel the deletion
         if (existingUser) {
             return res.status(409).json({ error: 'Email already exists' });
         }
@@ -191,6 +506,13 @@ router.post('/',
 
         const result = await db.collection('users').insertOne(user);
 
+        // The account is usable even if the email can't be sent - the user can ask for a resend
+        try {
+            await sendVerificationEmail(db, { ...user, _id: result.insertedId });
+        } catch (mailError) {
+            console.error('Error sending verification email:', mailError);
+        }
+
         res.status(201).json({
             message: 'User created successfully',
             _id: result.insertedId
@@ -206,10 +528,12 @@ router.post('/login',
     /*
     #swagger.tags = ['Authentication']
     #swagger.summary = 'User login'
-    #swagger.description = 'Authenticate user with email and password, returns JWT token'
-    #swagger.responses[200] = { description: 'Login successful' }
+    #swagger.description = 'Authenticate user with email and password, returns a JWT access token and a refresh token. Repeated failures slow down further attempts and temporarily lock the account (and, for many failures, the client IP). Accounts with two-factor authentication get a challengeToken instead, to be exchanged at POST /users/login/2fa.'
+    #swagger.responses[200] = { description: 'Login successful / Two-factor authentication required' }
     #swagger.responses[400] = { description: 'Validation failed' }
     #swagger.responses[401] = { description: 'Invalid email or password / Account deactivated' }
+    #swagger.responses[403] = { description: 'Email address not verified (when REQUIRE_EMAIL_VERIFICATION is enabled)' }
+    #swagger.responses[429] = { description: 'Too many failed login attempts - see the Retry-After header' }
     #swagger.responses[500] = { description: 'Failed to login / Server configuration error' }
     */
     async (req, res) => {
@@ -228,10 +552,19 @@ router.post('/login',
         const db = mongodb.getDb().db('cse341-project2');
         const normalizedEmail = normalizeEmail(email);
 
+        // Refuse attempts while the account or client is locked out, before doing any bcrypt work
+        const retryAfter = await getLoginRetryAfter(db, normalizedEmail, req.ip);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+        }
+
         // Find user by email (include password this time)
         const user = await db.collection('users').findOne({ email: normalizedEmail });
 
+        // Unknown emails count as failures too, so lockouts don't reveal which accounts exist
         if (!user) {
+            await recordLoginFailure(db, normalizedEmail, req.ip);
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
@@ -243,50 +576,229 @@ router.post('/login',
         // Verify password
         const isPasswordValid = await bcrypt.compare(password, user.password);
         if (!isPasswordValid) {
+            await recordLoginFailure(db, normalizedEmail, req.ip);
             return res.status(401).json({ error: 'Invalid email or password' });
         }
 
-        // Create JWT token
-        const tokenPayload = {
-            userId: user._id,
-            email: user.email,
-            role: user.role || 'user'
-        };
-        const jwtSecret = process.env.JWT_SECRET;
-        if (!jwtSecret) {
-            console.error('JWT_SECRET not found in the environment variables');
-            return res.status(500).json({ error: 'Server configuration error' });
-        }
-        const token = jwt.sign(tokenPayload, jwtSecret, {
-            expiresIn: '2h',
-            algorithm: 'HS256',
-            issuer: 'cse341-project2'
-        });
+        // Optionally block logins until the email address is confirmed
+        if (isEmailVerificationRequired() && !user.emailVerified) {
+            return res.status(403).json({ error: 'Email address not verified' });
+        }
 
-        //Return success response (exclude password from user data)
-        res.status(200).json({
-            message: 'Login successful',
-            token,
-            user: {
-                id: user._id,
-                firstName: user.firstName,
-                lastName: user.lastName,
-                email: user.email,
-                role: user.role || 'user'
-            }
-        });
+        // With 2FA enabled the password alone isn't enough: the client exchanges the challenge
+        // and a code at POST /users/login/2fa. Failed attempts are only cleared after that step.
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(200).json({
+                message: 'Two-factor authentication required',
+                twoFactorRequired: true,
+                challengeToken: createLoginChallenge(user._id)
+            });
+        }
+
+        await clearAccountLoginFailures(db, normalizedEmail);
+        await completeLogin(db, user, res);
     } catch (error) {
         console.error('Error during login:', error);
         res.status(500).json({ error: 'Failed to login' });
     }
 });
 
+// POST second login step for accounts with two-factor authentication
+router.post('/login/2fa',
+    /*
+    #swagger.tags = ['Authentication']
+    #swagger.summary = 'Complete login with a two-factor code'
+    #swagger.description = 'Exchange the challengeToken returned by POST /users/login and a code from the authenticator app (or an unused recovery code) for a JWT access token and a refresh token. The challenge is valid for 5 minutes.'
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { challengeToken: 'string', code: '123456' }
+    }
+    #swagger.responses[200] = { description: 'Login successful' }
+    #swagger.responses[400] = { description: 'Validation failed' }
+    #swagger.responses[401] = { description: 'Invalid or expired login challenge / Invalid authentication code' }
+    #swagger.responses[429] = { description: 'Too many failed login attempts - see the Retry-After header' }
+    #swagger.responses[500] = { description: 'Failed to login' }
+    */
+    async (req, res) => {
+    try {
+        const { challengeToken, code } = req.body || {};
+
+        const validationErrors = [];
+        if (!challengeToken || typeof challengeToken !== 'string') validationErrors.push('Challenge token is required');
+        if (!code || typeof code !== 'string') validationErrors.push('Authentication code is required');
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const userId = verifyLoginChallenge(challengeToken);
+        if (!userId) {
+            return res.status(401).json({ error: 'Invalid or expired login challenge' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const user = await db.collection('users').findOne({ _id: new ObjectId(userId) });
+
+        if (!user || !user.isActive || !user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(401).json({ error: 'Invalid or expired login challenge' });
+        }
+
+        // Wrong codes count towards the same lockout as wrong passwords
+        const retryAfter = await getLoginRetryAfter(db, user.email, req.ip);
+        if (retryAfter > 0) {
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: 'Too many failed login attempts. Please try again later.' });
+        }
+
+        if (!(await verifyTwoFactorCode(db, user, code))) {
+            await recordLoginFailure(db, user.email, req.ip);
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        await clearAccountLoginFailures(db, user.email);
+        await completeLogin(db, user, res);
+    } catch (error) {
+        console.error('Error during two-factor login:', error);
+        res.status(500).json({ error: 'Failed to login' });
+    }
+});
+
+// POST request a password reset email
+router.post('/password/forgot',
+    /*
+    #swagger.tags = ['Authentication']
+    #swagger.summary = 'Forgot password'
+    #swagger.description = 'Email a single-use password reset link. Always returns 202 so it cannot be used to find out which emails are registered. Rate limited per client and per account.'
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { email: 'user@example.com' }
+    }
+    #swagger.responses[202] = { description: 'Reset email sent if the account exists' }
+    #swagger.responses[400] = { description: 'Validation failed' }
+    #swagger.responses[429] = { description: 'Too many password reset requests' }
+    #swagger.responses[500] = { description: 'Failed to request password reset' }
+    */
+    passwordResetLimiter, async (req, res) => {
+    try {
+        const { email } = req.body || {};
+
+        const emailError = validateEmail(email);
+        if (emailError) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: [emailError]
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const user = await db.collection('users').findOne({ email: normalizeEmail(email) });
+
+        // Silently skip unknown, deactivated and recently emailed accounts
+        if (user && user.isActive && !isResetOnCooldown(user)) {
+            await sendPasswordResetEmail(db, user);
+        }
+
+        res.status(202).json({
+            message: 'If an account exists for this email, a password reset email has been sent'
+        });
+    } catch (error) {
+        console.error('Error requesting password reset:', error);
+        res.status(500).json({ error: 'Failed to request password reset' });
+    }
+});
+
+// POST reset password with a token from the reset email
+router.post('/password/reset',
+    /*
+    #swagger.tags = ['Authentication']
+    #swagger.summary = 'Reset password'
+    #swagger.description = 'Set a new password with the token from the reset email. The token can only be used once. All existing sessions of the user are logged out.'
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { token: 'string', password: 'string', passwordConfirm: 'string' }
+    }
+    #swagger.responses[200] = { description: 'Password reset successfully' }
+    #swagger.responses[400] = { description: 'Validation failed / Invalid or expired reset token' }
+    #swagger.responses[500] = { description: 'Failed to reset password' }
+    */
+    async (req, res) => {
+    try {
+        const { token, password, passwordConfirm } = req.body || {};
+
+        if (!token || typeof token !== 'string') {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['Reset token is required']
+            });
+        }
+
+        // Validate the new password before using up the token
+        const passwordErrors = validatePassword(password, passwordConfirm);
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: passwordErrors
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const userId = await findPasswordResetToken(db, token);
+        const user = userId && (await db.collection('users').findOne({ _id: new ObjectId(userId) }));
+
+        if (!user) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        // Now that we know whose account it is, also check the password against their name and email
+        const personalPasswordErrors = validatePassword(password, passwordConfirm, user);
+        if (personalPasswordErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: personalPasswordErrors
+            });
+        }
+
+        if (await isPasswordReused(user, password)) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['Password was used recently. Choose a different password.']
+            });
+        }
+
+        // Use up the token now - a concurrent request may have beaten us to it
+        if (!(await consumePasswordResetToken(db, token))) {
+            return res.status(400).json({ error: 'Invalid or expired reset token' });
+        }
+
+        const hashedPassword = await hashPassword(password);
+
+        // Following the emailed link proves the user controls the address
+        await db.collection('users').updateOne(
+            { _id: user._id },
+            buildPasswordUpdate(user, hashedPassword, { emailVerified: true })
+        );
+
+        // Whoever knew the old password may still hold tokens
+        await revokeUserSessions(db, userId, 'password_reset');
+
+        res.status(200).json({ message: 'Password reset successfully. Please log in with your new password.' });
+    } catch (error) {
+        console.error('Error resetting password:', error);
+        res.status(500).json({ error: 'Failed to reset password' });
+    }
+});
+
 // PUT update user
 router.put('/:id',
     /*
     #swagger.tags = ['Users']
     #swagger.summary = 'Update user'
-    #swagger.description = 'Update user information. Users can only update their own profile unless they are admin.'
+    #swagger.description = 'Update user information. Users can only update their own profile unless they have the users:update:any permission. Changing the email marks it as unverified and sends a verification email to the new address.'
     #swagger.security = [{ bearerAuth: [] }]
     #swagger.parameters[0] = {
         name: 'id',
@@ -319,9 +831,9 @@ router.put('/:id',
 
         // Check if user is updating their own data or if they're an admin
         const isOwner = userId.equals(requestingUserId);
-        const isAdmin = req.user.role === 'admin';
+        const canUpdateAny = hasPermission(req.user.role, 'users:update:any');
 
-        if (!isOwner && !isAdmin) {
+        if (!isOwner && !canUpdateAny) {
             return res.status(403).json({ error: 'Access denied. You can only update your own profile.' });
         }
 
@@ -358,7 +870,11 @@ router.put('/:id',
                 return res.status(409).json({ error: 'Email already exists' });
             }
 
-            updateData.email = normalizedEmail;
+            // A new address has to be verified again
+            if (normalizedEmail !== existingUser.email) {
+                updateData.email = normalizedEmail;
+                updateData.emailVerified = false;
+            }
         }
 
         const result = await db.collection('users').updateOne({ _id: userId }, { $set: updateData });
@@ -367,6 +883,14 @@ router.put('/:id',
             return res.status(404).json({ error: 'User not found' });
         }
 
+        if (updateData.email) {
+            try {
+                await sendVerificationEmail(db, { ...existingUser, ...updateData });
+            } catch (mailError) {
+                console.error('Error sending verification email:', mailError);
+            }
+        }
+
         res.status(200).json({ message: 'User updated successfully' });
     } catch (error) {
         console.error('Error updating user:', error);
@@ -379,7 +903,7 @@ router.delete('/:id',
     /*
     #swagger.tags = ['Users']
     #swagger.summary = 'Delete user'
-    #swagger.description = 'Delete a user account. Users can only delete their own account unless they are admin.'
+    #swagger.description = 'Schedule a user account for deletion. The account is hidden and logged out right away and purged after a grace period (30 days by default). Logging in again cancels the deletion. Users can only delete their own account unless they have the users:delete:any permission, which also allows purging an account right away, including one already scheduled for deletion.'
     #swagger.security = [{ bearerAuth: [] }]
     #swagger.parameters[0] = {
         name: 'id',
@@ -388,9 +912,15 @@ router.delete('/:id',
         type: 'string',
         description: 'User ID'
     }
-    #swagger.responses[200] = { description: 'User deleted successfully' }
+    #swagger.parameters['purge'] = {
+        in: 'query',
+        required: false,
+        type: 'boolean',
+        description: 'Purge the account now instead of after the grace period (requires the users:delete:any permission)'
+    }
+    #swagger.responses[200] = { description: 'User scheduled for deletion, or purged' }
     #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
-    #swagger.responses[403] = { description: 'Access denied - Can only delete own account' }
+    #swagger.responses[403] = { description: 'Access denied - Can only delete own account, purging requires users:delete:any' }
     #swagger.responses[404] = { description: 'User not found' }
     #swagger.responses[500] = { description: 'Failed to delete user' }
     */
@@ -402,33 +932,52 @@ router.delete('/:id',
 
         // Check permissions FIRST - before revealing anything about user existence
         const isOwner = userId.equals(requestingUserId);
-        const isAdmin = req.user.role === 'admin';
+        const canDeleteAny = hasPermission(req.user.role, 'users:delete:any');
 
-        if (!isOwner && !isAdmin) {
+        if (!isOwner && !canDeleteAny) {
             return res.status(403).json({ error: 'Access denied. You can only delete your own account.' });
         }
 
         // Only now check if user exists (since they have permission)
         const userToDelete = await db.collection('users').findOne({ _id: userId });
-        if (!userToDelete) {
+
+        // Purging skips the grace period, so it is left to those who can delete any user
+        if (req.query.purge === 'true') {
+            if (!canDeleteAny) {
+                return res.status(403).json({ error: 'Access denied. Purging requires the users:delete:any permission.' });
+            }
+            if (!userToDelete || !(await purgeAccount(db, userId))) {
+                return res.status(404).json({ error: 'User not found' });
+            }
+
+            await recordAuditEvent(db, {
+                action: 'user.purged',
+                actorId: req.user.userId,
+                targetId: userId,
+                ip: req.ip
+            });
+            return res.status(200).json({ message: 'User purged successfully' });
+        }
+
+        if (!userToDelete || userToDelete.deletionScheduledAt) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Delete the user
-        await db.collection('users').deleteOne({ _id: userId });
-        res.status(200).json({ message: 'User deleted successfully' });
+        // The account is purged after the grace period unless the deletion is cancelled
+        const deletionScheduledAt = await scheduleAccountDeletion(db, userId, requestingUserId);
+        res.status(200).json({ message: 'User scheduled for deletion', deletionScheduledAt });
     } catch (error) {
         console.error('Error deleting user:', error);
         res.status(500).json({ error: 'Failed to delete user' });
     }
 });
 
-// PATCH update user role - Admin only route
-router.patch('/:id/role',
+// PATCH change user password
+router.patch('/:id/password',
     /*
     #swagger.tags = ['Users']
-    #swagger.summary = 'Update user role'
-    #swagger.description = 'Update a user\'s role. Admin privileges required.'
+    #swagger.summary = 'Change password'
+    #swagger.description = 'Change a user\'s password. Users must confirm their current password. Admins can set another user\'s password without it; such overrides are written to the audit log. Recently used passwords are rejected and all existing sessions of the user are logged out.'
     #swagger.security = [{ bearerAuth: [] }]
     #swagger.parameters[0] = {
         name: 'id',
@@ -437,59 +986,244 @@ router.patch('/:id/role',
         type: 'string',
         description: 'User ID'
     }
-    #swagger.responses[200] = { description: 'User role updated successfully' }
-    #swagger.responses[400] = { description: 'Invalid role / Cannot change own admin role' }
-    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
-    #swagger.responses[403] = { description: 'Access denied - Admin privileges required' }
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { currentPassword: 'string', password: 'string', passwordConfirm: 'string' }
+    }
+    #swagger.responses[200] = { description: 'Password changed successfully' }
+    #swagger.responses[400] = { description: 'Validation failed / Password was used recently' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required / Current password is incorrect' }
+    #swagger.responses[403] = { description: 'Access denied - Can only change own password' }
     #swagger.responses[404] = { description: 'User not found' }
-    #swagger.responses[500] = { description: 'Failed to update user role' }
+    #swagger.responses[500] = { description: 'Failed to change password' }
     */
     authenticateToken, async (req, res) => {
     try {
-        // Only admins can change roles
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-        }
-
         const userId = new ObjectId(req.params.id);
-        const { role } = req.body;
+        const requestingUserId = new ObjectId(req.user.userId);
+        const { currentPassword, password, passwordConfirm } = req.body || {};
 
-        // Validate role
-        const validRoles = ['user', 'admin']; // Define your valid roles
-        if (!role || !validRoles.includes(role)) {
-            return res.status(400).json({
-                error: 'Invalid role',
-                validRoles: validRoles
-            });
+        // Check permissions FIRST - before revealing anything about user existence
+        const isOwner = userId.equals(requestingUserId);
+        const canChangeAny = hasPermission(req.user.role, 'users:password:any');
+
+        if (!isOwner && !canChangeAny) {
+            return res.status(403).json({ error: 'Access denied. You can only change your own password.' });
         }
 
         const db = mongodb.getDb().db('cse341-project2');
 
-        // Check if user exists
-        const existingUser = await db.collection('users').findOne({ _id: userId });
-        if (!existingUser) {
+        const user = await db.collection('users').findOne({ _id: userId });
+        if (!user) {
             return res.status(404).json({ error: 'User not found' });
         }
 
-        // Prevent admins from demoting themselves (optional safety check)
-        const requestingUserId = new ObjectId(req.user.userId);
-        if (userId.equals(requestingUserId) && role !== 'admin') {
-            return res.status(400).json({ error: 'Cannot change your own admin role' });
-        }
+        const passwordErrors = validatePassword(password, passwordConfirm, user);
+        if (passwordErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: passwordErrors
+            });
+        }
+
+        // Admins resetting someone else's password don't know it; everyone else must prove they do.
+        // Accounts created through OAuth have no password yet and can set one directly.
+        const isAdminOverride = canChangeAny && !isOwner;
+        if (!isAdminOverride && user.password) {
+            if (!currentPassword) {
+                return res.status(400).json({
+                    error: 'Validation failed',
+                    details: ['Current password is required']
+                });
+            }
+
+            const isCurrentPasswordValid = await bcrypt.compare(currentPassword, user.password);
+            if (!isCurrentPasswordValid) {
+                return res.status(401).json({ error: 'Current password is incorrect' });
+            }
+        }
+
+        if (await isPasswordReused(user, password)) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: ['Password was used recently. Choose a different password.']
+            });
+        }
+
+        const hashedPassword = await hashPassword(password);
+        await db.collection('users').updateOne({ _id: userId }, buildPasswordUpdate(user, hashedPassword));
+
+        if (isAdminOverride) {
+            await recordAuditEvent(db, {
+                action: 'user.password.admin_override',
+                actorId: requestingUserId,
+                targetId: userId,
+                ip: req.ip
+            });
+        }
+
+        // Tokens issued with the old password stop working, including the one used for this request
+        await revokeUserSessions(db, userId, 'password_change');
+
+        res.status(200).json({ message: 'Password changed successfully. Please log in again.' });
+    } catch (error) {
+        console.error('Error changing password:', error);
+        res.status(500).json({ error: 'Failed to change password' });
+    }
+});
+
+// GET login lockout status
+router.get('/:id/lockout',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Get login lockout status'
+    #swagger.description = 'View failed login attempts and any active lockout on a user account. Requires the users:lockout:manage permission (admin and support).'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'User ID'
+    }
+    #swagger.responses[200] = { description: 'Lockout status retrieved successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - users:lockout:manage permission required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[500] = { description: 'Failed to retrieve lockout status' }
+    */
+    authenticateToken, authorize('users:lockout:manage'), async (req, res) => {
+    try {
+        const userId = new ObjectId(req.params.id);
+        const db = mongodb.getDb().db('cse341-project2');
+
+        const user = await db.collection('users').findOne({ _id: userId }, { projection: { email: 1 } });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const lockout = await getAccountLockout(db, user.email);
+
+        res.status(200).json({ userId, email: user.email, ...lockout });
+    } catch (error) {
+        console.error('Error retrieving lockout status:', error);
+        res.status(500).json({ error: 'Failed to retrieve lockout status' });
+    }
+});
+
+// DELETE clear login lockout
+router.delete('/:id/lockout',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Clear login lockout'
+    #swagger.description = 'Reset failed login attempts and lift any lockout on a user account. Requires the users:lockout:manage permission (admin and support).'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'User ID'
+    }
+    #swagger.responses[200] = { description: 'Lockout cleared successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - users:lockout:manage permission required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[500] = { description: 'Failed to clear lockout' }
+    */
+    authenticateToken, authorize('users:lockout:manage'), async (req, res) => {
+    try {
+        const userId = new ObjectId(req.params.id);
+        const db = mongodb.getDb().db('cse341-project2');
+
+        const user = await db.collection('users').findOne({ _id: userId }, { projection: { email: 1 } });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const cleared = await clearAccountLoginFailures(db, user.email);
+        if (cleared) {
+            await recordAuditEvent(db, {
+                action: 'user.lockout.cleared',
+                actorId: req.user.userId,
+                targetId: userId,
+                ip: req.ip
+            });
+        }
+
+        res.status(200).json({ message: 'Login lockout cleared successfully' });
+    } catch (error) {
+        console.error('Error clearing lockout:', error);
+        res.status(500).json({ error: 'Failed to clear lockout' });
+    }
+});
+
+// PATCH update user role
+router.patch('/:id/role',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Update user role'
+    #swagger.description = 'Update a user\'s role (user, coach, support or admin). Requires the users:role:update permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'User ID'
+    }
+    #swagger.responses[200] = { description: 'User role updated successfully' }
+    #swagger.responses[400] = { description: 'Invalid role / Cannot change own role' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - users:role:update permission required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[500] = { description: 'Failed to update user role' }
+    */
+    authenticateToken, authorize('users:role:update'), async (req, res) => {
+    try {
+        const userId = new ObjectId(req.params.id);
+        const { role } = req.body;
+
+        // Validate role
+        if (!role || !VALID_ROLES.includes(role)) {
+            return res.status(400).json({
+                error: 'Invalid role',
+                validRoles: VALID_ROLES
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+
+        // Check if user exists
+        const existingUser = await db.collection('users').findOne({ _id: userId });
+        if (!existingUser) {
+            return res.status(404).json({ error: 'User not found' });
+        }
 
+        // Prevent admins from demoting themselves (optional safety check)
+        const requestingUserId = new ObjectId(req.user.userId);
+        if (userId.equals(requestingUserId) && role !== req.user.role) {
+            return res.status(400).json({ error: 'Cannot change your own role' });
+        }
+
+        // Bumping the tokenVersion invalidates access tokens carrying the old role;
+        // refreshing issues one with the new role
         const result = await db.collection('users').updateOne(
             { _id: userId },
             {
                 $set: {
                     role: role,
                     updatedAt: new Date()
-                }
+                },
+                $inc: { tokenVersion: 1 }
             }
         );
 
         if (result.matchedCount === 0) {
             return res.status(404).json({ error: 'User not found' });
         }
+        invalidateUserState(userId);
 
         res.status(200).json({
             message: `User role updated to ${role} successfully`,
@@ -502,24 +1236,203 @@ router.patch('/:id/role',
     }
 });
 
+// POST deactivate account
+router.post('/:id/deactivate',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Deactivate account'
+    #swagger.description = 'Deactivate an account instead of deleting it. Users can deactivate their own account; deactivating others requires the users:status:manage permission. Deactivated users cannot log in, all their sessions end and their workouts become read-only.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'User ID'
+    }
+    #swagger.responses[200] = { description: 'Account deactivated successfully' }
+    #swagger.responses[400] = { description: 'Account is already deactivated' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only deactivate own account' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[500] = { description: 'Failed to deactivate account' }
+    */
+    authenticateToken, async (req, res) => {
+    try {
+        const userId = new ObjectId(req.params.id);
+        const requestingUserId = new ObjectId(req.user.userId);
+        const db = mongodb.getDb().db('cse341-project2');
+
+        // Check permissions before revealing anything about user existence
+        const isOwner = userId.equals(requestingUserId);
+        if (!isOwner && !hasPermission(req.user.role, 'users:status:manage')) {
+            return res.status(403).json({ error: 'Access denied. You can only deactivate your own account.' });
+        }
+
+        const user = await db.collection('users').findOne({ _id: userId }, { projection: { isActive: 1 } });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.isActive === false) {
+            return res.status(400).json({ error: 'Account is already deactivated' });
+        }
+
+        const now = new Date();
+        await db.collection('users').updateOne(
+            { _id: userId },
+            {
+                $set: {
+                    isActive: false,
+                    deactivatedAt: now,
+                    deactivatedBy: requestingUserId.toString(),
+                    updatedAt: now
+                }
+            }
+        );
+
+        // Ends every session, including the one used for this request
+        await revokeUserSessions(db, userId, 'account_deactivated');
+
+        await recordAuditEvent(db, {
+            action: 'user.deactivated',
+            actorId: requestingUserId,
+            targetId: userId,
+            ip: req.ip
+        });
+
+        res.status(200).json({ message: 'Account deactivated successfully' });
+    } catch (error) {
+        console.error('Error deactivating account:', error);
+        res.status(500).json({ error: 'Failed to deactivate account' });
+    }
+});
+
+// POST reactivate account
+router.post('/:id/reactivate',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Reactivate account'
+    #swagger.description = 'Reactivate a deactivated account so the user can log in again. Requires the users:status:manage permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'User ID'
+    }
+    #swagger.responses[200] = { description: 'Account reactivated successfully' }
+    #swagger.responses[400] = { description: 'Account is not deactivated' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - users:status:manage permission required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[500] = { description: 'Failed to reactivate account' }
+    */
+    authenticateToken, authorize('users:status:manage'), async (req, res) => {
+    try {
+        const userId = new ObjectId(req.params.id);
+        const db = mongodb.getDb().db('cse341-project2');
+
+        const user = await db.collection('users').findOne({ _id: userId }, { projection: { isActive: 1 } });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.isActive !== false) {
+            return res.status(400).json({ error: 'Account is not deactivated' });
+        }
+
+        await db.collection('users').updateOne(
+            { _id: userId },
+            {
+                $set: { isActive: true, updatedAt: new Date() },
+                $unset: { deactivatedAt: '', deactivatedBy: '' }
+            }
+        );
+        invalidateUserState(userId);
+
+        await recordAuditEvent(db, {
+            action: 'user.reactivated',
+            actorId: req.user.userId,
+            targetId: userId,
+            ip: req.ip
+        });
+
+        res.status(200).json({ message: 'Account reactivated successfully' });
+    } catch (error) {
+        console.error('Error reactivating account:', error);
+        res.status(500).json({ error: 'Failed to reactivate account' });
+    }
+});
+
+// POST cancel account deletion
+router.post('/:id/cancel-deletion',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Cancel account deletion'
+    #swagger.description = 'Restore an account that is scheduled for deletion, on behalf of its owner. Owners cancel by logging in again. Requires the users:delete:any permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'User ID'
+    }
+    #swagger.responses[200] = { description: 'Account deletion cancelled successfully' }
+    #swagger.responses[400] = { description: 'Account is not scheduled for deletion' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - users:delete:any permission required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[500] = { description: 'Failed to cancel account deletion' }
+    */
+    authenticateToken, authorize('users:delete:any'), async (req, res) => {
+    try {
+        const userId = new ObjectId(req.params.id);
+        const db = mongodb.getDb().db('cse341-project2');
+
+        const user = await db.collection('users').findOne({ _id: userId }, { projection: { _id: 1 } });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!(await cancelAccountDeletion(db, userId))) {
+            return res.status(400).json({ error: 'Account is not scheduled for deletion' });
+        }
+
+        await recordAuditEvent(db, {
+            action: 'user.deletion.cancelled',
+            actorId: req.user.userId,
+            targetId: userId,
+            ip: req.ip
+        });
+
+        res.status(200).json({ message: 'Account deletion cancelled successfully' });
+    } catch (error) {
+        console.error('Error cancelling account deletion:', error);
+        res.status(500).json({ error: 'Failed to cancel account deletion' });
+    }
+});
+
 // GET current user profile
 router.get('/profile/me',
     /*
     #swagger.tags = ['Users']
     #swagger.summary = 'Get current user profile'
     #swagger.description = 'Retrieve the authenticated user\'s own profile information'
-    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
     #swagger.responses[200] = { description: 'User profile retrieved successfully' }
     #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
     #swagger.responses[404] = { description: 'User not found' }
     #swagger.responses[500] = { description: 'Failed to fetch user profile' }
     */
-    authenticateToken, async (req, res) => {
+    allowScope('profile:read'), authenticateToken, async (req, res) => {
     try {
         const db = mongodb.getDb().db('cse341-project2');
         const userId = new ObjectId(req.user.userId);
 
-        const user = await db.collection('users').findOne({ _id: userId }, { projection: { password: 0 } });
+        const user = await db.collection('users').findOne({ _id: userId }, { projection: PRIVATE_USER_FIELDS });
 
         if (!user) {
             return res.status(404).json({ error: 'User not found' });
@@ -532,4 +1445,564 @@ router.get('/profile/me',
     }
 });
 
+// GET personal records of the current user
+router.get('/profile/me/records',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Get personal records'
+    #swagger.description = 'List your current personal records: heaviest weight and estimated one-rep max (average of the Epley and Brzycki formulas, sets of up to 10 reps) per exercise in kilograms, and longest duration and fastest pace (seconds per km) per workout type. With history=true every record you set is listed, newest first.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'type',
+        in: 'query',
+        type: 'string',
+        enum: ['heaviestWeight', 'estimatedOneRepMax', 'longestDuration', 'fastestPace'],
+        description: 'Only records of this type'
+    }
+    #swagger.parameters[1] = {
+        name: 'history',
+        in: 'query',
+        type: 'boolean',
+        description: 'true for all records set over time instead of the current ones'
+    }
+    #swagger.responses[200] = { description: 'Personal records retrieved successfully' }
+    #swagger.responses[400] = { description: 'Invalid record type' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to fetch personal records' }
+    */
+    allowScope('workouts:read'), authenticateToken, async (req, res) => {
+    try {
+        const { type } = req.query;
+        if (type !== undefined && !Object.keys(RECORD_TYPES).includes(type)) {
+            return res.status(400).json({
+                error: `Record type must be one of: ${Object.keys(RECORD_TYPES).join(', ')}`
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const records = req.query.history === 'true'
+            ? await listPersonalRecordHistory(db, req.user.userId, type)
+            : await listPersonalRecords(db, req.user.userId, type);
+
+        res.status(200).json({ records });
+    } catch (error) {
+        console.error('Error fetching personal records:', error);
+        res.status(500).json({ error: 'Failed to fetch personal records' });
+    }
+});
+
+// GET linked login providers of the current user
+router.get('/profile/me/identities',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Get linked login providers'
+    #swagger.description = 'List the external accounts (GitHub, Google) linked to the authenticated user and whether a password is set'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'Linked identities retrieved successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[500] = { description: 'Failed to fetch linked identities' }
+    */
+    authenticateToken, async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const userId = new ObjectId(req.user.userId);
+
+        const user = await db.collection('users').findOne({ _id: userId }, { projection: { identities: 1, password: 1 } });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        res.status(200).json({
+            identities: user.identities || [],
+            hasPassword: Boolean(user.password)
+        });
+    } catch (error) {
+        console.error('Error fetching linked identities:', error);
+        res.status(500).json({ error: 'Failed to fetch linked identities' });
+    }
+});
+
+// POST start linking a login provider to the current user
+router.post('/profile/me/identities',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Link a login provider'
+    #swagger.description = 'Start linking an additional external account. Returns a URL to open in the browser; after signing in with the provider, the account is linked to the authenticated user. The URL is valid for 10 minutes.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { provider: 'github' }
+    }
+    #swagger.responses[200] = { description: 'Link URL created successfully' }
+    #swagger.responses[400] = { description: 'Unsupported provider' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[409] = { description: 'Provider already linked' }
+    #swagger.responses[500] = { description: 'Failed to start linking provider' }
+    */
+    authenticateToken, async (req, res) => {
+    try {
+        const { provider } = req.body || {};
+
+        if (!provider || !SUPPORTED_PROVIDERS.includes(provider)) {
+            return res.status(400).json({
+                error: 'Unsupported provider',
+                supportedProviders: SUPPORTED_PROVIDERS
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const userId = new ObjectId(req.user.userId);
+
+        const user = await db.collection('users').findOne({ _id: userId });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if ((user.identities || []).some((identity) => identity.provider === provider)) {
+            return res.status(409).json({ error: `A ${provider} account is already linked` });
+        }
+
+        res.status(200).json({
+            message: 'Open authorizationUrl in a browser to finish linking',
+            authorizationUrl: `/auth/${provider}?link=${encodeURIComponent(createLinkState(userId, provider))}`
+        });
+    } catch (error) {
+        console.error('Error starting provider link:', error);
+        res.status(500).json({ error: 'Failed to start linking provider' });
+    }
+});
+
+// DELETE unlink a login provider from the current user
+router.delete('/profile/me/identities/:provider',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Unlink a login provider'
+    #swagger.description = 'Remove a linked external account. Refused when it is the only way left to log in (no password and no other linked account).'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['provider'] = {
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Provider name (github, google)'
+    }
+    #swagger.responses[200] = { description: 'Provider unlinked successfully' }
+    #swagger.responses[400] = { description: 'Cannot unlink the only login method' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'User not found / Provider not linked' }
+    #swagger.responses[500] = { description: 'Failed to unlink provider' }
+    */
+    authenticateToken, async (req, res) => {
+    try {
+        const { provider } = req.params;
+        const db = mongodb.getDb().db('cse341-project2');
+        const userId = new ObjectId(req.user.userId);
+
+        const user = await db.collection('users').findOne({ _id: userId });
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!(user.identities || []).some((identity) => identity.provider === provider)) {
+            return res.status(404).json({ error: 'Provider not linked' });
+        }
+
+        if (!canUnlinkIdentity(user, provider)) {
+            return res.status(400).json({
+                error: 'Cannot unlink the only login method. Link another provider or set a password first.'
+            });
+        }
+
+        await unlinkIdentity(db, userId, provider);
+
+        res.status(200).json({ message: `${provider} account unlinked successfully` });
+    } catch (error) {
+        console.error('Error unlinking provider:', error);
+        res.status(500).json({ error: 'Failed to unlink provider' });
+    }
+});
+
+// GET two-factor authentication status of the current user
+router.get('/profile/me/2fa',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Get two-factor authentication status'
+    #swagger.description = 'Show whether two-factor authentication is enabled, whether the user\'s role requires it and how many recovery codes are left'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'Two-factor status retrieved successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[500] = { description: 'Failed to fetch two-factor status' }
+    */
+    allowTwoFactorSetup, authenticateToken, async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const user = await db.collection('users').findOne({ _id: new ObjectId(req.user.userId) });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        const twoFactor = user.twoFactor || {};
+
+        res.status(200).json({
+            enabled: Boolean(twoFactor.enabled),
+            required: await isTwoFactorRequired(db, user),
+            enabledAt: twoFactor.enabledAt || null,
+            recoveryCodesRemaining: twoFactor.enabled ? twoFactor.recoveryCodes.length : 0
+        });
+    } catch (error) {
+        console.error('Error fetching two-factor status:', error);
+        res.status(500).json({ error: 'Failed to fetch two-factor status' });
+    }
+});
+
+// POST start setting up two-factor authentication for the current user
+router.post('/profile/me/2fa/setup',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Start two-factor authentication setup'
+    #swagger.description = 'Generate a new TOTP secret. Add it to an authenticator app (the otpauthUrl can be shown as a QR code), then confirm with POST /users/profile/me/2fa/enable.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'Secret generated' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[409] = { description: 'Two-factor authentication is already enabled' }
+    #swagger.responses[500] = { description: 'Failed to start two-factor setup' }
+    */
+    allowTwoFactorSetup, authenticateToken, async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const user = await db.collection('users').findOne({ _id: new ObjectId(req.user.userId) });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        // Not active until a code from it has been confirmed
+        const secret = generateTotpSecret();
+        await db.collection('users').updateOne({ _id: user._id }, { $set: { 'twoFactor.pendingSecret': secret } });
+
+        res.status(200).json({
+            message: 'Add the secret to your authenticator app, then confirm a code to enable two-factor authentication',
+            secret,
+            otpauthUrl: buildOtpauthUrl(secret, user.email)
+        });
+    } catch (error) {
+        console.error('Error starting two-factor setup:', error);
+        res.status(500).json({ error: 'Failed to start two-factor setup' });
+    }
+});
+
+// POST confirm the first code and enable two-factor authentication
+router.post('/profile/me/2fa/enable',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Enable two-factor authentication'
+    #swagger.description = 'Confirm a code from the authenticator app to enable two-factor authentication. Returns one-time recovery codes, which are only shown once.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { code: '123456' }
+    }
+    #swagger.responses[200] = { description: 'Two-factor authentication enabled' }
+    #swagger.responses[400] = { description: 'Setup not started / Invalid authentication code' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[409] = { description: 'Two-factor authentication is already enabled' }
+    #swagger.responses[500] = { description: 'Failed to enable two-factor authentication' }
+    */
+    allowTwoFactorSetup, authenticateToken, async (req, res) => {
+    try {
+        const { code } = req.body || {};
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const user = await db.collection('users').findOne({ _id: new ObjectId(req.user.userId) });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (user.twoFactor && user.twoFactor.enabled) {
+            return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+        }
+
+        if (!user.twoFactor || !user.twoFactor.pendingSecret) {
+            return res.status(400).json({ error: 'Start two-factor setup first' });
+        }
+
+        const step = findTotpStep(user.twoFactor.pendingSecret, typeof code === 'string' ? code.trim() : code);
+        if (step === null) {
+            return res.status(400).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        await db.collection('users').updateOne(
+            { _id: user._id },
+            {
+                $set: {
+                    twoFactor: {
+                        enabled: true,
+                        secret: user.twoFactor.pendingSecret,
+                        enabledAt: new Date(),
+                        recoveryCodes: recoveryCodes.hashes,
+                        lastUsedStep: step
+                    },
+                    updatedAt: new Date()
+                }
+            }
+        );
+
+        res.status(200).json({
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe; they are only shown once.',
+            recoveryCodes: recoveryCodes.codes
+        });
+    } catch (error) {
+        console.error('Error enabling two-factor authentication:', error);
+        res.status(500).json({ error: 'Failed to enable two-factor authentication' });
+    }
+});
+
+// POST disable two-factor authentication for the current user
+router.post('/profile/me/2fa/disable',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Disable two-factor authentication'
+    #swagger.description = 'Turn off two-factor authentication. Requires the current password (if the account has one) and a code from the authenticator app or a recovery code. Not allowed when the user\'s role requires two-factor authentication.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { password: 'string', code: '123456' }
+    }
+    #swagger.responses[200] = { description: 'Two-factor authentication disabled' }
+    #swagger.responses[400] = { description: 'Two-factor authentication is not enabled / Validation failed' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required / Password is incorrect / Invalid authentication code' }
+    #swagger.responses[403] = { description: 'Two-factor authentication is required for your role' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[500] = { description: 'Failed to disable two-factor authentication' }
+    */
+    authenticateToken, async (req, res) => {
+    try {
+        const { password, code } = req.body || {};
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const user = await db.collection('users').findOne({ _id: new ObjectId(req.user.userId) });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (await isTwoFactorRequired(db, user)) {
+            return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+        }
+
+        const validationErrors = [];
+        if (user.password && !password) validationErrors.push('Password is required');
+        if (!code) validationErrors.push('Authentication code is required');
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        if (user.password && !(await bcrypt.compare(password, user.password))) {
+            return res.status(401).json({ error: 'Password is incorrect' });
+        }
+
+        if (!(await verifyTwoFactorCode(db, user, code))) {
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        await db.collection('users').updateOne(
+            { _id: user._id },
+            { $unset: { twoFactor: '' }, $set: { updatedAt: new Date() } }
+        );
+
+        res.status(200).json({ message: 'Two-factor authentication disabled' });
+    } catch (error) {
+        console.error('Error disabling two-factor authentication:', error);
+        res.status(500).json({ error: 'Failed to disable two-factor authentication' });
+    }
+});
+
+// POST replace the recovery codes of the current user
+router.post('/profile/me/2fa/recovery-codes',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Regenerate recovery codes'
+    #swagger.description = 'Replace all recovery codes with new ones. Requires a code from the authenticator app or a recovery code. The new codes are only shown once.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { code: '123456' }
+    }
+    #swagger.responses[200] = { description: 'Recovery codes regenerated' }
+    #swagger.responses[400] = { description: 'Two-factor authentication is not enabled' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required / Invalid authentication code' }
+    #swagger.responses[404] = { description: 'User not found' }
+    #swagger.responses[500] = { description: 'Failed to regenerate recovery codes' }
+    */
+    authenticateToken, async (req, res) => {
+    try {
+        const { code } = req.body || {};
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const user = await db.collection('users').findOne({ _id: new ObjectId(req.user.userId) });
+
+        if (!user) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        if (!user.twoFactor || !user.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+        }
+
+        if (!(await verifyTwoFactorCode(db, user, code))) {
+            return res.status(401).json({ error: 'Invalid authentication code' });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        await db
+            .collection('users')
+            .updateOne({ _id: user._id }, { $set: { 'twoFactor.recoveryCodes': recoveryCodes.hashes } });
+
+        res.status(200).json({
+            message: 'Recovery codes regenerated. Store them somewhere safe; they are only shown once.',
+            recoveryCodes: recoveryCodes.codes
+        });
+    } catch (error) {
+        console.error('Error regenerating recovery codes:', error);
+        res.status(500).json({ error: 'Failed to regenerate recovery codes' });
+    }
+});
+
+// GET API keys of the current user
+router.get('/profile/me/api-keys',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'List API keys'
+    #swagger.description = 'List the personal API keys of the authenticated user. The keys themselves are only shown when created.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'API keys retrieved successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to fetch API keys' }
+    */
+    authenticateToken, async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const apiKeys = await listApiKeys(db, req.user.userId);
+
+        res.status(200).json({ apiKeys });
+    } catch (error) {
+        console.error('Error fetching API keys:', error);
+        res.status(500).json({ error: 'Failed to fetch API keys' });
+    }
+});
+
+// POST create an API key for the current user
+router.post('/profile/me/api-keys',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Create an API key'
+    #swagger.description = 'Create a named API key for scripts and integrations. Send it in the X-API-Key header instead of a bearer token. Scopes: workouts:read, workouts:write, profile:read. expiresInDays (1-365) is optional; without it the key does not expire. The key is only shown once.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { name: 'Workout import script', scopes: ['workouts:read', 'workouts:write'], expiresInDays: 90 }
+    }
+    #swagger.responses[201] = { description: 'API key created successfully' }
+    #swagger.responses[400] = { description: 'Validation failed / Too many API keys' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[500] = { description: 'Failed to create API key' }
+    */
+    authenticateToken, async (req, res) => {
+    try {
+        const validationErrors = validateApiKeyForCreation(req.body || {});
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        if ((await countApiKeys(db, req.user.userId)) >= MAX_API_KEYS_PER_USER) {
+            return res.status(400).json({
+                error: `You can have at most ${MAX_API_KEYS_PER_USER} API keys. Revoke one before creating another.`
+            });
+        }
+
+        const { name, scopes, expiresInDays } = req.body;
+        const { key, apiKey } = await createApiKey(db, req.user.userId, {
+            name: name.trim(),
+            scopes: [...new Set(scopes)],
+            expiresInDays
+        });
+
+        res.status(201).json({
+            message: 'API key created. Store it somewhere safe; it is only shown once.',
+            key,
+            apiKey
+        });
+    } catch (error) {
+        console.error('Error creating API key:', error);
+        res.status(500).json({ error: 'Failed to create API key' });
+    }
+});
+
+// DELETE revoke an API key of the current user
+router.delete('/profile/me/api-keys/:keyId',
+    /*
+    #swagger.tags = ['Users']
+    #swagger.summary = 'Revoke an API key'
+    #swagger.description = 'Revoke one of the authenticated user\'s API keys. Requests using it are rejected immediately.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.parameters['keyId'] = {
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'API key ID'
+    }
+    #swagger.responses[200] = { description: 'API key revoked successfully' }
+    #swagger.responses[400] = { description: 'Invalid API key ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[404] = { description: 'API key not found' }
+    #swagger.responses[500] = { description: 'Failed to revoke API key' }
+    */
+    authenticateToken, async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.keyId)) {
+            return res.status(400).json({ error: 'Invalid API key ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const revoked = await revokeApiKey(db, req.user.userId, req.params.keyId);
+
+        if (!revoked) {
+            return res.status(404).json({ error: 'API key not found' });
+        }
+
+        res.status(200).json({ message: 'API key revoked successfully' });
+    } catch (error) {
+        console.error('Error revoking API key:', error);
+        res.status(500).json({ error: 'Failed to revoke API key' });
+    }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -2,22 +2,93 @@ const express = require('express');
 const router = express.Router();
 const mongodb = require('../db/connect');
 const { ObjectId } = require('mongodb');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateToken, allowScope, authorize } = require('../middleware/auth');
+const { hasPermission } = require('../config/roles');
+const { canAccessUserWorkouts } = require('../services/coachingService');
+const { isUserDeactivated } = require('../services/userStateService');
+const { findExerciseForUser } = require('../services/exerciseService');
+const { buildSet, buildExercise } = require('../services/workoutExerciseService');
+const {
+    weekOfDate,
+    findScheduledSession,
+    findCompletion,
+    completeScheduledSession,
+    releaseScheduledSession
+} = require('../services/programService');
+const { validateSessionLink } = require('../validators/programValidator');
+const { updatePersonalRecords, removeWorkoutRecords } = require('../services/personalRecordService');
+const {
+    DELETED_USER_WORKOUTS,
+    findOrphanedWorkoutOwners,
+    cleanUpOrphanedWorkouts
+} = require('../services/accountDeletionService');
 const {
     validateWorkoutForCreation,
     validateWorkoutForUpdate,
     validatePaginationParams,
     validateDateRange,
-    normalizeWorkoutData
+    normalizeWorkoutData,
+    validateWorkoutComment,
+    validateExerciseForCreation,
+    validateExerciseForUpdate,
+    validateSetForCreation,
+    validateSetForUpdate,
+    validateOrder,
+    normalizeExerciseData,
+    normalizeSetData,
+    MAX_EXERCISES_PER_WORKOUT,
+    MAX_SETS_PER_EXERCISE
 } = require('../validators/workoutValidator');
 
+// Loads a workout whose exercises are about to change. Sends the error response and
+// returns null when an ID is invalid, the workout doesn't exist or the user may not change it.
+const findWorkoutForExerciseUpdate = async (db, req, res) => {
+    for (const [param, label] of [['id', 'workout'], ['exerciseId', 'exercise'], ['setId', 'set']]) {
+        if (req.params[param] !== undefined && !ObjectId.isValid(req.params[param])) {
+            res.status(400).json({ error: `Invalid ${label} ID format` });
+            return null;
+        }
+    }
+
+    const workout = await db.collection('workouts').findOne({ _id: new ObjectId(req.params.id) });
+    if (!workout) {
+        res.status(404).json({ error: 'Workout not found' });
+        return null;
+    }
+
+    const isOwner = Boolean(workout.userId) && workout.userId === req.user.userId.toString();
+    if (!isOwner && !hasPermission(req.user.role, 'workouts:update:any')) {
+        res.status(403).json({ error: 'Access denied. You can only update your own workouts.' });
+        return null;
+    }
+
+    if (await isUserDeactivated(db, workout.userId)) {
+        res.status(403).json({ error: 'Workouts of deactivated accounts are read-only' });
+        return null;
+    }
+
+    return workout;
+};
+
+const findById = (items, id) => items.find((item) => item._id.toString() === id);
+
+// Exercises are stored in order on the workout and always written back as a whole.
+// Returns the personal records the changed workout newly sets.
+const saveExercises = async (db, workout, exercises) => {
+    await db.collection('workouts').updateOne(
+        { _id: workout._id },
+        { $set: { exercises, updatedAt: new Date() } }
+    );
+    return updatePersonalRecords(db, { ...workout, exercises });
+};
+
 // GET all workouts - with authentication and filtering
-router.get('/', authenticateToken,
+router.get('/', allowScope('workouts:read'), authenticateToken,
     /*
     #swagger.tags = ['Workouts']
     #swagger.summary = 'Get all workouts'
-    #swagger.description = 'Retrieve workouts with pagination and filtering. Users see only their own workouts unless admin.'
-    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.description = 'Retrieve workouts with pagination and filtering. Users see only their own workouts unless they have the workouts:read:any permission. Coaches can pass the userId of an athlete they coach.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
     #swagger.parameters[0] = {
         name: 'page',
         in: 'query',
@@ -34,7 +105,7 @@ router.get('/', authenticateToken,
         name: 'userId',
         in: 'query',
         type: 'string',
-        description: 'Filter by user ID (admin only)'
+        description: 'Filter by user ID (requires workouts:read:any or coaching that user)'
     }
     #swagger.parameters[3] = {
         name: 'startDate',
@@ -54,16 +125,29 @@ router.get('/', authenticateToken,
         type: 'string',
         description: 'Filter by exercise type (case insensitive)'
     }
+    #swagger.parameters[6] = {
+        name: 'exerciseId',
+        in: 'query',
+        type: 'string',
+        description: 'Only workouts containing this library exercise'
+    }
+    #swagger.parameters[7] = {
+        name: 'templateId',
+        in: 'query',
+        type: 'string',
+        description: 'Only workouts started from this template'
+    }
     #swagger.responses[200] = { description: 'Workouts retrieved successfully with pagination info' }
     #swagger.responses[400] = { description: 'Validation failed - Invalid pagination or date parameters' }
     #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Not allowed to view workouts of this user' }
     #swagger.responses[500] = { description: 'Failed to fetch workouts' }
     */
     async (req, res) => {
     try {
         const db = mongodb.getDb().db('cse341-project2');
         const requestingUserId = new ObjectId(req.user.userId);
-        const isAdmin = req.user.role === 'admin';
+        const canReadAny = hasPermission(req.user.role, 'workouts:read:any');
 
         // Validate pagination parameters
         const page = parseInt(req.query.page) || 1;
@@ -79,15 +163,23 @@ router.get('/', authenticateToken,
         let query = {};
         
         // Regular users can only see their own workouts
-        if (!isAdmin) {
+        if (!canReadAny) {
             query.userId = requestingUserId.toString();
         }
 
-        // Optional filtering by userId for admins
-        if (isAdmin && req.query.userId) {
+        // Optional filtering by userId - any user for those who can read any workout,
+        // otherwise only athletes the requesting user coaches
+        if (req.query.userId) {
             if (!ObjectId.isValid(req.query.userId)) {
                 return res.status(400).json({ error: 'Invalid userId format' });
             }
+
+            const canReadUser = await canAccessUserWorkouts(db, req.user, req.query.userId, 'workouts:read:any');
+            if (!canReadUser) {
+                return res.status(403).json({
+                    error: 'Access denied. You can only view your own workouts or those of athletes you coach.'
+                });
+            }
             query.userId = req.query.userId;
         }
 
@@ -115,6 +207,22 @@ router.get('/', authenticateToken,
             query.exerciseType = { $regex: req.query.exerciseType, $options: 'i' };
         }
 
+        // Optional filtering by library exercise
+        if (req.query.exerciseId) {
+            if (!ObjectId.isValid(req.query.exerciseId)) {
+                return res.status(400).json({ error: 'Invalid exerciseId format' });
+            }
+            query['exercises.exerciseId'] = req.query.exerciseId;
+        }
+
+        // Optional filtering by the template workouts were started from
+        if (req.query.templateId) {
+            if (!ObjectId.isValid(req.query.templateId)) {
+                return res.status(400).json({ error: 'Invalid templateId format' });
+            }
+            query.templateId = req.query.templateId;
+        }
+
         // Pagination
         const skip = (page - 1) * limit;
 
@@ -145,13 +253,68 @@ router.get('/', authenticateToken,
     }
 });
 
+// GET orphaned workouts report - must stay above GET /:id
+router.get('/orphaned', authenticateToken, authorize('workouts:read:any'),
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Report orphaned workouts'
+    #swagger.description = 'List the user IDs that workouts still point to although the user no longer exists, with the number of workouts for each. Requires the workouts:read:any permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'Orphaned workouts report' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - workouts:read:any permission required' }
+    #swagger.responses[500] = { description: 'Failed to report orphaned workouts' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const owners = await findOrphanedWorkoutOwners(db);
+
+        res.status(200).json({
+            orphanedWorkouts: owners.reduce((total, owner) => total + owner.workouts, 0),
+            owners
+        });
+    } catch (error) {
+        console.error('Error reporting orphaned workouts:', error);
+        res.status(500).json({ error: 'Failed to report orphaned workouts' });
+    }
+});
+
+// DELETE orphaned workouts - must stay above DELETE /:id
+router.delete('/orphaned', authenticateToken, authorize('workouts:delete:any'),
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Clean up orphaned workouts'
+    #swagger.description = 'Delete or anonymize (depending on the DELETED_USER_WORKOUTS setting) the workouts of users that no longer exist, along with their comments. Requires the workouts:delete:any permission.'
+    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.responses[200] = { description: 'Orphaned workouts cleaned up successfully' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - workouts:delete:any permission required' }
+    #swagger.responses[500] = { description: 'Failed to clean up orphaned workouts' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const workouts = await cleanUpOrphanedWorkouts(db);
+
+        res.status(200).json({
+            message: 'Orphaned workouts cleaned up successfully',
+            action: DELETED_USER_WORKOUTS === 'anonymize' ? 'anonymized' : 'deleted',
+            workouts
+        });
+    } catch (error) {
+        console.error('Error cleaning up orphaned workouts:', error);
+        res.status(500).json({ error: 'Failed to clean up orphaned workouts' });
+    }
+});
+
 // GET single workout by ID - with authentication and authorization
-router.get('/:id', authenticateToken,
+router.get('/:id', allowScope('workouts:read'), authenticateToken,
     /*
     #swagger.tags = ['Workouts']
     #swagger.summary = 'Get workout by ID'
-    #swagger.description = 'Retrieve a specific workout by ID. Users can only view their own workouts unless admin.'
-    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.description = 'Retrieve a specific workout by ID. Users can only view their own workouts and those of athletes they coach unless they have the workouts:read:any permission.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
     #swagger.parameters[0] = {
         name: 'id',
         in: 'path',
@@ -174,8 +337,6 @@ router.get('/:id', authenticateToken,
 
         const db = mongodb.getDb().db('cse341-project2');
         const workoutId = new ObjectId(req.params.id);
-        const requestingUserId = new ObjectId(req.user.userId);
-        const isAdmin = req.user.role === 'admin';
 
         const workout = await db.collection('workouts').findOne({ _id: workoutId });
 
@@ -183,11 +344,10 @@ router.get('/:id', authenticateToken,
             return res.status(404).json({ error: 'Workout not found' });
         }
 
-        // Check if user owns this workout or is admin
-        const workoutUserId = new ObjectId(workout.userId);
-        const isOwner = workoutUserId.equals(requestingUserId);
+        // Check if user owns this workout, coaches its owner or may view any workout
+        const canRead = await canAccessUserWorkouts(db, req.user, workout.userId, 'workouts:read:any');
 
-        if (!isOwner && !isAdmin) {
+        if (!canRead) {
             return res.status(403).json({ error: 'Access denied. You can only view your own workouts.' });
         }
 
@@ -199,22 +359,41 @@ router.get('/:id', authenticateToken,
 });
 
 // POST create new workout - with authentication and validation
-router.post('/', authenticateToken,
+router.post('/', allowScope('workouts:write'), authenticateToken,
     /*
     #swagger.tags = ['Workouts']
     #swagger.summary = 'Create new workout'
-    #swagger.description = 'Create a new workout record. Users can only create workouts for themselves unless admin.'
-    #swagger.security = [{ bearerAuth: [] }]
-    #swagger.responses[201] = { description: 'Workout created successfully' }
-    #swagger.responses[400] = { description: 'Validation failed / Target user does not exist' }
+    #swagger.description = 'Create a new workout record. Users can only create workouts for themselves and athletes they coach unless they have the workouts:create:any permission. Pass programSession to log the workout for a session of a program enrollment of the workout user; week defaults to the program week of the workout date. The optional distance in kilometers gives the pace of distance activities.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: {
+            userId: '507f1f77bcf86cd799439011',
+            workoutName: 'Day A',
+            date: '2025-01-06',
+            duration: 60,
+            caloriesBurned: 400,
+            distance: null,
+            exerciseType: 'WEIGHTLIFTING',
+            notes: 'Felt strong',
+            programSession: { enrollmentId: '507f1f77bcf86cd799439012', sessionId: '507f1f77bcf86cd799439013', week: 1 }
+        }
+    }
+    #swagger.responses[201] = { description: 'Workout created successfully, with the personal records it newly set' }
+    #swagger.responses[400] = { description: 'Validation failed / Target user does not exist / Program enrollment not found / Session is not scheduled in this program week' }
     #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
-    #swagger.responses[403] = { description: 'Access denied - Can only create workouts for yourself' }
+    #swagger.responses[403] = { description: 'Access denied - Can only create workouts for yourself or athletes you coach / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[409] = { description: 'Program session has already been completed' }
     #swagger.responses[500] = { description: 'Failed to create workout' }
     */
     async (req, res) => {
     try {
         // Validate input
         const validationErrors = validateWorkoutForCreation(req.body);
+        if (req.body.programSession !== undefined) {
+            validationErrors.push(...validateSessionLink(req.body.programSession));
+        }
         if (validationErrors.length > 0) {
             return res.status(400).json({
                 error: 'Validation failed',
@@ -225,39 +404,95 @@ router.post('/', authenticateToken,
         const { userId } = req.body;
         const requestingUserId = new ObjectId(req.user.userId);
         const workoutUserId = new ObjectId(userId);
-        const isAdmin = req.user.role === 'admin';
+        const db = mongodb.getDb().db('cse341-project2');
 
         // Check if user can create workout for this userId
-        if (!workoutUserId.equals(requestingUserId) && !isAdmin) {
-            return res.status(403).json({ error: 'Access denied. You can only create workouts for yourself.' });
+        const canCreate = await canAccessUserWorkouts(db, req.user, userId, 'workouts:create:any');
+        if (!canCreate) {
+            return res.status(403).json({
+                error: 'Access denied. You can only create workouts for yourself or athletes you coach.'
+            });
         }
 
         // Verify the target user exists
-        const db = mongodb.getDb().db('cse341-project2');
         const targetUser = await db.collection('users').findOne({ _id: workoutUserId });
         if (!targetUser) {
             return res.status(400).json({ error: 'Target user does not exist' });
         }
 
+        if (targetUser.isActive === false) {
+            return res.status(403).json({ error: 'Workouts of deactivated accounts are read-only' });
+        }
+
         // Normalize and prepare workout data
         const normalizedData = normalizeWorkoutData(req.body);
+
+        // Workouts logged for a program session complete it in the user's active enrollment
+        let scheduledSession = null;
+        let enrollment = null;
+        let program = null;
+        if (req.body.programSession !== undefined) {
+            const { enrollmentId, sessionId, week } = req.body.programSession;
+            enrollment = await db.collection('programEnrollments').findOne({
+                _id: new ObjectId(enrollmentId),
+                userId: normalizedData.userId,
+                status: 'active'
+            });
+            program = enrollment
+                ? await db.collection('programs').findOne({ _id: new ObjectId(enrollment.programId) })
+                : null;
+            if (!program) {
+                return res.status(400).json({ error: 'Program enrollment not found' });
+            }
+
+            const programWeek = week !== undefined && week !== null
+                ? Number(week)
+                : weekOfDate(enrollment, normalizedData.date);
+            scheduledSession = findScheduledSession(program, enrollment, sessionId, programWeek);
+            if (!scheduledSession) {
+                return res.status(400).json({ error: 'Session is not scheduled in this program week' });
+            }
+
+            if (findCompletion(enrollment, scheduledSession)) {
+                return res.status(409).json({ error: 'Program session has already been completed' });
+            }
+        }
+
         const workout = {
             userId: normalizedData.userId,
             workoutName: normalizedData.workoutName,
             date: normalizedData.date,
             duration: normalizedData.duration,
             caloriesBurned: normalizedData.caloriesBurned,
+            distance: normalizedData.distance !== undefined ? normalizedData.distance : null,
             exerciseType: normalizedData.exerciseType,
             notes: normalizedData.notes || '',
+            exercises: [],
             createdAt: new Date(),
             createdBy: requestingUserId.toString()
         };
 
+        if (scheduledSession) {
+            workout.programSession = {
+                enrollmentId: enrollment._id.toString(),
+                programId: enrollment.programId,
+                sessionId: scheduledSession.session._id.toString(),
+                week: scheduledSession.week
+            };
+        }
+
         const result = await db.collection('workouts').insertOne(workout);
 
+        if (scheduledSession) {
+            await completeScheduledSession(db, program, enrollment, scheduledSession, result.insertedId);
+        }
+
+        const personalRecords = await updatePersonalRecords(db, { ...workout, _id: result.insertedId });
+
         res.status(201).json({
             message: 'Workout created successfully',
-            workoutId: result.insertedId
+            workoutId: result.insertedId,
+            personalRecords
         });
     } catch (error) {
         console.error('Error creating workout:', error);
@@ -266,12 +501,12 @@ router.post('/', authenticateToken,
 });
 
 // PUT update workout - with authentication and authorization
-router.put('/:id', authenticateToken,
+router.put('/:id', allowScope('workouts:write'), authenticateToken,
     /*
     #swagger.tags = ['Workouts']
     #swagger.summary = 'Update workout'
-    #swagger.description = 'Update workout information. Users can only update their own workouts unless admin.'
-    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.description = 'Update workout information. Users can only update their own workouts unless they have the workouts:update:any permission.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
     #swagger.parameters[0] = {
         name: 'id',
         in: 'path',
@@ -279,10 +514,10 @@ router.put('/:id', authenticateToken,
         type: 'string',
         description: 'Workout ID'
     }
-    #swagger.responses[200] = { description: 'Workout updated successfully' }
+    #swagger.responses[200] = { description: 'Workout updated successfully, with the personal records it newly set' }
     #swagger.responses[400] = { description: 'Invalid workout ID format / Validation failed / Target user does not exist' }
     #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
-    #swagger.responses[403] = { description: 'Access denied - Can only update own workouts / Only admins can reassign workouts' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own workouts / Not allowed to reassign workouts / Workouts of deactivated accounts are read-only' }
     #swagger.responses[404] = { description: 'Workout not found' }
     #swagger.responses[500] = { description: 'Failed to update workout' }
     */
@@ -303,15 +538,18 @@ router.put('/:id', authenticateToken,
             return res.status(404).json({ error: 'Workout not found' });
         }
 
-        // Check authorization
-        const existingWorkoutUserId = new ObjectId(existingWorkout.userId);
-        const isOwner = existingWorkoutUserId.equals(requestingUserId);
-        const isAdmin = req.user.role === 'admin';
+        // Check authorization (anonymized workouts have no owner)
+        const isOwner = Boolean(existingWorkout.userId) && new ObjectId(existingWorkout.userId).equals(requestingUserId);
+        const canUpdateAny = hasPermission(req.user.role, 'workouts:update:any');
 
-        if (!isOwner && !isAdmin) {
+        if (!isOwner && !canUpdateAny) {
             return res.status(403).json({ error: 'Access denied. You can only update your own workouts.' });
         }
 
+        if (await isUserDeactivated(db, existingWorkout.userId)) {
+            return res.status(403).json({ error: 'Workouts of deactivated accounts are read-only' });
+        }
+
         // Validate input
         const validationErrors = validateWorkoutForUpdate(req.body);
         if (validationErrors.length > 0) {
@@ -331,15 +569,19 @@ router.put('/:id', authenticateToken,
 
             const newUserId = new ObjectId(userId);
             
-            // Only admins can reassign workouts to other users
-            if (!isAdmin) {
-                return res.status(403).json({ error: 'Only admins can reassign workouts to other users.' });
+            // Reassigning workouts to other users requires the workouts:update:any permission
+            if (!canUpdateAny) {
+                return res.status(403).json({ error: 'Access denied. You cannot reassign workouts to other users.' });
             }
 
             const targetUser = await db.collection('users').findOne({ _id: newUserId });
             if (!targetUser) {
                 return res.status(400).json({ error: 'Target user does not exist' });
             }
+
+            if (targetUser.isActive === false) {
+                return res.status(403).json({ error: 'Workouts of deactivated accounts are read-only' });
+            }
         }
 
         // Normalize and build update object with only provided fields
@@ -351,6 +593,7 @@ router.put('/:id', authenticateToken,
         if (normalizedData.date !== undefined) updateData.date = normalizedData.date;
         if (normalizedData.duration !== undefined) updateData.duration = normalizedData.duration;
         if (normalizedData.caloriesBurned !== undefined) updateData.caloriesBurned = normalizedData.caloriesBurned;
+        if (normalizedData.distance !== undefined) updateData.distance = normalizedData.distance;
         if (normalizedData.exerciseType !== undefined) updateData.exerciseType = normalizedData.exerciseType;
         if (normalizedData.notes !== undefined) updateData.notes = normalizedData.notes;
 
@@ -363,7 +606,9 @@ router.put('/:id', authenticateToken,
             return res.status(404).json({ error: 'Workout not found' });
         }
 
-        res.status(200).json({ message: 'Workout updated successfully' });
+        const personalRecords = await updatePersonalRecords(db, { ...existingWorkout, ...updateData });
+
+        res.status(200).json({ message: 'Workout updated successfully', personalRecords });
     } catch (error) {
         console.error('Error updating workout:', error);
         res.status(500).json({ error: 'Failed to update workout' });
@@ -371,12 +616,12 @@ router.put('/:id', authenticateToken,
 });
 
 // DELETE workout - with authentication and authorization
-router.delete('/:id', authenticateToken,
+router.delete('/:id', allowScope('workouts:write'), authenticateToken,
     /*
     #swagger.tags = ['Workouts']
     #swagger.summary = 'Delete workout'
-    #swagger.description = 'Delete a workout record. Users can only delete their own workouts unless admin.'
-    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.description = 'Delete a workout record. Users can only delete their own workouts unless they have the workouts:delete:any permission. A program session the workout was logged for counts as not done again.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
     #swagger.parameters[0] = {
         name: 'id',
         in: 'path',
@@ -387,7 +632,7 @@ router.delete('/:id', authenticateToken,
     #swagger.responses[200] = { description: 'Workout deleted successfully' }
     #swagger.responses[400] = { description: 'Invalid workout ID format' }
     #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
-    #swagger.responses[403] = { description: 'Access denied - Can only delete own workouts' }
+    #swagger.responses[403] = { description: 'Access denied - Can only delete own workouts / Workouts of deactivated accounts are read-only' }
     #swagger.responses[404] = { description: 'Workout not found' }
     #swagger.responses[500] = { description: 'Failed to delete workout' }
     */
@@ -407,15 +652,18 @@ router.delete('/:id', authenticateToken,
             return res.status(404).json({ error: 'Workout not found' });
         }
 
-        // Check authorization
-        const workoutUserId = new ObjectId(existingWorkout.userId);
-        const isOwner = workoutUserId.equals(requestingUserId);
-        const isAdmin = req.user.role === 'admin';
+        // Check authorization (anonymized workouts have no owner)
+        const isOwner = Boolean(existingWorkout.userId) && new ObjectId(existingWorkout.userId).equals(requestingUserId);
+        const canDeleteAny = hasPermission(req.user.role, 'workouts:delete:any');
 
-        if (!isOwner && !isAdmin) {
+        if (!isOwner && !canDeleteAny) {
             return res.status(403).json({ error: 'Access denied. You can only delete your own workouts.' });
         }
 
+        if (await isUserDeactivated(db, existingWorkout.userId)) {
+            return res.status(403).json({ error: 'Workouts of deactivated accounts are read-only' });
+        }
+
         // Delete the workout
         const result = await db.collection('workouts').deleteOne({ _id: workoutId });
 
@@ -423,6 +671,14 @@ router.delete('/:id', authenticateToken,
             return res.status(404).json({ error: 'Workout not found' });
         }
 
+        await db.collection('workoutComments').deleteMany({ workoutId: req.params.id });
+        await removeWorkoutRecords(db, req.params.id);
+
+        // The program session the workout was logged for is open again
+        if (existingWorkout.programSession) {
+            await releaseScheduledSession(db, existingWorkout);
+        }
+
         res.status(200).json({ message: 'Workout deleted successfully' });
     } catch (error) {
         console.error('Error deleting workout:', error);
@@ -430,13 +686,648 @@ router.delete('/:id', authenticateToken,
     }
 });
 
+// GET comments on a workout
+router.get('/:id/comments', allowScope('workouts:read'), authenticateToken,
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Get workout comments'
+    #swagger.description = 'List comments on a workout, oldest first. Available to the workout owner, their coaches and users with the workouts:read:any permission.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Workout ID'
+    }
+    #swagger.responses[200] = { description: 'Comments retrieved successfully' }
+    #swagger.responses[400] = { description: 'Invalid workout ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Not allowed to view this workout' }
+    #swagger.responses[404] = { description: 'Workout not found' }
+    #swagger.responses[500] = { description: 'Failed to fetch comments' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid workout ID format' });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const workout = await db.collection('workouts').findOne({ _id: new ObjectId(req.params.id) });
+        if (!workout) {
+            return res.status(404).json({ error: 'Workout not found' });
+        }
+
+        const canRead = await canAccessUserWorkouts(db, req.user, workout.userId, 'workouts:read:any');
+        if (!canRead) {
+            return res.status(403).json({ error: 'Access denied. You can only view your own workouts.' });
+        }
+
+        const comments = await db.collection('workoutComments')
+            .find({ workoutId: req.params.id })
+            .sort({ createdAt: 1 })
+            .toArray();
+
+        res.status(200).json({ comments });
+    } catch (error) {
+        console.error('Error fetching workout comments:', error);
+        res.status(500).json({ error: 'Failed to fetch comments' });
+    }
+});
+
+// POST comment on a workout - owner, their coaches, or users with workouts:update:any
+router.post('/:id/comments', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Comment on a workout'
+    #swagger.description = 'Add a comment to a workout, e.g. feedback from a coach. Available to the workout owner, their coaches and users with the workouts:update:any permission.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Workout ID'
+    }
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { text: 'Great pacing - try adding a fifth interval next week.' }
+    }
+    #swagger.responses[201] = { description: 'Comment added successfully' }
+    #swagger.responses[400] = { description: 'Validation failed / Invalid workout ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Not allowed to comment on this workout / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Workout not found' }
+    #swagger.responses[500] = { description: 'Failed to add comment' }
+    */
+    async (req, res) => {
+    try {
+        if (!ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ error: 'Invalid workout ID format' });
+        }
+
+        const textError = validateWorkoutComment(req.body.text);
+        if (textError) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: [textError]
+            });
+        }
+
+        const db = mongodb.getDb().db('cse341-project2');
+        const workout = await db.collection('workouts').findOne({ _id: new ObjectId(req.params.id) });
+        if (!workout) {
+            return res.status(404).json({ error: 'Workout not found' });
+        }
+
+        const canComment = await canAccessUserWorkouts(db, req.user, workout.userId, 'workouts:update:any');
+        if (!canComment) {
+            return res.status(403).json({
+                error: 'Access denied. You can only comment on your own workouts or those of athletes you coach.'
+            });
+        }
+
+        if (await isUserDeactivated(db, workout.userId)) {
+            return res.status(403).json({ error: 'Workouts of deactivated accounts are read-only' });
+        }
+
+        const comment = {
+            workoutId: req.params.id,
+            authorId: req.user.userId,
+            text: req.body.text.trim(),
+            createdAt: new Date()
+        };
+        const result = await db.collection('workoutComments').insertOne(comment);
+
+        res.status(201).json({
+            message: 'Comment added successfully',
+            commentId: result.insertedId
+        });
+    } catch (error) {
+        console.error('Error adding workout comment:', error);
+        res.status(500).json({ error: 'Failed to add comment' });
+    }
+});
+
+// POST add an exercise to a workout - owner or users with workouts:update:any
+router.post('/:id/exercises', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Add exercise to workout'
+    #swagger.description = 'Append an exercise, optionally with its sets, to the end of a workout. Pass the exerciseId of a library exercise to link it; the name then defaults to the library name. Users can only change their own workouts unless they have the workouts:update:any permission.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Workout ID'
+    }
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: {
+            exerciseId: '507f1f77bcf86cd799439031',
+            name: 'Back Squat',
+            notes: 'Belt on the top sets',
+            sets: [{ reps: 5, weight: 100, unit: 'kg', rpe: 8, restSeconds: 180, tempo: '3010' }]
+        }
+    }
+    #swagger.responses[201] = { description: 'Exercise added successfully, with the personal records it newly set' }
+    #swagger.responses[400] = { description: 'Invalid workout ID format / Validation failed / Too many exercises / Referenced exercise does not exist' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own workouts / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Workout not found' }
+    #swagger.responses[500] = { description: 'Failed to add exercise' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const workout = await findWorkoutForExerciseUpdate(db, req, res);
+        if (!workout) return;
+
+        const validationErrors = validateExerciseForCreation(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const exercises = workout.exercises || [];
+        if (exercises.length >= MAX_EXERCISES_PER_WORKOUT) {
+            return res.status(400).json({
+                error: `A workout cannot have more than ${MAX_EXERCISES_PER_WORKOUT} exercises`
+            });
+        }
+
+        // Library exercises must be visible to the workout owner
+        const exercise = await buildExercise(db, req.body, workout.userId);
+        if (!exercise) {
+            return res.status(400).json({ error: 'Referenced exercise does not exist' });
+        }
+
+        const personalRecords = await saveExercises(db, workout, [...exercises, exercise]);
+
+        res.status(201).json({
+            message: 'Exercise added successfully',
+            exerciseId: exercise._id,
+            personalRecords
+        });
+    } catch (error) {
+        console.error('Error adding exercise:', error);
+        res.status(500).json({ error: 'Failed to add exercise' });
+    }
+});
+
+// PUT reorder the exercises of a workout
+router.put('/:id/exercises/order', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Reorder workout exercises'
+    #swagger.description = 'Set the order of the exercises in a workout. The list must contain every exercise ID of the workout exactly once.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Workout ID'
+    }
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { exerciseIds: ['507f1f77bcf86cd799439011', '507f1f77bcf86cd799439012'] }
+    }
+    #swagger.responses[200] = { description: 'Exercises reordered successfully' }
+    #swagger.responses[400] = { description: 'Invalid workout ID format / Validation failed' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own workouts / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Workout not found' }
+    #swagger.responses[500] = { description: 'Failed to reorder exercises' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const workout = await findWorkoutForExerciseUpdate(db, req, res);
+        if (!workout) return;
+
+        const exercises = workout.exercises || [];
+        const validationErrors = validateOrder(req.body.exerciseIds, exercises.map((exercise) => exercise._id), 'Exercise');
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        await saveExercises(db, workout, req.body.exerciseIds.map((id) => findById(exercises, String(id))));
+
+        res.status(200).json({ message: 'Exercises reordered successfully' });
+    } catch (error) {
+        console.error('Error reordering exercises:', error);
+        res.status(500).json({ error: 'Failed to reorder exercises' });
+    }
+});
+
+// PUT update an exercise of a workout
+router.put('/:id/exercises/:exerciseId', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Update workout exercise'
+    #swagger.description = 'Update the name, notes or linked library exercise (exerciseId, null to unlink) of an exercise in a workout. Sending sets replaces all of its sets.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Workout ID'
+    }
+    #swagger.parameters[1] = {
+        name: 'exerciseId',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Exercise ID'
+    }
+    #swagger.responses[200] = { description: 'Exercise updated successfully, with the personal records it newly set' }
+    #swagger.responses[400] = { description: 'Invalid workout or exercise ID format / Validation failed / Referenced exercise does not exist' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own workouts / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Workout or exercise not found' }
+    #swagger.responses[500] = { description: 'Failed to update exercise' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const workout = await findWorkoutForExerciseUpdate(db, req, res);
+        if (!workout) return;
+
+        const exercises = workout.exercises || [];
+        const exercise = findById(exercises, req.params.exerciseId);
+        if (!exercise) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        const validationErrors = validateExerciseForUpdate(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        const normalizedData = normalizeExerciseData(req.body);
+        if (normalizedData.exerciseId) {
+            const libraryExercise = await findExerciseForUser(db, normalizedData.exerciseId, workout.userId);
+            if (!libraryExercise) {
+                return res.status(400).json({ error: 'Referenced exercise does not exist' });
+            }
+        }
+
+        if (normalizedData.exerciseId !== undefined) exercise.exerciseId = normalizedData.exerciseId;
+        if (normalizedData.name !== undefined) exercise.name = normalizedData.name;
+        if (normalizedData.notes !== undefined) exercise.notes = normalizedData.notes;
+        if (req.body.sets !== undefined) exercise.sets = req.body.sets.map(buildSet);
+
+        const personalRecords = await saveExercises(db, workout, exercises);
+
+        res.status(200).json({ message: 'Exercise updated successfully', personalRecords });
+    } catch (error) {
+        console.error('Error updating exercise:', error);
+        res.status(500).json({ error: 'Failed to update exercise' });
+    }
+});
+
+// DELETE remove an exercise from a workout
+router.delete('/:id/exercises/:exerciseId', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Remove workout exercise'
+    #swagger.description = 'Remove an exercise and its sets from a workout.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Workout ID'
+    }
+    #swagger.parameters[1] = {
+        name: 'exerciseId',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Exercise ID'
+    }
+    #swagger.responses[200] = { description: 'Exercise removed successfully' }
+    #swagger.responses[400] = { description: 'Invalid workout or exercise ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own workouts / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Workout or exercise not found' }
+    #swagger.responses[500] = { description: 'Failed to remove exercise' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const workout = await findWorkoutForExerciseUpdate(db, req, res);
+        if (!workout) return;
+
+        const exercises = workout.exercises || [];
+        if (!findById(exercises, req.params.exerciseId)) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        await saveExercises(db, workout, exercises.filter((exercise) => exercise._id.toString() !== req.params.exerciseId));
+
+        res.status(200).json({ message: 'Exercise removed successfully' });
+    } catch (error) {
+        console.error('Error removing exercise:', error);
+        res.status(500).json({ error: 'Failed to remove exercise' });
+    }
+});
+
+// POST add a set to an exercise
+router.post('/:id/exercises/:exerciseId/sets', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Add set to exercise'
+    #swagger.description = 'Append a set to an exercise in a workout. Weights without a unit are in kilograms.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Workout ID'
+    }
+    #swagger.parameters[1] = {
+        name: 'exerciseId',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Exercise ID'
+    }
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { reps: 5, weight: 100, unit: 'kg', rpe: 8.5, restSeconds: 180, tempo: '3010' }
+    }
+    #swagger.responses[201] = { description: 'Set added successfully, with the personal records it newly set' }
+    #swagger.responses[400] = { description: 'Invalid workout or exercise ID format / Validation failed / Too many sets' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own workouts / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Workout or exercise not found' }
+    #swagger.responses[500] = { description: 'Failed to add set' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const workout = await findWorkoutForExerciseUpdate(db, req, res);
+        if (!workout) return;
+
+        const exercises = workout.exercises || [];
+        const exercise = findById(exercises, req.params.exerciseId);
+        if (!exercise) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        const validationErrors = validateSetForCreation(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        if (exercise.sets.length >= MAX_SETS_PER_EXERCISE) {
+            return res.status(400).json({
+                error: `An exercise cannot have more than ${MAX_SETS_PER_EXERCISE} sets`
+            });
+        }
+
+        const set = buildSet(req.body);
+        exercise.sets.push(set);
+
+        const personalRecords = await saveExercises(db, workout, exercises);
+
+        res.status(201).json({
+            message: 'Set added successfully',
+            setId: set._id,
+            personalRecords
+        });
+    } catch (error) {
+        console.error('Error adding set:', error);
+        res.status(500).json({ error: 'Failed to add set' });
+    }
+});
+
+// PUT reorder the sets of an exercise
+router.put('/:id/exercises/:exerciseId/sets/order', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Reorder exercise sets'
+    #swagger.description = 'Set the order of the sets of an exercise. The list must contain every set ID of the exercise exactly once.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Workout ID'
+    }
+    #swagger.parameters[1] = {
+        name: 'exerciseId',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Exercise ID'
+    }
+    #swagger.parameters['body'] = {
+        in: 'body',
+        required: true,
+        schema: { setIds: ['507f1f77bcf86cd799439021', '507f1f77bcf86cd799439022'] }
+    }
+    #swagger.responses[200] = { description: 'Sets reordered successfully' }
+    #swagger.responses[400] = { description: 'Invalid workout or exercise ID format / Validation failed' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own workouts / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Workout or exercise not found' }
+    #swagger.responses[500] = { description: 'Failed to reorder sets' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const workout = await findWorkoutForExerciseUpdate(db, req, res);
+        if (!workout) return;
+
+        const exercises = workout.exercises || [];
+        const exercise = findById(exercises, req.params.exerciseId);
+        if (!exercise) {
+            return res.status(404).json({ error: 'Exercise not found' });
+        }
+
+        const validationErrors = validateOrder(req.body.setIds, exercise.sets.map((set) => set._id), 'Set');
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        exercise.sets = req.body.setIds.map((id) => findById(exercise.sets, String(id)));
+
+        await saveExercises(db, workout, exercises);
+
+        res.status(200).json({ message: 'Sets reordered successfully' });
+    } catch (error) {
+        console.error('Error reordering sets:', error);
+        res.status(500).json({ error: 'Failed to reorder sets' });
+    }
+});
+
+// PUT update a set of an exercise
+router.put('/:id/exercises/:exerciseId/sets/:setId', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Update exercise set'
+    #swagger.description = 'Update the reps, weight, unit, RPE, rest or tempo of a set. Send null to clear an optional field. Planned sets copied from a template count as performed once updated.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Workout ID'
+    }
+    #swagger.parameters[1] = {
+        name: 'exerciseId',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Exercise ID'
+    }
+    #swagger.parameters[2] = {
+        name: 'setId',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Set ID'
+    }
+    #swagger.responses[200] = { description: 'Set updated successfully, with the personal records it newly set' }
+    #swagger.responses[400] = { description: 'Invalid workout, exercise or set ID format / Validation failed' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own workouts / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Workout, exercise or set not found' }
+    #swagger.responses[500] = { description: 'Failed to update set' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const workout = await findWorkoutForExerciseUpdate(db, req, res);
+        if (!workout) return;
+
+        const exercises = workout.exercises || [];
+        const exercise = findById(exercises, req.params.exerciseId);
+        const set = exercise && findById(exercise.sets, req.params.setId);
+        if (!set) {
+            return res.status(404).json({ error: exercise ? 'Set not found' : 'Exercise not found' });
+        }
+
+        const validationErrors = validateSetForUpdate(req.body);
+        if (validationErrors.length > 0) {
+            return res.status(400).json({
+                error: 'Validation failed',
+                details: validationErrors
+            });
+        }
+
+        // Updating a planned set logs it as performed
+        Object.assign(set, normalizeSetData(req.body));
+        delete set.performed;
+        if (set.weight === null) {
+            set.unit = null;
+        } else if (!set.unit) {
+            set.unit = 'kg';
+        }
+
+        const personalRecords = await saveExercises(db, workout, exercises);
+
+        res.status(200).json({ message: 'Set updated successfully', personalRecords });
+    } catch (error) {
+        console.error('Error updating set:', error);
+        res.status(500).json({ error: 'Failed to update set' });
+    }
+});
+
+// DELETE remove a set from an exercise
+router.delete('/:id/exercises/:exerciseId/sets/:setId', allowScope('workouts:write'), authenticateToken,
+    /*
+    #swagger.tags = ['Workouts']
+    #swagger.summary = 'Remove exercise set'
+    #swagger.description = 'Remove a set from an exercise in a workout.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
+    #swagger.parameters[0] = {
+        name: 'id',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Workout ID'
+    }
+    #swagger.parameters[1] = {
+        name: 'exerciseId',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Exercise ID'
+    }
+    #swagger.parameters[2] = {
+        name: 'setId',
+        in: 'path',
+        required: true,
+        type: 'string',
+        description: 'Set ID'
+    }
+    #swagger.responses[200] = { description: 'Set removed successfully' }
+    #swagger.responses[400] = { description: 'Invalid workout, exercise or set ID format' }
+    #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
+    #swagger.responses[403] = { description: 'Access denied - Can only update own workouts / Workouts of deactivated accounts are read-only' }
+    #swagger.responses[404] = { description: 'Workout, exercise or set not found' }
+    #swagger.responses[500] = { description: 'Failed to remove set' }
+    */
+    async (req, res) => {
+    try {
+        const db = mongodb.getDb().db('cse341-project2');
+        const workout = await findWorkoutForExerciseUpdate(db, req, res);
+        if (!workout) return;
+
+        const exercises = workout.exercises || [];
+        const exercise = findById(exercises, req.params.exerciseId);
+        if (!exercise || !findById(exercise.sets, req.params.setId)) {
+            return res.status(404).json({ error: exercise ? 'Set not found' : 'Exercise not found' });
+        }
+
+        exercise.sets = exercise.sets.filter((set) => set._id.toString() !== req.params.setId);
+
+        await saveExercises(db, workout, exercises);
+
+        res.status(200).json({ message: 'Set removed successfully' });
+    } catch (error) {
+        console.error('Error removing set:', error);
+        res.status(500).json({ error: 'Failed to remove set' });
+    }
+});
+
 // GET user's workout statistics - authenticated users only
-router.get('/stats/me', authenticateToken,
+router.get('/stats/me', allowScope('workouts:read'), authenticateToken,
     /*
     #swagger.tags = ['Workouts']
     #swagger.summary = 'Get current user workout statistics'
     #swagger.description = 'Retrieve workout statistics for the authenticated user including totals, averages, and recent activity'
-    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
     #swagger.responses[200] = { description: 'Workout statistics retrieved successfully' }
     #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
     #swagger.responses[500] = { description: 'Failed to fetch workout statistics' }
@@ -496,13 +1387,13 @@ router.get('/stats/me', authenticateToken,
     }
 });
 
-// GET workout statistics for any user - Admin only
-router.get('/stats/:userId', authenticateToken,
+// GET workout statistics for another user - coaches and users with workouts:stats:any
+router.get('/stats/:userId', allowScope('workouts:read'), authenticateToken,
     /*
     #swagger.tags = ['Workouts']
     #swagger.summary = 'Get user workout statistics'
-    #swagger.description = 'Retrieve workout statistics for any user by ID. Admin privileges required.'
-    #swagger.security = [{ bearerAuth: [] }]
+    #swagger.description = 'Retrieve workout statistics for a user by ID. Requires the workouts:stats:any permission (admin and support) or coaching that user.'
+    #swagger.security = [{ bearerAuth: [] }, { apiKeyAuth: [] }]
     #swagger.parameters[0] = {
         name: 'userId',
         in: 'path',
@@ -513,17 +1404,12 @@ router.get('/stats/:userId', authenticateToken,
     #swagger.responses[200] = { description: 'User workout statistics retrieved successfully' }
     #swagger.responses[400] = { description: 'Invalid userId format' }
     #swagger.responses[401] = { description: 'Unauthorized - Authentication required' }
-    #swagger.responses[403] = { description: 'Access denied - Admin privileges required' }
+    #swagger.responses[403] = { description: 'Access denied - Not allowed to view statistics of this user' }
     #swagger.responses[404] = { description: 'User not found' }
     #swagger.responses[500] = { description: 'Failed to fetch user workout statistics' }
     */
     async (req, res) => {
     try {
-        // Only admins can view other users' statistics
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({ error: 'Access denied. Admin privileges required.' });
-        }
-
         const { userId } = req.params;
         
         if (!ObjectId.isValid(userId)) {
@@ -532,6 +1418,13 @@ router.get('/stats/:userId', authenticateToken,
 
         const db = mongodb.getDb().db('cse341-project2');
 
+        const canReadStats = await canAccessUserWorkouts(db, req.user, userId, 'workouts:stats:any');
+        if (!canReadStats) {
+            return res.status(403).json({
+                error: 'Access denied. You can only view statistics of athletes you coach.'
+            });
+        }
+
         // Verify user exists
         const user = await db.collection('users').findOne({ _id: new ObjectId(userId) });
         if (!user) {
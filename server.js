@@ -3,6 +3,9 @@ require('dotenv').config();
 
 // Import required modules
 const mongodb = require('./db/connect');
+const { ensureIndexes } = require('./db/indexes');
+const { runMigrations } = require('./db/migrations');
+const { startAccountPurgeJob } = require('./services/accountDeletionService');
 const express = require('express');
 const swaggerUi = require('swagger-ui-express');
 const swaggerDocument = require('./swagger.json');
@@ -12,6 +15,12 @@ const passport = require('passport');
 const app = express();
 const port = process.env.PORT;
 
+// Behind a reverse proxy (e.g. Render) set TRUST_PROXY to the number of proxy hops
+// so req.ip is the real client address used by the rate limits and login lockouts
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY));
+}
+
 // Middleware for parsing JSON requests
 app.use(express.json());
 app.use(passport.initialize());
@@ -27,17 +36,42 @@ app.use('/auth', require('./routes/auth'));
 // #swagger.tags = ['Workouts']
 app.use('/workouts', require('./routes/workouts'));
 
+// #swagger.tags = ['Exercises']
+app.use('/exercises', require('./routes/exercises'));
+
+// #swagger.tags = ['Templates']
+app.use('/templates', require('./routes/templates'));
+
+// #swagger.tags = ['Programs']
+app.use('/programs', require('./routes/programs'));
+
 // #swagger.tags = ['Users']
 app.use('/users', require('./routes/users'));
 
+// #swagger.tags = ['Coaching']
+app.use('/coaching', require('./routes/coaching'));
+
+// OAuth2 authorization server for third-party applications
+// #swagger.tags = ['OAuth']
+app.use('/oauth', require('./routes/oauth'));
+
 // Default routes (likely has index/home page)
 app.use('/', require('./routes'));
 
 // Initialize MongoDB connection and start server
-mongodb.initDb((err) => {
+mongodb.initDb(async (err) => {
     if (err) {
         console.log('Database connection failed:', err);
     } else {
+        try {
+            const db = mongodb.getDb().db('cse341-project2');
+            await ensureIndexes(db);
+            await runMigrations(db);
+            startAccountPurgeJob(db);
+        } catch (setupErr) {
+            console.error('Database setup failed:', setupErr);
+        }
+
         app.listen(port, () => {
             console.log('Fitness Tracker API is listening at port ' + port);
             console.log(`API Documentation available at: http://localhost:${port}/api-docs`);
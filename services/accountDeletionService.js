@@ -0,0 +1,220 @@
+const { ObjectId } = require('mongodb');
+const { withTransaction } = require('../db/connect');
+const { revokeUserSessions } = require('./revocationService');
+const { invalidateUserState } = require('./userStateService');
+
+// Deleting an account only schedules it for deletion (deletionScheduledAt on the user).
+// Until then the account is hidden and its sessions are gone, but the user can cancel
+// by logging in again, or an admin can cancel for them. A background job purges
+// accounts whose grace period has passed, or an admin purges one right away; the email
+// address stays taken until then.
+//
+// Purging removes everything that belongs to the user in one transaction. Their workouts
+// are deleted, or kept without anything linking them to the user when
+// DELETED_USER_WORKOUTS=anonymize (e.g. to keep aggregate statistics).
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+const ACCOUNT_PURGE_INTERVAL_MS = parseInt(process.env.ACCOUNT_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+const DELETED_USER_WORKOUTS = process.env.DELETED_USER_WORKOUTS === 'anonymize' ? 'anonymize' : 'delete';
+
+// Collections whose documents belong to a single user through their userId
+const USER_OWNED_COLLECTIONS = [
+    'apiKeys',
+    'refreshTokens',
+    'revokedTokens',
+    'actionTokens',
+    'oauthConsents',
+    'oauthAuthorizationCodes',
+    'oauthRefreshTokens',
+    'exercises',
+    'workoutTemplates',
+    'programs',
+    'programEnrollments'
+];
+
+// Returns when the account will be purged
+const scheduleAccountDeletion = async (db, userId, requestedBy) => {
+    const now = new Date();
+    const deletionScheduledAt = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    await db
+        .collection('users')
+        .updateOne(
+            { _id: new ObjectId(userId) },
+            { $set: { deletionRequestedAt: now, deletionRequestedBy: requestedBy.toString(), deletionScheduledAt } }
+        );
+    await revokeUserSessions(db, userId, 'account_deletion');
+
+    return deletionScheduledAt;
+};
+
+// Returns false when no deletion was pending
+const cancelAccountDeletion = async (db, userId) => {
+    const result = await db
+        .collection('users')
+        .updateOne(
+            { _id: new ObjectId(userId), deletionScheduledAt: { $exists: true } },
+            { $unset: { deletionRequestedAt: '', deletionRequestedBy: '', deletionScheduledAt: '' } }
+        );
+    invalidateUserState(userId);
+    return result.modifiedCount > 0;
+};
+
+// Deletes or anonymizes the workouts of the given users (string ids), together with
+// the comments on them and the personal records set in them. Returns how many workouts were handled.
+const removeUserWorkouts = async (db, userIds, session) => {
+    const workouts = await db
+        .collection('workouts')
+        .find({ userId: { $in: userIds } }, { projection: { _id: 1 }, session })
+        .toArray();
+    const workoutIds = workouts.map((workout) => workout._id.toString());
+
+    await db.collection('workoutComments').deleteMany({ workoutId: { $in: workoutIds } }, { session });
+    await db.collection('personalRecords').deleteMany({ workoutId: { $in: workoutIds } }, { session });
+
+    if (DELETED_USER_WORKOUTS === 'anonymize') {
+        await db
+            .collection('workouts')
+            .updateMany(
+                { userId: { $in: userIds } },
+                { $set: { userId: null, createdBy: null, notes: '', anonymizedAt: new Date() } },
+                { session }
+            );
+    } else {
+        await db.collection('workouts').deleteMany({ userId: { $in: userIds } }, { session });
+    }
+
+    return workoutIds.length;
+};
+
+// Deletes the enrollments of the user and those of other users in the user's programs.
+// Workouts logged for them are kept, but no longer linked to a program session.
+const removeUserEnrollments = async (db, userId, session) => {
+    const programs = await db
+        .collection('programs')
+        .find({ userId }, { projection: { _id: 1 }, session })
+        .toArray();
+    const query = { $or: [{ userId }, { programId: { $in: programs.map((program) => program._id.toString()) } }] };
+
+    const enrollments = await db
+        .collection('programEnrollments')
+        .find(query, { projection: { _id: 1 }, session })
+        .toArray();
+    await db
+        .collection('workouts')
+        .updateMany(
+            { 'programSession.enrollmentId': { $in: enrollments.map((enrollment) => enrollment._id.toString()) } },
+            { $unset: { programSession: '' } },
+            { session }
+        );
+    await db.collection('programEnrollments').deleteMany(query, { session });
+};
+
+// Removes the account and everything that belongs to it for good. Extra conditions guard
+// against purging an account whose deletion was cancelled in the meantime.
+// Returns false when nothing was removed.
+const purgeAccount = async (db, userId, conditions = {}) => {
+    const id = userId.toString();
+
+    const purged = await withTransaction(async (session) => {
+        const result = await db.collection('users').deleteOne({ _id: new ObjectId(id), ...conditions }, { session });
+        if (result.deletedCount === 0) {
+            return false;
+        }
+
+        await removeUserWorkouts(db, [id], session);
+        await removeUserEnrollments(db, id, session);
+        await db.collection('workoutComments').deleteMany({ authorId: id }, { session });
+        await db
+            .collection('coachingRelationships')
+            .deleteMany({ $or: [{ coachId: id }, { athleteId: id }] }, { session });
+
+        for (const collection of USER_OWNED_COLLECTIONS) {
+            await db.collection(collection).deleteMany({ userId: id }, { session });
+        }
+        return true;
+    });
+
+    invalidateUserState(id);
+    return purged;
+};
+
+// Workouts whose userId doesn't belong to any user, e.g. left behind by deletions
+// before purging cleaned up after itself. Returns [{ userId, workouts }].
+const findOrphanedWorkoutOwners = async (db) => {
+    const ownerIds = await db.collection('workouts').distinct('userId', { userId: { $ne: null } });
+
+    const existingUsers = await db
+        .collection('users')
+        .find(
+            { _id: { $in: ownerIds.filter((id) => ObjectId.isValid(id)).map((id) => new ObjectId(id)) } },
+            { projection: { _id: 1 } }
+        )
+        .toArray();
+    const existingIds = new Set(existingUsers.map((user) => user._id.toString()));
+
+    const orphans = [];
+    for (const userId of ownerIds.filter((id) => !existingIds.has(id))) {
+        orphans.push({ userId, workouts: await db.collection('workouts').countDocuments({ userId }) });
+    }
+    return orphans;
+};
+
+// Applies DELETED_USER_WORKOUTS to orphaned workouts. Returns how many were handled.
+const cleanUpOrphanedWorkouts = async (db) => {
+    const orphans = await findOrphanedWorkoutOwners(db);
+    if (orphans.length === 0) {
+        return 0;
+    }
+
+    return withTransaction((session) =>
+        removeUserWorkouts(
+            db,
+            orphans.map((orphan) => orphan.userId),
+            session
+        )
+    );
+};
+
+const purgeExpiredAccounts = async (db) => {
+    const now = new Date();
+    const expired = await db
+        .collection('users')
+        .find({ deletionScheduledAt: { $lte: now } }, { projection: { _id: 1 } })
+        .toArray();
+
+    let purged = 0;
+    for (const user of expired) {
+        if (await purgeAccount(db, user._id, { deletionScheduledAt: { $lte: now } })) {
+            purged++;
+        }
+    }
+    return purged;
+};
+
+// Runs the purge now and then every ACCOUNT_PURGE_INTERVAL_MS without keeping the process alive
+const startAccountPurgeJob = (db) => {
+    const run = async () => {
+        try {
+            const purged = await purgeExpiredAccounts(db);
+            if (purged > 0) {
+                console.log(`Purged ${purged} accounts after their deletion grace period`);
+            }
+        } catch (error) {
+            console.error('Error purging deleted accounts:', error);
+        }
+    };
+
+    run();
+    setInterval(run, ACCOUNT_PURGE_INTERVAL_MS).unref();
+};
+
+module.exports = {
+    DELETED_USER_WORKOUTS,
+    scheduleAccountDeletion,
+    cancelAccountDeletion,
+    purgeAccount,
+    purgeExpiredAccounts,
+    startAccountPurgeJob,
+    findOrphanedWorkoutOwners,
+    cleanUpOrphanedWorkouts
+};
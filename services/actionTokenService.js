@@ -0,0 +1,55 @@
+const { generateToken, hashToken } = require('./tokenUtils');
+
+// Single-use tokens sent to users by email (e.g. verification links), stored hashed
+// in 'actionTokens'. `purpose` keeps a token for one flow from being accepted by another.
+const createActionToken = async (db, purpose, userId, ttlMs, data = {}) => {
+    const token = generateToken();
+    const now = new Date();
+
+    // Only the most recent token for a flow stays valid
+    await db
+        .collection('actionTokens')
+        .updateMany({ purpose, userId: userId.toString(), usedAt: null }, { $set: { usedAt: now, supersededAt: now } });
+
+    await db.collection('actionTokens').insertOne({
+        purpose,
+        userId: userId.toString(),
+        tokenHash: hashToken(token),
+        data,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + ttlMs),
+        usedAt: null
+    });
+
+    return token;
+};
+
+// Returns the token if it is still usable, without using it up
+const findActionToken = async (db, purpose, token) => {
+    return await db.collection('actionTokens').findOne({
+        purpose,
+        tokenHash: hashToken(token),
+        usedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+};
+
+// Marks the token as used and returns it, or null when it is unknown, expired or already used
+const consumeActionToken = async (db, purpose, token) => {
+    const now = new Date();
+
+    const result = await db
+        .collection('actionTokens')
+        .findOneAndUpdate(
+            { purpose, tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+            { $set: { usedAt: now } }
+        );
+
+    return result.value;
+};
+
+module.exports = {
+    createActionToken,
+    findActionToken,
+    consumeActionToken
+};
@@ -0,0 +1,88 @@
+const { ObjectId } = require('mongodb');
+const { generateToken, hashToken } = require('./tokenUtils');
+const { SCOPE_NAMES } = require('../config/scopes');
+
+// Personal API keys for scripts and integrations, sent in the X-API-Key header.
+// Keys are shown once when created; 'apiKeys' only stores their hash and a short
+// prefix so users can tell them apart.
+const API_KEY_SCOPES = SCOPE_NAMES;
+const API_KEY_PREFIX = 'fit_';
+const MAX_API_KEYS_PER_USER = 10;
+
+// Fields safe to return when listing keys
+const toApiKeySummary = (apiKey) => ({
+    _id: apiKey._id,
+    name: apiKey.name,
+    keyPrefix: apiKey.keyPrefix,
+    scopes: apiKey.scopes,
+    createdAt: apiKey.createdAt,
+    expiresAt: apiKey.expiresAt,
+    lastUsedAt: apiKey.lastUsedAt
+});
+
+const countApiKeys = async (db, userId) => {
+    return db.collection('apiKeys').countDocuments({ userId: userId.toString() });
+};
+
+// Returns the plain key (only available now) and its stored summary
+const createApiKey = async (db, userId, { name, scopes, expiresInDays }) => {
+    const key = `${API_KEY_PREFIX}${generateToken(32)}`;
+    const now = new Date();
+
+    const apiKey = {
+        userId: userId.toString(),
+        name,
+        scopes,
+        keyHash: hashToken(key),
+        keyPrefix: key.slice(0, API_KEY_PREFIX.length + 6),
+        createdAt: now,
+        expiresAt: expiresInDays ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000) : null,
+        lastUsedAt: null
+    };
+    const result = await db.collection('apiKeys').insertOne(apiKey);
+
+    return { key, apiKey: toApiKeySummary({ ...apiKey, _id: result.insertedId }) };
+};
+
+const listApiKeys = async (db, userId) => {
+    const apiKeys = await db
+        .collection('apiKeys')
+        .find({ userId: userId.toString() })
+        .sort({ createdAt: -1 })
+        .toArray();
+    return apiKeys.map(toApiKeySummary);
+};
+
+// Returns false when the key doesn't exist or belongs to someone else
+const revokeApiKey = async (db, userId, apiKeyId) => {
+    const result = await db.collection('apiKeys').deleteOne({ _id: new ObjectId(apiKeyId), userId: userId.toString() });
+    return result.deletedCount > 0;
+};
+
+// Looks up an unexpired key and records that it was used. Returns null for unknown keys.
+const findApiKey = async (db, key) => {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) {
+        return null;
+    }
+
+    const now = new Date();
+    const apiKey = await db.collection('apiKeys').findOne({
+        keyHash: hashToken(key),
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }]
+    });
+
+    if (apiKey) {
+        await db.collection('apiKeys').updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } });
+    }
+    return apiKey;
+};
+
+module.exports = {
+    API_KEY_SCOPES,
+    MAX_API_KEYS_PER_USER,
+    countApiKeys,
+    createApiKey,
+    listApiKeys,
+    revokeApiKey,
+    findApiKey
+};
@@ -0,0 +1,16 @@
+// Append-only record of sensitive actions performed on behalf of another user
+// (e.g. an admin overriding a password), stored in 'auditLogs'
+const recordAuditEvent = async (db, { action, actorId, targetId, details = {}, ip }) => {
+    await db.collection('auditLogs').insertOne({
+        action,
+        actorId: actorId ? actorId.toString() : null,
+        targetId: targetId ? targetId.toString() : null,
+        details,
+        ip: ip || null,
+        createdAt: new Date()
+    });
+};
+
+module.exports = {
+    recordAuditEvent
+};
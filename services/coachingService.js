@@ -0,0 +1,48 @@
+const { hasPermission } = require('../config/roles');
+
+// Coaching relationships live in 'coachingRelationships'. A coach invites an athlete
+// ('pending'), the athlete accepts ('active') and either side can end it ('revoked').
+// Only active relationships give the coach access to the athlete's workouts.
+const isActiveCoach = async (db, coachId, athleteId) => {
+    const relationship = await db.collection('coachingRelationships').findOne({
+        coachId: coachId.toString(),
+        athleteId: athleteId.toString(),
+        status: 'active'
+    });
+    return Boolean(relationship);
+};
+
+// True when the user owns the workouts, has the given '...:any' permission,
+// or is an active coach of the owner. Anonymized workouts have no owner.
+const canAccessUserWorkouts = async (db, user, ownerId, permission) => {
+    if (!ownerId) {
+        return hasPermission(user.role, permission);
+    }
+    if (user.userId === ownerId.toString() || hasPermission(user.role, permission)) {
+        return true;
+    }
+    return isActiveCoach(db, user.userId, ownerId);
+};
+
+// Query for documents shared by visibility: 'private' ones only reach their owner,
+// 'athletes' ones also the athletes the owner actively coaches, 'public' ones everyone
+const sharedWithUserQuery = async (db, userId) => {
+    const coachings = await db
+        .collection('coachingRelationships')
+        .find({ athleteId: userId.toString(), status: 'active' }, { projection: { coachId: 1 } })
+        .toArray();
+
+    return {
+        $or: [
+            { userId: userId.toString() },
+            { visibility: 'public' },
+            { visibility: 'athletes', userId: { $in: coachings.map((coaching) => coaching.coachId) } }
+        ]
+    };
+};
+
+module.exports = {
+    isActiveCoach,
+    canAccessUserWorkouts,
+    sharedWithUserQuery
+};
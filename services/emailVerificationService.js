@@ -0,0 +1,69 @@
+const { ObjectId } = require('mongodb');
+const { createActionToken, consumeActionToken } = require('./actionTokenService');
+const { sendMail, getAppUrl } = require('./mailService');
+
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) || 24;
+
+// Minimum time between two verification emails to the same account
+const EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS =
+    parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+
+const isEmailVerificationRequired = () => {
+    return process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+};
+
+// The token is bound to the address it was sent to, so it stops working if the email changes again
+const sendVerificationEmail = async (db, user) => {
+    const token = await createActionToken(
+        db,
+        'email-verification',
+        user._id,
+        EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000,
+        { email: user.email }
+    );
+
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { emailVerificationSentAt: new Date() } });
+
+    await sendMail({
+        to: user.email,
+        subject: 'Verify your email address',
+        text:
+            `Hi ${user.firstName},\n\n` +
+            'Please confirm your email address by opening the link below:\n\n' +
+            `${getAppUrl()}/users/verify-email?token=${encodeURIComponent(token)}\n\n` +
+            `This link expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    });
+};
+
+const isResendOnCooldown = (user) => {
+    if (!user.emailVerificationSentAt) {
+        return false;
+    }
+
+    const elapsedMs = Date.now() - new Date(user.emailVerificationSentAt).getTime();
+    return elapsedMs < EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS * 1000;
+};
+
+// Returns the user ID whose email was verified, or null when the token is invalid
+const verifyEmailToken = async (db, token) => {
+    const actionToken = await consumeActionToken(db, 'email-verification', token);
+    if (!actionToken) {
+        return null;
+    }
+
+    const result = await db
+        .collection('users')
+        .updateOne(
+            { _id: new ObjectId(actionToken.userId), email: actionToken.data.email },
+            { $set: { emailVerified: true, emailVerifiedAt: new Date() } }
+        );
+
+    return result.matchedCount > 0 ? actionToken.userId : null;
+};
+
+module.exports = {
+    isEmailVerificationRequired,
+    sendVerificationEmail,
+    isResendOnCooldown,
+    verifyEmailToken
+};
@@ -0,0 +1,44 @@
+const { ObjectId } = require('mongodb');
+const { hasPermission } = require('../config/roles');
+
+// The exercise library lives in 'exercises'. Global entries (userId null) are curated by
+// users with the exercises:manage permission and visible to everyone; custom entries
+// belong to the user who created them and are only visible to that user.
+const exerciseVisibilityQuery = (userId) => ({
+    $or: [{ userId: null }, { userId: userId ? userId.toString() : null }]
+});
+
+// Returns the exercise when it exists and is visible to the user, otherwise null
+const findExerciseForUser = (db, exerciseId, userId) => {
+    return db.collection('exercises').findOne({ _id: new ObjectId(exerciseId), ...exerciseVisibilityQuery(userId) });
+};
+
+const canManageExercise = (user, exercise) => {
+    if (hasPermission(user.role, 'exercises:manage')) {
+        return true;
+    }
+    return Boolean(exercise.userId) && exercise.userId === user.userId.toString();
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Names are unique, ignoring case, among the global exercises and the user's own ones.
+// Pass no userId for global exercises.
+const findExerciseNameConflict = (db, name, userId, excludeId) => {
+    const query = {
+        name: { $regex: `^${escapeRegex(name)}$`, $options: 'i' },
+        ...(userId ? exerciseVisibilityQuery(userId) : { userId: null })
+    };
+    if (excludeId) {
+        query._id = { $ne: new ObjectId(excludeId) };
+    }
+    return db.collection('exercises').findOne(query);
+};
+
+module.exports = {
+    exerciseVisibilityQuery,
+    findExerciseForUser,
+    canManageExercise,
+    findExerciseNameConflict,
+    escapeRegex
+};
@@ -0,0 +1,33 @@
+// In-memory map whose entries expire after a time to live, for per-process caches and
+// counters. Expired entries are dropped now and then so the map doesn't grow forever.
+const SWEEP_ABOVE_SIZE = 10000;
+
+const createExpiringMap = () => {
+    const entries = new Map();
+
+    // Returns the value, or undefined when there is none or it has expired
+    const get = (key) => {
+        const entry = entries.get(key);
+        return entry && entry.expiresAt > Date.now() ? entry.value : undefined;
+    };
+
+    const set = (key, value, ttlMs) => {
+        const now = Date.now();
+        if (entries.size > SWEEP_ABOVE_SIZE) {
+            for (const [entryKey, entry] of entries) {
+                if (entry.expiresAt <= now) entries.delete(entryKey);
+            }
+        }
+        entries.set(key, { value, expiresAt: now + ttlMs });
+    };
+
+    const remove = (key) => {
+        entries.delete(key);
+    };
+
+    return { get, set, delete: remove };
+};
+
+module.exports = {
+    createExpiringMap
+};
@@ -0,0 +1,195 @@
+const { ObjectId } = require('mongodb');
+const { signJwt, verifyJwt } = require('./signingKeyService');
+
+// External login providers a user can link to their account
+const SUPPORTED_PROVIDERS = ['github', 'google'];
+
+// Linking a provider while logged in goes through the provider's OAuth redirect,
+// so the user's identity is carried across it in a short-lived signed `state` value
+const LINK_STATE_EXPIRES_IN = '10m';
+
+const findUserByIdentity = async (db, provider, providerId) => {
+    return await db.collection('users').findOne({
+        identities: { $elemMatch: { provider, providerId: providerId.toString() } }
+    });
+};
+
+const buildIdentity = (provider, providerId, username, email) => {
+    return {
+        provider,
+        providerId: providerId.toString(),
+        username: username || null,
+        email: email || null,
+        linkedAt: new Date()
+    };
+};
+
+const linkIdentity = async (db, userId, identity) => {
+    await db
+        .collection('users')
+        .updateOne(
+            { _id: userId, 'identities.provider': { $ne: identity.provider } },
+            { $push: { identities: identity }, $set: { updatedAt: new Date() } }
+        );
+};
+
+const unlinkIdentity = async (db, userId, provider) => {
+    await db
+        .collection('users')
+        .updateOne({ _id: userId }, { $pull: { identities: { provider } }, $set: { updatedAt: new Date() } });
+};
+
+// A user must keep at least one way to log in
+const canUnlinkIdentity = (user, provider) => {
+    const identities = user.identities || [];
+    const remaining = identities.filter((identity) => identity.provider !== provider);
+    return Boolean(user.password) || remaining.length > 0;
+};
+
+const createLinkState = (userId, provider) => {
+    return signJwt(
+        { purpose: 'link-identity', userId: userId.toString(), provider },
+        { expiresIn: LINK_STATE_EXPIRES_IN }
+    );
+};
+
+// Returns the userId the link was started for, or null if the state is invalid
+const verifyLinkState = (state, provider) => {
+    try {
+        const payload = verifyJwt(state);
+
+        if (payload.purpose !== 'link-identity' || payload.provider !== provider) {
+            return null;
+        }
+
+        return payload.userId;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Login data from a GitHub profile. Accounts without a public email get a placeholder address.
+const readGitHubProfile = (profile) => {
+    const email = profile.emails?.[0]?.value?.toLowerCase();
+
+    return {
+        identity: buildIdentity('github', profile.id, profile.username, email),
+        email: email || `${profile.username}@github.local`,
+        firstName: profile.displayName?.split(' ')[0] || profile.username,
+        lastName: profile.displayName?.split(' ')[1] || ''
+    };
+};
+
+// Login data from a Google profile, or { error } when Google hasn't verified the address:
+// accounts are never linked or created from it then
+const readGoogleProfile = (profile) => {
+    const primaryEmail = profile.emails?.[0];
+    if (!primaryEmail?.value || primaryEmail.verified === false) {
+        return { error: 'Google account email is not verified' };
+    }
+
+    const email = primaryEmail.value.toLowerCase();
+    return {
+        identity: buildIdentity('google', profile.id, null, email),
+        email,
+        firstName: profile.name?.givenName || profile.displayName?.split(' ')[0] || 'Google',
+        lastName: profile.name?.familyName || profile.displayName?.split(' ')[1] || ''
+    };
+};
+
+// Finds the account for a provider login: first by the linked provider account, then by email
+// (linking the provider to the existing account), otherwise creates a new account.
+// Returns { user } or { error }.
+const findOrCreateOAuthUser = async (db, { identity, email, firstName, lastName }) => {
+    const linkedUser = await findUserByIdentity(db, identity.provider, identity.providerId);
+    if (linkedUser) {
+        return { user: linkedUser };
+    }
+
+    // Linked this way, the provider account is visible and removable under /users/profile/me/identities
+    const emailUser = await db.collection('users').findOne({ email });
+    if (emailUser) {
+        if ((emailUser.identities || []).some((existing) => existing.provider === identity.provider)) {
+            return { error: 'The account with this email is linked to a different account from this provider' };
+        }
+
+        await linkIdentity(db, emailUser._id, identity);
+        return { user: { ...emailUser, identities: [...(emailUser.identities || []), identity] } };
+    }
+
+    const newUser = {
+        firstName,
+        lastName,
+        email,
+        identities: [identity],
+        dateOfBirth: new Date('1990-01-01'), // Default
+        gender: 'NOT_SPECIFIED',
+        height: 170,
+        weight: 70,
+        role: 'user',
+        emailVerified: true, // Provider emails are verified
+        isActive: true,
+        isTestUser: false,
+        createdAt: new Date()
+    };
+
+    const result = await db.collection('users').insertOne(newUser);
+    return { user: { ...newUser, _id: result.insertedId } };
+};
+
+// Links the provider account to the logged-in user who started the flow at
+// POST /users/profile/me/identities. Returns { user } or { error }.
+const linkOAuthIdentity = async (db, state, identity) => {
+    const userId = verifyLinkState(state, identity.provider);
+    if (!userId) {
+        return { error: 'Invalid or expired link request' };
+    }
+
+    const user = await db.collection('users').findOne({ _id: new ObjectId(userId) });
+    if (!user) {
+        return { error: 'Invalid or expired link request' };
+    }
+
+    const owner = await findUserByIdentity(db, identity.provider, identity.providerId);
+    if (owner && !owner._id.equals(user._id)) {
+        return { error: 'This account is already linked to another user' };
+    }
+
+    if ((user.identities || []).some((existing) => existing.provider === identity.provider) && !owner) {
+        return { error: 'A different account from this provider is already linked' };
+    }
+
+    if (!owner) {
+        await linkIdentity(db, user._id, identity);
+    }
+
+    return { user: await db.collection('users').findOne({ _id: user._id }) };
+};
+
+// Links when the flow was started from a logged-in session (the `state` of the OAuth
+// redirect), logs in or registers otherwise. Returns { user, linked } or { error }.
+const verifyOAuthLogin = async (db, state, login) => {
+    if (state) {
+        const { user, error } = await linkOAuthIdentity(db, state, login.identity);
+        return error ? { error } : { user, linked: true };
+    }
+
+    const { user, error } = await findOrCreateOAuthUser(db, login);
+    return error ? { error } : { user, linked: false };
+};
+
+module.exports = {
+    SUPPORTED_PROVIDERS,
+    findUserByIdentity,
+    buildIdentity,
+    linkIdentity,
+    unlinkIdentity,
+    canUnlinkIdentity,
+    createLinkState,
+    verifyLinkState,
+    readGitHubProfile,
+    readGoogleProfile,
+    findOrCreateOAuthUser,
+    linkOAuthIdentity,
+    verifyOAuthLogin
+};
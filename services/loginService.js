@@ -0,0 +1,31 @@
+const { issueRefreshToken } = require('./refreshTokenService');
+const { issueAccessToken } = require('./tokenService');
+const { isTwoFactorRequired } = require('./twoFactorService');
+const { cancelAccountDeletion } = require('./accountDeletionService');
+
+// Starts a session once a user has proven who they are, by password (and 2FA code) or
+// through GitHub/Google. Returns null when the account is deactivated, otherwise
+// { token, refreshToken, twoFactorSetupRequired, deletionCancelled }.
+const startLoginSession = async (db, user) => {
+    if (!user.isActive) {
+        return null;
+    }
+
+    // When the role requires 2FA and it isn't set up yet, the token only reaches the 2FA setup routes
+    const twoFactorSetupRequired = !(user.twoFactor && user.twoFactor.enabled) && (await isTwoFactorRequired(db, user));
+
+    // Logging in cancels a pending account deletion
+    const deletionCancelled = Boolean(user.deletionScheduledAt) && (await cancelAccountDeletion(db, user._id));
+
+    const token = issueAccessToken(user, twoFactorSetupRequired ? { twoFactorSetupRequired: true } : {});
+
+    // No refresh token while 2FA setup is required - refreshing would hand out unrestricted
+    // access tokens. Otherwise a long-lived one, exchanged at POST /auth/refresh.
+    const refreshToken = twoFactorSetupRequired ? null : await issueRefreshToken(db, user._id);
+
+    return { token, refreshToken, twoFactorSetupRequired, deletionCancelled };
+};
+
+module.exports = {
+    startLoginSession
+};
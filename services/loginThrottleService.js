@@ -0,0 +1,108 @@
+// Tracks failed logins per account (normalized email) and per client IP in 'loginAttempts'.
+// Repeated failures on an account add a growing delay before the next attempt; reaching the
+// threshold locks the account or IP out, and each lockout in a row lasts twice as long.
+const MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const MAX_FAILED_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP) || 100;
+const ATTEMPT_WINDOW_MS = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15) * 60 * 1000;
+const LOCKOUT_MS = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+const MAX_DELAY_MS = 30 * 1000;
+
+// Records are kept for a day after the last failure so repeat lockouts keep growing
+const RECORD_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const recordFailure = async (db, scope, key, maxFailures) => {
+    const attempts = db.collection('loginAttempts');
+    const now = new Date();
+
+    // Failures are counted in fixed windows; start a new one when the current window is over
+    await attempts.updateOne(
+        { scope, key, windowStartedAt: { $lt: new Date(now.getTime() - ATTEMPT_WINDOW_MS) } },
+        { $set: { failures: 0, windowStartedAt: now } }
+    );
+
+    const result = await attempts.findOneAndUpdate(
+        { scope, key },
+        {
+            $inc: { failures: 1 },
+            $set: { lastFailureAt: now, expiresAt: new Date(now.getTime() + RECORD_RETENTION_MS) },
+            $setOnInsert: { windowStartedAt: now, lockouts: 0 }
+        },
+        { upsert: true, returnDocument: 'after' }
+    );
+    const entry = result.value;
+
+    if (entry.failures >= maxFailures) {
+        const lockoutMs = LOCKOUT_MS * 2 ** Math.min(entry.lockouts, 5);
+        await attempts.updateOne(
+            { _id: entry._id },
+            {
+                $set: {
+                    failures: 0,
+                    lockedUntil: new Date(now.getTime() + lockoutMs),
+                    expiresAt: new Date(now.getTime() + lockoutMs + RECORD_RETENTION_MS)
+                },
+                $inc: { lockouts: 1 }
+            }
+        );
+    } else if (scope === 'account' && entry.failures > 1) {
+        // 1s after the second failure, then 2s, 4s, ... up to MAX_DELAY_MS
+        const delayMs = Math.min(1000 * 2 ** (entry.failures - 2), MAX_DELAY_MS);
+        await attempts.updateOne({ _id: entry._id }, { $set: { nextAttemptAt: new Date(now.getTime() + delayMs) } });
+    }
+};
+
+// Returns the number of seconds until the next attempt is allowed, or 0 when it is allowed now
+const getLoginRetryAfter = async (db, email, ip) => {
+    const now = new Date();
+    const entries = await db
+        .collection('loginAttempts')
+        .find({
+            $or: [
+                { scope: 'account', key: email },
+                { scope: 'ip', key: ip }
+            ]
+        })
+        .toArray();
+
+    const blockedUntil = Math.max(
+        now.getTime(),
+        ...entries
+            .flatMap((entry) => [entry.lockedUntil, entry.nextAttemptAt])
+            .filter(Boolean)
+            .map((date) => date.getTime())
+    );
+
+    return Math.ceil((blockedUntil - now.getTime()) / 1000);
+};
+
+const recordLoginFailure = async (db, email, ip) => {
+    await recordFailure(db, 'account', email, MAX_FAILED_ATTEMPTS);
+    await recordFailure(db, 'ip', ip, MAX_FAILED_ATTEMPTS_PER_IP);
+};
+
+// Called after a successful login and when an admin clears a lockout.
+// IP records are left alone so one good login can't hide guessing against other accounts.
+const clearAccountLoginFailures = async (db, email) => {
+    const result = await db.collection('loginAttempts').deleteOne({ scope: 'account', key: email });
+    return result.deletedCount > 0;
+};
+
+const getAccountLockout = async (db, email) => {
+    const entry = await db.collection('loginAttempts').findOne({ scope: 'account', key: email });
+    const now = new Date();
+
+    return {
+        failedAttempts: entry ? entry.failures : 0,
+        locked: Boolean(entry && entry.lockedUntil > now),
+        lockedUntil: entry && entry.lockedUntil > now ? entry.lockedUntil : null,
+        lockouts: entry ? entry.lockouts : 0,
+        lastFailureAt: entry ? entry.lastFailureAt : null
+    };
+};
+
+module.exports = {
+    getLoginRetryAfter,
+    recordLoginFailure,
+    clearAccountLoginFailures,
+    getAccountLockout
+};
@@ -0,0 +1,56 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Outgoing mail goes through the transport named by MAIL_TRANSPORT. Two are built in:
+//   console - prints messages to the log (default, for local development)
+//   file    - writes each message as a JSON file into MAIL_OUTBOX_DIR (used by the test suite)
+// Real delivery (SMTP, an email API, ...) is added with registerTransport(name, { send }).
+const transports = {
+    console: {
+        send: async (message) => {
+            console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        }
+    },
+    file: {
+        send: async (message) => {
+            const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+            await fs.mkdir(outboxDir, { recursive: true });
+
+            const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+            await fs.writeFile(path.join(outboxDir, fileName), JSON.stringify(message, null, 2));
+        }
+    }
+};
+
+const registerTransport = (name, transport) => {
+    transports[name] = transport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+    const transportName = process.env.MAIL_TRANSPORT || 'console';
+    const transport = transports[transportName];
+
+    if (!transport) {
+        throw new Error(`Unknown mail transport: ${transportName}`);
+    }
+
+    await transport.send({
+        from: process.env.MAIL_FROM || 'Fitness Tracker <no-reply@fitness-tracker.local>',
+        to,
+        subject,
+        text,
+        sentAt: new Date().toISOString()
+    });
+};
+
+// Base URL used in links sent by email
+const getAppUrl = () => {
+    return process.env.APP_URL || `http://localhost:${process.env.PORT || 8081}`;
+};
+
+module.exports = {
+    sendMail,
+    registerTransport,
+    getAppUrl
+};
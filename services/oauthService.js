@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { generateToken, hashToken } = require('./tokenUtils');
+const { isAccessTokenRevoked } = require('./revocationService');
+const { issueAccessToken, verifyAccessToken } = require('./tokenService');
+
+// OAuth2 authorization server for third-party applications (authorization code flow with PKCE).
+// Collections:
+//   oauthClients             - registered applications; confidential clients have a hashed secret
+//   oauthAuthorizationCodes  - single-use codes, removed when exchanged or by the TTL index
+//   oauthConsents            - scopes each user has granted to each client
+//   oauthRefreshTokens       - rotated on every use, separate from first-party refresh tokens
+const AUTHORIZATION_CODE_TTL_MS = 10 * 60 * 1000;
+const ACCESS_TOKEN_EXPIRES_IN_SECONDS = 60 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.OAUTH_REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const secretsMatch = (value, expectedHash) => {
+    const actual = Buffer.from(hashToken(value));
+    const expected = Buffer.from(expectedHash);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Clients
+
+const toClientSummary = (client) => ({
+    clientId: client.clientId,
+    name: client.name,
+    redirectUris: client.redirectUris,
+    confidential: client.confidential,
+    createdAt: client.createdAt
+});
+
+// Returns the client and, for confidential clients, its secret (only available now)
+const registerClient = async (db, { name, redirectUris, confidential }, createdBy) => {
+    const clientSecret = confidential ? generateToken(32) : null;
+    const client = {
+        clientId: generateToken(16),
+        clientSecretHash: clientSecret ? hashToken(clientSecret) : null,
+        name,
+        redirectUris,
+        confidential,
+        createdBy: createdBy.toString(),
+        createdAt: new Date()
+    };
+    await db.collection('oauthClients').insertOne(client);
+
+    return { client: toClientSummary(client), clientSecret };
+};
+
+const findClient = async (db, clientId) => {
+    if (typeof clientId !== 'string') {
+        return null;
+    }
+    return db.collection('oauthClients').findOne({ clientId });
+};
+
+const listClients = async (db) => {
+    const clients = await db.collection('oauthClients').find({}).sort({ createdAt: -1 }).toArray();
+    return clients.map(toClientSummary);
+};
+
+// Removes the client with its consents, codes and refresh tokens. Access tokens already
+// issued stop working with the consents (see isConsentCurrent).
+const deleteClient = async (db, clientId) => {
+    const result = await db.collection('oauthClients').deleteOne({ clientId });
+    if (result.deletedCount === 0) {
+        return false;
+    }
+
+    await db.collection('oauthConsents').deleteMany({ clientId });
+    await db.collection('oauthAuthorizationCodes').deleteMany({ clientId });
+    await db.collection('oauthRefreshTokens').deleteMany({ clientId });
+    return true;
+};
+
+// Public clients only identify themselves; confidential clients must also send their secret
+const authenticateClient = async (db, clientId, clientSecret) => {
+    const client = await findClient(db, clientId);
+    if (!client) {
+        return null;
+    }
+
+    if (
+        client.confidential &&
+        (typeof clientSecret !== 'string' || !secretsMatch(clientSecret, client.clientSecretHash))
+    ) {
+        return null;
+    }
+    return client;
+};
+
+// Authorization codes
+
+const createAuthorizationCode = async (db, { clientId, userId, redirectUri, scopes, codeChallenge }) => {
+    const code = generateToken(32);
+    const now = new Date();
+
+    await db.collection('oauthAuthorizationCodes').insertOne({
+        codeHash: hashToken(code),
+        clientId,
+        userId: userId.toString(),
+        redirectUri,
+        scopes,
+        codeChallenge,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + AUTHORIZATION_CODE_TTL_MS)
+    });
+
+    return code;
+};
+
+// Removes the code so it can only be exchanged once. Returns null for unknown or expired codes.
+const consumeAuthorizationCode = async (db, code) => {
+    if (typeof code !== 'string') {
+        return null;
+    }
+
+    const result = await db
+        .collection('oauthAuthorizationCodes')
+        .findOneAndDelete({ codeHash: hashToken(code), expiresAt: { $gt: new Date() } });
+    return result.value;
+};
+
+// PKCE (RFC 7636) with the S256 method
+const verifyCodeVerifier = (codeVerifier, codeChallenge) => {
+    if (typeof codeVerifier !== 'string' || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)) {
+        return false;
+    }
+
+    const actual = Buffer.from(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    const expected = Buffer.from(codeChallenge);
+    return actual.length === expected.length && crypto.timingSafeEqual(actual, expected);
+};
+
+// Consents
+
+const findConsent = async (db, userId, clientId) => {
+    return db.collection('oauthConsents').findOne({ userId: userId.toString(), clientId });
+};
+
+const saveConsent = async (db, userId, clientId, scopes) => {
+    const now = new Date();
+    await db.collection('oauthConsents').updateOne(
+        { userId: userId.toString(), clientId },
+        {
+            $addToSet: { scopes: { $each: scopes } },
+            $set: { updatedAt: now },
+            $setOnInsert: { createdAt: now }
+        },
+        { upsert: true }
+    );
+};
+
+const listConsents = async (db, userId) => {
+    return db.collection('oauthConsents').find({ userId: userId.toString() }).sort({ createdAt: -1 }).toArray();
+};
+
+// Withdraws access for an application, including its refresh and access tokens
+const revokeConsent = async (db, userId, clientId) => {
+    const result = await db.collection('oauthConsents').deleteOne({ userId: userId.toString(), clientId });
+    await db
+        .collection('oauthRefreshTokens')
+        .updateMany({ userId: userId.toString(), clientId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+    return result.deletedCount > 0;
+};
+
+// Tokens
+
+// Access tokens carry the consent they were issued under and only work while it exists.
+// Access granted again after a revocation is a new consent, so older tokens stay revoked.
+const isConsentCurrent = async (db, payload) => {
+    const consent = await findConsent(db, payload.userId, payload.clientId);
+    return Boolean(consent) && consent._id.toString() === payload.consentId;
+};
+
+// Third-party tokens never carry the user's elevated role; scopes decide what they can reach.
+// Returns null when the user has revoked access in the meantime.
+const issueOAuthTokens = async (db, user, clientId, scopes) => {
+    const consent = await findConsent(db, user._id, clientId);
+    if (!consent) {
+        return null;
+    }
+
+    const accessToken = issueAccessToken(
+        user,
+        { role: 'user', clientId, consentId: consent._id.toString(), scope: scopes.join(' ') },
+        ACCESS_TOKEN_EXPIRES_IN_SECONDS
+    );
+
+    const refreshToken = generateToken(48);
+    const now = new Date();
+    await db.collection('oauthRefreshTokens').insertOne({
+        tokenHash: hashToken(refreshToken),
+        clientId,
+        userId: user._id.toString(),
+        scopes,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        revokedAt: null
+    });
+
+    return {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: ACCESS_TOKEN_EXPIRES_IN_SECONDS,
+        refresh_token: refreshToken,
+        scope: scopes.join(' ')
+    };
+};
+
+// Marks the refresh token as used and returns it, or null when it can't be used by this client
+const consumeOAuthRefreshToken = async (db, token, clientId) => {
+    if (typeof token !== 'string') {
+        return null;
+    }
+
+    const result = await db
+        .collection('oauthRefreshTokens')
+        .findOneAndUpdate(
+            { tokenHash: hashToken(token), clientId, revokedAt: null, expiresAt: { $gt: new Date() } },
+            { $set: { revokedAt: new Date() } }
+        );
+    return result.value;
+};
+
+// Token introspection (RFC 7662). Tokens of other clients are reported as inactive.
+const introspectToken = async (db, token, clientId) => {
+    if (typeof token !== 'string' || token.length === 0) {
+        return { active: false };
+    }
+
+    try {
+        const payload = verifyAccessToken(token);
+
+        if (
+            payload.clientId !== clientId ||
+            (await isAccessTokenRevoked(db, payload)) ||
+            !(await isConsentCurrent(db, payload))
+        ) {
+            return { active: false };
+        }
+
+        return {
+            active: true,
+            token_type: 'access_token',
+            scope: payload.scope,
+            client_id: payload.clientId,
+            sub: payload.userId.toString(),
+            iat: payload.iat,
+            exp: payload.exp
+        };
+    } catch (error) {
+        // Not a valid access token; it may still be a refresh token
+    }
+
+    const refreshToken = await db.collection('oauthRefreshTokens').findOne({
+        tokenHash: hashToken(token),
+        clientId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    });
+
+    if (!refreshToken) {
+        return { active: false };
+    }
+
+    return {
+        active: true,
+        token_type: 'refresh_token',
+        scope: refreshToken.scopes.join(' '),
+        client_id: refreshToken.clientId,
+        sub: refreshToken.userId,
+        iat: Math.floor(refreshToken.createdAt.getTime() / 1000),
+        exp: Math.floor(refreshToken.expiresAt.getTime() / 1000)
+    };
+};
+
+module.exports = {
+    registerClient,
+    findClient,
+    listClients,
+    deleteClient,
+    authenticateClient,
+    createAuthorizationCode,
+    consumeAuthorizationCode,
+    verifyCodeVerifier,
+    findConsent,
+    saveConsent,
+    listConsents,
+    revokeConsent,
+    isConsentCurrent,
+    issueOAuthTokens,
+    consumeOAuthRefreshToken,
+    introspectToken
+};
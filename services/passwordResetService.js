@@ -0,0 +1,55 @@
+const { createActionToken, findActionToken, consumeActionToken } = require('./actionTokenService');
+const { sendMail, getAppUrl } = require('./mailService');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Minimum time between two reset emails to the same account, so nobody can flood a mailbox
+const PASSWORD_RESET_COOLDOWN_SECONDS = parseInt(process.env.PASSWORD_RESET_COOLDOWN_SECONDS) || 60;
+
+const isResetOnCooldown = (user) => {
+    if (!user.passwordResetSentAt) {
+        return false;
+    }
+
+    const elapsedMs = Date.now() - new Date(user.passwordResetSentAt).getTime();
+    return elapsedMs < PASSWORD_RESET_COOLDOWN_SECONDS * 1000;
+};
+
+const sendPasswordResetEmail = async (db, user) => {
+    const token = await createActionToken(db, 'password-reset', user._id, PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+    await db.collection('users').updateOne({ _id: user._id }, { $set: { passwordResetSentAt: new Date() } });
+
+    // PASSWORD_RESET_URL points at the client page that collects the new password
+    const resetUrl = process.env.PASSWORD_RESET_URL || `${getAppUrl()}/reset-password`;
+
+    await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text:
+            `Hi ${user.firstName},\n\n` +
+            'Someone asked to reset the password for your account. To choose a new password, open:\n\n' +
+            `${resetUrl}?token=${encodeURIComponent(token)}\n\n` +
+            `This link expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. ` +
+            'If you did not ask for a reset, you can ignore this email.'
+    });
+};
+
+// Returns the ID of the user the token was issued for, or null when it is invalid.
+// findPasswordResetToken leaves the token usable so a rejected new password doesn't burn it.
+const findPasswordResetToken = async (db, token) => {
+    const actionToken = await findActionToken(db, 'password-reset', token);
+    return actionToken ? actionToken.userId : null;
+};
+
+const consumePasswordResetToken = async (db, token) => {
+    const actionToken = await consumeActionToken(db, 'password-reset', token);
+    return actionToken ? actionToken.userId : null;
+};
+
+module.exports = {
+    isResetOnCooldown,
+    sendPasswordResetEmail,
+    findPasswordResetToken,
+    consumePasswordResetToken
+};
@@ -0,0 +1,54 @@
+const bcrypt = require('bcrypt');
+
+// How many recent passwords (including the current one) can't be reused
+const PASSWORD_HISTORY_SIZE = parseInt(process.env.PASSWORD_HISTORY_SIZE) || 5;
+
+const hashPassword = async (password) => {
+    const saltRounds = parseInt(process.env.BCRYPT_SALT_ROUNDS);
+    return await bcrypt.hash(password, saltRounds);
+};
+
+const isPasswordReused = async (user, password) => {
+    const recentHashes = [user.password, ...(user.passwordHistory || [])]
+        .filter(Boolean)
+        .slice(0, PASSWORD_HISTORY_SIZE);
+
+    for (const hash of recentHashes) {
+        if (await bcrypt.compare(password, hash)) {
+            return true;
+        }
+    }
+
+    return false;
+};
+
+// Update document that sets the new password hash and moves the old one into the history
+const buildPasswordUpdate = (user, hashedPassword, extraFields = {}) => {
+    const now = new Date();
+    const update = {
+        $set: {
+            password: hashedPassword,
+            passwordChangedAt: now,
+            updatedAt: now,
+            ...extraFields
+        }
+    };
+
+    if (user.password) {
+        update.$push = {
+            passwordHistory: {
+                $each: [user.password],
+                $position: 0,
+                $slice: Math.max(PASSWORD_HISTORY_SIZE - 1, 0)
+            }
+        };
+    }
+
+    return update;
+};
+
+module.exports = {
+    hashPassword,
+    isPasswordReused,
+    buildPasswordUpdate
+};
@@ -0,0 +1,221 @@
+const { DISTANCE_ACTIVITIES } = require('../config/exercises');
+
+// Personal records live in 'personalRecords', one document each time a user beats a best:
+// { userId, type, key, exerciseId, exerciseName, exerciseType, value, unit, previousValue,
+//   details, workoutId, achievedAt, createdAt }
+// Exercise records are keyed by library exercise, or by name for free-form exercises; workout
+// records by exercise type. The best value per type and key is the current record, the other
+// documents are its history. Whenever a workout changes its records are worked out again.
+const RECORD_TYPES = {
+    heaviestWeight: { unit: 'kg', higherIsBetter: true },
+    estimatedOneRepMax: { unit: 'kg', higherIsBetter: true },
+    longestDuration: { unit: 'min', higherIsBetter: true },
+    fastestPace: { unit: 'sec/km', higherIsBetter: false }
+};
+
+const POUNDS_TO_KG = 0.45359237;
+
+// One-rep max estimates get unreliable past ten reps
+const MAX_REPS_FOR_ONE_REP_MAX = 10;
+
+const round = (value, decimals) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+const isBetter = (type, value, best) => {
+    return RECORD_TYPES[type].higherIsBetter ? value > best : value < best;
+};
+
+const recordKey = (record) => `${record.type}|${record.key}`;
+
+// Epley and Brzycki estimates of a set, with their average as the recorded value
+const estimateOneRepMax = (weight, reps) => {
+    if (reps < 1 || reps > MAX_REPS_FOR_ONE_REP_MAX) {
+        return null;
+    }
+
+    const epley = reps === 1 ? weight : weight * (1 + reps / 30);
+    const brzycki = reps === 1 ? weight : (weight * 36) / (37 - reps);
+    return { epley: round(epley, 1), brzycki: round(brzycki, 1), value: round((epley + brzycki) / 2, 1) };
+};
+
+// The best value the workout reaches for every record type, as candidate records
+const collectWorkoutBests = (workout) => {
+    const bests = new Map();
+    const offer = (candidate) => {
+        const current = bests.get(recordKey(candidate));
+        if (!current || isBetter(candidate.type, candidate.value, current.value)) {
+            bests.set(recordKey(candidate), candidate);
+        }
+    };
+
+    for (const exercise of workout.exercises || []) {
+        const exerciseRecord = {
+            key: exercise.exerciseId ? `exercise:${exercise.exerciseId}` : `name:${exercise.name.toLowerCase()}`,
+            exerciseId: exercise.exerciseId || null,
+            exerciseName: exercise.name,
+            exerciseType: null
+        };
+
+        for (const set of exercise.sets || []) {
+            // Planned sets from a template haven't been done yet
+            if (set.performed === false || !set.weight || !set.reps) continue;
+
+            const weightKg = set.unit === 'lb' ? set.weight * POUNDS_TO_KG : set.weight;
+            const details = { weight: set.weight, unit: set.unit, reps: set.reps };
+            offer({ ...exerciseRecord, type: 'heaviestWeight', value: round(weightKg, 2), details });
+
+            const oneRepMax = estimateOneRepMax(weightKg, set.reps);
+            if (oneRepMax) {
+                const { epley, brzycki, value } = oneRepMax;
+                offer({
+                    ...exerciseRecord,
+                    type: 'estimatedOneRepMax',
+                    value,
+                    details: { ...details, epley, brzycki }
+                });
+            }
+        }
+    }
+
+    const workoutRecord = {
+        key: `type:${workout.exerciseType}`,
+        exerciseId: null,
+        exerciseName: null,
+        exerciseType: workout.exerciseType
+    };
+
+    if (workout.duration > 0) {
+        offer({ ...workoutRecord, type: 'longestDuration', value: workout.duration, details: {} });
+    }
+
+    if (DISTANCE_ACTIVITIES.includes(workout.exerciseType) && workout.distance > 0 && workout.duration > 0) {
+        const pace = Math.round((workout.duration * 60) / workout.distance);
+        offer({ ...workoutRecord, type: 'fastestPace', value: pace, details: { distance: workout.distance } });
+    }
+
+    return [...bests.values()];
+};
+
+// Best record per type and key among the given records
+const currentBests = (records) => {
+    const bests = new Map();
+    for (const record of records) {
+        const current = bests.get(recordKey(record));
+        if (!current || isBetter(record.type, record.value, current.value)) {
+            bests.set(recordKey(record), record);
+        }
+    }
+    return bests;
+};
+
+const formatRecord = (record) => ({
+    _id: record._id,
+    type: record.type,
+    exerciseId: record.exerciseId,
+    exerciseName: record.exerciseName,
+    exerciseType: record.exerciseType,
+    value: record.value,
+    unit: record.unit,
+    previousValue: record.previousValue,
+    details: record.details,
+    workoutId: record.workoutId,
+    achievedAt: record.achievedAt
+});
+
+// Works out the records the workout holds against the user's other workouts. A record the
+// workout already held is corrected in place unless the new value beats it; returns only
+// the records the workout newly set.
+const updatePersonalRecords = async (db, workout) => {
+    const workoutId = workout._id.toString();
+    const previousRecords = await db.collection('personalRecords').find({ workoutId }).toArray();
+    const candidates = workout.userId ? collectWorkoutBests(workout) : [];
+
+    let otherRecords = [];
+    if (candidates.length > 0) {
+        otherRecords = await db
+            .collection('personalRecords')
+            .find({
+                userId: workout.userId,
+                workoutId: { $ne: workoutId },
+                key: { $in: candidates.map((candidate) => candidate.key) }
+            })
+            .toArray();
+    }
+    const otherBests = currentBests(otherRecords);
+
+    const keptIds = [];
+    const newRecords = [];
+    for (const candidate of candidates) {
+        const best = otherBests.get(recordKey(candidate));
+        if (best && !isBetter(candidate.type, candidate.value, best.value)) continue;
+
+        // The owner is set on held records too, as the workout may have been reassigned
+        const record = {
+            ...candidate,
+            userId: workout.userId,
+            previousValue: best ? best.value : null,
+            achievedAt: workout.date
+        };
+
+        const held = previousRecords.find((previous) => recordKey(previous) === recordKey(candidate));
+        if (held && !isBetter(candidate.type, candidate.value, held.value)) {
+            keptIds.push(held._id);
+            await db.collection('personalRecords').updateOne({ _id: held._id }, { $set: record });
+            continue;
+        }
+
+        newRecords.push({
+            ...record,
+            unit: RECORD_TYPES[candidate.type].unit,
+            workoutId,
+            createdAt: new Date()
+        });
+    }
+
+    const staleIds = previousRecords.filter((record) => !keptIds.includes(record._id)).map((record) => record._id);
+    if (staleIds.length > 0) {
+        await db.collection('personalRecords').deleteMany({ _id: { $in: staleIds } });
+    }
+    if (newRecords.length > 0) {
+        await db.collection('personalRecords').insertMany(newRecords);
+    }
+
+    return newRecords.map(formatRecord);
+};
+
+const removeWorkoutRecords = async (db, workoutId) => {
+    await db.collection('personalRecords').deleteMany({ workoutId: workoutId.toString() });
+};
+
+// Current records of a user, optionally of one type, grouped by exercise then type
+const listPersonalRecords = async (db, userId, type) => {
+    const query = { userId: userId.toString() };
+    if (type) query.type = type;
+
+    const records = await db.collection('personalRecords').find(query).toArray();
+    return [...currentBests(records).values()]
+        .sort(
+            (a, b) =>
+                String(a.exerciseName || a.exerciseType).localeCompare(String(b.exerciseName || b.exerciseType)) ||
+                a.type.localeCompare(b.type)
+        )
+        .map(formatRecord);
+};
+
+// Every record a user set, newest first
+const listPersonalRecordHistory = async (db, userId, type) => {
+    const query = { userId: userId.toString() };
+    if (type) query.type = type;
+
+    const records = await db.collection('personalRecords').find(query).sort({ achievedAt: -1 }).toArray();
+    return records.map(formatRecord);
+};
+
+module.exports = {
+    RECORD_TYPES,
+    estimateOneRepMax,
+    collectWorkoutBests,
+    updatePersonalRecords,
+    removeWorkoutRecords,
+    listPersonalRecords,
+    listPersonalRecordHistory
+};
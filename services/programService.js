@@ -0,0 +1,211 @@
+const { ObjectId } = require('mongodb');
+const { hasPermission } = require('../config/roles');
+const { normalizeProgression } = require('../validators/programValidator');
+const { sharedWithUserQuery } = require('./coachingService');
+const { buildExercises } = require('./workoutExerciseService');
+
+// Training programs live in 'programs' and are shared like templates (see sharedWithUserQuery).
+// A program lasts durationWeeks and lists sessions on a day (1-7) of a given week, or of
+// every week when the session has no week. Users enroll with a start date, which is day 1
+// of week 1, in 'programEnrollments'. Logging a workout for a scheduled session adds it to
+// the enrollment's completedSessions; sessions whose date has passed without one are missed.
+// Dates are whole UTC days.
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfUtcDay = (date) => {
+    const day = new Date(date);
+    return new Date(Date.UTC(day.getUTCFullYear(), day.getUTCMonth(), day.getUTCDate()));
+};
+
+const formatDay = (date) => date.toISOString().slice(0, 10);
+
+// Returns the program when it exists and the user can see it, otherwise null
+const findProgramForUser = async (db, programId, user) => {
+    const query = { _id: new ObjectId(programId) };
+    if (!hasPermission(user.role, 'programs:manage')) {
+        Object.assign(query, await sharedWithUserQuery(db, user.userId));
+    }
+    return db.collection('programs').findOne(query);
+};
+
+const canManageProgram = (user, program) => {
+    return program.userId === user.userId.toString() || hasPermission(user.role, 'programs:manage');
+};
+
+// Builds stored sessions from validated input. Sessions sent with the _id of an existing
+// one keep it, so completions recorded in enrollments still match after an update.
+// Returns null when an exercise references a missing library exercise.
+const buildSessions = async (db, sessionsData, ownerId, currentSessions = []) => {
+    const sessions = [];
+    for (const sessionData of sessionsData) {
+        const exercises = await buildExercises(db, sessionData.exercises || [], ownerId);
+        if (!exercises) {
+            return null;
+        }
+
+        const existing = currentSessions.find((session) => session._id.toString() === String(sessionData._id));
+        sessions.push({
+            _id: existing ? existing._id : new ObjectId(),
+            name: sessionData.name.trim(),
+            week: sessionData.week !== undefined && sessionData.week !== null ? Number(sessionData.week) : null,
+            day: Number(sessionData.day),
+            duration:
+                sessionData.duration !== undefined && sessionData.duration !== null
+                    ? Number(sessionData.duration)
+                    : null,
+            exercises: exercises.map((exercise, index) => ({
+                ...exercise,
+                progression: normalizeProgression(sessionData.exercises[index].progression)
+            }))
+        });
+    }
+    return sessions;
+};
+
+// Every scheduled session of an enrollment in date order: [{ session, week, date }]
+const listScheduledSessions = (program, enrollment) => {
+    const start = startOfUtcDay(enrollment.startDate).getTime();
+    const scheduled = [];
+
+    for (let week = 1; week <= program.durationWeeks; week++) {
+        for (const session of program.sessions) {
+            if (session.week && session.week !== week) continue;
+            scheduled.push({ session, week, date: new Date(start + ((week - 1) * 7 + session.day - 1) * DAY_MS) });
+        }
+    }
+
+    return scheduled.sort((a, b) => a.date - b.date);
+};
+
+// The program week a date falls in, counting from the enrollment start
+const weekOfDate = (enrollment, date) => {
+    const days = Math.floor((startOfUtcDay(date) - startOfUtcDay(enrollment.startDate)) / DAY_MS);
+    return Math.floor(days / 7) + 1;
+};
+
+const findScheduledSession = (program, enrollment, sessionId, week) => {
+    return (
+        listScheduledSessions(program, enrollment).find(
+            (scheduled) => scheduled.session._id.toString() === sessionId.toString() && scheduled.week === week
+        ) || null
+    );
+};
+
+const findCompletion = (enrollment, scheduled) => {
+    return (enrollment.completedSessions || []).find(
+        (completion) => completion.sessionId === scheduled.session._id.toString() && completion.week === scheduled.week
+    );
+};
+
+// Target sets of the session's exercises for the given week, after progression
+const prescribeExercises = (exercises, week) => {
+    return exercises.map((exercise) => {
+        const progression = exercise.progression;
+        const steps = progression ? Math.floor((week - 1) / progression.everyWeeks) : 0;
+        if (steps === 0) {
+            return exercise;
+        }
+
+        return {
+            ...exercise,
+            sets: exercise.sets.map((set) => ({
+                ...set,
+                reps: Math.max(0, set.reps + steps * progression.repsIncrement),
+                weight:
+                    set.weight === null
+                        ? null
+                        : Math.max(0, Math.round((set.weight + steps * progression.weightIncrement) * 100) / 100)
+            }))
+        };
+    });
+};
+
+// Status is completed, missed (date passed without a workout), due (today) or upcoming
+const describeScheduledSession = (enrollment, scheduled, today) => {
+    const completion = findCompletion(enrollment, scheduled);
+
+    let status = 'upcoming';
+    if (completion) {
+        status = 'completed';
+    } else if (scheduled.date < today) {
+        status = 'missed';
+    } else if (scheduled.date.getTime() === today.getTime()) {
+        status = 'due';
+    }
+
+    return {
+        sessionId: scheduled.session._id,
+        name: scheduled.session.name,
+        week: scheduled.week,
+        day: scheduled.session.day,
+        date: formatDay(scheduled.date),
+        status,
+        workoutId: completion ? completion.workoutId : null
+    };
+};
+
+const summarizeEnrollment = (program, enrollment, today) => {
+    const sessions = listScheduledSessions(program, enrollment).map((scheduled) =>
+        describeScheduledSession(enrollment, scheduled, today)
+    );
+    const count = (...statuses) => sessions.filter((session) => statuses.includes(session.status)).length;
+
+    return {
+        totalSessions: sessions.length,
+        completed: count('completed'),
+        missed: count('missed'),
+        remaining: count('due', 'upcoming'),
+        missedSessions: sessions.filter((session) => session.status === 'missed')
+    };
+};
+
+// Records the workout for a scheduled session; the enrollment is completed with its last session
+const completeScheduledSession = async (db, program, enrollment, scheduled, workoutId) => {
+    const completion = {
+        sessionId: scheduled.session._id.toString(),
+        week: scheduled.week,
+        workoutId: workoutId.toString(),
+        completedAt: new Date()
+    };
+
+    const completedCount = (enrollment.completedSessions || []).length + 1;
+    const update = { $push: { completedSessions: completion } };
+    if (completedCount >= listScheduledSessions(program, enrollment).length) {
+        update.$set = { status: 'completed', completedAt: completion.completedAt };
+    }
+
+    await db.collection('programEnrollments').updateOne({ _id: enrollment._id }, update);
+};
+
+// Undoes completeScheduledSession when the workout is deleted
+const releaseScheduledSession = async (db, workout) => {
+    await db
+        .collection('programEnrollments')
+        .updateOne(
+            { _id: new ObjectId(workout.programSession.enrollmentId) },
+            { $pull: { completedSessions: { workoutId: workout._id.toString() } } }
+        );
+    await db
+        .collection('programEnrollments')
+        .updateOne(
+            { _id: new ObjectId(workout.programSession.enrollmentId), status: 'completed' },
+            { $set: { status: 'active' }, $unset: { completedAt: '' } }
+        );
+};
+
+module.exports = {
+    startOfUtcDay,
+    formatDay,
+    findProgramForUser,
+    canManageProgram,
+    buildSessions,
+    listScheduledSessions,
+    weekOfDate,
+    findScheduledSession,
+    findCompletion,
+    prescribeExercises,
+    describeScheduledSession,
+    summarizeEnrollment,
+    completeScheduledSession,
+    releaseScheduledSession
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const { generateToken, hashToken } = require('./tokenUtils');
+
+// Refresh tokens are opaque random strings stored as hashes. Every login starts a new
+// "family"; each rotation issues a new token in the same family and marks the old one as replaced.
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const issueRefreshToken = async (db, userId, familyId = crypto.randomUUID()) => {
+    const token = generateToken(48);
+    const now = new Date();
+
+    await db.collection('refreshTokens').insertOne({
+        tokenHash: hashToken(token),
+        userId: userId.toString(),
+        familyId,
+        createdAt: now,
+        expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+        replacedAt: null,
+        revokedAt: null
+    });
+
+    return token;
+};
+
+const revokeTokenFamily = async (db, familyId, reason) => {
+    await db
+        .collection('refreshTokens')
+        .updateMany({ familyId, revokedAt: null }, { $set: { revokedAt: new Date(), revokedReason: reason } });
+};
+
+const revokeAllUserRefreshTokens = async (db, userId, reason) => {
+    await db
+        .collection('refreshTokens')
+        .updateMany(
+            { userId: userId.toString(), revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+};
+
+// Revokes the family of a single refresh token, e.g. on logout. Tokens belonging
+// to another user are ignored so one user can't log somebody else out.
+const revokeRefreshToken = async (db, token, userId, reason) => {
+    const existing = await db.collection('refreshTokens').findOne({ tokenHash: hashToken(token) });
+
+    if (existing && existing.userId === userId.toString()) {
+        await revokeTokenFamily(db, existing.familyId, reason);
+    }
+};
+
+// Exchanges a refresh token for a new one in the same family.
+// Returns { status: 'rotated', userId, familyId, refreshToken } on success,
+// { status: 'reused' } when an already-rotated token is presented (the whole family is revoked),
+// or { status: 'invalid' } for unknown, expired or revoked tokens.
+const rotateRefreshToken = async (db, token) => {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    // Mark the token as replaced atomically so two concurrent requests can't both rotate it
+    const result = await db
+        .collection('refreshTokens')
+        .findOneAndUpdate(
+            { tokenHash, replacedAt: null, revokedAt: null, expiresAt: { $gt: now } },
+            { $set: { replacedAt: now } }
+        );
+
+    if (!result.value) {
+        const existing = await db.collection('refreshTokens').findOne({ tokenHash });
+
+        // A token that was already rotated is being presented again - assume it was stolen
+        if (existing && existing.replacedAt) {
+            await revokeTokenFamily(db, existing.familyId, 'reuse_detected');
+            return { status: 'reused' };
+        }
+
+        return { status: 'invalid' };
+    }
+
+    const { userId, familyId } = result.value;
+    const refreshToken = await issueRefreshToken(db, userId, familyId);
+
+    return { status: 'rotated', userId, familyId, refreshToken };
+};
+
+module.exports = {
+    issueRefreshToken,
+    rotateRefreshToken,
+    revokeTokenFamily,
+    revokeRefreshToken,
+    revokeAllUserRefreshTokens
+};
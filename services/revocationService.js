@@ -0,0 +1,57 @@
+const { revokeAllUserRefreshTokens } = require('./refreshTokenService');
+const { bumpTokenVersion, isTokenVersionCurrent } = require('./tokenService');
+
+// Access tokens are stateless JWTs, so revoking one means remembering it until it
+// would have expired on its own. Single tokens (logout) are kept in 'revokedTokens'
+// as { type: 'token', jti } and removed by MongoDB's TTL index once they expire.
+// Every token of a user is revoked at once by bumping their tokenVersion (see tokenService).
+const revokeAccessToken = async (db, payload) => {
+    if (!payload.jti) {
+        return;
+    }
+
+    await db.collection('revokedTokens').updateOne(
+        { type: 'token', jti: payload.jti },
+        {
+            $set: {
+                userId: payload.userId.toString(),
+                revokedAt: new Date(),
+                expiresAt: new Date(payload.exp * 1000)
+            }
+        },
+        { upsert: true }
+    );
+};
+
+const revokeAllUserAccessTokens = async (db, userId) => {
+    await bumpTokenVersion(db, userId);
+};
+
+// Ends every session of a user: outstanding access tokens (third-party ones included) and all
+// refresh tokens, so third-party applications must ask for access again. API keys aren't
+// sessions and keep working until they are revoked.
+const revokeUserSessions = async (db, userId, reason) => {
+    await revokeAllUserAccessTokens(db, userId);
+    await revokeAllUserRefreshTokens(db, userId, reason);
+    await db
+        .collection('oauthRefreshTokens')
+        .updateMany({ userId: userId.toString(), revokedAt: null }, { $set: { revokedAt: new Date() } });
+};
+
+const isAccessTokenRevoked = async (db, payload) => {
+    if (payload.jti) {
+        const entry = await db.collection('revokedTokens').findOne({ type: 'token', jti: payload.jti });
+        if (entry) {
+            return true;
+        }
+    }
+
+    return !(await isTokenVersionCurrent(db, payload));
+};
+
+module.exports = {
+    revokeAccessToken,
+    revokeAllUserAccessTokens,
+    revokeUserSessions,
+    isAccessTokenRevoked
+};
@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+// Signs and verifies every JWT the API issues.
+//
+// Tokens are signed with a private key from JWT_SIGNING_KEYS_DIR: one PEM file per key,
+// named <kid>.pem (RSA keys sign with RS256, P-256 keys with ES256). Every key in the
+// directory is published at /.well-known/jwks.json and accepted when verifying; the one
+// named by JWT_ACTIVE_KID (by default the last kid in sort order) signs new tokens.
+//
+// Rotating keys:
+//   1. add the new key file and restart, so it is published before it is used
+//   2. set JWT_ACTIVE_KID to the new kid
+//   3. remove the old key file once the tokens it signed have expired
+//
+// Tokens name JWT_ISSUER (default 'cse341-project2') as their issuer.
+//
+// Without a key directory tokens are signed with JWT_SECRET (HS256) as before. While
+// migrating, HS256 tokens are still accepted until JWT_ACCEPT_HS256_UNTIL (an ISO date).
+const ISSUER = process.env.JWT_ISSUER || 'cse341-project2';
+
+const algorithmFor = (privateKey, file) => {
+    if (privateKey.asymmetricKeyType === 'rsa') {
+        return 'RS256';
+    }
+    if (privateKey.asymmetricKeyType === 'ec' && privateKey.asymmetricKeyDetails.namedCurve === 'prime256v1') {
+        return 'ES256';
+    }
+    throw new Error(`Unsupported signing key ${file}: use an RSA or P-256 EC private key`);
+};
+
+const loadSigningKeys = () => {
+    const keysDir = process.env.JWT_SIGNING_KEYS_DIR;
+    if (!keysDir) {
+        return [];
+    }
+
+    const files = fs
+        .readdirSync(keysDir)
+        .filter((file) => file.endsWith('.pem'))
+        .sort();
+
+    if (files.length === 0) {
+        throw new Error(`No signing keys found in ${keysDir}`);
+    }
+
+    return files.map((file) => {
+        const privateKey = crypto.createPrivateKey(fs.readFileSync(path.join(keysDir, file)));
+        return {
+            kid: path.basename(file, '.pem'),
+            alg: algorithmFor(privateKey, file),
+            privateKey,
+            publicKey: crypto.createPublicKey(privateKey)
+        };
+    });
+};
+
+// Loaded once at startup so a misconfigured key directory stops the server from starting
+const SIGNING_KEYS = loadSigningKeys();
+
+const findActiveKey = () => {
+    if (SIGNING_KEYS.length === 0) {
+        return null;
+    }
+
+    const activeKid = process.env.JWT_ACTIVE_KID;
+    if (!activeKid) {
+        return SIGNING_KEYS[SIGNING_KEYS.length - 1];
+    }
+
+    const activeKey = SIGNING_KEYS.find((key) => key.kid === activeKid);
+    if (!activeKey) {
+        throw new Error(`JWT_ACTIVE_KID ${activeKid} is not in JWT_SIGNING_KEYS_DIR`);
+    }
+    return activeKey;
+};
+
+const ACTIVE_KEY = findActiveKey();
+
+const acceptsHs256 = () => {
+    if (!process.env.JWT_SECRET) {
+        return false;
+    }
+    if (!ACTIVE_KEY) {
+        return true;
+    }
+
+    const acceptUntil = Date.parse(process.env.JWT_ACCEPT_HS256_UNTIL);
+    return !Number.isNaN(acceptUntil) && Date.now() < acceptUntil;
+};
+
+// False when neither a signing key nor JWT_SECRET is configured
+const isSigningConfigured = () => {
+    return Boolean(ACTIVE_KEY || process.env.JWT_SECRET);
+};
+
+// Takes the jsonwebtoken sign options (expiresIn, jwtid, ...); the key, algorithm and issuer are set here
+const signJwt = (payload, options = {}) => {
+    if (!ACTIVE_KEY) {
+        return jwt.sign(payload, process.env.JWT_SECRET, { ...options, algorithm: 'HS256', issuer: ISSUER });
+    }
+
+    return jwt.sign(payload, ACTIVE_KEY.privateKey, {
+        ...options,
+        algorithm: ACTIVE_KEY.alg,
+        keyid: ACTIVE_KEY.kid,
+        issuer: ISSUER
+    });
+};
+
+// Returns the payload, or throws like jwt.verify when the token is invalid or expired. Takes the
+// jsonwebtoken verify options (audience, ...); the issuer is always checked.
+// The verification key is picked by the token's kid; HS256 only during the migration window.
+const verifyJwt = (token, options = {}) => {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded) {
+        throw new jwt.JsonWebTokenError('jwt malformed');
+    }
+
+    const { alg, kid } = decoded.header;
+    if (alg === 'HS256') {
+        if (!acceptsHs256()) {
+            throw new jwt.JsonWebTokenError('HS256 tokens are no longer accepted');
+        }
+        return jwt.verify(token, process.env.JWT_SECRET, { ...options, algorithms: ['HS256'], issuer: ISSUER });
+    }
+
+    const key = SIGNING_KEYS.find((signingKey) => signingKey.kid === kid);
+    if (!key) {
+        throw new jwt.JsonWebTokenError('Unknown signing key');
+    }
+    return jwt.verify(token, key.publicKey, { ...options, algorithms: [key.alg], issuer: ISSUER });
+};
+
+// Public keys for verifying our tokens (RFC 7517)
+const getJwks = () => {
+    return {
+        keys: SIGNING_KEYS.map((key) => ({
+            ...key.publicKey.export({ format: 'jwk' }),
+            kid: key.kid,
+            alg: key.alg,
+            use: 'sig'
+        }))
+    };
+};
+
+module.exports = {
+    isSigningConfigured,
+    signJwt,
+    verifyJwt,
+    getJwks
+};
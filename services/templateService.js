@@ -0,0 +1,25 @@
+const { ObjectId } = require('mongodb');
+const { hasPermission } = require('../config/roles');
+const { sharedWithUserQuery } = require('./coachingService');
+
+// Workout templates live in 'workoutTemplates' and belong to the user who created them.
+// Their visibility (see sharedWithUserQuery) decides who else can see and start them;
+// publishing them to everyone needs the templates:manage permission.
+
+// Returns the template when it exists and the user can see it, otherwise null
+const findTemplateForUser = async (db, templateId, user) => {
+    const query = { _id: new ObjectId(templateId) };
+    if (!hasPermission(user.role, 'templates:manage')) {
+        Object.assign(query, await sharedWithUserQuery(db, user.userId));
+    }
+    return db.collection('workoutTemplates').findOne(query);
+};
+
+const canManageTemplate = (user, template) => {
+    return template.userId === user.userId.toString() || hasPermission(user.role, 'templates:manage');
+};
+
+module.exports = {
+    findTemplateForUser,
+    canManageTemplate
+};
@@ -0,0 +1,52 @@
+const crypto = require('crypto');
+const { ObjectId } = require('mongodb');
+const { signJwt, verifyJwt } = require('./signingKeyService');
+const { getUserState, invalidateUserState } = require('./userStateService');
+
+// Access tokens for every login path: password and 2FA logins, GitHub/Google, refreshes
+// and third-party applications. Each token carries the user's tokenVersion; bumping it
+// (role change, password change, deactivation, logout-all) invalidates every token
+// issued before.
+const ACCESS_TOKEN_EXPIRES_IN = process.env.ACCESS_TOKEN_EXPIRES_IN || '2h';
+const ACCESS_TOKEN_AUDIENCE = process.env.JWT_AUDIENCE || 'cse341-project2-api';
+
+// Extra claims (clientId, scope, twoFactorSetupRequired, ...) are added to, or override, the user's claims
+const issueAccessToken = (user, claims = {}, expiresIn = ACCESS_TOKEN_EXPIRES_IN) => {
+    const payload = {
+        userId: user._id,
+        email: user.email,
+        role: user.role || 'user',
+        tokenVersion: user.tokenVersion || 0,
+        ...claims
+    };
+
+    return signJwt(payload, {
+        expiresIn,
+        audience: ACCESS_TOKEN_AUDIENCE,
+        jwtid: crypto.randomUUID() // Lets a single token be revoked on logout
+    });
+};
+
+// Returns the payload, or throws when the token is invalid, expired or not an access token.
+// Link states and 2FA login challenges have no audience, so they are rejected here.
+const verifyAccessToken = (token) => {
+    return verifyJwt(token, { audience: ACCESS_TOKEN_AUDIENCE });
+};
+
+const bumpTokenVersion = async (db, userId) => {
+    await db.collection('users').updateOne({ _id: new ObjectId(userId) }, { $inc: { tokenVersion: 1 } });
+    invalidateUserState(userId);
+};
+
+// False when the user is gone or their tokenVersion has moved on since the token was issued
+const isTokenVersionCurrent = async (db, payload) => {
+    const state = await getUserState(db, payload.userId);
+    return Boolean(state) && state.tokenVersion === (payload.tokenVersion || 0);
+};
+
+module.exports = {
+    issueAccessToken,
+    verifyAccessToken,
+    bumpTokenVersion,
+    isTokenVersionCurrent
+};
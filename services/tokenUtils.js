@@ -0,0 +1,16 @@
+const crypto = require('crypto');
+
+// Opaque tokens handed to clients (refresh tokens, email links). Only the hash is
+// ever stored, so a database leak doesn't expose usable tokens.
+const generateToken = (bytes = 32) => {
+    return crypto.randomBytes(bytes).toString('base64url');
+};
+
+const hashToken = (token) => {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+module.exports = {
+    generateToken,
+    hashToken
+};
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const { signJwt, verifyJwt } = require('./signingKeyService');
+const { URLSearchParams } = require('url');
+const { generateToken, hashToken } = require('./tokenUtils');
+
+// TOTP as described in RFC 6238 with the defaults authenticator apps expect:
+// HMAC-SHA1, 6 digits, 30 second steps
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+// Accept codes from one step before and after the current one to allow for clock drift
+const TOTP_WINDOW = 1;
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Fitness Tracker API';
+
+const RECOVERY_CODE_COUNT = 10;
+const LOGIN_CHALLENGE_EXPIRES_IN = '5m';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (encoded) => {
+    let bits = '';
+    for (const char of encoded.replace(/=+$/, '').toUpperCase()) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error('Invalid base32 character');
+        }
+        bits += index.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+const generateTotpSecret = () => base32Encode(crypto.randomBytes(20));
+
+const generateTotp = (secret, step) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+    return code.toString().padStart(TOTP_DIGITS, '0');
+};
+
+const getCurrentStep = () => Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS);
+
+// Returns the time step the code belongs to, or null when it doesn't match
+const findTotpStep = (secret, code) => {
+    if (typeof code !== 'string' || !/^\d{6}$/.test(code)) {
+        return null;
+    }
+
+    const currentStep = getCurrentStep();
+    for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+        const expected = generateTotp(secret, step);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(code))) {
+            return step;
+        }
+    }
+
+    return null;
+};
+
+const buildOtpauthUrl = (secret, accountName) => {
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer: TOTP_ISSUER,
+        algorithm: 'SHA1',
+        digits: String(TOTP_DIGITS),
+        period: String(TOTP_STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+// Recovery codes are shown once; only their hashes are stored
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(5).toString('hex');
+        return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+    });
+    return { codes, hashes: codes.map((code) => hashToken(code)) };
+};
+
+const normalizeRecoveryCode = (code) => code.trim().toLowerCase();
+
+// Checks a TOTP or recovery code for a user with 2FA enabled. TOTP codes can't be used twice and
+// recovery codes are removed once used. Returns 'totp', 'recovery' or null.
+const verifyTwoFactorCode = async (db, user, code) => {
+    if (!user.twoFactor || !user.twoFactor.enabled || typeof code !== 'string') {
+        return null;
+    }
+
+    const step = findTotpStep(user.twoFactor.secret, code.trim());
+    if (step !== null) {
+        const result = await db.collection('users').updateOne(
+            {
+                _id: user._id,
+                $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }]
+            },
+            { $set: { 'twoFactor.lastUsedStep': step } }
+        );
+        return result.modifiedCount > 0 ? 'totp' : null;
+    }
+
+    const codeHash = hashToken(normalizeRecoveryCode(code));
+    const result = await db
+        .collection('users')
+        .updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': codeHash },
+            { $pull: { 'twoFactor.recoveryCodes': codeHash } }
+        );
+    return result.modifiedCount > 0 ? 'recovery' : null;
+};
+
+// Roles that must have 2FA set up, configured by admins and stored in 'settings'
+const getTwoFactorRequiredRoles = async (db) => {
+    const settings = await db.collection('settings').findOne({ _id: 'twoFactor' });
+    return settings ? settings.requiredRoles : [];
+};
+
+const setTwoFactorRequiredRoles = async (db, requiredRoles, updatedBy) => {
+    await db
+        .collection('settings')
+        .updateOne(
+            { _id: 'twoFactor' },
+            { $set: { requiredRoles, updatedBy: updatedBy.toString(), updatedAt: new Date() } },
+            { upsert: true }
+        );
+};
+
+const isTwoFactorRequired = async (db, user) => {
+    const requiredRoles = await getTwoFactorRequiredRoles(db);
+    return requiredRoles.includes(user.role || 'user');
+};
+
+// Short-lived token proving the password step of a login succeeded
+const createLoginChallenge = (userId) => {
+    return signJwt(
+        { purpose: '2fa-login', userId: userId.toString() },
+        { expiresIn: LOGIN_CHALLENGE_EXPIRES_IN, jwtid: generateToken(16) }
+    );
+};
+
+// Returns the userId the challenge was issued for, or null if it is invalid or expired
+const verifyLoginChallenge = (challengeToken) => {
+    try {
+        const payload = verifyJwt(challengeToken);
+
+        return payload.purpose === '2fa-login' ? payload.userId : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+module.exports = {
+    generateTotpSecret,
+    generateTotp,
+    getCurrentStep,
+    findTotpStep,
+    buildOtpauthUrl,
+    generateRecoveryCodes,
+    verifyTwoFactorCode,
+    getTwoFactorRequiredRoles,
+    setTwoFactorRequiredRoles,
+    isTwoFactorRequired,
+    createLoginChallenge,
+    verifyLoginChallenge
+};
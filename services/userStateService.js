@@ -0,0 +1,52 @@
+const { ObjectId } = require('mongodb');
+const { createExpiringMap } = require('./expiringMap');
+
+// The parts of a user that decide whether their access tokens still work: role, isActive
+// and tokenVersion. authenticateToken checks them on every request, so they are cached
+// in memory for a few seconds. The cache is per process; changes made through this
+// instance clear it right away (invalidateUserState), other instances pick them up
+// once their entry expires.
+const USER_STATE_CACHE_TTL_MS = parseInt(process.env.USER_STATE_CACHE_TTL_MS) || 10 * 1000;
+
+const cache = createExpiringMap();
+
+// Returns { role, isActive, tokenVersion }, or null when the user doesn't exist
+const getUserState = async (db, userId) => {
+    const key = userId.toString();
+
+    // Users that don't exist are cached as null
+    const cached = cache.get(key);
+    if (cached !== undefined) {
+        return cached;
+    }
+
+    const user = await db
+        .collection('users')
+        .findOne({ _id: new ObjectId(key) }, { projection: { role: 1, isActive: 1, tokenVersion: 1 } });
+
+    const state = user
+        ? { role: user.role || 'user', isActive: user.isActive !== false, tokenVersion: user.tokenVersion || 0 }
+        : null;
+
+    cache.set(key, state, USER_STATE_CACHE_TTL_MS);
+    return state;
+};
+
+const isUserDeactivated = async (db, userId) => {
+    if (!userId) {
+        return false;
+    }
+    const state = await getUserState(db, userId);
+    return Boolean(state && !state.isActive);
+};
+
+// Call after changing a user's role, isActive or tokenVersion
+const invalidateUserState = (userId) => {
+    cache.delete(userId.toString());
+};
+
+module.exports = {
+    getUserState,
+    isUserDeactivated,
+    invalidateUserState
+};
@@ -0,0 +1,77 @@
+const { ObjectId } = require('mongodb');
+const { normalizeExerciseData, normalizeSetData } = require('../validators/workoutValidator');
+const { findExerciseForUser } = require('./exerciseService');
+
+// Workouts and templates store an ordered list of exercises:
+// { _id, exerciseId, name, notes, sets: [{ _id, reps, weight, unit, rpe, restSeconds, tempo }] }
+// where exerciseId links to the exercise library and name is kept even if that entry goes away.
+// Sets copied from a template are planned (performed: false) until the user logs them.
+
+// Builds a stored set from validated input; weights default to kilograms
+const buildSet = (setData) => {
+    const normalized = normalizeSetData(setData);
+    const weight = normalized.weight !== undefined ? normalized.weight : null;
+
+    return {
+        _id: new ObjectId(),
+        reps: normalized.reps,
+        weight,
+        unit: normalized.unit || (weight !== null ? 'kg' : null),
+        rpe: normalized.rpe !== undefined ? normalized.rpe : null,
+        restSeconds: normalized.restSeconds !== undefined ? normalized.restSeconds : null,
+        tempo: normalized.tempo !== undefined ? normalized.tempo : null
+    };
+};
+
+// Builds a stored exercise from validated input. Library exercises must be visible to the
+// owner of the workout or template; returns null when the referenced one isn't.
+const buildExercise = async (db, exerciseData, ownerId) => {
+    const normalized = normalizeExerciseData(exerciseData);
+
+    let libraryExercise = null;
+    if (normalized.exerciseId) {
+        libraryExercise = await findExerciseForUser(db, normalized.exerciseId, ownerId);
+        if (!libraryExercise) {
+            return null;
+        }
+    }
+
+    return {
+        _id: new ObjectId(),
+        exerciseId: libraryExercise ? libraryExercise._id.toString() : null,
+        name: normalized.name || libraryExercise.name,
+        notes: normalized.notes || '',
+        sets: (exerciseData.sets || []).map(buildSet)
+    };
+};
+
+// Builds a list of exercises; returns null when any of them references a missing library exercise
+const buildExercises = async (db, exercisesData, ownerId) => {
+    const exercises = [];
+    for (const exerciseData of exercisesData) {
+        const exercise = await buildExercise(db, exerciseData, ownerId);
+        if (!exercise) {
+            return null;
+        }
+        exercises.push(exercise);
+    }
+    return exercises;
+};
+
+// Copies the exercises of a template into a new workout. The target sets are copied as
+// planned sets, and each exercise remembers the template exercise it came from.
+const copyTemplateExercises = (exercises) => {
+    return exercises.map((exercise) => ({
+        ...exercise,
+        _id: new ObjectId(),
+        templateExerciseId: exercise._id.toString(),
+        sets: exercise.sets.map((set) => ({ ...set, _id: new ObjectId(), performed: false }))
+    }));
+};
+
+module.exports = {
+    buildSet,
+    buildExercise,
+    buildExercises,
+    copyTemplateExercises
+};
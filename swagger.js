@@ -14,6 +14,11 @@ const doc = {
             type: 'apiKey',
             name: 'Authorization',
             in: 'header'
+        },
+        apiKeyAuth: {
+            type: 'apiKey',
+            name: 'X-API-Key',
+            in: 'header'
         }
     },
     basePath: '/',
@@ -0,0 +1,92 @@
+/**
+ * Token Signing Key Tests
+ *
+ * This test suite validates asymmetric token signing including:
+ * - GET /.well-known/jwks.json publishing the public signing keys
+ * - Access tokens carrying the kid of the key that signed them
+ * - Tokens verifying against the published key
+ *
+ * Security considerations tested:
+ * - No private key material is published
+ * - Tokens with an unknown kid are rejected
+ *
+ * The signing tests need the server to run with JWT_SIGNING_KEYS_DIR set.
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { createTestUser, request, deleteUser } = require('../helpers/testHelpers');
+
+const describeWithSigningKeys = process.env.JWT_SIGNING_KEYS_DIR ? describe : describe.skip;
+
+describe('Token Signing Keys', () => {
+    let testUser = null;
+
+    beforeAll(async () => {
+        const { userId, token } = await createTestUser(
+            {
+                email: 'jwks.test@example.com',
+                firstName: 'Jay',
+                lastName: 'Keys'
+            },
+            true
+        );
+        testUser = { id: userId, token };
+    });
+
+    afterAll(async () => {
+        if (testUser && testUser.id) {
+            try {
+                await deleteUser(testUser.id, testUser.token);
+            } catch (error) {
+                console.log(`Failed to cleanup JWKS test user: ${error.message}`);
+            }
+        }
+    });
+
+    test('should publish public keys only', async () => {
+        const response = await request().get('/.well-known/jwks.json');
+
+        expect(response.status).toBe(200);
+        expect(Array.isArray(response.body.keys)).toBe(true);
+        response.body.keys.forEach((key) => {
+            expect(key.kid).toBeDefined();
+            expect(['RS256', 'ES256']).toContain(key.alg);
+            expect(key.use).toBe('sig');
+            expect(key.d).toBeUndefined();
+        });
+    });
+
+    describeWithSigningKeys('Asymmetric Signing', () => {
+        /**
+         * Test: The login token verifies against the key named by its kid
+         */
+        test('should sign access tokens with a published key', async () => {
+            const jwks = await request().get('/.well-known/jwks.json');
+            const { header } = jwt.decode(testUser.token, { complete: true });
+
+            const jwk = jwks.body.keys.find((key) => key.kid === header.kid);
+            expect(jwk).toBeDefined();
+            expect(header.alg).toBe(jwk.alg);
+
+            const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+            const payload = jwt.verify(testUser.token, publicKey, { algorithms: [jwk.alg] });
+            expect(payload.userId).toBe(testUser.id);
+        });
+
+        test('should reject tokens signed with an unknown key', async () => {
+            const { privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+            const forged = jwt.sign({ userId: testUser.id, role: 'admin' }, privateKey, {
+                algorithm: 'ES256',
+                keyid: 'unknown-key',
+                issuer: 'cse341-project2',
+                expiresIn: '5m'
+            });
+
+            const response = await request().get('/users/profile/me').set('Authorization', `Bearer ${forged}`);
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Invalid or expired token');
+        });
+    });
+});
@@ -0,0 +1,226 @@
+/**
+ * Logout Tests
+ *
+ * This test suite validates server-side logout including:
+ * - POST /auth/logout revoking the current access token
+ * - POST /auth/logout revoking the refresh token sent with it
+ * - POST /auth/logout-all revoking every token of the user
+ * - POST /auth/logout-all ending the sessions of third-party applications, but not API keys
+ *
+ * Security considerations tested:
+ * - Revoked tokens are rejected by protected routes
+ * - Logging out one session leaves other sessions working
+ */
+
+const crypto = require('crypto');
+const { URL } = require('url');
+const { createTestUser, request, authenticateUser, deleteUser } = require('../helpers/testHelpers');
+
+describe('Logout (POST /auth/logout, POST /auth/logout-all)', () => {
+    let testUser = null;
+
+    beforeAll(async () => {
+        const { userId } = await createTestUser({
+            email: 'logout.test@example.com',
+            firstName: 'Logout',
+            lastName: 'Test'
+        });
+
+        testUser = {
+            id: userId,
+            email: 'logout.test@example.com',
+            password: 'SecurePassword123!'
+        };
+    });
+
+    afterAll(async () => {
+        if (testUser && testUser.id) {
+            try {
+                const token = await authenticateUser({
+                    email: testUser.email,
+                    password: testUser.password
+                });
+                await deleteUser(testUser.id, token);
+            } catch (error) {
+                console.log(`Failed to cleanup logout test user: ${error.message}`);
+            }
+        }
+    });
+
+    /**
+     * Logs in the test user and returns the full login response body
+     */
+    async function login() {
+        const response = await request().post('/users/login').send({
+            email: testUser.email,
+            password: testUser.password
+        });
+        return response.body;
+    }
+
+    describe('Single Session Logout', () => {
+        /**
+         * Test: The token used to log out stops working
+         */
+        test('should revoke the current access token', async () => {
+            const { token } = await login();
+
+            const response = await request().post('/auth/logout').set('Authorization', `Bearer ${token}`);
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe('Logged out successfully');
+
+            const protectedResponse = await request().get('/users/profile/me').set('Authorization', `Bearer ${token}`);
+            expect(protectedResponse.status).toBe(401);
+            expect(protectedResponse.body.error).toBe('Token has been revoked');
+        });
+
+        /**
+         * Test: A refresh token sent with logout can no longer be used
+         */
+        test('should revoke the refresh token sent with logout', async () => {
+            const { token, refreshToken } = await login();
+
+            await request().post('/auth/logout').set('Authorization', `Bearer ${token}`).send({ refreshToken });
+
+            const refreshResponse = await request().post('/auth/refresh').send({ refreshToken });
+            expect(refreshResponse.status).toBe(401);
+        });
+
+        /**
+         * Test: Other sessions of the same user are unaffected
+         */
+        test('should not revoke other sessions', async () => {
+            const other = await login();
+            const { token } = await login();
+
+            await request().post('/auth/logout').set('Authorization', `Bearer ${token}`);
+
+            const protectedResponse = await request()
+                .get('/users/profile/me')
+                .set('Authorization', `Bearer ${other.token}`);
+            expect(protectedResponse.status).toBe(200);
+        });
+
+        test('should require authentication', async () => {
+            const response = await request().post('/auth/logout');
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('Access token required');
+        });
+    });
+
+    describe('Logout All Sessions', () => {
+        /**
+         * Test: Every access and refresh token of the user is revoked
+         */
+        test('should revoke all tokens of the user', async () => {
+            const first = await login();
+            const second = await login();
+
+            const response = await request().post('/auth/logout-all').set('Authorization', `Bearer ${first.token}`);
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe('Logged out of all sessions successfully');
+
+            for (const session of [first, second]) {
+                const protectedResponse = await request()
+                    .get('/users/profile/me')
+                    .set('Authorization', `Bearer ${session.token}`);
+                expect(protectedResponse.status).toBe(401);
+
+                const refreshResponse = await request()
+                    .post('/auth/refresh')
+                    .send({ refreshToken: session.refreshToken });
+                expect(refreshResponse.status).toBe(401);
+            }
+        });
+
+        /**
+         * Test: Third-party applications must ask for access again; API keys aren't sessions
+         */
+        test('should end third-party sessions and keep API keys', async () => {
+            const redirectUri = 'https://partner.example.com/callback';
+            const adminToken = await authenticateUser({
+                email: process.env.AUTO_ADMIN_EMAIL,
+                password: process.env.AUTO_ADMIN_PASSWORD
+            });
+            const registration = await request()
+                .post('/oauth/clients')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Logout Partner', redirectUris: [redirectUri], confidential: true });
+            const client = { ...registration.body.client, clientSecret: registration.body.clientSecret };
+
+            try {
+                const { token } = await login();
+                const apiKey = await request()
+                    .post('/users/profile/me/api-keys')
+                    .set('Authorization', `Bearer ${token}`)
+                    .send({ name: 'Logout script', scopes: ['workouts:read'] });
+
+                const verifier = crypto.randomBytes(32).toString('base64url');
+                const authorization = await request()
+                    .post('/oauth/authorize')
+                    .set('Authorization', `Bearer ${token}`)
+                    .send({
+                        response_type: 'code',
+                        client_id: client.clientId,
+                        redirect_uri: redirectUri,
+                        scope: 'workouts:read',
+                        code_challenge: crypto.createHash('sha256').update(verifier).digest('base64url'),
+                        code_challenge_method: 'S256',
+                        approve: true
+                    });
+                const exchange = await request()
+                    .post('/oauth/token')
+                    .type('form')
+                    .send({
+                        grant_type: 'authorization_code',
+                        code: new URL(authorization.body.redirectUrl).searchParams.get('code'),
+                        redirect_uri: redirectUri,
+                        code_verifier: verifier,
+                        client_id: client.clientId,
+                        client_secret: client.clientSecret
+                    });
+                expect(exchange.status).toBe(200);
+
+                const response = await request().post('/auth/logout-all').set('Authorization', `Bearer ${token}`);
+                expect(response.status).toBe(200);
+
+                const thirdParty = await request()
+                    .get('/workouts')
+                    .set('Authorization', `Bearer ${exchange.body.access_token}`);
+                expect(thirdParty.status).toBe(401);
+
+                const refresh = await request()
+                    .post('/oauth/token')
+                    .auth(client.clientId, client.clientSecret)
+                    .type('form')
+                    .send({ grant_type: 'refresh_token', refresh_token: exchange.body.refresh_token });
+                expect(refresh.status).toBe(400);
+
+                const script = await request().get('/workouts').set('X-API-Key', apiKey.body.key);
+                expect(script.status).toBe(200);
+            } finally {
+                await request()
+                    .delete(`/oauth/clients/${client.clientId}`)
+                    .set('Authorization', `Bearer ${adminToken}`);
+            }
+        });
+
+        /**
+         * Test: Logging in again after logout-all works
+         * Waits a moment because token issue times have one second precision
+         */
+        test('should allow logging in again afterwards', async () => {
+            const { token } = await login();
+            await request().post('/auth/logout-all').set('Authorization', `Bearer ${token}`);
+
+            await new Promise((resolve) => setTimeout(resolve, 1100));
+
+            const fresh = await login();
+            const protectedResponse = await request()
+                .get('/users/profile/me')
+                .set('Authorization', `Bearer ${fresh.token}`);
+            expect(protectedResponse.status).toBe(200);
+        });
+    });
+});
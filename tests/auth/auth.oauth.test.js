@@ -0,0 +1,216 @@
+/**
+ * OAuth Login Tests
+ *
+ * This test suite validates logins through GitHub and Google including:
+ * - Sessions started after a provider login (the checks shared with POST /users/login)
+ * - Google logins that create an account or link one with the same verified email
+ *
+ * The provider callbacks can't be reached without GitHub or Google, so these tests call
+ * the login code directly against the database of the server under test.
+ *
+ * Security considerations tested:
+ * - Provider logins follow the 2FA role policy
+ * - Deactivated accounts can't log in through a provider
+ * - Unverified Google emails never create or link accounts
+ * - A Google account can't log in to an account linked to a different Google account
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+    createTestUser,
+    request,
+    authenticateUser,
+    deleteUser,
+    purgeUser,
+    connectTestDb,
+    closeTestDb
+} = require('../helpers/testHelpers');
+const { startLoginSession } = require('../../services/loginService');
+const { readGoogleProfile, verifyOAuthLogin } = require('../../services/identityService');
+
+describe('OAuth Login', () => {
+    let db = null;
+    let adminToken = null;
+    let testUser = null;
+    let linkedUserId = null;
+    let googleUserId = null;
+
+    const findUser = () => db.collection('users').findOne({ _id: new ObjectId(testUser.id) });
+
+    beforeAll(async () => {
+        db = await connectTestDb();
+        adminToken = await authenticateUser({
+            email: process.env.AUTO_ADMIN_EMAIL,
+            password: process.env.AUTO_ADMIN_PASSWORD
+        });
+
+        const { userId } = await createTestUser(
+            {
+                email: 'oauth.login@example.com',
+                firstName: 'Oscar',
+                lastName: 'Auth'
+            },
+            true
+        );
+        testUser = { id: userId };
+    });
+
+    afterAll(async () => {
+        for (const userId of [testUser && testUser.id, linkedUserId]) {
+            if (userId) {
+                try {
+                    await deleteUser(userId, adminToken);
+                } catch (error) {
+                    console.log(`Failed to cleanup OAuth test user: ${error.message}`);
+                }
+            }
+        }
+        // Accounts created through a provider aren't marked as test users
+        if (googleUserId) {
+            await purgeUser(googleUserId, adminToken);
+        }
+        await closeTestDb();
+    });
+
+    describe('Login Sessions', () => {
+        test('should issue an access and a refresh token', async () => {
+            const session = await startLoginSession(db, await findUser());
+
+            expect(session.twoFactorSetupRequired).toBe(false);
+            expect(typeof session.refreshToken).toBe('string');
+
+            const profile = await request().get('/users/profile/me').set('Authorization', `Bearer ${session.token}`);
+            expect(profile.status).toBe(200);
+        });
+
+        /**
+         * Test: The token only reaches the 2FA setup routes and can't be refreshed
+         */
+        test('should follow the 2FA role policy', async () => {
+            const policy = await request().get('/users/2fa-policy').set('Authorization', `Bearer ${adminToken}`);
+            const originalRoles = policy.body.requiredRoles;
+
+            await request()
+                .patch(`/users/${testUser.id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'coach' });
+            await request()
+                .put('/users/2fa-policy')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ requiredRoles: [...originalRoles, 'coach'] });
+
+            try {
+                const session = await startLoginSession(db, await findUser());
+
+                expect(session.twoFactorSetupRequired).toBe(true);
+                expect(session.refreshToken).toBeNull();
+
+                const profile = await request()
+                    .get('/users/profile/me')
+                    .set('Authorization', `Bearer ${session.token}`);
+                expect(profile.status).toBe(403);
+
+                const setup = await request()
+                    .get('/users/profile/me/2fa')
+                    .set('Authorization', `Bearer ${session.token}`);
+                expect(setup.status).toBe(200);
+            } finally {
+                await request()
+                    .put('/users/2fa-policy')
+                    .set('Authorization', `Bearer ${adminToken}`)
+                    .send({ requiredRoles: originalRoles });
+            }
+        });
+
+        test('should not start sessions for deactivated accounts', async () => {
+            const deactivate = await request()
+                .post(`/users/${testUser.id}/deactivate`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(deactivate.status).toBe(200);
+
+            expect(await startLoginSession(db, await findUser())).toBeNull();
+        });
+    });
+
+    describe('Google Login', () => {
+        const googleProfile = (id, email, verified = true) => ({
+            id,
+            displayName: 'Gina Google',
+            name: { givenName: 'Gina', familyName: 'Google' },
+            emails: [{ value: email, verified }]
+        });
+
+        test('should create an account for a new Google user', async () => {
+            const login = readGoogleProfile(googleProfile('google-new-1', 'OAuth.Google@Example.com'));
+            const { user, linked } = await verifyOAuthLogin(db, undefined, login);
+            googleUserId = user._id.toString();
+
+            expect(linked).toBe(false);
+            const stored = await db.collection('users').findOne({ _id: user._id });
+            expect(stored).toMatchObject({
+                email: 'oauth.google@example.com',
+                firstName: 'Gina',
+                lastName: 'Google',
+                role: 'user',
+                emailVerified: true
+            });
+            expect(stored.identities).toEqual([
+                expect.objectContaining({ provider: 'google', providerId: 'google-new-1' })
+            ]);
+        });
+
+        test('should log in to the same account by the linked Google account', async () => {
+            const login = readGoogleProfile(googleProfile('google-new-1', 'renamed.google@example.com'));
+            const { user } = await verifyOAuthLogin(db, undefined, login);
+
+            expect(user._id.toString()).toBe(googleUserId);
+        });
+
+        test('should link Google to the account with the same verified email', async () => {
+            const { userId } = await createTestUser(
+                {
+                    email: 'oauth.linked@example.com',
+                    firstName: 'Lina',
+                    lastName: 'Linked'
+                },
+                true
+            );
+            linkedUserId = userId;
+
+            const login = readGoogleProfile(googleProfile('google-linked-1', 'OAuth.Linked@example.com'));
+            const { user } = await verifyOAuthLogin(db, undefined, login);
+
+            expect(user._id.toString()).toBe(userId);
+            const stored = await db.collection('users').findOne({ _id: new ObjectId(userId) });
+            expect(stored.identities).toEqual([
+                expect.objectContaining({ provider: 'google', providerId: 'google-linked-1' })
+            ]);
+            expect(await db.collection('users').countDocuments({ email: 'oauth.linked@example.com' })).toBe(1);
+        });
+
+        /**
+         * Test: The same email doesn't let a second Google account into an account linked to another
+         */
+        test('should refuse the email login of an account linked to another Google account', async () => {
+            const login = readGoogleProfile(googleProfile('google-linked-2', 'oauth.linked@example.com'));
+            const result = await verifyOAuthLogin(db, undefined, login);
+
+            expect(result).toEqual({
+                error: 'The account with this email is linked to a different account from this provider'
+            });
+            const stored = await db.collection('users').findOne({ _id: new ObjectId(linkedUserId) });
+            expect(stored.identities).toEqual([
+                expect.objectContaining({ provider: 'google', providerId: 'google-linked-1' })
+            ]);
+        });
+
+        test('should reject Google emails that are not verified', async () => {
+            expect(
+                readGoogleProfile(googleProfile('google-unverified-1', 'oauth.unverified@example.com', false))
+            ).toEqual({ error: 'Google account email is not verified' });
+            expect(readGoogleProfile({ id: 'google-no-email-1', displayName: 'No Email' })).toEqual({
+                error: 'Google account email is not verified'
+            });
+        });
+    });
+});
@@ -0,0 +1,172 @@
+/**
+ * Refresh Token Tests
+ *
+ * This test suite validates the refresh token flow including:
+ * - Refresh tokens issued on login
+ * - POST /auth/refresh returning a new access token
+ * - Rotation (a refresh token can only be used once)
+ * - Reuse detection revoking the whole token family
+ *
+ * Security considerations tested:
+ * - Old refresh tokens are rejected after rotation
+ * - Reusing a rotated token invalidates the newest token as well
+ */
+
+const { createTestUser, request, authenticateUser, deleteUser } = require('../helpers/testHelpers');
+
+describe('Refresh Tokens (POST /auth/refresh)', () => {
+    let testUser = null;
+    const testPassword = 'SecurePassword123!';
+
+    beforeAll(async () => {
+        const { userId } = await createTestUser({
+            email: 'refresh.test@example.com',
+            firstName: 'Refresh',
+            lastName: 'Test'
+        });
+
+        testUser = {
+            id: userId,
+            email: 'refresh.test@example.com',
+            password: testPassword
+        };
+    });
+
+    afterAll(async () => {
+        if (testUser && testUser.id) {
+            try {
+                const token = await authenticateUser({
+                    email: testUser.email,
+                    password: testUser.password
+                });
+                await deleteUser(testUser.id, token);
+            } catch (error) {
+                console.log(`Failed to cleanup refresh test user: ${error.message}`);
+            }
+        }
+    });
+
+    /**
+     * Logs in the test user and returns the full login response body
+     */
+    async function login() {
+        const response = await request().post('/users/login').send({
+            email: testUser.email,
+            password: testUser.password
+        });
+        return response.body;
+    }
+
+    describe('Issuing Refresh Tokens', () => {
+        /**
+         * Test: Login returns a refresh token alongside the access token
+         */
+        test('should return a refresh token on login', async () => {
+            const body = await login();
+
+            expect(body.token).toBeDefined();
+            expect(typeof body.refreshToken).toBe('string');
+            expect(body.refreshToken.length).toBeGreaterThan(32);
+        });
+    });
+
+    describe('Rotation', () => {
+        /**
+         * Test: A valid refresh token returns a new access token and a new refresh token
+         */
+        test('should issue new tokens for a valid refresh token', async () => {
+            const { refreshToken } = await login();
+
+            const response = await request().post('/auth/refresh').send({ refreshToken });
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe('Token refreshed successfully');
+            expect(response.body.token).toBeDefined();
+            expect(response.body.refreshToken).toBeDefined();
+            expect(response.body.refreshToken).not.toBe(refreshToken);
+
+            // The new access token works on protected routes
+            const protectedResponse = await request()
+                .get('/users/profile/me')
+                .set('Authorization', `Bearer ${response.body.token}`);
+            expect(protectedResponse.status).toBe(200);
+        });
+
+        /**
+         * Test: The rotated refresh token can be used again
+         */
+        test('should allow chaining rotations', async () => {
+            const { refreshToken } = await login();
+
+            const first = await request().post('/auth/refresh').send({ refreshToken });
+            const second = await request().post('/auth/refresh').send({ refreshToken: first.body.refreshToken });
+
+            expect(second.status).toBe(200);
+            expect(second.body.refreshToken).not.toBe(first.body.refreshToken);
+        });
+    });
+
+    describe('Reuse Detection', () => {
+        /**
+         * Test: Presenting an already-used refresh token is rejected
+         * and revokes the token that replaced it
+         */
+        test('should revoke the token family when a rotated token is reused', async () => {
+            const { refreshToken } = await login();
+
+            const rotated = await request().post('/auth/refresh').send({ refreshToken });
+            expect(rotated.status).toBe(200);
+
+            const reuse = await request().post('/auth/refresh').send({ refreshToken });
+            expect(reuse.status).toBe(401);
+            expect(reuse.body.error).toBe(
+                'Refresh token reuse detected. All sessions from this login have been revoked.'
+            );
+
+            // The legitimate successor is revoked too
+            const successor = await request().post('/auth/refresh').send({ refreshToken: rotated.body.refreshToken });
+            expect(successor.status).toBe(401);
+            expect(successor.body.error).toBe('Invalid or expired refresh token');
+        });
+
+        /**
+         * Test: Reuse in one family does not affect other logins
+         */
+        test('should not revoke refresh tokens from other logins', async () => {
+            const other = await login();
+            const { refreshToken } = await login();
+
+            await request().post('/auth/refresh').send({ refreshToken });
+            await request().post('/auth/refresh').send({ refreshToken });
+
+            const response = await request().post('/auth/refresh').send({ refreshToken: other.refreshToken });
+            expect(response.status).toBe(200);
+        });
+    });
+
+    describe('Invalid Requests', () => {
+        test('should reject a missing refresh token', async () => {
+            const response = await request().post('/auth/refresh').send({});
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Refresh token required');
+        });
+
+        test('should reject an unknown refresh token', async () => {
+            const response = await request().post('/auth/refresh').send({ refreshToken: 'not-a-real-token' });
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('Invalid or expired refresh token');
+        });
+
+        /**
+         * Test: An access token cannot be used as a refresh token
+         */
+        test('should reject an access token sent as a refresh token', async () => {
+            const { token } = await login();
+            const response = await request().post('/auth/refresh').send({ refreshToken: token });
+
+            expect(response.status).toBe(401);
+        });
+    });
+});
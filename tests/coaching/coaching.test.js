@@ -0,0 +1,202 @@
+/**
+ * Coaching Relationship Tests
+ *
+ * This test suite validates coach-athlete relationships including:
+ * - POST /coaching/invitations - Coach invites an athlete by email
+ * - POST /coaching/:id/accept - Athlete accepts the invitation
+ * - GET /coaching - Both sides list their relationships
+ * - DELETE /coaching/:id - Either side revokes the relationship
+ *
+ * Security considerations tested:
+ * - Only users with the coach role (or admins) can invite
+ * - Coaches get no access before the athlete accepts or after revoking
+ * - Other users still can't see the athlete's workouts
+ */
+
+const { request, authenticateAdmin, createUsers, promoteToCoach, cleanupUsers } = require('../helpers/testHelpers');
+
+describe('Coaching Relationships', () => {
+    let adminToken = null;
+    let coach = null;
+    let athlete = null;
+    let outsider = null;
+    let relationshipId = null;
+    let workoutId = null;
+
+    const createWorkout = (token, userId) =>
+        request()
+            .post('/workouts')
+            .set('Authorization', `Bearer ${token}`)
+            .send({
+                userId,
+                workoutName: 'Tempo Run',
+                date: new Date().toISOString().slice(0, 10),
+                duration: 40,
+                caloriesBurned: 350,
+                exerciseType: 'Running'
+            });
+
+    beforeAll(async () => {
+        adminToken = await authenticateAdmin();
+        [coach, athlete, outsider] = await createUsers(
+            [
+                { email: 'coach.test@example.com', firstName: 'Casey' },
+                { email: 'athlete.test@example.com', firstName: 'Avery' },
+                { email: 'outsider.test@example.com', firstName: 'Orion' }
+            ],
+            { lastName: 'Coaching' }
+        );
+        coach.token = await promoteToCoach(coach, adminToken);
+    });
+
+    afterAll(async () => {
+        if (workoutId) {
+            await request().delete(`/workouts/${workoutId}`).set('Authorization', `Bearer ${athlete.token}`);
+        }
+
+        await cleanupUsers([coach, athlete, outsider], adminToken);
+    });
+
+    describe('Invitations', () => {
+        test('should not let regular users invite athletes', async () => {
+            const response = await request()
+                .post('/coaching/invitations')
+                .set('Authorization', `Bearer ${outsider.token}`)
+                .send({ athleteEmail: athlete.email });
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should reject inviting yourself', async () => {
+            const response = await request()
+                .post('/coaching/invitations')
+                .set('Authorization', `Bearer ${coach.token}`)
+                .send({ athleteEmail: coach.email });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('You cannot coach yourself');
+        });
+
+        /**
+         * Test: An invitation is created once and grants nothing until accepted
+         */
+        test('should invite an athlete without granting access yet', async () => {
+            const response = await request()
+                .post('/coaching/invitations')
+                .set('Authorization', `Bearer ${coach.token}`)
+                .send({ athleteEmail: athlete.email });
+
+            expect(response.status).toBe(201);
+            relationshipId = response.body.relationshipId;
+
+            const duplicate = await request()
+                .post('/coaching/invitations')
+                .set('Authorization', `Bearer ${coach.token}`)
+                .send({ athleteEmail: athlete.email });
+            expect(duplicate.status).toBe(409);
+
+            const stats = await request()
+                .get(`/workouts/stats/${athlete.id}`)
+                .set('Authorization', `Bearer ${coach.token}`);
+            expect(stats.status).toBe(403);
+        });
+
+        test('should only let the invited athlete accept', async () => {
+            const response = await request()
+                .post(`/coaching/${relationshipId}/accept`)
+                .set('Authorization', `Bearer ${outsider.token}`);
+
+            expect(response.status).toBe(404);
+        });
+
+        test('should accept the invitation', async () => {
+            const response = await request()
+                .post(`/coaching/${relationshipId}/accept`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+
+            expect(response.status).toBe(200);
+
+            const list = await request().get('/coaching').set('Authorization', `Bearer ${athlete.token}`);
+            expect(list.body.coaches).toHaveLength(1);
+            expect(list.body.coaches[0].coach.userId).toBe(coach.id);
+            expect(list.body.coaches[0].status).toBe('active');
+        });
+    });
+
+    describe('Delegated Workout Access', () => {
+        /**
+         * Test: An accepted coach can log, list and comment on the athlete's workouts
+         */
+        test('should let the coach create and list workouts for the athlete', async () => {
+            const created = await createWorkout(coach.token, athlete.id);
+            expect(created.status).toBe(201);
+            workoutId = created.body.workoutId;
+
+            const response = await request()
+                .get(`/workouts?userId=${athlete.id}`)
+                .set('Authorization', `Bearer ${coach.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.workouts.map((workout) => workout._id)).toContain(workoutId);
+        });
+
+        test('should let the coach comment and the athlete read the comment', async () => {
+            const response = await request()
+                .post(`/workouts/${workoutId}/comments`)
+                .set('Authorization', `Bearer ${coach.token}`)
+                .send({ text: 'Nice even splits' });
+            expect(response.status).toBe(201);
+
+            const comments = await request()
+                .get(`/workouts/${workoutId}/comments`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+            expect(comments.status).toBe(200);
+            expect(comments.body.comments[0].text).toBe('Nice even splits');
+            expect(comments.body.comments[0].authorId).toBe(coach.id);
+        });
+
+        test('should let the coach read the athlete statistics', async () => {
+            const response = await request()
+                .get(`/workouts/stats/${athlete.id}`)
+                .set('Authorization', `Bearer ${coach.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.totalWorkouts).toBeGreaterThanOrEqual(1);
+        });
+
+        test('should not give other users access', async () => {
+            const list = await request()
+                .get(`/workouts?userId=${athlete.id}`)
+                .set('Authorization', `Bearer ${outsider.token}`);
+            const comment = await request()
+                .post(`/workouts/${workoutId}/comments`)
+                .set('Authorization', `Bearer ${outsider.token}`)
+                .send({ text: 'Hello' });
+            const create = await createWorkout(outsider.token, athlete.id);
+
+            expect(list.status).toBe(403);
+            expect(comment.status).toBe(403);
+            expect(create.status).toBe(403);
+        });
+    });
+
+    describe('Revoking', () => {
+        /**
+         * Test: Access ends as soon as the athlete revokes the relationship
+         */
+        test('should remove coach access after the athlete revokes', async () => {
+            const response = await request()
+                .delete(`/coaching/${relationshipId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+            expect(response.status).toBe(200);
+
+            const workout = await request().get(`/workouts/${workoutId}`).set('Authorization', `Bearer ${coach.token}`);
+            const stats = await request()
+                .get(`/workouts/stats/${athlete.id}`)
+                .set('Authorization', `Bearer ${coach.token}`);
+
+            expect(workout.status).toBe(403);
+            expect(stats.status).toBe(403);
+        });
+    });
+});
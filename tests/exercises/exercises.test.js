@@ -0,0 +1,231 @@
+/**
+ * Exercise Library Tests
+ *
+ * This test suite validates the exercise library including:
+ * - POST /exercises - Global exercises (library managers) and custom exercises
+ * - GET /exercises - Text search and filters over names, aliases and taxonomy
+ * - PUT/DELETE /exercises/:id - Changing and removing exercises
+ * - POST /workouts/:id/exercises - Workouts referencing library exercises by ID
+ *
+ * Security considerations tested:
+ * - Only users with exercises:manage can add or change global exercises
+ * - Custom exercises are invisible to other users
+ */
+
+const { request, authenticateAdmin, createUsers, cleanupUsers } = require('../helpers/testHelpers');
+
+describe('Exercise Library', () => {
+    let adminToken = null;
+    let owner = null;
+    let otherUser = null;
+    let deadliftId = null;
+    let customId = null;
+
+    beforeAll(async () => {
+        adminToken = await authenticateAdmin();
+        [owner, otherUser] = await createUsers(
+            [
+                { email: 'library.owner@example.com', firstName: 'Lena' },
+                { email: 'library.other@example.com', firstName: 'Omar' }
+            ],
+            { lastName: 'Library' }
+        );
+    });
+
+    afterAll(async () => {
+        if (deadliftId) {
+            await request().delete(`/exercises/${deadliftId}`).set('Authorization', `Bearer ${adminToken}`);
+        }
+        await cleanupUsers([owner, otherUser], adminToken);
+    });
+
+    describe('Creating Exercises', () => {
+        test('should let admins add global exercises', async () => {
+            const response = await request()
+                .post('/exercises')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({
+                    name: 'Romanian Deadlift',
+                    category: 'Weightlifting',
+                    muscleGroups: ['hamstrings', 'Glutes', 'lower back'],
+                    equipment: ['Barbell'],
+                    aliases: ['RDL', 'Stiff-Leg Deadlift'],
+                    global: true
+                });
+            expect(response.status).toBe(201);
+            deadliftId = response.body.exerciseId;
+
+            const exercise = await request()
+                .get(`/exercises/${deadliftId}`)
+                .set('Authorization', `Bearer ${owner.token}`);
+            expect(exercise.body).toMatchObject({
+                category: 'WEIGHTLIFTING',
+                muscleGroups: ['HAMSTRINGS', 'GLUTES', 'LOWER_BACK'],
+                equipment: ['BARBELL'],
+                userId: null
+            });
+        });
+
+        test('should not let regular users add global exercises', async () => {
+            const response = await request()
+                .post('/exercises')
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ name: 'Nordic Curl', category: 'Strength', global: true });
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should validate the taxonomy', async () => {
+            const response = await request()
+                .post('/exercises')
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ name: 'Nordic Curl', category: 'Legs', muscleGroups: ['Hammies'] });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toHaveLength(2);
+        });
+
+        test('should create custom exercises', async () => {
+            const response = await request()
+                .post('/exercises')
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ name: 'Banded Good Morning', category: 'Strength', equipment: ['Resistance band'] });
+
+            expect(response.status).toBe(201);
+            customId = response.body.exerciseId;
+        });
+
+        test('should reject names that are already taken, ignoring case', async () => {
+            const response = await request()
+                .post('/exercises')
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ name: 'romanian deadlift', category: 'Strength' });
+
+            expect(response.status).toBe(409);
+        });
+    });
+
+    describe('Searching Exercises', () => {
+        test('should find exercises by alias', async () => {
+            const response = await request().get('/exercises?q=rdl').set('Authorization', `Bearer ${owner.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.exercises.map((exercise) => exercise.name)).toEqual(['Romanian Deadlift']);
+        });
+
+        test('should filter by muscle group and equipment', async () => {
+            const response = await request()
+                .get('/exercises?muscleGroup=hamstrings&equipment=barbell')
+                .set('Authorization', `Bearer ${owner.token}`);
+
+            expect(response.body.exercises.map((exercise) => exercise._id)).toContain(deadliftId);
+            expect(response.body.exercises.map((exercise) => exercise._id)).not.toContain(customId);
+        });
+
+        test('should list only own custom exercises', async () => {
+            const own = await request().get('/exercises?custom=true').set('Authorization', `Bearer ${owner.token}`);
+            expect(own.body.exercises.map((exercise) => exercise._id)).toEqual([customId]);
+
+            const other = await request().get('/exercises').set('Authorization', `Bearer ${otherUser.token}`);
+            expect(other.body.exercises.map((exercise) => exercise._id)).not.toContain(customId);
+
+            const single = await request()
+                .get(`/exercises/${customId}`)
+                .set('Authorization', `Bearer ${otherUser.token}`);
+            expect(single.status).toBe(404);
+        });
+    });
+
+    describe('Changing Exercises', () => {
+        test('should not let regular users change global exercises', async () => {
+            const response = await request()
+                .put(`/exercises/${deadliftId}`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ aliases: [] });
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should update own custom exercises', async () => {
+            const response = await request()
+                .put(`/exercises/${customId}`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ muscleGroups: ['Hamstrings'], aliases: ['Band GM'] });
+            expect(response.status).toBe(200);
+
+            const search = await request().get('/exercises?q=band gm').set('Authorization', `Bearer ${owner.token}`);
+            expect(search.body.exercises.map((exercise) => exercise._id)).toEqual([customId]);
+        });
+    });
+
+    describe('Workouts Referencing Exercises', () => {
+        let workoutId = null;
+
+        beforeAll(async () => {
+            const workout = await request()
+                .post('/workouts')
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({
+                    userId: owner.id,
+                    workoutName: 'Posterior Chain',
+                    date: new Date().toISOString().slice(0, 10),
+                    duration: 50,
+                    caloriesBurned: 300,
+                    exerciseType: 'Weightlifting'
+                });
+            workoutId = workout.body.workoutId;
+        });
+
+        test('should add a library exercise by ID', async () => {
+            const response = await request()
+                .post(`/workouts/${workoutId}/exercises`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ exerciseId: deadliftId, sets: [{ reps: 8, weight: 80 }] });
+            expect(response.status).toBe(201);
+
+            const workout = await request().get(`/workouts/${workoutId}`).set('Authorization', `Bearer ${owner.token}`);
+            expect(workout.body.exercises[0]).toMatchObject({ exerciseId: deadliftId, name: 'Romanian Deadlift' });
+        });
+
+        test('should list workouts containing a library exercise', async () => {
+            const response = await request()
+                .get(`/workouts?exerciseId=${deadliftId}`)
+                .set('Authorization', `Bearer ${owner.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.workouts.map((workout) => workout._id)).toEqual([workoutId]);
+        });
+
+        test('should not reference custom exercises of other users', async () => {
+            const workout = await request()
+                .post('/workouts')
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .send({
+                    userId: otherUser.id,
+                    workoutName: 'Borrowed Moves',
+                    date: new Date().toISOString().slice(0, 10),
+                    duration: 30,
+                    caloriesBurned: 200,
+                    exerciseType: 'Strength'
+                });
+
+            const response = await request()
+                .post(`/workouts/${workout.body.workoutId}/exercises`)
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .send({ exerciseId: customId });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Referenced exercise does not exist');
+        });
+
+        test('should keep logged exercises when the library exercise is deleted', async () => {
+            const response = await request()
+                .delete(`/exercises/${customId}`)
+                .set('Authorization', `Bearer ${owner.token}`);
+            expect(response.status).toBe(200);
+
+            const workout = await request().get(`/workouts/${workoutId}`).set('Authorization', `Bearer ${owner.token}`);
+            expect(workout.body.exercises).toHaveLength(1);
+        });
+    });
+});
@@ -1,5 +1,9 @@
 require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const { URL } = require('url');
 const request = require('supertest');
+const mongodb = require('../../db/connect');
 const BASE_URL = 'http://localhost:8081';
 
 /**
@@ -89,6 +93,80 @@ async function createTestUser(overrides = {}, authenticate = false) {
     return result;
 }
 
+/**
+ * Logs in the admin user created at startup (AUTO_ADMIN_EMAIL/AUTO_ADMIN_PASSWORD)
+ * @returns {Promise<string>} JWT token
+ */
+async function authenticateAdmin() {
+    return authenticateUser({
+        email: process.env.AUTO_ADMIN_EMAIL,
+        password: process.env.AUTO_ADMIN_PASSWORD
+    });
+}
+
+/**
+ * Creates and logs in several test users
+ * @param {Array<Object>} users - User data overrides per user, e.g. { email, firstName }
+ * @param {Object} defaults - Overrides shared by all users, e.g. { lastName }
+ * @returns {Promise<Array<Object>>} Users as { id, email, token }, in the given order
+ */
+async function createUsers(users, defaults = {}) {
+    const created = [];
+    for (const overrides of users) {
+        const { userId, userData, token } = await createTestUser({ ...defaults, ...overrides }, true);
+        created.push({ id: userId, email: userData.email, token });
+    }
+    return created;
+}
+
+/**
+ * Gives a test user the coach role and logs them in again, as the role is part of the token
+ * @param {Object} user - User from createUsers
+ * @param {string} adminToken - Admin authentication token
+ * @returns {Promise<string>} JWT token with the coach role
+ */
+async function promoteToCoach(user, adminToken) {
+    await request(BASE_URL)
+        .patch(`/users/${user.id}/role`)
+        .set('Authorization', `Bearer ${adminToken}`)
+        .send({ role: 'coach' });
+    return authenticateUser({ email: user.email, password: 'SecurePassword123!' });
+}
+
+/**
+ * Invites an athlete to be coached and accepts the invitation as the athlete
+ * @param {Object} coach - Coach from createUsers (with a coach token)
+ * @param {Object} athlete - Athlete from createUsers
+ * @returns {Promise<string>} Relationship ID
+ */
+async function linkCoachClient(coach, athlete) {
+    const invitation = await request(BASE_URL)
+        .post('/coaching/invitations')
+        .set('Authorization', `Bearer ${coach.token}`)
+        .send({ athleteEmail: athlete.email });
+    await request(BASE_URL)
+        .post(`/coaching/${invitation.body.relationshipId}/accept`)
+        .set('Authorization', `Bearer ${athlete.token}`);
+    return invitation.body.relationshipId;
+}
+
+/**
+ * Deletes the given test users, skipping ones that were never created
+ * @param {Array<Object>} users - Users as { id }
+ * @param {string} token - Admin authentication token
+ */
+async function cleanupUsers(users, token) {
+    for (const user of users) {
+        if (user && user.id) {
+            try {
+                await deleteUser(user.id, token);
+            } catch (error) {
+                console.log(`Failed to cleanup test user ${user.id}: ${error.message}`);
+            }
+        }
+    }
+}
+
 /**
  * Gets a user by ID with authentication
  * @param {string} userId - User ID
@@ -100,12 +178,12 @@ async function getUserById(userId, token) {
 }
 
 /**
- * Gets all users with authentication
+ * Gets all users with authentication, including deactivated accounts when the token allows it
  * @param {string} token - JWT token
  * @returns {Promise<Object>} Response object
  */
 async function getAllUsers(token) {
-    return await request(BASE_URL).get('/users').set('Authorization', `Bearer ${token}`);
+    return await request(BASE_URL).get('/users?includeInactive=true').set('Authorization', `Bearer ${token}`);
 }
 
 /**
@@ -129,6 +207,16 @@ async function deleteUser(userId, token) {
     return await request(BASE_URL).delete(`/users/${userId}`).set('Authorization', `Bearer ${token}`);
 }
 
+/**
+ * Purges a user right away instead of scheduling the deletion (requires admin token)
+ * @param {string} userId - User ID to purge
+ * @param {string} token - Admin authentication token
+ * @returns {Promise<Object>} Response object
+ */
+async function purgeUser(userId, token) {
+    return await request(BASE_URL).delete(`/users/${userId}?purge=true`).set('Authorization', `Bearer ${token}`);
+}
+
 /**
  * Cleans up test users from the database
  * This function requires authentication to work properly
@@ -145,9 +233,13 @@ async function cleanupTestUsers() {
         });
 
         const getAllResponse = await getAllUsers(token);
+        // Users deleted by earlier runs keep their email until they are purged
+        const pendingResponse = await request(BASE_URL)
+            .get('/users?pendingDeletion=true')
+            .set('Authorization', `Bearer ${token}`);
 
         if (getAllResponse.status === 200 && getAllResponse.body) {
-            const allUsers = getAllResponse.body;
+            const allUsers = [...getAllResponse.body, ...(pendingResponse.status === 200 ? pendingResponse.body : [])];
             const testUsersToDelete = allUsers.filter((user) => user.isTestUser === true);
 
             console.log(`Found ${testUsersToDelete.length} test users to clean up`);
@@ -156,7 +248,7 @@ async function cleanupTestUsers() {
                 // For each user, we need their own token or admin privileges
                 // This is a simplified version - in production, you'd use admin token
                 try {
-                    await deleteUser(user._id, token);
+                    await purgeUser(user._id, token);
                     console.log(`✅ Deleted test user: ${user.firstName} ${user.lastName}`);
                 } catch (error) {
                     console.log(`⚠️  Could not delete user ${user._id}: ${error.message}`);
@@ -170,6 +262,23 @@ async function cleanupTestUsers() {
     }
 }
 
+/**
+ * Connects to the database of the server under test (MONGODB_URI), for code that can't be
+ * reached over HTTP, such as the GitHub/Google login handlers
+ * @returns {Promise<Object>} Database handle
+ */
+async function connectTestDb() {
+    await new Promise((resolve, reject) => mongodb.initDb((error) => (error ? reject(error) : resolve())));
+    return mongodb.getDb().db('cse341-project2');
+}
+
+/**
+ * Closes the connection opened by connectTestDb
+ */
+async function closeTestDb() {
+    await mongodb.getDb().close();
+}
+
 /**
  * Gets or creates a cached auth token for testing
  * @param {string} type - Token type ('user' or 'admin')
@@ -190,6 +299,38 @@ async function getCachedAuthToken(type = 'user') {
     return token;
 }
 
+/**
+ * Reads the most recent email sent to an address by the file mail transport
+ * Only works when the API runs with MAIL_TRANSPORT=file and the same MAIL_OUTBOX_DIR
+ * @param {string} to - Recipient email address
+ * @returns {Object|null} Mail message ({ to, subject, text, ... }) or null if none was sent
+ */
+function readLatestMail(to) {
+    const outboxDir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), 'mail-outbox');
+    if (!fs.existsSync(outboxDir)) {
+        return null;
+    }
+
+    const messages = fs
+        .readdirSync(outboxDir)
+        .sort()
+        .map((file) => JSON.parse(fs.readFileSync(path.join(outboxDir, file), 'utf8')))
+        .filter((message) => message.to === to);
+
+    return messages.length > 0 ? messages[messages.length - 1] : null;
+}
+
+/**
+ * Extracts a query parameter from the first link in an email body
+ * @param {Object} mail - Mail message from readLatestMail
+ * @param {string} param - Query parameter name
+ * @returns {string|null} Parameter value
+ */
+function getLinkParam(mail, param) {
+    const match = mail && mail.text.match(/https?:\/\/\S+/);
+    return match ? new URL(match[0]).searchParams.get(param) : null;
+}
+
 /**
  * Clears cached auth tokens
  */
@@ -209,8 +350,18 @@ module.exports = {
     getAllUsers,
     updateUser,
     deleteUser,
+    purgeUser,
     authenticateUser,
+    authenticateAdmin,
+    createUsers,
+    promoteToCoach,
+    linkCoachClient,
+    cleanupUsers,
+    connectTestDb,
+    closeTestDb,
     getCachedAuthToken,
     clearAuthTokens,
+    readLatestMail,
+    getLinkParam,
     request: (url) => request(url || BASE_URL)
 };
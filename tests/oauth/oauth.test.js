@@ -0,0 +1,318 @@
+/**
+ * OAuth2 Authorization Server Tests
+ *
+ * This test suite validates third-party application access including:
+ * - POST /oauth/clients - Registering client applications (admin only)
+ * - GET/POST /oauth/authorize - Consent screen and authorization codes
+ * - POST /oauth/token - Authorization code (PKCE) and refresh token grants
+ * - POST /oauth/introspect - Token introspection for confidential clients
+ * - GET/DELETE /oauth/consents - Users managing authorized applications
+ *
+ * Security considerations tested:
+ * - Codes are single-use and bound to the PKCE code verifier
+ * - Third-party tokens only reach endpoints within their scopes
+ * - Refresh tokens are rotated and stop working when access is revoked
+ * - Access tokens stop working when access is revoked or the application is deleted
+ */
+
+const crypto = require('crypto');
+const { URL } = require('url');
+const { createTestUser, request, authenticateUser, deleteUser } = require('../helpers/testHelpers');
+
+describe('OAuth2 Authorization Server', () => {
+    const redirectUri = 'https://partner.example.com/callback';
+    let adminToken = null;
+    let testUser = null;
+    let client = null;
+    let tokens = null;
+
+    const createPkce = () => {
+        const verifier = crypto.randomBytes(32).toString('base64url');
+        const challenge = crypto.createHash('sha256').update(verifier).digest('base64url');
+        return { verifier, challenge };
+    };
+
+    const authorizationParams = (challenge) => ({
+        response_type: 'code',
+        client_id: client.clientId,
+        redirect_uri: redirectUri,
+        scope: 'workouts:read',
+        state: 'state-123',
+        code_challenge: challenge,
+        code_challenge_method: 'S256'
+    });
+
+    // Approves an authorization request and returns the code from the redirect URL
+    const authorize = async (challenge) => {
+        const response = await request()
+            .post('/oauth/authorize')
+            .set('Authorization', `Bearer ${testUser.token}`)
+            .send({ ...authorizationParams(challenge), approve: true });
+        return new URL(response.body.redirectUrl).searchParams.get('code');
+    };
+
+    const exchangeCode = (code, verifier) =>
+        request().post('/oauth/token').type('form').send({
+            grant_type: 'authorization_code',
+            code,
+            redirect_uri: redirectUri,
+            code_verifier: verifier,
+            client_id: client.clientId,
+            client_secret: client.clientSecret
+        });
+
+    beforeAll(async () => {
+        adminToken = await authenticateUser({
+            email: process.env.AUTO_ADMIN_EMAIL,
+            password: process.env.AUTO_ADMIN_PASSWORD
+        });
+
+        const { userId, token } = await createTestUser(
+            {
+                email: 'oauth.test@example.com',
+                firstName: 'Olive',
+                lastName: 'Partner'
+            },
+            true
+        );
+        testUser = { id: userId, token };
+    });
+
+    afterAll(async () => {
+        if (client) {
+            await request().delete(`/oauth/clients/${client.clientId}`).set('Authorization', `Bearer ${adminToken}`);
+        }
+
+        if (testUser && testUser.id) {
+            try {
+                await deleteUser(testUser.id, testUser.token);
+            } catch (error) {
+                console.log(`Failed to cleanup OAuth test user: ${error.message}`);
+            }
+        }
+    });
+
+    describe('Client Registration', () => {
+        test('should not let regular users register clients', async () => {
+            const response = await request()
+                .post('/oauth/clients')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({ name: 'Sneaky App', redirectUris: [redirectUri] });
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should require HTTPS redirect URIs', async () => {
+            const response = await request()
+                .post('/oauth/clients')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Insecure App', redirectUris: ['http://partner.example.com/callback'] });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain(
+                'Redirect URIs must use HTTPS: http://partner.example.com/callback'
+            );
+        });
+
+        test('should register a confidential client', async () => {
+            const response = await request()
+                .post('/oauth/clients')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Nutrition Tracker', redirectUris: [redirectUri], confidential: true });
+
+            expect(response.status).toBe(201);
+            expect(response.body.clientSecret).toBeDefined();
+            client = { ...response.body.client, clientSecret: response.body.clientSecret };
+        });
+    });
+
+    describe('Authorization', () => {
+        /**
+         * Test: The consent screen shows the application and requested scopes
+         */
+        test('should describe the request for the consent screen', async () => {
+            const response = await request()
+                .get('/oauth/authorize')
+                .query(authorizationParams(createPkce().challenge))
+                .set('Authorization', `Bearer ${testUser.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.client.name).toBe('Nutrition Tracker');
+            expect(response.body.scopes.map((scope) => scope.name)).toEqual(['workouts:read']);
+            expect(response.body.consentRequired).toBe(true);
+        });
+
+        test('should reject unregistered redirect URIs', async () => {
+            const response = await request()
+                .get('/oauth/authorize')
+                .query({ ...authorizationParams(createPkce().challenge), redirect_uri: 'https://evil.example.com/' })
+                .set('Authorization', `Bearer ${testUser.token}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Redirect URI is not registered for this client');
+        });
+
+        test('should redirect with access_denied when the user declines', async () => {
+            const response = await request()
+                .post('/oauth/authorize')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({ ...authorizationParams(createPkce().challenge), approve: false });
+
+            const url = new URL(response.body.redirectUrl);
+            expect(url.searchParams.get('error')).toBe('access_denied');
+            expect(url.searchParams.get('state')).toBe('state-123');
+        });
+    });
+
+    describe('Token Exchange', () => {
+        test('should reject a code with the wrong code verifier', async () => {
+            const code = await authorize(createPkce().challenge);
+
+            const response = await exchangeCode(code, createPkce().verifier);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('invalid_grant');
+        });
+
+        /**
+         * Test: A code is exchanged once for scoped tokens
+         */
+        test('should exchange a code once for tokens', async () => {
+            const { verifier, challenge } = createPkce();
+            const code = await authorize(challenge);
+
+            const response = await exchangeCode(code, verifier);
+            expect(response.status).toBe(200);
+            expect(response.body.token_type).toBe('Bearer');
+            expect(response.body.scope).toBe('workouts:read');
+            tokens = response.body;
+
+            const reuse = await exchangeCode(code, verifier);
+            expect(reuse.status).toBe(400);
+        });
+
+        test('should reject an invalid client secret', async () => {
+            const response = await request().post('/oauth/token').type('form').send({
+                grant_type: 'refresh_token',
+                refresh_token: tokens.refresh_token,
+                client_id: client.clientId,
+                client_secret: 'wrong-secret'
+            });
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('invalid_client');
+        });
+    });
+
+    describe('Scoped Access', () => {
+        test('should allow endpoints within the granted scopes', async () => {
+            const response = await request().get('/workouts').set('Authorization', `Bearer ${tokens.access_token}`);
+
+            expect(response.status).toBe(200);
+        });
+
+        test('should reject endpoints outside the granted scopes', async () => {
+            const profile = await request()
+                .get('/users/profile/me')
+                .set('Authorization', `Bearer ${tokens.access_token}`);
+            const account = await request()
+                .get(`/users/${testUser.id}`)
+                .set('Authorization', `Bearer ${tokens.access_token}`);
+
+            expect(profile.status).toBe(403);
+            expect(profile.body.requiredScope).toBe('profile:read');
+            expect(account.status).toBe(403);
+            expect(account.body.error).toBe('This endpoint is not available to third-party applications');
+        });
+
+        test('should introspect the access token', async () => {
+            const response = await request()
+                .post('/oauth/introspect')
+                .auth(client.clientId, client.clientSecret)
+                .type('form')
+                .send({ token: tokens.access_token });
+
+            expect(response.status).toBe(200);
+            expect(response.body.active).toBe(true);
+            expect(response.body.scope).toBe('workouts:read');
+            expect(response.body.sub).toBe(testUser.id);
+        });
+    });
+
+    describe('Refreshing and Revoking', () => {
+        /**
+         * Test: Refresh tokens rotate and the old one can't be used again
+         */
+        test('should rotate refresh tokens', async () => {
+            const refresh = (refreshToken) =>
+                request()
+                    .post('/oauth/token')
+                    .auth(client.clientId, client.clientSecret)
+                    .type('form')
+                    .send({ grant_type: 'refresh_token', refresh_token: refreshToken });
+
+            const response = await refresh(tokens.refresh_token);
+            expect(response.status).toBe(200);
+
+            const reuse = await refresh(tokens.refresh_token);
+            expect(reuse.status).toBe(400);
+
+            tokens = response.body;
+        });
+
+        test('should stop refreshing after the user revokes access', async () => {
+            const consents = await request().get('/oauth/consents').set('Authorization', `Bearer ${testUser.token}`);
+            expect(consents.body.applications.map((app) => app.clientId)).toContain(client.clientId);
+
+            const revoke = await request()
+                .delete(`/oauth/consents/${client.clientId}`)
+                .set('Authorization', `Bearer ${testUser.token}`);
+            expect(revoke.status).toBe(200);
+
+            const introspection = await request()
+                .post('/oauth/introspect')
+                .auth(client.clientId, client.clientSecret)
+                .type('form')
+                .send({ token: tokens.refresh_token });
+            expect(introspection.body.active).toBe(false);
+        });
+
+        test('should end access tokens after the user revokes access', async () => {
+            const response = await request().get('/workouts').set('Authorization', `Bearer ${tokens.access_token}`);
+            expect(response.status).toBe(401);
+
+            const introspection = await request()
+                .post('/oauth/introspect')
+                .auth(client.clientId, client.clientSecret)
+                .type('form')
+                .send({ token: tokens.access_token });
+            expect(introspection.body.active).toBe(false);
+        });
+
+        /**
+         * Test: Granting access again doesn't bring back tokens issued before the revocation
+         */
+        test('should end access tokens when the application is deleted', async () => {
+            const { verifier, challenge } = createPkce();
+            const exchange = await exchangeCode(await authorize(challenge), verifier);
+            expect(exchange.status).toBe(200);
+
+            const revoked = await request().get('/workouts').set('Authorization', `Bearer ${tokens.access_token}`);
+            expect(revoked.status).toBe(401);
+            const granted = await request()
+                .get('/workouts')
+                .set('Authorization', `Bearer ${exchange.body.access_token}`);
+            expect(granted.status).toBe(200);
+
+            const deletion = await request()
+                .delete(`/oauth/clients/${client.clientId}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(deletion.status).toBe(200);
+
+            const response = await request()
+                .get('/workouts')
+                .set('Authorization', `Bearer ${exchange.body.access_token}`);
+            expect(response.status).toBe(401);
+        });
+    });
+});
@@ -0,0 +1,303 @@
+/**
+ * Training Program Tests
+ *
+ * This test suite validates multi-week training programs including:
+ * - POST /programs - Creating programs with scheduled sessions and progression rules
+ * - POST /programs/:id/enroll - Enrolling with a start date
+ * - GET /programs/enrollments/me/today - Sessions due today with progressed targets
+ * - POST /workouts - Logging a workout for a session marks it done
+ * - GET /programs/enrollments/:id - Progress and missed sessions
+ *
+ * Security considerations tested:
+ * - Private programs are invisible to other users
+ * - Workouts can only be linked to enrollments of the workout user
+ * - Coaches can view the enrollments of their athletes, other users cannot
+ */
+
+const {
+    request,
+    authenticateAdmin,
+    createUsers,
+    promoteToCoach,
+    linkCoachClient,
+    cleanupUsers
+} = require('../helpers/testHelpers');
+
+describe('Training Programs', () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+    let adminToken = null;
+    let coach = null;
+    let athlete = null;
+    let outsider = null;
+    let programId = null;
+    let enrollmentId = null;
+    let program = null;
+
+    // Two weeks ago, so that today is day 1 of week 3
+    const today = new Date().toISOString().slice(0, 10);
+    const startDate = new Date(Date.parse(today) - 14 * DAY_MS).toISOString().slice(0, 10);
+
+    const logWorkout = (user, date, programSession) => {
+        return request().post('/workouts').set('Authorization', `Bearer ${user.token}`).send({
+            userId: user.id,
+            workoutName: 'Program Session',
+            date,
+            duration: 60,
+            caloriesBurned: 400,
+            exerciseType: 'Weightlifting',
+            programSession
+        });
+    };
+
+    beforeAll(async () => {
+        adminToken = await authenticateAdmin();
+        [coach, athlete, outsider] = await createUsers(
+            [
+                { email: 'program.coach@example.com', firstName: 'Cleo' },
+                { email: 'program.athlete@example.com', firstName: 'Arne' },
+                { email: 'program.outsider@example.com', firstName: 'Olga' }
+            ],
+            { lastName: 'Program' }
+        );
+        coach.token = await promoteToCoach(coach, adminToken);
+        await linkCoachClient(coach, athlete);
+    });
+
+    afterAll(async () => {
+        await cleanupUsers([coach, athlete, outsider], adminToken);
+    });
+
+    describe('Creating Programs', () => {
+        test('should validate programs', async () => {
+            const response = await request()
+                .post('/programs')
+                .set('Authorization', `Bearer ${coach.token}`)
+                .send({
+                    name: 'Broken',
+                    exerciseType: 'Weightlifting',
+                    durationWeeks: 4,
+                    sessions: [
+                        {
+                            name: 'Day A',
+                            week: 5,
+                            day: 8,
+                            exercises: [{ name: 'Squat', progression: { everyWeeks: 0 } }]
+                        }
+                    ]
+                });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toEqual(
+                expect.arrayContaining([
+                    'Session 1: Week must be a whole number between 1 and 4',
+                    'Session 1: Day must be a whole number between 1 and 7',
+                    'Session 1: Exercise 1: Progression interval must be a whole number of weeks between 1 and 52'
+                ])
+            );
+        });
+
+        test('should create a program shared with athletes', async () => {
+            const response = await request()
+                .post('/programs')
+                .set('Authorization', `Bearer ${coach.token}`)
+                .send({
+                    name: 'Linear Strength',
+                    exerciseType: 'Weightlifting',
+                    durationWeeks: 4,
+                    visibility: 'athletes',
+                    sessions: [
+                        {
+                            name: 'Squat Day',
+                            day: 1,
+                            duration: 60,
+                            exercises: [
+                                {
+                                    name: 'Squat',
+                                    sets: [{ reps: 5, weight: 60 }],
+                                    progression: { weightIncrement: 2.5 }
+                                }
+                            ]
+                        },
+                        { name: 'Technique', week: 1, day: 3 }
+                    ]
+                });
+            expect(response.status).toBe(201);
+            programId = response.body.programId;
+
+            const created = await request()
+                .get(`/programs/${programId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+            expect(created.status).toBe(200);
+            program = created.body;
+        });
+
+        test('should hide the program from other users', async () => {
+            const single = await request()
+                .get(`/programs/${programId}`)
+                .set('Authorization', `Bearer ${outsider.token}`);
+            expect(single.status).toBe(404);
+
+            const enroll = await request()
+                .post(`/programs/${programId}/enroll`)
+                .set('Authorization', `Bearer ${outsider.token}`);
+            expect(enroll.status).toBe(404);
+        });
+    });
+
+    describe('Enrolling', () => {
+        test('should enroll with a start date', async () => {
+            const response = await request()
+                .post(`/programs/${programId}/enroll`)
+                .set('Authorization', `Bearer ${athlete.token}`)
+                .send({ startDate });
+
+            expect(response.status).toBe(201);
+            enrollmentId = response.body.enrollmentId;
+        });
+
+        test('should allow only one active enrollment per program', async () => {
+            const response = await request()
+                .post(`/programs/${programId}/enroll`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+
+            expect(response.status).toBe(409);
+        });
+
+        /**
+         * Test: Week 3 targets are two weekly increments above the planned weight
+         */
+        test('should return the session due today with progressed targets', async () => {
+            const response = await request()
+                .get('/programs/enrollments/me/today')
+                .set('Authorization', `Bearer ${athlete.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.date).toBe(today);
+            expect(response.body.sessions).toHaveLength(1);
+            expect(response.body.sessions[0]).toMatchObject({
+                enrollmentId,
+                programName: 'Linear Strength',
+                name: 'Squat Day',
+                week: 3,
+                status: 'due'
+            });
+            expect(response.body.sessions[0].exercises[0].sets[0]).toMatchObject({ reps: 5, weight: 65 });
+        });
+
+        test('should report missed sessions', async () => {
+            const response = await request()
+                .get(`/programs/enrollments/${enrollmentId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.progress).toMatchObject({ totalSessions: 5, completed: 0, missed: 3, remaining: 2 });
+            expect(response.body.progress.missedSessions.map((session) => session.date)).toEqual([
+                startDate,
+                new Date(Date.parse(startDate) + 2 * DAY_MS).toISOString().slice(0, 10),
+                new Date(Date.parse(startDate) + 7 * DAY_MS).toISOString().slice(0, 10)
+            ]);
+        });
+    });
+
+    describe('Logging Sessions', () => {
+        let workoutId = null;
+
+        test('should mark the session done when a linked workout is logged', async () => {
+            const squatDay = program.sessions[0];
+            const response = await logWorkout(athlete, today, { enrollmentId, sessionId: squatDay._id });
+            expect(response.status).toBe(201);
+            workoutId = response.body.workoutId;
+
+            const todays = await request()
+                .get('/programs/enrollments/me/today')
+                .set('Authorization', `Bearer ${athlete.token}`);
+            expect(todays.body.sessions[0]).toMatchObject({ status: 'completed', workoutId });
+
+            const workout = await request()
+                .get(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+            expect(workout.body.programSession).toMatchObject({ enrollmentId, programId, week: 3 });
+        });
+
+        test('should let users catch up on missed sessions of earlier weeks', async () => {
+            const technique = program.sessions[1];
+            const response = await logWorkout(athlete, today, { enrollmentId, sessionId: technique._id, week: 1 });
+            expect(response.status).toBe(201);
+
+            const enrollment = await request()
+                .get(`/programs/enrollments/${enrollmentId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+            expect(enrollment.body.progress).toMatchObject({ completed: 2, missed: 2 });
+        });
+
+        test('should reject sessions that are already done or not scheduled', async () => {
+            const [squatDay, technique] = program.sessions;
+
+            const again = await logWorkout(athlete, today, { enrollmentId, sessionId: squatDay._id });
+            expect(again.status).toBe(409);
+
+            const unscheduled = await logWorkout(athlete, today, { enrollmentId, sessionId: technique._id });
+            expect(unscheduled.status).toBe(400);
+            expect(unscheduled.body.error).toBe('Session is not scheduled in this program week');
+        });
+
+        test('should not link workouts to enrollments of other users', async () => {
+            const response = await logWorkout(outsider, today, {
+                enrollmentId,
+                sessionId: program.sessions[0]._id,
+                week: 2
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Program enrollment not found');
+        });
+
+        test('should open the session again when the workout is deleted', async () => {
+            const response = await request()
+                .delete(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+            expect(response.status).toBe(200);
+
+            const todays = await request()
+                .get('/programs/enrollments/me/today')
+                .set('Authorization', `Bearer ${athlete.token}`);
+            expect(todays.body.sessions[0]).toMatchObject({ status: 'due', workoutId: null });
+        });
+    });
+
+    describe('Enrollment Access', () => {
+        test('should let the coach view the progress of an athlete', async () => {
+            const response = await request()
+                .get(`/programs/enrollments/${enrollmentId}`)
+                .set('Authorization', `Bearer ${coach.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.progress.completed).toBe(1);
+        });
+
+        test('should not let other users view the enrollment', async () => {
+            const response = await request()
+                .get(`/programs/enrollments/${enrollmentId}`)
+                .set('Authorization', `Bearer ${outsider.token}`);
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should not delete programs with active enrollments', async () => {
+            const blocked = await request()
+                .delete(`/programs/${programId}`)
+                .set('Authorization', `Bearer ${coach.token}`);
+            expect(blocked.status).toBe(409);
+
+            const cancel = await request()
+                .delete(`/programs/enrollments/${enrollmentId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+            expect(cancel.status).toBe(200);
+
+            const deleted = await request()
+                .delete(`/programs/${programId}`)
+                .set('Authorization', `Bearer ${coach.token}`);
+            expect(deleted.status).toBe(200);
+        });
+    });
+});
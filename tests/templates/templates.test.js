@@ -0,0 +1,221 @@
+/**
+ * Workout Template Tests
+ *
+ * This test suite validates workout templates including:
+ * - POST /templates - Creating templates with planned exercises and target sets
+ * - GET /templates - Own templates plus those shared by coaches
+ * - POST /templates/:id/start - Starting a workout from a template
+ * - PUT/DELETE /templates/:id - Changing and removing templates
+ *
+ * Security considerations tested:
+ * - Private templates are invisible to other users
+ * - Only the owner (or users with templates:manage) can change a template
+ * - Only users with templates:manage can publish templates
+ */
+
+const {
+    request,
+    authenticateAdmin,
+    createUsers,
+    promoteToCoach,
+    linkCoachClient,
+    cleanupUsers
+} = require('../helpers/testHelpers');
+
+describe('Workout Templates', () => {
+    let adminToken = null;
+    let coach = null;
+    let athlete = null;
+    let outsider = null;
+    let templateId = null;
+    let workoutId = null;
+
+    const pushDay = {
+        name: 'Push Day A',
+        exerciseType: 'Weightlifting',
+        duration: 60,
+        visibility: 'athletes',
+        exercises: [
+            {
+                name: 'Bench Press',
+                sets: [
+                    { reps: 8, weight: 60, rpe: 8 },
+                    { reps: 8, weight: 60, rpe: 9 }
+                ]
+            },
+            { name: 'Overhead Press', notes: 'Strict', sets: [{ reps: 10, weight: 35 }] }
+        ]
+    };
+
+    beforeAll(async () => {
+        adminToken = await authenticateAdmin();
+        [coach, athlete, outsider] = await createUsers(
+            [
+                { email: 'template.coach@example.com', firstName: 'Cora' },
+                { email: 'template.athlete@example.com', firstName: 'Abel' },
+                { email: 'template.outsider@example.com', firstName: 'Otto' }
+            ],
+            { lastName: 'Template' }
+        );
+        coach.token = await promoteToCoach(coach, adminToken);
+        await linkCoachClient(coach, athlete);
+    });
+
+    afterAll(async () => {
+        await cleanupUsers([coach, athlete, outsider], adminToken);
+    });
+
+    describe('Creating Templates', () => {
+        test('should validate templates', async () => {
+            const response = await request()
+                .post('/templates')
+                .set('Authorization', `Bearer ${coach.token}`)
+                .send({ exerciseType: 'Lifting', visibility: 'friends', exercises: [{ sets: [{ reps: -1 }] }] });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toEqual(
+                expect.arrayContaining([
+                    'Name is required',
+                    'Visibility must be one of: private, athletes, public',
+                    'Exercise 1: Exercise name is required',
+                    'Exercise 1: Set 1: Reps cannot be negative'
+                ])
+            );
+        });
+
+        test('should only let users with templates:manage publish templates', async () => {
+            const response = await request()
+                .post('/templates')
+                .set('Authorization', `Bearer ${coach.token}`)
+                .send({ ...pushDay, visibility: 'public' });
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should create a template shared with athletes', async () => {
+            const response = await request()
+                .post('/templates')
+                .set('Authorization', `Bearer ${coach.token}`)
+                .send(pushDay);
+
+            expect(response.status).toBe(201);
+            templateId = response.body.templateId;
+        });
+    });
+
+    describe('Sharing Templates', () => {
+        test('should show shared templates to athletes of the coach', async () => {
+            const response = await request().get('/templates').set('Authorization', `Bearer ${athlete.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.templates.map((template) => template._id)).toContain(templateId);
+        });
+
+        test('should hide templates from other users', async () => {
+            const list = await request().get('/templates').set('Authorization', `Bearer ${outsider.token}`);
+            expect(list.body.templates.map((template) => template._id)).not.toContain(templateId);
+
+            const single = await request()
+                .get(`/templates/${templateId}`)
+                .set('Authorization', `Bearer ${outsider.token}`);
+            expect(single.status).toBe(404);
+
+            const start = await request()
+                .post(`/templates/${templateId}/start`)
+                .set('Authorization', `Bearer ${outsider.token}`);
+            expect(start.status).toBe(404);
+        });
+
+        test('should not let athletes change the template', async () => {
+            const response = await request()
+                .put(`/templates/${templateId}`)
+                .set('Authorization', `Bearer ${athlete.token}`)
+                .send({ duration: 45 });
+
+            expect(response.status).toBe(403);
+        });
+    });
+
+    describe('Starting Workouts', () => {
+        /**
+         * Test: The workout is dated now, copies the planned exercises and links back to the template
+         */
+        test('should start a workout from the template', async () => {
+            const response = await request()
+                .post(`/templates/${templateId}/start`)
+                .set('Authorization', `Bearer ${athlete.token}`)
+                .send({ caloriesBurned: 350 });
+            expect(response.status).toBe(201);
+            workoutId = response.body.workoutId;
+
+            const template = await request()
+                .get(`/templates/${templateId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+            const workout = await request()
+                .get(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+
+            expect(workout.body).toMatchObject({
+                userId: athlete.id,
+                workoutName: 'Push Day A',
+                exerciseType: 'WEIGHTLIFTING',
+                duration: 60,
+                caloriesBurned: 350,
+                templateId
+            });
+            expect(Date.now() - new Date(workout.body.date).getTime()).toBeLessThan(60 * 1000);
+            expect(workout.body.exercises.map((exercise) => exercise.templateExerciseId)).toEqual(
+                template.body.exercises.map((exercise) => exercise._id)
+            );
+            expect(workout.body.exercises[0].sets).toHaveLength(2);
+            expect(workout.body.exercises[0].sets[0]._id).not.toBe(template.body.exercises[0].sets[0]._id);
+        });
+
+        test('should let the coach start the template for an athlete', async () => {
+            const response = await request()
+                .post(`/templates/${templateId}/start`)
+                .set('Authorization', `Bearer ${coach.token}`)
+                .send({ userId: athlete.id, duration: 50 });
+
+            expect(response.status).toBe(201);
+        });
+
+        test('should list workouts started from the template', async () => {
+            const response = await request()
+                .get(`/workouts?templateId=${templateId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.workouts).toHaveLength(2);
+        });
+
+        test('should require a duration when the template has none', async () => {
+            const template = await request()
+                .post('/templates')
+                .set('Authorization', `Bearer ${outsider.token}`)
+                .send({ name: 'Easy Run', exerciseType: 'Running' });
+
+            const response = await request()
+                .post(`/templates/${template.body.templateId}/start`)
+                .set('Authorization', `Bearer ${outsider.token}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('Duration is required');
+        });
+    });
+
+    describe('Deleting Templates', () => {
+        test('should keep started workouts when the template is deleted', async () => {
+            const response = await request()
+                .delete(`/templates/${templateId}`)
+                .set('Authorization', `Bearer ${coach.token}`);
+            expect(response.status).toBe(200);
+
+            const workout = await request()
+                .get(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${athlete.token}`);
+            expect(workout.status).toBe(200);
+            expect(workout.body.templateId).toBe(templateId);
+        });
+    });
+});
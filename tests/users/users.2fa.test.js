@@ -0,0 +1,264 @@
+/**
+ * Two-Factor Authentication Tests
+ *
+ * This test suite validates TOTP two-factor authentication including:
+ * - POST /users/profile/me/2fa/setup and /enable - Enrollment with a first code
+ * - POST /users/login and /users/login/2fa - Two-step login with a challenge token
+ * - One-time recovery codes
+ * - POST /users/profile/me/2fa/disable - Turning 2FA off again
+ * - GET/PUT /users/2fa-policy - Admin-managed roles that require 2FA
+ *
+ * Security considerations tested:
+ * - The password alone no longer returns an access token
+ * - Challenge tokens can't be used as access tokens
+ * - TOTP and recovery codes can't be reused
+ */
+
+const { createTestUser, request, authenticateUser, deleteUser } = require('../helpers/testHelpers');
+const { generateTotp, getCurrentStep } = require('../../services/twoFactorService');
+
+describe('Two-Factor Authentication', () => {
+    const testPassword = 'SecurePassword123!';
+    let testUser = null;
+    let secret = null;
+    let recoveryCodes = [];
+
+    // Codes for the next time step are accepted and haven't been used yet
+    const nextCode = () => generateTotp(secret, getCurrentStep() + 1);
+
+    beforeAll(async () => {
+        const { userId, token } = await createTestUser(
+            {
+                email: 'twofactor.test@example.com',
+                firstName: 'Totp',
+                lastName: 'Tester'
+            },
+            true
+        );
+
+        testUser = { id: userId, email: 'twofactor.test@example.com', token };
+    });
+
+    afterAll(async () => {
+        if (testUser && testUser.id) {
+            try {
+                const token = await authenticateUser({
+                    email: process.env.AUTO_ADMIN_EMAIL,
+                    password: process.env.AUTO_ADMIN_PASSWORD
+                });
+                await deleteUser(testUser.id, token);
+            } catch (error) {
+                console.log(`Failed to cleanup 2FA test user: ${error.message}`);
+            }
+        }
+    });
+
+    const login = () => request().post('/users/login').send({ email: testUser.email, password: testPassword });
+
+    describe('Enrollment', () => {
+        test('should report 2FA as disabled by default', async () => {
+            const response = await request()
+                .get('/users/profile/me/2fa')
+                .set('Authorization', `Bearer ${testUser.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.enabled).toBe(false);
+        });
+
+        test('should require setup before enabling', async () => {
+            const response = await request()
+                .post('/users/profile/me/2fa/enable')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({ code: '123456' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Start two-factor setup first');
+        });
+
+        /**
+         * Test: Setup returns a secret and an otpauth URI for authenticator apps
+         */
+        test('should return a secret and otpauth URI', async () => {
+            const response = await request()
+                .post('/users/profile/me/2fa/setup')
+                .set('Authorization', `Bearer ${testUser.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.secret).toMatch(/^[A-Z2-7]+$/);
+            expect(response.body.otpauthUrl).toMatch(/^otpauth:\/\/totp\//);
+            expect(response.body.otpauthUrl).toContain(`secret=${response.body.secret}`);
+            secret = response.body.secret;
+        });
+
+        test('should reject an invalid first code', async () => {
+            const response = await request()
+                .post('/users/profile/me/2fa/enable')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({ code: '000000' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid authentication code');
+        });
+
+        /**
+         * Test: Confirming a code enables 2FA and returns recovery codes once
+         */
+        test('should enable 2FA with a valid code', async () => {
+            const response = await request()
+                .post('/users/profile/me/2fa/enable')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({ code: generateTotp(secret, getCurrentStep()) });
+
+            expect(response.status).toBe(200);
+            expect(response.body.recoveryCodes).toHaveLength(10);
+            recoveryCodes = response.body.recoveryCodes;
+
+            const profile = await request().get('/users/profile/me').set('Authorization', `Bearer ${testUser.token}`);
+            expect(profile.body.twoFactor.enabled).toBe(true);
+            expect(profile.body.twoFactor.secret).toBeUndefined();
+            expect(profile.body.twoFactor.recoveryCodes).toBeUndefined();
+        });
+    });
+
+    describe('Two-step Login', () => {
+        /**
+         * Test: The password step returns a challenge instead of tokens
+         */
+        test('should return a challenge token instead of an access token', async () => {
+            const response = await login();
+
+            expect(response.status).toBe(200);
+            expect(response.body.twoFactorRequired).toBe(true);
+            expect(response.body.challengeToken).toBeDefined();
+            expect(response.body.token).toBeUndefined();
+            expect(response.body.refreshToken).toBeUndefined();
+        });
+
+        test('should not accept the challenge token as an access token', async () => {
+            const { body } = await login();
+
+            const response = await request()
+                .get('/users/profile/me')
+                .set('Authorization', `Bearer ${body.challengeToken}`);
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should reject an invalid code', async () => {
+            const { body } = await login();
+
+            const response = await request()
+                .post('/users/login/2fa')
+                .send({ challengeToken: body.challengeToken, code: '000000' });
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('Invalid authentication code');
+        });
+
+        test('should reject an invalid challenge token', async () => {
+            const response = await request()
+                .post('/users/login/2fa')
+                .send({ challengeToken: 'not-a-challenge', code: nextCode() });
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('Invalid or expired login challenge');
+        });
+
+        /**
+         * Test: A valid code completes the login, and can't be used a second time
+         */
+        test('should issue tokens for a valid code', async () => {
+            const { body } = await login();
+            const code = nextCode();
+
+            const response = await request()
+                .post('/users/login/2fa')
+                .send({ challengeToken: body.challengeToken, code });
+
+            expect(response.status).toBe(200);
+            expect(response.body.token).toBeDefined();
+            expect(response.body.refreshToken).toBeDefined();
+            testUser.token = response.body.token;
+
+            const replay = await request().post('/users/login/2fa').send({ challengeToken: body.challengeToken, code });
+            expect(replay.status).toBe(401);
+        });
+
+        /**
+         * Test: Recovery codes work once each
+         */
+        test('should accept each recovery code once', async () => {
+            const { body } = await login();
+
+            const response = await request()
+                .post('/users/login/2fa')
+                .send({ challengeToken: body.challengeToken, code: recoveryCodes[0] });
+            expect(response.status).toBe(200);
+
+            const reuse = await request()
+                .post('/users/login/2fa')
+                .send({ challengeToken: body.challengeToken, code: recoveryCodes[0] });
+            expect(reuse.status).toBe(401);
+
+            const status = await request()
+                .get('/users/profile/me/2fa')
+                .set('Authorization', `Bearer ${response.body.token}`);
+            expect(status.body.recoveryCodesRemaining).toBe(9);
+        });
+    });
+
+    describe('Disabling', () => {
+        test('should require the password and a code', async () => {
+            const response = await request()
+                .post('/users/profile/me/2fa/disable')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({});
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('Password is required');
+            expect(response.body.details).toContain('Authentication code is required');
+        });
+
+        test('should disable 2FA and return to single-step logins', async () => {
+            const response = await request()
+                .post('/users/profile/me/2fa/disable')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({ password: testPassword, code: recoveryCodes[1] });
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe('Two-factor authentication disabled');
+
+            const loginResponse = await login();
+            expect(loginResponse.body.token).toBeDefined();
+            expect(loginResponse.body.twoFactorRequired).toBeUndefined();
+        });
+    });
+
+    describe('Policy', () => {
+        test('should not let regular users view or change the policy', async () => {
+            const view = await request().get('/users/2fa-policy').set('Authorization', `Bearer ${testUser.token}`);
+            const update = await request()
+                .put('/users/2fa-policy')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({ requiredRoles: [] });
+
+            expect(view.status).toBe(403);
+            expect(update.status).toBe(403);
+        });
+
+        test('should reject unknown roles', async () => {
+            const adminToken = await authenticateUser({
+                email: process.env.AUTO_ADMIN_EMAIL,
+                password: process.env.AUTO_ADMIN_PASSWORD
+            });
+
+            const response = await request()
+                .put('/users/2fa-policy')
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ requiredRoles: ['superuser'] });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid roles');
+        });
+    });
+});
@@ -0,0 +1,146 @@
+/**
+ * API Key Tests
+ *
+ * This test suite validates personal API keys including:
+ * - POST /users/profile/me/api-keys - Create a named key with scopes
+ * - GET /users/profile/me/api-keys - List keys without exposing them
+ * - DELETE /users/profile/me/api-keys/:keyId - Revoke a key
+ * - Authenticating requests with the X-API-Key header
+ *
+ * Security considerations tested:
+ * - Keys are only shown once and never listed
+ * - Keys only work for routes matching their scopes
+ * - Keys can't be used to manage keys or other account settings
+ * - Revoked keys stop working immediately
+ */
+
+const { createTestUser, request, deleteUser } = require('../helpers/testHelpers');
+
+describe('API Keys (/users/profile/me/api-keys)', () => {
+    let testUser = null;
+    let readKey = null;
+
+    beforeAll(async () => {
+        const { userId, token } = await createTestUser(
+            {
+                email: 'apikey.test@example.com',
+                firstName: 'Kei',
+                lastName: 'Tester'
+            },
+            true
+        );
+
+        testUser = { id: userId, email: 'apikey.test@example.com', token };
+    });
+
+    afterAll(async () => {
+        if (testUser && testUser.id) {
+            try {
+                await deleteUser(testUser.id, testUser.token);
+            } catch (error) {
+                console.log(`Failed to cleanup API key test user: ${error.message}`);
+            }
+        }
+    });
+
+    const createKey = (body) =>
+        request().post('/users/profile/me/api-keys').set('Authorization', `Bearer ${testUser.token}`).send(body);
+
+    describe('Creating Keys', () => {
+        test('should validate the name and scopes', async () => {
+            const response = await createKey({ scopes: ['admin:everything'], expiresInDays: 1000 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('Name is required');
+            expect(response.body.details).toContain(
+                'Scopes must be one of: workouts:read, workouts:write, profile:read'
+            );
+            expect(response.body.details).toContain('Expiry must be a whole number of days between 1 and 365');
+        });
+
+        /**
+         * Test: The key is returned once and only a prefix is listed afterwards
+         */
+        test('should return the key once and list it without the secret', async () => {
+            const response = await createKey({ name: 'Import script', scopes: ['workouts:read'], expiresInDays: 30 });
+
+            expect(response.status).toBe(201);
+            expect(response.body.key).toMatch(/^fit_/);
+            expect(response.body.apiKey.expiresAt).toBeDefined();
+            readKey = { id: response.body.apiKey._id, key: response.body.key };
+
+            const list = await request()
+                .get('/users/profile/me/api-keys')
+                .set('Authorization', `Bearer ${testUser.token}`);
+            const listed = list.body.apiKeys.find((apiKey) => apiKey._id === readKey.id);
+
+            expect(listed.name).toBe('Import script');
+            expect(listed.scopes).toEqual(['workouts:read']);
+            expect(readKey.key.startsWith(listed.keyPrefix)).toBe(true);
+            expect(listed.key).toBeUndefined();
+            expect(listed.keyHash).toBeUndefined();
+        });
+    });
+
+    describe('Using Keys', () => {
+        test('should accept the key for routes within its scopes', async () => {
+            const response = await request().get('/workouts').set('X-API-Key', readKey.key);
+
+            expect(response.status).toBe(200);
+        });
+
+        test('should reject routes outside its scopes', async () => {
+            const profile = await request().get('/users/profile/me').set('X-API-Key', readKey.key);
+            const create = await request()
+                .post('/workouts')
+                .set('X-API-Key', readKey.key)
+                .send({
+                    userId: testUser.id,
+                    workoutName: 'Imported Ride',
+                    date: new Date().toISOString().slice(0, 10),
+                    duration: 60,
+                    caloriesBurned: 500,
+                    exerciseType: 'Cycling'
+                });
+
+            expect(profile.status).toBe(403);
+            expect(profile.body.requiredScope).toBe('profile:read');
+            expect(create.status).toBe(403);
+            expect(create.body.requiredScope).toBe('workouts:write');
+        });
+
+        test('should not allow managing keys with a key', async () => {
+            const response = await request().get('/users/profile/me/api-keys').set('X-API-Key', readKey.key);
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('API keys cannot be used for this endpoint');
+        });
+
+        test('should reject unknown keys', async () => {
+            const response = await request().get('/workouts').set('X-API-Key', 'fit_not-a-real-key');
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('Invalid or expired API key');
+        });
+    });
+
+    describe('Revoking Keys', () => {
+        test('should stop accepting a revoked key', async () => {
+            const response = await request()
+                .delete(`/users/profile/me/api-keys/${readKey.id}`)
+                .set('Authorization', `Bearer ${testUser.token}`);
+            expect(response.status).toBe(200);
+
+            const reuse = await request().get('/workouts').set('X-API-Key', readKey.key);
+            expect(reuse.status).toBe(401);
+        });
+
+        test('should return 404 for an unknown key', async () => {
+            const response = await request()
+                .delete(`/users/profile/me/api-keys/${readKey.id}`)
+                .set('Authorization', `Bearer ${testUser.token}`);
+
+            expect(response.status).toBe(404);
+        });
+    });
+});
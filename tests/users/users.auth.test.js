@@ -13,14 +13,14 @@
  * - Password verification
  * - Token security
  * - Rate limiting (if implemented)
- * - Account lockout (if implemented)
+ * - Progressive delays and account lockout after repeated failures
  */
 
 const { createTestUser, request, authenticateUser, deleteUser } = require('../helpers/testHelpers');
 
 describe('User Authentication (POST /users/login)', () => {
     let testUser = null;
-    const testPassword = 'TestPassword123!';
+    const testPassword = 'LoginCheck123!';
 
     beforeAll(async () => {
         // Create a test user for authentication tests
@@ -106,6 +106,7 @@ describe('User Authentication (POST /users/login)', () => {
             expect(payload.exp).toBeDefined(); // Expiration
             expect(payload.iat).toBeDefined(); // Issued at
             expect(payload.iss).toBe('cse341-project2'); // Issuer
+            expect(payload.jti).toBeDefined(); // Token ID used for revocation
         });
 
         /**
@@ -133,8 +134,10 @@ describe('User Authentication (POST /users/login)', () => {
          * Should not reveal whether email exists
          */
         test('should reject invalid email', async () => {
+            // Unique per run so failed attempts from earlier runs can't lock it out
+            const unknownEmail = `nonexistent.${Date.now()}@example.com`;
             const response = await request().post('/users/login').send({
-                email: 'nonexistent@example.com',
+                email: unknownEmail,
                 password: 'SomePassword123!'
             });
 
@@ -382,6 +385,116 @@ describe('User Authentication (POST /users/login)', () => {
             expect(Math.abs(avgValidTime - avgInvalidTime)).toBeLessThan(50);
         });
     });
+
+    describe('Brute-force Protection', () => {
+        const lockoutPassword = 'SecurePassword123!';
+        let lockoutUser = null;
+        let adminToken = null;
+
+        beforeAll(async () => {
+            const { userId } = await createTestUser({
+                email: 'lockout.test@example.com',
+                firstName: 'Lockout',
+                lastName: 'Test'
+            });
+            lockoutUser = { id: userId, email: 'lockout.test@example.com' };
+
+            adminToken = await authenticateUser({
+                email: process.env.AUTO_ADMIN_EMAIL,
+                password: process.env.AUTO_ADMIN_PASSWORD
+            });
+        });
+
+        afterAll(async () => {
+            if (lockoutUser && lockoutUser.id) {
+                try {
+                    await request()
+                        .delete(`/users/${lockoutUser.id}/lockout`)
+                        .set('Authorization', `Bearer ${adminToken}`);
+                    await deleteUser(lockoutUser.id, adminToken);
+                } catch (error) {
+                    console.log(`Failed to cleanup lockout test user: ${error.message}`);
+                }
+            }
+        });
+
+        const login = (password) => request().post('/users/login').send({ email: lockoutUser.email, password });
+
+        /**
+         * Logs in with a wrong password, waiting out any progressive delay first
+         */
+        async function failLogin() {
+            let response = await login('WrongPassword123!');
+            if (response.status === 429) {
+                await new Promise((resolve) => setTimeout(resolve, Number(response.headers['retry-after']) * 1000));
+                response = await login('WrongPassword123!');
+            }
+            return response;
+        }
+
+        /**
+         * Test: Repeated failures slow down the next attempt
+         */
+        test('should delay attempts after repeated failures', async () => {
+            await failLogin();
+            await failLogin();
+
+            // Even the correct password is refused during the delay
+            const response = await login(lockoutPassword);
+
+            expect(response.status).toBe(429);
+            expect(response.body.error).toBe('Too many failed login attempts. Please try again later.');
+            expect(Number(response.headers['retry-after'])).toBeGreaterThan(0);
+        });
+
+        /**
+         * Test: Reaching the threshold locks the account until an admin clears it
+         */
+        test('should lock the account after too many failures', async () => {
+            for (let i = 0; i < 3; i++) {
+                const response = await failLogin();
+                expect(response.status).toBe(401);
+            }
+
+            const locked = await login(lockoutPassword);
+            expect(locked.status).toBe(429);
+            expect(Number(locked.headers['retry-after'])).toBeGreaterThan(60);
+
+            const status = await request()
+                .get(`/users/${lockoutUser.id}/lockout`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(status.status).toBe(200);
+            expect(status.body.locked).toBe(true);
+            expect(status.body.lockouts).toBe(1);
+        });
+
+        test('should only let admins view or clear lockouts', async () => {
+            const { userId, token } = await createTestUser({ email: 'lockout.other@example.com' }, true);
+
+            const view = await request()
+                .get(`/users/${lockoutUser.id}/lockout`)
+                .set('Authorization', `Bearer ${token}`);
+            const clear = await request()
+                .delete(`/users/${lockoutUser.id}/lockout`)
+                .set('Authorization', `Bearer ${token}`);
+
+            expect(view.status).toBe(403);
+            expect(clear.status).toBe(403);
+
+            await deleteUser(userId, token);
+        });
+
+        test('should allow logging in again after an admin clears the lockout', async () => {
+            const clear = await request()
+                .delete(`/users/${lockoutUser.id}/lockout`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(clear.status).toBe(200);
+            expect(clear.body.message).toBe('Login lockout cleared successfully');
+
+            const response = await login(lockoutPassword);
+            expect(response.status).toBe(200);
+        });
+    });
 });
 
 // Add custom matcher for multiple expected values
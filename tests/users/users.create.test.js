@@ -177,8 +177,8 @@ describe('User Creation (POST /users)', () => {
                 firstName: 'Young',
                 lastName: 'User',
                 email: 'young@example.com',
-                password: 'YoungPass123!',
-                passwordConfirm: 'YoungPass123!',
+                password: 'BirthdayPass123!',
+                passwordConfirm: 'BirthdayPass123!',
                 dateOfBirth: young.toISOString().split('T')[0],
                 gender: 'M',
                 isTestUser: true
@@ -199,8 +199,8 @@ describe('User Creation (POST /users)', () => {
                 firstName: 'Old',
                 lastName: 'User',
                 email: 'old@example.com',
-                password: 'OldPass123!',
-                passwordConfirm: 'OldPass123!',
+                password: 'CenturyPass123!',
+                passwordConfirm: 'CenturyPass123!',
                 dateOfBirth: old.toISOString().split('T')[0],
                 gender: 'F',
                 isTestUser: true
@@ -226,8 +226,8 @@ describe('User Creation (POST /users)', () => {
                 firstName: 'Sneaky',
                 lastName: 'User',
                 email: 'sneaky.user@example.com',
-                password: 'SneakyPass123!',
-                passwordConfirm: 'SneakyPass123!',
+                password: 'RoleGrabPass123!',
+                passwordConfirm: 'RoleGrabPass123!',
                 dateOfBirth: '1990-01-01',
                 gender: 'M',
                 role: 'admin', // Attempting to set admin role
@@ -346,6 +346,73 @@ describe('User Creation (POST /users)', () => {
             expect(response.response.body.details).toContain('Passwords do not match');
         });
 
+        /**
+         * Test: Password strength policy
+         * Weak passwords are rejected with a message explaining why
+         */
+        test('should reject weak passwords', async () => {
+            const weakPasswords = [
+                { password: 'a', message: 'Password must be at least 8 characters' },
+                { password: 'alllowercase1', message: 'Password must contain an uppercase letter' },
+                { password: 'NoNumbersHere', message: 'Password must contain a number' },
+                { password: 'lowercaseonly', message: 'Password must contain an uppercase letter and a number' },
+                { password: `Aa1${'x'.repeat(70)}`, message: 'Password must be at most 72 bytes' },
+                { password: 'Password123', message: 'Password is too common' }
+            ];
+
+            for (const { password, message } of weakPasswords) {
+                const response = await createTestUser({
+                    password,
+                    passwordConfirm: password,
+                    email: 'weak.password@example.com'
+                });
+
+                expect(response.response.status).toBe(400);
+                expect(response.response.body.details).toContain(message);
+            }
+        });
+
+        /**
+         * Test: Every broken password rule is reported at once
+         */
+        test('should list every rule a password breaks', async () => {
+            const response = await createTestUser({
+                firstName: 'Harriet',
+                lastName: 'Lovelace',
+                email: 'hlovelace@example.com',
+                password: 'harriet',
+                passwordConfirm: 'harriet'
+            });
+
+            expect(response.response.status).toBe(400);
+            expect(response.response.body.details).toEqual([
+                'Password must be at least 8 characters',
+                'Password must contain an uppercase letter and a number',
+                'Password must not contain your name or email'
+            ]);
+        });
+
+        /**
+         * Test: Passwords containing personal information
+         * The user's name or email must not be part of the password
+         */
+        test('should reject passwords containing the name or email', async () => {
+            const personalPasswords = ['Harriet2024!', 'MyLovelace99!', 'Hlovelace2024!'];
+
+            for (const password of personalPasswords) {
+                const response = await createTestUser({
+                    firstName: 'Harriet',
+                    lastName: 'Lovelace',
+                    email: 'hlovelace@example.com',
+                    password,
+                    passwordConfirm: password
+                });
+
+                expect(response.response.status).toBe(400);
+                expect(response.response.body.details).toContain('Password must not contain your name or email');
+            }
+        });
+
         /**
          * Test: Date of birth validation
          * Tests future dates, too old, and too young scenarios
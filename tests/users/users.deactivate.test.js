@@ -0,0 +1,202 @@
+/**
+ * Account Deactivation Tests
+ *
+ * This test suite validates account deactivation including:
+ * - POST /users/:id/deactivate - Users deactivating their own account
+ * - POST /users/:id/reactivate - Admins reactivating accounts
+ * - GET /users - Deactivated accounts hidden from the user list
+ *
+ * Security considerations tested:
+ * - Deactivation ends existing sessions and blocks logins, also when done by an admin
+ * - Users cannot deactivate or reactivate other accounts
+ * - Workouts of deactivated accounts are read-only
+ */
+
+const { createTestUser, request, authenticateUser, deleteUser } = require('../helpers/testHelpers');
+
+describe('Account Deactivation', () => {
+    const testPassword = 'SecurePassword123!';
+    let adminToken = null;
+    let testUser = null;
+    let otherUser = null;
+    let workoutId = null;
+
+    beforeAll(async () => {
+        adminToken = await authenticateUser({
+            email: process.env.AUTO_ADMIN_EMAIL,
+            password: process.env.AUTO_ADMIN_PASSWORD
+        });
+
+        const testUserResult = await createTestUser(
+            {
+                email: 'deactivate.test@example.com',
+                firstName: 'Dee',
+                lastName: 'Activate'
+            },
+            true
+        );
+        testUser = {
+            id: testUserResult.userId,
+            email: 'deactivate.test@example.com',
+            token: testUserResult.token
+        };
+
+        const otherUserResult = await createTestUser(
+            {
+                email: 'deactivate.other@example.com',
+                firstName: 'Other',
+                lastName: 'User'
+            },
+            true
+        );
+        otherUser = { id: otherUserResult.userId, token: otherUserResult.token };
+
+        const workout = await request()
+            .post('/workouts')
+            .set('Authorization', `Bearer ${testUser.token}`)
+            .send({
+                userId: testUser.id,
+                workoutName: 'Morning Swim',
+                date: new Date().toISOString().slice(0, 10),
+                duration: 30,
+                caloriesBurned: 250,
+                exerciseType: 'Swimming'
+            });
+        workoutId = workout.body.workoutId;
+    });
+
+    afterAll(async () => {
+        for (const user of [testUser, otherUser]) {
+            if (user && user.id) {
+                try {
+                    await deleteUser(user.id, adminToken);
+                } catch (error) {
+                    console.log(`Failed to cleanup deactivation test user: ${error.message}`);
+                }
+            }
+        }
+    });
+
+    describe('Deactivating', () => {
+        test('should not let users deactivate other accounts', async () => {
+            const response = await request()
+                .post(`/users/${testUser.id}/deactivate`)
+                .set('Authorization', `Bearer ${otherUser.token}`);
+
+            expect(response.status).toBe(403);
+        });
+
+        /**
+         * Test: Self-service deactivation
+         * The current session ends and the account can no longer log in
+         */
+        test('should deactivate own account and end its sessions', async () => {
+            const response = await request()
+                .post(`/users/${testUser.id}/deactivate`)
+                .set('Authorization', `Bearer ${testUser.token}`);
+            expect(response.status).toBe(200);
+
+            const profile = await request().get('/users/profile/me').set('Authorization', `Bearer ${testUser.token}`);
+            expect(profile.status).toBe(401);
+
+            const login = await request().post('/users/login').send({
+                email: testUser.email,
+                password: testPassword
+            });
+            expect(login.status).toBe(401);
+            expect(login.body.error).toBe('Account is deactivated');
+        });
+
+        test('should reject deactivating an account twice', async () => {
+            const response = await request()
+                .post(`/users/${testUser.id}/deactivate`)
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Account is already deactivated');
+        });
+    });
+
+    describe('While Deactivated', () => {
+        test('should hide the account from the user list', async () => {
+            const response = await request().get('/users').set('Authorization', `Bearer ${otherUser.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.map((user) => user._id)).not.toContain(testUser.id);
+        });
+
+        test('should list the account for admins asking for inactive users', async () => {
+            const response = await request()
+                .get('/users?includeInactive=true')
+                .set('Authorization', `Bearer ${adminToken}`);
+
+            const listed = response.body.find((user) => user._id === testUser.id);
+            expect(listed).toBeDefined();
+            expect(listed.isActive).toBe(false);
+        });
+
+        /**
+         * Test: Workouts stay readable but cannot be changed, even by admins
+         */
+        test('should make workouts read-only', async () => {
+            const read = await request().get(`/workouts/${workoutId}`).set('Authorization', `Bearer ${adminToken}`);
+            expect(read.status).toBe(200);
+
+            const update = await request()
+                .put(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ duration: 45 });
+            expect(update.status).toBe(403);
+            expect(update.body.error).toBe('Workouts of deactivated accounts are read-only');
+
+            const remove = await request()
+                .delete(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(remove.status).toBe(403);
+        });
+    });
+
+    describe('Reactivating', () => {
+        test('should require the users:status:manage permission', async () => {
+            const response = await request()
+                .post(`/users/${testUser.id}/reactivate`)
+                .set('Authorization', `Bearer ${otherUser.token}`);
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should let admins reactivate the account', async () => {
+            const response = await request()
+                .post(`/users/${testUser.id}/reactivate`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(response.status).toBe(200);
+
+            const login = await request().post('/users/login').send({
+                email: testUser.email,
+                password: testPassword
+            });
+            expect(login.status).toBe(200);
+        });
+    });
+
+    describe('Deactivated by an Admin', () => {
+        /**
+         * Test: The user's existing access token stops working without a new login
+         */
+        test('should end the sessions of the account right away', async () => {
+            const before = await request().get('/users/profile/me').set('Authorization', `Bearer ${otherUser.token}`);
+            expect(before.status).toBe(200);
+
+            const response = await request()
+                .post(`/users/${otherUser.id}/deactivate`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(response.status).toBe(200);
+
+            const profile = await request().get('/users/profile/me').set('Authorization', `Bearer ${otherUser.token}`);
+            expect(profile.status).toBe(401);
+
+            const workouts = await request().get('/workouts').set('Authorization', `Bearer ${otherUser.token}`);
+            expect(workouts.status).toBe(401);
+        });
+    });
+});
@@ -7,7 +7,7 @@
  * - Authorization checks (users can only delete own account)
  * - Admin privileges for deleting other users
  * - Cascade effects (what happens to user's data)
- * - Soft delete vs hard delete (if implemented)
+ * - Soft delete with a grace period
  *
  * Security considerations:
  * - Authentication requirements
@@ -16,13 +16,37 @@
  * - Account recovery (if implemented)
  */
 
-const { createTestUser, deleteUser, getUserById, request } = require('../helpers/testHelpers');
+const { ObjectId } = require('mongodb');
+const {
+    createTestUser,
+    deleteUser,
+    purgeUser,
+    getUserById,
+    authenticateUser,
+    request,
+    connectTestDb,
+    closeTestDb
+} = require('../helpers/testHelpers');
 
 describe('User Deletion (DELETE /users/:id)', () => {
     let testUser = null;
     let anotherUser = null;
     let authToken = null;
     let anotherToken = null;
+    let adminToken = null;
+    let db = null;
+
+    beforeAll(async () => {
+        db = await connectTestDb();
+        adminToken = await authenticateUser({
+            email: process.env.AUTO_ADMIN_EMAIL,
+            password: process.env.AUTO_ADMIN_PASSWORD
+        });
+    });
+
+    afterAll(async () => {
+        await closeTestDb();
+    });
 
     beforeEach(async () => {
         // Create fresh users for each test to ensure isolation
@@ -61,25 +85,13 @@ describe('User Deletion (DELETE /users/:id)', () => {
     });
 
     afterEach(async () => {
-        // Clean up any remaining users
-        try {
-            // Try to delete testUser if it still exists
-            const response = await getUserById(testUser.id, authToken);
-            if (response.status === 200) {
-                await deleteUser(testUser.id, authToken);
-            }
-        } catch (error) {
-            // User already deleted, which is fine
-        }
-
-        try {
-            // Try to delete anotherUser if it still exists
-            const response = await getUserById(anotherUser.id, anotherToken);
-            if (response.status === 200) {
-                await deleteUser(anotherUser.id, anotherToken);
+        // Purge the users, deleted or not, so that their emails can be registered again
+        for (const user of [testUser, anotherUser]) {
+            try {
+                await purgeUser(user.id, adminToken);
+            } catch (error) {
+                // User already purged, which is fine
             }
-        } catch (error) {
-            // User already deleted, which is fine
         }
     });
 
@@ -126,7 +138,7 @@ describe('User Deletion (DELETE /users/:id)', () => {
             const response = await deleteUser(testUser.id, authToken);
 
             expect(response.status).toBe(200);
-            expect(response.body.message).toBe('User deleted successfully');
+            expect(response.body.message).toBe('User scheduled for deletion');
 
             // Verify user is actually deleted
             const checkResponse = await request()
@@ -287,28 +299,193 @@ describe('User Deletion (DELETE /users/:id)', () => {
     describe('Data Integrity', () => {
         /**
          * Test: Cascade deletion effects
-         * What happens to user's related data (workouts, etc.)
+         * Workouts are kept during the grace period and removed when the account is purged
          */
-        test.skip('should handle cascade deletion of user data', async () => {
-            // This test is skipped because it depends on workout implementation
-            // In production:
-            // 1. Create user with related data (workouts, etc.)
-            // 2. Delete user
-            // 3. Verify related data is handled appropriately
-            //    (either deleted or orphaned based on business rules)
+        test('should handle cascade deletion of user data', async () => {
+            const workoutResponse = await request()
+                .post('/workouts')
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({
+                    userId: testUser.id,
+                    workoutName: 'Leg Day',
+                    date: new Date().toISOString().slice(0, 10),
+                    duration: 50,
+                    caloriesBurned: 400,
+                    exerciseType: 'Strength'
+                });
+            expect(workoutResponse.status).toBe(201);
+            const workoutId = workoutResponse.body.workoutId;
+
+            await deleteUser(testUser.id, authToken);
+
+            const duringGracePeriod = await request()
+                .get(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(duringGracePeriod.status).toBe(200);
+
+            const purgeResponse = await purgeUser(testUser.id, adminToken);
+            expect(purgeResponse.status).toBe(200);
+
+            const afterPurge = await request()
+                .get(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(afterPurge.status).toBe(404);
+
+            const report = await request().get('/workouts/orphaned').set('Authorization', `Bearer ${adminToken}`);
+            expect(report.status).toBe(200);
+            expect(report.body.owners.map((owner) => owner.userId)).not.toContain(testUser.id);
+        });
+
+        /**
+         * Test: The email of an account pending deletion stays taken
+         * Registering with it must not take over or purge the pending account
+         */
+        test('should keep the email taken until the account is purged', async () => {
+            await deleteUser(testUser.id, authToken);
+
+            const registerResponse = await createTestUser({
+                email: testUser.email,
+                firstName: 'Delete',
+                lastName: 'Test'
+            });
+            expect(registerResponse.response.status).toBe(409);
+
+            const pending = await request()
+                .get('/users?pendingDeletion=true')
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(pending.status).toBe(200);
+            expect(pending.body.map((user) => user._id)).toContain(testUser.id);
         });
 
         /**
-         * Test: Soft delete vs hard delete
-         * If implementing soft delete for data recovery
+         * Test: Purging skips the grace period, so only admins may do it
          */
-        test.skip('should perform soft delete if configured', async () => {
-            // This test is skipped because soft delete isn't implemented
-            // In production with soft delete:
-            // 1. Delete user
-            // 2. Verify user is marked as deleted but still in database
-            // 3. Verify user cannot login or be accessed normally
-            // 4. Admin might be able to recover the account
+        test('should not let users purge their own account', async () => {
+            const response = await purgeUser(testUser.id, authToken);
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should only let admins clean up orphaned workouts', async () => {
+            const response = await request().delete('/workouts/orphaned').set('Authorization', `Bearer ${authToken}`);
+
+            expect(response.status).toBe(403);
+        });
+
+        /**
+         * Test: Workouts kept with DELETED_USER_WORKOUTS=anonymize have no owner left
+         */
+        test('should let admins edit and delete anonymized workouts', async () => {
+            const result = await db.collection('workouts').insertOne({
+                userId: null,
+                workoutName: 'Anonymized Run',
+                date: new Date().toISOString().slice(0, 10),
+                duration: 30,
+                caloriesBurned: 250,
+                exerciseType: 'RUNNING',
+                notes: '',
+                createdBy: null,
+                anonymizedAt: new Date(),
+                createdAt: new Date()
+            });
+            const workoutId = result.insertedId.toString();
+
+            const ownUpdate = await request()
+                .put(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${authToken}`)
+                .send({ duration: 35 });
+            expect(ownUpdate.status).toBe(403);
+
+            const update = await request()
+                .put(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ duration: 35 });
+            expect(update.status).toBe(200);
+
+            const remove = await request()
+                .delete(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${adminToken}`);
+            expect(remove.status).toBe(200);
+        });
+
+        /**
+         * Test: Enrollments of other users in the programs of a purged coach go with them
+         */
+        test('should remove enrollments in the programs of a purged account', async () => {
+            const program = await db.collection('programs').insertOne({
+                userId: testUser.id,
+                name: 'Purged Program',
+                exerciseType: 'Weightlifting',
+                durationWeeks: 1,
+                sessions: [],
+                createdAt: new Date()
+            });
+            const programId = program.insertedId.toString();
+            const enrollment = await db.collection('programEnrollments').insertOne({
+                programId,
+                userId: anotherUser.id,
+                startDate: new Date(),
+                status: 'active',
+                completedSessions: [],
+                createdAt: new Date()
+            });
+            const enrollmentId = enrollment.insertedId.toString();
+
+            const workoutResponse = await request()
+                .post('/workouts')
+                .set('Authorization', `Bearer ${anotherToken}`)
+                .send({
+                    userId: anotherUser.id,
+                    workoutName: 'Program Session',
+                    date: new Date().toISOString().slice(0, 10),
+                    duration: 60,
+                    caloriesBurned: 400,
+                    exerciseType: 'Weightlifting'
+                });
+            expect(workoutResponse.status).toBe(201);
+            const workoutId = workoutResponse.body.workoutId;
+            await db
+                .collection('workouts')
+                .updateOne(
+                    { _id: new ObjectId(workoutId) },
+                    { $set: { programSession: { enrollmentId, programId, sessionId: 'session', week: 1 } } }
+                );
+
+            const purgeResponse = await purgeUser(testUser.id, adminToken);
+            expect(purgeResponse.status).toBe(200);
+
+            const enrollments = await request()
+                .get('/programs/enrollments/me')
+                .set('Authorization', `Bearer ${anotherToken}`);
+            expect(enrollments.body.enrollments).toEqual([]);
+
+            const workout = await request()
+                .get(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${anotherToken}`);
+            expect(workout.status).toBe(200);
+            expect(workout.body.programSession).toBeUndefined();
+        });
+
+        /**
+         * Test: Soft delete with a grace period
+         * Logging in again before the account is purged cancels the deletion
+         */
+        test('should cancel a pending deletion when the user logs in', async () => {
+            const deleteResponse = await deleteUser(testUser.id, authToken);
+            expect(deleteResponse.status).toBe(200);
+            expect(new Date(deleteResponse.body.deletionScheduledAt).getTime()).toBeGreaterThan(Date.now());
+
+            const loginResponse = await request().post('/users/login').send({
+                email: testUser.email,
+                password: testUser.password
+            });
+            expect(loginResponse.status).toBe(200);
+            expect(loginResponse.body.deletionCancelled).toBe(true);
+            authToken = loginResponse.body.token;
+
+            const profileResponse = await getUserById(testUser.id, authToken);
+            expect(profileResponse.status).toBe(200);
+            expect(profileResponse.body.deletionScheduledAt).toBeUndefined();
         });
     });
 
@@ -0,0 +1,232 @@
+/**
+ * Linked Identity Tests
+ *
+ * This test suite validates the login providers linked to an account including:
+ * - GET /users/profile/me/identities - Listing linked providers
+ * - POST /users/profile/me/identities - Starting to link a provider
+ * - DELETE /users/profile/me/identities/:provider - Unlinking a provider
+ * - Moving legacy githubId fields into identities at startup (db/migrations.js)
+ *
+ * Provider accounts can only be linked through GitHub or Google, so these tests link them
+ * directly in the database of the server under test.
+ *
+ * Security considerations tested:
+ * - A provider account can only be linked to one user
+ * - Users can't unlink the last way to log in
+ */
+
+const { ObjectId } = require('mongodb');
+const {
+    createTestUser,
+    request,
+    authenticateUser,
+    deleteUser,
+    connectTestDb,
+    closeTestDb
+} = require('../helpers/testHelpers');
+const { runMigrations } = require('../../db/migrations');
+const { buildIdentity, linkIdentity, createLinkState, linkOAuthIdentity } = require('../../services/identityService');
+const { startLoginSession } = require('../../services/loginService');
+
+describe('Linked Identities', () => {
+    let db = null;
+    let adminToken = null;
+    let testUser = null;
+    let otherUser = null;
+    let legacyUser = null;
+
+    const getIdentities = (user) => {
+        return request().get('/users/profile/me/identities').set('Authorization', `Bearer ${user.token}`);
+    };
+
+    const unlink = (user, provider) => {
+        return request()
+            .delete(`/users/profile/me/identities/${provider}`)
+            .set('Authorization', `Bearer ${user.token}`);
+    };
+
+    beforeAll(async () => {
+        db = await connectTestDb();
+        adminToken = await authenticateUser({
+            email: process.env.AUTO_ADMIN_EMAIL,
+            password: process.env.AUTO_ADMIN_PASSWORD
+        });
+
+        const testUserResult = await createTestUser(
+            { email: 'identities.test@example.com', firstName: 'Ida', lastName: 'Identity' },
+            true
+        );
+        testUser = { id: testUserResult.userId, token: testUserResult.token };
+
+        const otherUserResult = await createTestUser(
+            { email: 'identities.other@example.com', firstName: 'Otto', lastName: 'Identity' },
+            true
+        );
+        otherUser = { id: otherUserResult.userId, token: otherUserResult.token };
+
+        await linkIdentity(
+            db,
+            new ObjectId(testUser.id),
+            buildIdentity('github', 'identities-github-1', 'ida-codes', 'identities.test@example.com')
+        );
+    });
+
+    afterAll(async () => {
+        for (const user of [testUser, otherUser, legacyUser]) {
+            if (user && user.id) {
+                try {
+                    await deleteUser(user.id, adminToken);
+                } catch (error) {
+                    console.log(`Failed to cleanup identity test user: ${error.message}`);
+                }
+            }
+        }
+        await closeTestDb();
+    });
+
+    describe('Listing Identities', () => {
+        test('should list linked providers and whether a password is set', async () => {
+            const response = await getIdentities(testUser);
+
+            expect(response.status).toBe(200);
+            expect(response.body.hasPassword).toBe(true);
+            expect(response.body.identities).toEqual([
+                expect.objectContaining({
+                    provider: 'github',
+                    providerId: 'identities-github-1',
+                    username: 'ida-codes'
+                })
+            ]);
+        });
+
+        test('should require authentication', async () => {
+            const response = await request().get('/users/profile/me/identities');
+
+            expect(response.status).toBe(401);
+        });
+    });
+
+    describe('Linking Providers', () => {
+        test('should return a URL to finish linking at the provider', async () => {
+            const response = await request()
+                .post('/users/profile/me/identities')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({ provider: 'google' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.authorizationUrl).toMatch(/^\/auth\/google\?link=/);
+        });
+
+        test('should reject unsupported providers', async () => {
+            const response = await request()
+                .post('/users/profile/me/identities')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({ provider: 'myspace' });
+
+            expect(response.status).toBe(400);
+            expect(response.body.supportedProviders).toEqual(['github', 'google']);
+        });
+
+        test('should return 409 when the provider is already linked', async () => {
+            const response = await request()
+                .post('/users/profile/me/identities')
+                .set('Authorization', `Bearer ${testUser.token}`)
+                .send({ provider: 'github' });
+
+            expect(response.status).toBe(409);
+        });
+
+        /**
+         * Test: The OAuth callback refuses a provider account linked to someone else
+         */
+        test('should not link a provider account that belongs to another user', async () => {
+            const start = await request()
+                .post('/users/profile/me/identities')
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .send({ provider: 'github' });
+            expect(start.status).toBe(200);
+
+            const result = await linkOAuthIdentity(
+                db,
+                createLinkState(otherUser.id, 'github'),
+                buildIdentity('github', 'identities-github-1', 'ida-codes', null)
+            );
+
+            expect(result).toEqual({ error: 'This account is already linked to another user' });
+            const response = await getIdentities(otherUser);
+            expect(response.body.identities).toEqual([]);
+        });
+    });
+
+    describe('Legacy Identities', () => {
+        /**
+         * Test: Users from before identities stored GitHub logins as githubId/githubUsername
+         */
+        test('should move legacy GitHub fields into identities', async () => {
+            const result = await db.collection('users').insertOne({
+                firstName: 'Lee',
+                lastName: 'Legacy',
+                email: 'identities.legacy@example.com',
+                githubId: 9001,
+                githubUsername: 'lee-legacy',
+                role: 'user',
+                isActive: true,
+                isTestUser: true,
+                createdAt: new Date()
+            });
+
+            await runMigrations(db);
+            await runMigrations(db);
+
+            const user = await db.collection('users').findOne({ _id: result.insertedId });
+            expect(user.githubId).toBeUndefined();
+            expect(user.githubUsername).toBeUndefined();
+            expect(user.identities).toEqual([
+                expect.objectContaining({ provider: 'github', providerId: '9001', username: 'lee-legacy' })
+            ]);
+
+            const session = await startLoginSession(db, user);
+            legacyUser = { id: result.insertedId.toString(), token: session.token };
+        });
+    });
+
+    describe('Unlinking Providers', () => {
+        test('should refuse to unlink the last way to log in', async () => {
+            const identities = await getIdentities(legacyUser);
+            expect(identities.body.hasPassword).toBe(false);
+
+            const response = await unlink(legacyUser, 'github');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toMatch(/only login method/);
+        });
+
+        test('should unlink a provider while another one is linked', async () => {
+            await linkIdentity(
+                db,
+                new ObjectId(legacyUser.id),
+                buildIdentity('google', 'identities-google-1', null, 'identities.legacy@example.com')
+            );
+
+            const response = await unlink(legacyUser, 'github');
+            expect(response.status).toBe(200);
+
+            const identities = await getIdentities(legacyUser);
+            expect(identities.body.identities.map((identity) => identity.provider)).toEqual(['google']);
+        });
+
+        test('should unlink the only provider of an account with a password', async () => {
+            const response = await unlink(testUser, 'github');
+            expect(response.status).toBe(200);
+
+            const identities = await getIdentities(testUser);
+            expect(identities.body.identities).toEqual([]);
+        });
+
+        test('should return 404 for providers that are not linked', async () => {
+            const response = await unlink(testUser, 'github');
+
+            expect(response.status).toBe(404);
+        });
+    });
+});
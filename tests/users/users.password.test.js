@@ -0,0 +1,352 @@
+/**
+ * Password Recovery and Change Tests
+ *
+ * This test suite validates password management including:
+ * - POST /users/password/forgot - Request a reset email
+ * - POST /users/password/reset - Set a new password with the emailed token
+ * - PATCH /users/:id/password - Change the password while logged in
+ *
+ * Security considerations tested:
+ * - No email enumeration (same response for known and unknown emails)
+ * - Reset tokens are single-use
+ * - The current password is required to change it
+ * - Recently used passwords are rejected
+ * - Existing sessions are revoked after a reset or change
+ *
+ * The end-to-end tests read the emails written by the file mail transport, so they
+ * only run when the API and the tests share MAIL_TRANSPORT=file and MAIL_OUTBOX_DIR.
+ */
+
+const {
+    createTestUser,
+    request,
+    authenticateUser,
+    deleteUser,
+    readLatestMail,
+    getLinkParam
+} = require('../helpers/testHelpers');
+
+const describeWithMailOutbox = process.env.MAIL_TRANSPORT === 'file' ? describe : describe.skip;
+
+describe('Password Reset (POST /users/password/forgot, POST /users/password/reset)', () => {
+    describe('Forgot Password', () => {
+        /**
+         * Test: Unknown emails get the same response as registered ones
+         */
+        test('should return 202 for an unknown email', async () => {
+            const response = await request().post('/users/password/forgot').send({ email: 'nobody.here@example.com' });
+
+            expect(response.status).toBeOneOf([202, 429]);
+            if (response.status === 202) {
+                expect(response.body.message).toBe(
+                    'If an account exists for this email, a password reset email has been sent'
+                );
+            }
+        });
+    });
+
+    describe('Reset Validation', () => {
+        test('should require a token', async () => {
+            const response = await request().post('/users/password/reset').send({
+                password: 'BrandNewPassword123!',
+                passwordConfirm: 'BrandNewPassword123!'
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('Reset token is required');
+        });
+
+        test('should validate the new password', async () => {
+            const response = await request().post('/users/password/reset').send({
+                token: 'some-token',
+                password: 'BrandNewPassword123!',
+                passwordConfirm: 'DifferentPassword123!'
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('Passwords do not match');
+        });
+
+        test('should reject an unknown token', async () => {
+            const response = await request().post('/users/password/reset').send({
+                token: 'not-a-real-token',
+                password: 'BrandNewPassword123!',
+                passwordConfirm: 'BrandNewPassword123!'
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid or expired reset token');
+        });
+    });
+
+    describeWithMailOutbox('End-to-end Reset', () => {
+        const newPassword = 'BrandNewPassword123!';
+        let testUser = null;
+
+        beforeAll(async () => {
+            const { userId, token } = await createTestUser(
+                {
+                    email: 'reset.test@example.com',
+                    firstName: 'Reset',
+                    lastName: 'Test'
+                },
+                true
+            );
+
+            testUser = {
+                id: userId,
+                email: 'reset.test@example.com',
+                password: 'SecurePassword123!',
+                token
+            };
+        });
+
+        afterAll(async () => {
+            if (testUser && testUser.id) {
+                try {
+                    const token = await authenticateUser({
+                        email: testUser.email,
+                        password: testUser.password
+                    });
+                    await deleteUser(testUser.id, token);
+                } catch (error) {
+                    console.log(`Failed to cleanup password test user: ${error.message}`);
+                }
+            }
+        });
+
+        /**
+         * Test: The emailed token resets the password once and logs out old sessions
+         */
+        test('should reset the password with the emailed token', async () => {
+            const forgot = await request().post('/users/password/forgot').send({ email: testUser.email });
+            expect(forgot.status).toBe(202);
+
+            const token = getLinkParam(readLatestMail(testUser.email), 'token');
+            expect(token).toBeTruthy();
+
+            const reset = await request().post('/users/password/reset').send({
+                token,
+                password: newPassword,
+                passwordConfirm: newPassword
+            });
+            expect(reset.status).toBe(200);
+            testUser.password = newPassword;
+
+            // Old sessions are revoked
+            const oldSession = await request()
+                .get('/users/profile/me')
+                .set('Authorization', `Bearer ${testUser.token}`);
+            expect(oldSession.status).toBe(401);
+
+            // Token issue times have one second precision
+            await new Promise((resolve) => setTimeout(resolve, 1100));
+
+            const oldLogin = await request()
+                .post('/users/login')
+                .send({ email: testUser.email, password: 'SecurePassword123!' });
+            expect(oldLogin.status).toBe(401);
+
+            const newLogin = await request()
+                .post('/users/login')
+                .send({ email: testUser.email, password: newPassword });
+            expect(newLogin.status).toBe(200);
+
+            // The token cannot be used twice
+            const reuse = await request().post('/users/password/reset').send({
+                token,
+                password: 'AnotherPassword456!',
+                passwordConfirm: 'AnotherPassword456!'
+            });
+            expect(reuse.status).toBe(400);
+        });
+    });
+});
+
+describe('Password Change (PATCH /users/:id/password)', () => {
+    const originalPassword = 'SecurePassword123!';
+    const newPassword = 'ChangedPassword456!';
+    let testUser = null;
+    let otherUser = null;
+
+    beforeAll(async () => {
+        const { userId, token } = await createTestUser(
+            {
+                email: 'pat.changer@example.com',
+                firstName: 'Pat',
+                lastName: 'Changer'
+            },
+            true
+        );
+        testUser = { id: userId, email: 'pat.changer@example.com', password: originalPassword, token };
+
+        const other = await createTestUser(
+            {
+                email: 'change.other@example.com',
+                firstName: 'Other',
+                lastName: 'User'
+            },
+            true
+        );
+        otherUser = { id: other.userId, email: 'change.other@example.com', token: other.token };
+    });
+
+    afterAll(async () => {
+        for (const user of [testUser, otherUser]) {
+            if (user && user.id) {
+                try {
+                    const token = await authenticateUser({
+                        email: user.email,
+                        password: user.password || originalPassword
+                    });
+                    await deleteUser(user.id, token);
+                } catch (error) {
+                    console.log(`Failed to cleanup password change test user: ${error.message}`);
+                }
+            }
+        }
+    });
+
+    const changePassword = (userId, token, body) =>
+        request().patch(`/users/${userId}/password`).set('Authorization', `Bearer ${token}`).send(body);
+
+    describe('Access Control', () => {
+        test('should require authentication', async () => {
+            const response = await request().patch(`/users/${testUser.id}/password`).send({
+                currentPassword: originalPassword,
+                password: newPassword,
+                passwordConfirm: newPassword
+            });
+
+            expect(response.status).toBe(401);
+        });
+
+        /**
+         * Test: Regular users can't change someone else's password
+         */
+        test('should not allow changing the password of another user', async () => {
+            const response = await changePassword(otherUser.id, testUser.token, {
+                currentPassword: originalPassword,
+                password: newPassword,
+                passwordConfirm: newPassword
+            });
+
+            expect(response.status).toBe(403);
+            expect(response.body.error).toBe('Access denied. You can only change your own password.');
+        });
+    });
+
+    describe('Validation', () => {
+        test('should require the current password', async () => {
+            const response = await changePassword(testUser.id, testUser.token, {
+                password: newPassword,
+                passwordConfirm: newPassword
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('Current password is required');
+        });
+
+        test('should reject an incorrect current password', async () => {
+            const response = await changePassword(testUser.id, testUser.token, {
+                currentPassword: 'WrongPassword123!',
+                password: newPassword,
+                passwordConfirm: newPassword
+            });
+
+            expect(response.status).toBe(401);
+            expect(response.body.error).toBe('Current password is incorrect');
+        });
+
+        test('should validate the new password', async () => {
+            const response = await changePassword(testUser.id, testUser.token, {
+                currentPassword: originalPassword,
+                password: newPassword,
+                passwordConfirm: 'DifferentPassword789!'
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('Passwords do not match');
+        });
+
+        test('should reject reusing the current password', async () => {
+            const response = await changePassword(testUser.id, testUser.token, {
+                currentPassword: originalPassword,
+                password: originalPassword,
+                passwordConfirm: originalPassword
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('Password was used recently. Choose a different password.');
+        });
+    });
+
+    describe('Changing the Password', () => {
+        /**
+         * Test: A successful change logs out existing sessions and the new password works
+         */
+        test('should change the password and revoke existing sessions', async () => {
+            const response = await changePassword(testUser.id, testUser.token, {
+                currentPassword: originalPassword,
+                password: newPassword,
+                passwordConfirm: newPassword
+            });
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe('Password changed successfully. Please log in again.');
+            testUser.password = newPassword;
+
+            const oldSession = await request()
+                .get('/users/profile/me')
+                .set('Authorization', `Bearer ${testUser.token}`);
+            expect(oldSession.status).toBe(401);
+
+            // Token issue times have one second precision
+            await new Promise((resolve) => setTimeout(resolve, 1100));
+
+            const oldLogin = await request()
+                .post('/users/login')
+                .send({ email: testUser.email, password: originalPassword });
+            expect(oldLogin.status).toBe(401);
+
+            const newLogin = await request()
+                .post('/users/login')
+                .send({ email: testUser.email, password: newPassword });
+            expect(newLogin.status).toBe(200);
+            testUser.token = newLogin.body.token;
+        });
+
+        /**
+         * Test: Previous passwords stay blocked after they are replaced
+         */
+        test('should reject switching back to a previous password', async () => {
+            const response = await changePassword(testUser.id, testUser.token, {
+                currentPassword: newPassword,
+                password: originalPassword,
+                passwordConfirm: originalPassword
+            });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('Password was used recently. Choose a different password.');
+        });
+
+        test('should not expose the password history', async () => {
+            const response = await request().get('/users/profile/me').set('Authorization', `Bearer ${testUser.token}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.password).toBeUndefined();
+            expect(response.body.passwordHistory).toBeUndefined();
+        });
+    });
+});
+
+// Add custom matcher for multiple expected values
+expect.extend({
+    toBeOneOf(received, expectedValues) {
+        const pass = expectedValues.includes(received);
+        return {
+            message: () => `expected ${received} ${pass ? 'not ' : ''}to be one of ${expectedValues}`,
+            pass
+        };
+    }
+});
@@ -3,7 +3,7 @@
  *
  * This test suite validates user update operations including:
  * - PUT /users/:id - Update user profile
- * - PATCH /users/:id/role - Update user role (admin only)
+ * - PATCH /users/:id/role - Update user role (users:role:update permission)
  * - Field validation during updates
  * - Partial updates
  * - Authorization checks (users can only update own profile)
@@ -17,7 +17,14 @@
  * - Data integrity
  */
 
-const { createTestUser, getUserById, updateUser, deleteUser, request } = require('../helpers/testHelpers');
+const {
+    createTestUser,
+    getUserById,
+    updateUser,
+    deleteUser,
+    request,
+    authenticateUser
+} = require('../helpers/testHelpers');
 
 describe('User Updates (PUT /users/:id)', () => {
     let testUser = null;
@@ -486,7 +493,7 @@ describe('User Updates (PUT /users/:id)', () => {
                 .send({ role: 'admin' });
 
             expect(response.status).toBe(403);
-            expect(response.body.error).toBe('Access denied. Admin privileges required.');
+            expect(response.body.error).toBe('Access denied. Insufficient permissions.');
         });
 
         /**
@@ -506,6 +513,91 @@ describe('User Updates (PUT /users/:id)', () => {
             // Even if user was admin, invalid role should be rejected
             expect(response.status).toBeOneOf([400, 403]);
         });
+
+        /**
+         * Test: Scoped roles
+         * A coach only gets access to athletes who accepted an invitation, not to everyone
+         */
+        test('should grant coach permissions without full admin access', async () => {
+            const adminToken = await authenticateUser({
+                email: process.env.AUTO_ADMIN_EMAIL,
+                password: process.env.AUTO_ADMIN_PASSWORD
+            });
+
+            const invalid = await request()
+                .patch(`/users/${anotherUser.id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'superuser' });
+            expect(invalid.status).toBe(400);
+            expect(invalid.body.validRoles).toEqual(expect.arrayContaining(['user', 'coach', 'support', 'admin']));
+
+            const roleResponse = await request()
+                .patch(`/users/${anotherUser.id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'coach' });
+            expect(roleResponse.status).toBe(200);
+
+            // Tokens carrying the old role stop working
+            const staleProfile = await request()
+                .get('/users/profile/me')
+                .set('Authorization', `Bearer ${anotherToken}`);
+            expect(staleProfile.status).toBe(401);
+
+            // The role is part of the token, so log in again to pick it up
+            const coachToken = await authenticateUser({
+                email: anotherUser.email,
+                password: 'SecurePassword123!'
+            });
+            anotherToken = coachToken;
+
+            const stats = await request()
+                .get(`/workouts/stats/${testUser.id}`)
+                .set('Authorization', `Bearer ${coachToken}`);
+            expect(stats.status).toBe(403);
+
+            const profile = await getUserById(testUser.id, coachToken);
+            expect(profile.status).toBe(403);
+        });
+
+        /**
+         * Test: Demotion takes effect right away
+         * Tokens issued while the user was an admin stop working without a new login
+         */
+        test('should take admin access away from existing tokens when demoted', async () => {
+            const adminToken = await authenticateUser({
+                email: process.env.AUTO_ADMIN_EMAIL,
+                password: process.env.AUTO_ADMIN_PASSWORD
+            });
+
+            await request()
+                .patch(`/users/${anotherUser.id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'admin' });
+            const promotedToken = await authenticateUser({
+                email: anotherUser.email,
+                password: 'SecurePassword123!'
+            });
+
+            const before = await request().get('/users/2fa-policy').set('Authorization', `Bearer ${promotedToken}`);
+            expect(before.status).toBe(200);
+
+            const demotion = await request()
+                .patch(`/users/${anotherUser.id}/role`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ role: 'user' });
+            expect(demotion.status).toBe(200);
+
+            const after = await request().get('/users/2fa-policy').set('Authorization', `Bearer ${promotedToken}`);
+            expect(after.status).toBe(401);
+
+            // A new login only gets the permissions of the new role
+            anotherToken = await authenticateUser({
+                email: anotherUser.email,
+                password: 'SecurePassword123!'
+            });
+            const relogin = await request().get('/users/2fa-policy').set('Authorization', `Bearer ${anotherToken}`);
+            expect(relogin.status).toBe(403);
+        });
     });
 });
 
@@ -0,0 +1,145 @@
+/**
+ * Email Verification Tests
+ *
+ * This test suite validates the email verification flow including:
+ * - GET /users/verify-email - Confirm an address with the emailed token
+ * - POST /users/verify-email/resend - Request a new verification email
+ * - Verification reset when the email is changed with PUT /users/:id
+ *
+ * The end-to-end tests read the emails written by the file mail transport, so they
+ * only run when the API and the tests share MAIL_TRANSPORT=file and MAIL_OUTBOX_DIR.
+ */
+
+const {
+    createTestUser,
+    request,
+    authenticateUser,
+    deleteUser,
+    updateUser,
+    readLatestMail,
+    getLinkParam
+} = require('../helpers/testHelpers');
+
+const describeWithMailOutbox = process.env.MAIL_TRANSPORT === 'file' ? describe : describe.skip;
+
+describe('Email Verification (GET /users/verify-email)', () => {
+    describe('Invalid Requests', () => {
+        test('should reject a missing token', async () => {
+            const response = await request().get('/users/verify-email');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Verification token required');
+        });
+
+        test('should reject an unknown token', async () => {
+            const response = await request().get('/users/verify-email?token=not-a-real-token');
+
+            expect(response.status).toBe(400);
+            expect(response.body.error).toBe('Invalid or expired verification token');
+        });
+    });
+
+    describe('Resending', () => {
+        /**
+         * Test: Resend doesn't reveal whether an email is registered
+         */
+        test('should return 202 for an unknown email', async () => {
+            const response = await request()
+                .post('/users/verify-email/resend')
+                .send({ email: 'nobody.here@example.com' });
+
+            expect(response.status).toBeOneOf([202, 429]);
+        });
+
+        test('should validate the email', async () => {
+            const response = await request().post('/users/verify-email/resend').send({ email: 'not-an-email' });
+
+            expect(response.status).toBeOneOf([400, 429]);
+        });
+    });
+
+    describeWithMailOutbox('End-to-end Verification', () => {
+        let testUser = null;
+
+        beforeAll(async () => {
+            const { userId, token } = await createTestUser(
+                {
+                    email: 'verify.test@example.com',
+                    firstName: 'Verify',
+                    lastName: 'Test'
+                },
+                true
+            );
+
+            testUser = {
+                id: userId,
+                email: 'verify.test@example.com',
+                password: 'SecurePassword123!',
+                token
+            };
+        });
+
+        afterAll(async () => {
+            if (testUser && testUser.id) {
+                try {
+                    const token = await authenticateUser({
+                        email: testUser.email,
+                        password: testUser.password
+                    });
+                    await deleteUser(testUser.id, token);
+                } catch (error) {
+                    console.log(`Failed to cleanup verification test user: ${error.message}`);
+                }
+            }
+        });
+
+        /**
+         * Test: Registration sends a verification email whose token verifies the account
+         */
+        test('should verify the email with the token sent at registration', async () => {
+            const mail = readLatestMail(testUser.email);
+            expect(mail).not.toBeNull();
+
+            const token = getLinkParam(mail, 'token');
+            const response = await request().get(`/users/verify-email?token=${encodeURIComponent(token)}`);
+
+            expect(response.status).toBe(200);
+            expect(response.body.message).toBe('Email verified successfully');
+
+            const profile = await request().get('/users/profile/me').set('Authorization', `Bearer ${testUser.token}`);
+            expect(profile.body.emailVerified).toBe(true);
+
+            // Tokens are single-use
+            const reuse = await request().get(`/users/verify-email?token=${encodeURIComponent(token)}`);
+            expect(reuse.status).toBe(400);
+        });
+
+        /**
+         * Test: Changing the email requires verifying the new address
+         */
+        test('should mark a changed email as unverified and send a new verification email', async () => {
+            const newEmail = 'verify.changed@example.com';
+            const response = await updateUser(testUser.id, { email: newEmail }, testUser.token);
+            expect(response.status).toBe(200);
+            testUser.email = newEmail;
+
+            const profile = await request().get('/users/profile/me').set('Authorization', `Bearer ${testUser.token}`);
+            expect(profile.body.emailVerified).toBe(false);
+
+            const mail = readLatestMail(newEmail);
+            expect(mail).not.toBeNull();
+            expect(getLinkParam(mail, 'token')).toBeTruthy();
+        });
+    });
+});
+
+// Add custom matcher for multiple expected values
+expect.extend({
+    toBeOneOf(received, expectedValues) {
+        const pass = expectedValues.includes(received);
+        return {
+            message: () => `expected ${received} ${pass ? 'not ' : ''}to be one of ${expectedValues}`,
+            pass
+        };
+    }
+});
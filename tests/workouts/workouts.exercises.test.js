@@ -0,0 +1,229 @@
+/**
+ * Workout Exercise Tests
+ *
+ * This test suite validates exercises and sets inside a workout including:
+ * - POST /workouts/:id/exercises - Adding exercises with their sets
+ * - PUT /workouts/:id/exercises/order - Reordering exercises
+ * - POST/PUT/DELETE /workouts/:id/exercises/:exerciseId/sets - Managing sets
+ * - DELETE /workouts/:id/exercises/:exerciseId - Removing exercises
+ *
+ * Security considerations tested:
+ * - Only the owner (or users with workouts:update:any) can change exercises
+ * - Set values are validated before anything is stored
+ */
+
+const { request, authenticateAdmin, createUsers, cleanupUsers } = require('../helpers/testHelpers');
+
+describe('Workout Exercises', () => {
+    let adminToken = null;
+    let owner = null;
+    let otherUser = null;
+    let workoutId = null;
+    let squatId = null;
+    let benchId = null;
+
+    const getWorkout = async () => {
+        const response = await request().get(`/workouts/${workoutId}`).set('Authorization', `Bearer ${owner.token}`);
+        return response.body;
+    };
+
+    beforeAll(async () => {
+        adminToken = await authenticateAdmin();
+        [owner, otherUser] = await createUsers([
+            { email: 'exercises.owner@example.com', firstName: 'Lift', lastName: 'Owner' },
+            { email: 'exercises.other@example.com', firstName: 'Other', lastName: 'Lifter' }
+        ]);
+
+        const workout = await request()
+            .post('/workouts')
+            .set('Authorization', `Bearer ${owner.token}`)
+            .send({
+                userId: owner.id,
+                workoutName: 'Leg Day',
+                date: new Date().toISOString().slice(0, 10),
+                duration: 60,
+                caloriesBurned: 400,
+                exerciseType: 'Weightlifting'
+            });
+        workoutId = workout.body.workoutId;
+    });
+
+    afterAll(async () => {
+        await cleanupUsers([owner, otherUser], adminToken);
+    });
+
+    describe('Exercises', () => {
+        test('should add an exercise with its sets', async () => {
+            const response = await request()
+                .post(`/workouts/${workoutId}/exercises`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({
+                    name: 'Back Squat',
+                    sets: [
+                        { reps: 5, weight: 100, rpe: 7.5, restSeconds: 180, tempo: '3-0-x-0' },
+                        { reps: 5, weight: 225, unit: 'LB' }
+                    ]
+                });
+            expect(response.status).toBe(201);
+            squatId = response.body.exerciseId;
+
+            const workout = await getWorkout();
+            expect(workout.exercises).toHaveLength(1);
+            expect(workout.exercises[0].name).toBe('Back Squat');
+            expect(workout.exercises[0].sets).toHaveLength(2);
+            expect(workout.exercises[0].sets[0]).toMatchObject({
+                reps: 5,
+                weight: 100,
+                unit: 'kg',
+                rpe: 7.5,
+                restSeconds: 180,
+                tempo: '3-0-X-0'
+            });
+            expect(workout.exercises[0].sets[1].unit).toBe('lb');
+        });
+
+        test('should reject invalid sets', async () => {
+            const response = await request()
+                .post(`/workouts/${workoutId}/exercises`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({
+                    name: 'Bench Press',
+                    sets: [{ reps: 5 }, { reps: 2.5, weight: -10, unit: 'stone', rpe: 11, tempo: 'slow' }]
+                });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toEqual([
+                'Set 2: Reps must be a whole number',
+                'Set 2: Weight cannot be negative',
+                'Set 2: Unit must be one of: kg, lb',
+                'Set 2: RPE must be between 1 and 10',
+                'Set 2: Tempo must have four phases, e.g. 3010 or 3-0-X-0'
+            ]);
+        });
+
+        test('should not let other users add exercises', async () => {
+            const response = await request()
+                .post(`/workouts/${workoutId}/exercises`)
+                .set('Authorization', `Bearer ${otherUser.token}`)
+                .send({ name: 'Deadlift' });
+
+            expect(response.status).toBe(403);
+        });
+
+        test('should let admins add exercises to any workout', async () => {
+            const response = await request()
+                .post(`/workouts/${workoutId}/exercises`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ name: 'Bench Press', notes: 'Paused reps' });
+
+            expect(response.status).toBe(201);
+            benchId = response.body.exerciseId;
+        });
+
+        test('should update an exercise', async () => {
+            const response = await request()
+                .put(`/workouts/${workoutId}/exercises/${benchId}`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ name: 'Close-Grip Bench Press' });
+            expect(response.status).toBe(200);
+
+            const workout = await getWorkout();
+            expect(workout.exercises[1].name).toBe('Close-Grip Bench Press');
+            expect(workout.exercises[1].notes).toBe('Paused reps');
+        });
+
+        /**
+         * Test: Reordering needs every exercise exactly once
+         */
+        test('should reorder exercises', async () => {
+            const incomplete = await request()
+                .put(`/workouts/${workoutId}/exercises/order`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ exerciseIds: [benchId] });
+            expect(incomplete.status).toBe(400);
+
+            const response = await request()
+                .put(`/workouts/${workoutId}/exercises/order`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ exerciseIds: [benchId, squatId] });
+            expect(response.status).toBe(200);
+
+            const workout = await getWorkout();
+            expect(workout.exercises.map((exercise) => exercise._id)).toEqual([benchId, squatId]);
+        });
+
+        test('should return 404 for unknown exercises', async () => {
+            const response = await request()
+                .delete(`/workouts/${workoutId}/exercises/507f1f77bcf86cd799439011`)
+                .set('Authorization', `Bearer ${owner.token}`);
+
+            expect(response.status).toBe(404);
+            expect(response.body.error).toBe('Exercise not found');
+        });
+    });
+
+    describe('Sets', () => {
+        let setId = null;
+
+        test('should add a set', async () => {
+            const response = await request()
+                .post(`/workouts/${workoutId}/exercises/${squatId}/sets`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ reps: 3, weight: 120, rpe: 9 });
+            expect(response.status).toBe(201);
+            setId = response.body.setId;
+
+            const workout = await getWorkout();
+            const squat = workout.exercises.find((exercise) => exercise._id === squatId);
+            expect(squat.sets).toHaveLength(3);
+        });
+
+        test('should update a set', async () => {
+            const response = await request()
+                .put(`/workouts/${workoutId}/exercises/${squatId}/sets/${setId}`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ reps: 4, rpe: null });
+            expect(response.status).toBe(200);
+
+            const workout = await getWorkout();
+            const squat = workout.exercises.find((exercise) => exercise._id === squatId);
+            expect(squat.sets[2]).toMatchObject({ reps: 4, weight: 120, unit: 'kg', rpe: null });
+        });
+
+        test('should reorder sets', async () => {
+            const workout = await getWorkout();
+            const setIds = workout.exercises.find((exercise) => exercise._id === squatId).sets.map((set) => set._id);
+
+            const response = await request()
+                .put(`/workouts/${workoutId}/exercises/${squatId}/sets/order`)
+                .set('Authorization', `Bearer ${owner.token}`)
+                .send({ setIds: [...setIds].reverse() });
+            expect(response.status).toBe(200);
+
+            const reordered = await getWorkout();
+            const squat = reordered.exercises.find((exercise) => exercise._id === squatId);
+            expect(squat.sets.map((set) => set._id)).toEqual([...setIds].reverse());
+        });
+
+        test('should remove a set', async () => {
+            const response = await request()
+                .delete(`/workouts/${workoutId}/exercises/${squatId}/sets/${setId}`)
+                .set('Authorization', `Bearer ${owner.token}`);
+            expect(response.status).toBe(200);
+
+            const workout = await getWorkout();
+            const squat = workout.exercises.find((exercise) => exercise._id === squatId);
+            expect(squat.sets.map((set) => set._id)).not.toContain(setId);
+        });
+
+        test('should remove an exercise with its sets', async () => {
+            const response = await request()
+                .delete(`/workouts/${workoutId}/exercises/${squatId}`)
+                .set('Authorization', `Bearer ${owner.token}`);
+            expect(response.status).toBe(200);
+
+            const workout = await getWorkout();
+            expect(workout.exercises.map((exercise) => exercise._id)).toEqual([benchId]);
+        });
+    });
+});
@@ -0,0 +1,272 @@
+/**
+ * Personal Record Tests
+ *
+ * This test suite validates personal record detection including:
+ * - POST /workouts/:id/exercises - Heaviest weight and estimated one-rep max per exercise
+ * - POST /workouts - Longest duration and fastest pace per workout type
+ * - PUT /workouts/:id - Records are worked out again when a workout changes
+ * - DELETE /workouts/:id - Records set in a deleted workout are removed
+ * - GET /users/profile/me/records - Current records and their history
+ *
+ * Security considerations tested:
+ * - Records only compare against and list the user's own workouts
+ */
+
+const { request, authenticateAdmin, createUsers, cleanupUsers } = require('../helpers/testHelpers');
+
+describe('Personal Records', () => {
+    const today = new Date().toISOString().slice(0, 10);
+    let adminToken = null;
+    let lifter = null;
+    let runner = null;
+
+    const createWorkout = (user, data = {}) => {
+        return request()
+            .post('/workouts')
+            .set('Authorization', `Bearer ${user.token}`)
+            .send({
+                userId: user.id,
+                workoutName: 'Record Attempt',
+                date: today,
+                duration: 45,
+                caloriesBurned: 300,
+                exerciseType: 'Weightlifting',
+                ...data
+            });
+    };
+
+    const addExercise = (user, workoutId, sets) => {
+        return request()
+            .post(`/workouts/${workoutId}/exercises`)
+            .set('Authorization', `Bearer ${user.token}`)
+            .send({ name: 'Bench Press', sets });
+    };
+
+    const getRecords = (user, query = '') => {
+        return request().get(`/users/profile/me/records${query}`).set('Authorization', `Bearer ${user.token}`);
+    };
+
+    beforeAll(async () => {
+        adminToken = await authenticateAdmin();
+        [lifter, runner] = await createUsers(
+            [
+                { email: 'records.lifter@example.com', firstName: 'Lars' },
+                { email: 'records.runner@example.com', firstName: 'Rita' }
+            ],
+            { lastName: 'Records' }
+        );
+    });
+
+    afterAll(async () => {
+        await cleanupUsers([lifter, runner], adminToken);
+    });
+
+    describe('Strength Records', () => {
+        let firstWorkoutId = null;
+        let secondWorkoutId = null;
+
+        /**
+         * Test: 100 kg x 5 gives 116.7 (Epley) and 112.5 (Brzycki), averaging 114.6
+         */
+        test('should set weight records for the first logged sets', async () => {
+            const workout = await createWorkout(lifter);
+            firstWorkoutId = workout.body.workoutId;
+
+            const response = await addExercise(lifter, firstWorkoutId, [
+                { reps: 5, weight: 100 },
+                { reps: 12, weight: 80 }
+            ]);
+
+            expect(response.status).toBe(201);
+            const records = Object.fromEntries(response.body.personalRecords.map((record) => [record.type, record]));
+            expect(records.heaviestWeight).toMatchObject({ exerciseName: 'Bench Press', value: 100, unit: 'kg' });
+            expect(records.estimatedOneRepMax).toMatchObject({
+                value: 114.6,
+                previousValue: null,
+                details: { weight: 100, reps: 5, epley: 116.7, brzycki: 112.5 }
+            });
+        });
+
+        test('should only flag records that beat the previous best', async () => {
+            const workout = await createWorkout(lifter);
+            secondWorkoutId = workout.body.workoutId;
+
+            const lighter = await addExercise(lifter, secondWorkoutId, [{ reps: 5, weight: 95 }]);
+            expect(lighter.body.personalRecords.map((record) => record.type)).toEqual([]);
+
+            const heavier = await request()
+                .post(`/workouts/${secondWorkoutId}/exercises/${lighter.body.exerciseId}/sets`)
+                .set('Authorization', `Bearer ${lifter.token}`)
+                .send({ reps: 2, weight: 230, unit: 'lb' });
+
+            expect(heavier.status).toBe(201);
+            expect(heavier.body.personalRecords).toEqual([
+                expect.objectContaining({
+                    type: 'heaviestWeight',
+                    value: 104.33,
+                    previousValue: 100,
+                    details: { weight: 230, unit: 'lb', reps: 2 }
+                })
+            ]);
+        });
+
+        test('should not flag records again when the workout changes otherwise', async () => {
+            const response = await request()
+                .put(`/workouts/${secondWorkoutId}`)
+                .set('Authorization', `Bearer ${lifter.token}`)
+                .send({ notes: 'Heavy single' });
+
+            expect(response.status).toBe(200);
+            expect(response.body.personalRecords).toEqual([]);
+        });
+
+        test('should list current records and their history', async () => {
+            const current = await getRecords(lifter, '?type=heaviestWeight');
+            expect(current.status).toBe(200);
+            expect(current.body.records).toHaveLength(1);
+            expect(current.body.records[0]).toMatchObject({ value: 104.33, workoutId: secondWorkoutId });
+
+            const history = await getRecords(lifter, '?type=heaviestWeight&history=true');
+            expect(history.body.records.map((record) => record.value).sort()).toEqual([100, 104.33]);
+        });
+
+        test('should restore the previous record when the workout is deleted', async () => {
+            const response = await request()
+                .delete(`/workouts/${secondWorkoutId}`)
+                .set('Authorization', `Bearer ${lifter.token}`);
+            expect(response.status).toBe(200);
+
+            const current = await getRecords(lifter, '?type=heaviestWeight');
+            expect(current.body.records[0]).toMatchObject({ value: 100, workoutId: firstWorkoutId });
+        });
+    });
+
+    describe('Template Workouts', () => {
+        let startedWorkoutId = null;
+
+        /**
+         * Test: Planned target sets copied from a template are not performed sets
+         */
+        test('should not set records from planned sets when the workout changes', async () => {
+            const template = await request()
+                .post('/templates')
+                .set('Authorization', `Bearer ${lifter.token}`)
+                .send({
+                    name: 'Press Day',
+                    exerciseType: 'Weightlifting',
+                    duration: 40,
+                    exercises: [{ name: 'Overhead Press', sets: [{ reps: 5, weight: 60 }] }]
+                });
+
+            const started = await request()
+                .post(`/templates/${template.body.templateId}/start`)
+                .set('Authorization', `Bearer ${lifter.token}`);
+            expect(started.status).toBe(201);
+            expect(started.body.personalRecords).toBeUndefined();
+            startedWorkoutId = started.body.workoutId;
+
+            const edited = await request()
+                .put(`/workouts/${startedWorkoutId}`)
+                .set('Authorization', `Bearer ${lifter.token}`)
+                .send({ notes: 'Shoulders felt tight' });
+            expect(edited.status).toBe(200);
+            expect(edited.body.personalRecords).toEqual([]);
+
+            const records = await getRecords(lifter, '?type=heaviestWeight');
+            expect(records.body.records.map((record) => record.exerciseName)).toEqual(['Bench Press']);
+        });
+
+        test('should set records once a planned set is logged', async () => {
+            const workout = await request()
+                .get(`/workouts/${startedWorkoutId}`)
+                .set('Authorization', `Bearer ${lifter.token}`);
+            const [exercise] = workout.body.exercises;
+            expect(exercise.sets[0].performed).toBe(false);
+
+            const logged = await request()
+                .put(`/workouts/${startedWorkoutId}/exercises/${exercise._id}/sets/${exercise.sets[0]._id}`)
+                .set('Authorization', `Bearer ${lifter.token}`)
+                .send({ weight: 57.5 });
+
+            expect(logged.status).toBe(200);
+            expect(logged.body.personalRecords).toEqual(
+                expect.arrayContaining([
+                    expect.objectContaining({ type: 'heaviestWeight', exerciseName: 'Overhead Press', value: 57.5 })
+                ])
+            );
+        });
+    });
+
+    describe('Endurance Records', () => {
+        let workoutId = null;
+
+        test('should set duration and pace records for distance activities', async () => {
+            const response = await createWorkout(runner, { exerciseType: 'Running', duration: 50, distance: 10 });
+            workoutId = response.body.workoutId;
+
+            expect(response.status).toBe(201);
+            expect(response.body.personalRecords).toEqual(
+                expect.arrayContaining([
+                    expect.objectContaining({ type: 'longestDuration', exerciseType: 'RUNNING', value: 50 }),
+                    expect.objectContaining({ type: 'fastestPace', exerciseType: 'RUNNING', value: 300 })
+                ])
+            );
+        });
+
+        test('should detect a faster pace when the workout is updated', async () => {
+            const other = await createWorkout(runner, { exerciseType: 'Running', duration: 40, distance: 8.5 });
+            expect(other.body.personalRecords).toEqual([
+                expect.objectContaining({ type: 'fastestPace', value: 282, previousValue: 300 })
+            ]);
+
+            const response = await request()
+                .put(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${runner.token}`)
+                .send({ duration: 45 });
+
+            expect(response.status).toBe(200);
+            expect(response.body.personalRecords).toEqual([
+                expect.objectContaining({ type: 'fastestPace', value: 270, previousValue: 282 })
+            ]);
+        });
+
+        test('should validate the distance', async () => {
+            const response = await createWorkout(runner, { exerciseType: 'Running', distance: -3 });
+
+            expect(response.status).toBe(400);
+            expect(response.body.details).toContain('Distance must be greater than 0');
+        });
+
+        test('should keep records of other users apart', async () => {
+            const response = await getRecords(runner);
+
+            expect(response.body.records.map((record) => record.type).sort()).toEqual([
+                'fastestPace',
+                'longestDuration'
+            ]);
+        });
+
+        test('should reject unknown record types', async () => {
+            const response = await getRecords(runner, '?type=mostReps');
+
+            expect(response.status).toBe(400);
+        });
+
+        /**
+         * Test: Records move with a workout that is reassigned to another user
+         */
+        test('should move the records of a reassigned workout to the new owner', async () => {
+            const response = await request()
+                .put(`/workouts/${workoutId}`)
+                .set('Authorization', `Bearer ${adminToken}`)
+                .send({ userId: lifter.id });
+            expect(response.status).toBe(200);
+
+            const runnerRecords = await getRecords(runner, '?history=true');
+            expect(runnerRecords.body.records.map((record) => record.workoutId)).not.toContain(workoutId);
+
+            const lifterRecords = await getRecords(lifter, '?type=fastestPace');
+            expect(lifterRecords.body.records).toEqual([expect.objectContaining({ value: 270, workoutId })]);
+        });
+    });
+});
@@ -0,0 +1,72 @@
+const { API_KEY_SCOPES } = require('../services/apiKeyService');
+
+// Individual field validators
+const validateApiKeyName = (name) => {
+    if (!name) {
+        return 'Name is required';
+    }
+
+    if (typeof name !== 'string') {
+        return 'Name must be a string';
+    }
+
+    const trimmedName = name.trim();
+    if (trimmedName.length === 0) {
+        return 'Name cannot be empty';
+    }
+
+    if (trimmedName.length > 50) {
+        return 'Name must be 50 characters or less';
+    }
+
+    return null;
+};
+
+const validateApiKeyScopes = (scopes) => {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        return 'At least one scope is required';
+    }
+
+    const invalidScopes = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+        return `Scopes must be one of: ${API_KEY_SCOPES.join(', ')}`;
+    }
+
+    return null;
+};
+
+const validateExpiresInDays = (expiresInDays) => {
+    if (expiresInDays === undefined || expiresInDays === null) {
+        return null;
+    }
+
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 365) {
+        return 'Expiry must be a whole number of days between 1 and 365';
+    }
+
+    return null;
+};
+
+// Main validation function
+const validateApiKeyForCreation = (apiKeyData) => {
+    const errors = [];
+    const { name, scopes, expiresInDays } = apiKeyData;
+
+    const nameError = validateApiKeyName(name);
+    if (nameError) errors.push(nameError);
+
+    const scopesError = validateApiKeyScopes(scopes);
+    if (scopesError) errors.push(scopesError);
+
+    const expiryError = validateExpiresInDays(expiresInDays);
+    if (expiryError) errors.push(expiryError);
+
+    return errors;
+};
+
+module.exports = {
+    validateApiKeyForCreation,
+    validateApiKeyName,
+    validateApiKeyScopes,
+    validateExpiresInDays
+};
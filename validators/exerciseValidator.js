@@ -0,0 +1,188 @@
+const { EXERCISE_CATEGORIES, MUSCLE_GROUPS, EQUIPMENT, normalizeTaxonomyValue } = require('../config/exercises');
+const { validateExerciseName } = require('./workoutValidator');
+
+const MAX_ALIASES = 20;
+
+// Individual field validators
+const validateCategory = (category) => {
+    if (!category) {
+        return 'Category is required';
+    }
+
+    if (typeof category !== 'string' || !EXERCISE_CATEGORIES.includes(normalizeTaxonomyValue(category))) {
+        return `Category must be one of: ${EXERCISE_CATEGORIES.join(', ')}`;
+    }
+
+    return null;
+};
+
+// Optional list of values from the taxonomy in config/exercises.js
+const validateTaxonomyList = (values, allowed, label) => {
+    if (values === undefined || values === null) {
+        return null;
+    }
+
+    if (!Array.isArray(values)) {
+        return `${label} must be an array`;
+    }
+
+    if (values.some((value) => typeof value !== 'string' || !allowed.includes(normalizeTaxonomyValue(value)))) {
+        return `${label} must be one or more of: ${allowed.join(', ')}`;
+    }
+
+    return null;
+};
+
+const validateAliases = (aliases) => {
+    if (aliases === undefined || aliases === null) {
+        return null;
+    }
+
+    if (!Array.isArray(aliases)) {
+        return 'Aliases must be an array';
+    }
+
+    if (aliases.length > MAX_ALIASES) {
+        return `An exercise cannot have more than ${MAX_ALIASES} aliases`;
+    }
+
+    if (aliases.some((alias) => validateExerciseName(alias))) {
+        return 'Aliases must be non-empty names of 100 characters or less';
+    }
+
+    return null;
+};
+
+const validateDescription = (description) => {
+    if (description !== undefined && description !== null) {
+        if (typeof description !== 'string') {
+            return 'Description must be a string';
+        }
+
+        if (description.length > 2000) {
+            return 'Description must be 2000 characters or less';
+        }
+    }
+
+    return null;
+};
+
+// Main validation functions
+const validateLibraryExerciseForCreation = (exerciseData) => {
+    const errors = [];
+    const { name, category, muscleGroups, equipment, aliases, description } = exerciseData;
+
+    const nameError = validateExerciseName(name);
+    if (nameError) errors.push(nameError);
+
+    const categoryError = validateCategory(category);
+    if (categoryError) errors.push(categoryError);
+
+    // Optional field validations
+    const muscleGroupsError = validateTaxonomyList(muscleGroups, MUSCLE_GROUPS, 'Muscle groups');
+    if (muscleGroupsError) errors.push(muscleGroupsError);
+
+    const equipmentError = validateTaxonomyList(equipment, EQUIPMENT, 'Equipment');
+    if (equipmentError) errors.push(equipmentError);
+
+    const aliasesError = validateAliases(aliases);
+    if (aliasesError) errors.push(aliasesError);
+
+    const descriptionError = validateDescription(description);
+    if (descriptionError) errors.push(descriptionError);
+
+    return errors;
+};
+
+const validateLibraryExerciseForUpdate = (exerciseData) => {
+    const errors = [];
+    const { name, category, muscleGroups, equipment, aliases, description } = exerciseData;
+
+    // Only validate provided fields for updates
+    if (name !== undefined) {
+        const nameError = validateExerciseName(name);
+        if (nameError) errors.push(nameError);
+    }
+
+    if (category !== undefined) {
+        const categoryError = validateCategory(category);
+        if (categoryError) errors.push(categoryError);
+    }
+
+    const muscleGroupsError = validateTaxonomyList(muscleGroups, MUSCLE_GROUPS, 'Muscle groups');
+    if (muscleGroupsError) errors.push(muscleGroupsError);
+
+    const equipmentError = validateTaxonomyList(equipment, EQUIPMENT, 'Equipment');
+    if (equipmentError) errors.push(equipmentError);
+
+    const aliasesError = validateAliases(aliases);
+    if (aliasesError) errors.push(aliasesError);
+
+    const descriptionError = validateDescription(description);
+    if (descriptionError) errors.push(descriptionError);
+
+    return errors;
+};
+
+// Filters of GET /exercises
+const validateExerciseSearchParams = ({ q, category, muscleGroup, equipment }) => {
+    const errors = [];
+
+    if (q !== undefined && (typeof q !== 'string' || q.length > 100)) {
+        errors.push('Search text must be 100 characters or less');
+    }
+
+    if (category !== undefined) {
+        const categoryError = validateCategory(category);
+        if (categoryError) errors.push(categoryError);
+    }
+
+    const muscleGroupError = validateTaxonomyList(muscleGroup && [muscleGroup], MUSCLE_GROUPS, 'Muscle group');
+    if (muscleGroupError) errors.push(muscleGroupError);
+
+    const equipmentError = validateTaxonomyList(equipment && [equipment], EQUIPMENT, 'Equipment');
+    if (equipmentError) errors.push(equipmentError);
+
+    return errors;
+};
+
+const normalizeLibraryExerciseData = (exerciseData) => {
+    const normalized = {};
+    const normalizeList = (values) => [...new Set((values || []).map(normalizeTaxonomyValue))];
+
+    if (exerciseData.name !== undefined) {
+        normalized.name = exerciseData.name.trim();
+    }
+
+    if (exerciseData.category !== undefined) {
+        normalized.category = normalizeTaxonomyValue(exerciseData.category);
+    }
+
+    if (exerciseData.muscleGroups !== undefined) {
+        normalized.muscleGroups = normalizeList(exerciseData.muscleGroups);
+    }
+
+    if (exerciseData.equipment !== undefined) {
+        normalized.equipment = normalizeList(exerciseData.equipment);
+    }
+
+    if (exerciseData.aliases !== undefined) {
+        normalized.aliases = [...new Set((exerciseData.aliases || []).map((alias) => alias.trim()))];
+    }
+
+    if (exerciseData.description !== undefined) {
+        normalized.description = exerciseData.description ? exerciseData.description.trim() : '';
+    }
+
+    return normalized;
+};
+
+module.exports = {
+    validateLibraryExerciseForCreation,
+    validateLibraryExerciseForUpdate,
+    validateExerciseSearchParams,
+    normalizeLibraryExerciseData,
+    validateCategory,
+    validateAliases,
+    validateDescription
+};
@@ -0,0 +1,95 @@
+const { URL } = require('url');
+const { SCOPE_NAMES } = require('../config/scopes');
+
+// Individual field validators
+const validateClientName = (name) => {
+    if (!name) {
+        return 'Name is required';
+    }
+
+    if (typeof name !== 'string') {
+        return 'Name must be a string';
+    }
+
+    const trimmedName = name.trim();
+    if (trimmedName.length === 0) {
+        return 'Name cannot be empty';
+    }
+
+    if (trimmedName.length > 100) {
+        return 'Name must be 100 characters or less';
+    }
+
+    return null;
+};
+
+// Redirect URIs must be absolute, without a fragment, and use HTTPS except for local development
+const validateRedirectUri = (redirectUri) => {
+    let url;
+    try {
+        url = new URL(redirectUri);
+    } catch (error) {
+        return `Invalid redirect URI: ${redirectUri}`;
+    }
+
+    if (url.hash) {
+        return `Redirect URIs cannot contain a fragment: ${redirectUri}`;
+    }
+
+    const isLocalhost = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+    if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocalhost)) {
+        return `Redirect URIs must use HTTPS: ${redirectUri}`;
+    }
+
+    return null;
+};
+
+const validateRedirectUris = (redirectUris) => {
+    if (!Array.isArray(redirectUris) || redirectUris.length === 0) {
+        return ['At least one redirect URI is required'];
+    }
+
+    if (redirectUris.length > 10) {
+        return ['At most 10 redirect URIs are allowed'];
+    }
+
+    return redirectUris.map(validateRedirectUri).filter(Boolean);
+};
+
+// Main validation function
+const validateClientForRegistration = (clientData) => {
+    const errors = [];
+    const { name, redirectUris, confidential } = clientData;
+
+    const nameError = validateClientName(name);
+    if (nameError) errors.push(nameError);
+
+    errors.push(...validateRedirectUris(redirectUris));
+
+    if (confidential !== undefined && typeof confidential !== 'boolean') {
+        errors.push('Confidential must be true or false');
+    }
+
+    return errors;
+};
+
+// Parses a space-separated scope parameter. Returns null when it is empty or contains unknown scopes.
+const parseScopeParam = (scope) => {
+    if (typeof scope !== 'string') {
+        return null;
+    }
+
+    const scopes = [...new Set(scope.split(' ').filter(Boolean))];
+    if (scopes.length === 0 || scopes.some((name) => !SCOPE_NAMES.includes(name))) {
+        return null;
+    }
+
+    return scopes;
+};
+
+module.exports = {
+    validateClientForRegistration,
+    validateClientName,
+    validateRedirectUris,
+    parseScopeParam
+};
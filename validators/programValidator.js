@@ -0,0 +1,248 @@
+const { ObjectId } = require('mongodb');
+const { validateDuration, validateExerciseType, validateExerciseList, validateDate } = require('./workoutValidator');
+const { validateTemplateName, validateVisibility } = require('./templateValidator');
+const { validateDescription } = require('./exerciseValidator');
+
+const MAX_PROGRAM_WEEKS = 52;
+const MAX_PROGRAM_SESSIONS = 100;
+
+// Individual field validators
+const validateDurationWeeks = (durationWeeks) => {
+    if (durationWeeks === undefined || durationWeeks === null) {
+        return 'Duration in weeks is required';
+    }
+
+    const weeksNum = Number(durationWeeks);
+    if (!Number.isInteger(weeksNum) || weeksNum < 1 || weeksNum > MAX_PROGRAM_WEEKS) {
+        return `Duration in weeks must be a whole number between 1 and ${MAX_PROGRAM_WEEKS}`;
+    }
+
+    return null;
+};
+
+// How the target sets of an exercise change from week to week, e.g. +2.5 kg every week
+const validateProgression = (progression) => {
+    if (progression === undefined || progression === null) {
+        return [];
+    }
+
+    if (typeof progression !== 'object' || Array.isArray(progression)) {
+        return ['Progression must be an object'];
+    }
+
+    const errors = [];
+    const { weightIncrement, repsIncrement, everyWeeks } = progression;
+
+    if (weightIncrement !== undefined) {
+        const weightNum = Number(weightIncrement);
+        if (isNaN(weightNum) || weightNum < -100 || weightNum > 100) {
+            errors.push('Progression weight increment must be a number between -100 and 100');
+        }
+    }
+
+    if (repsIncrement !== undefined) {
+        const repsNum = Number(repsIncrement);
+        if (!Number.isInteger(repsNum) || repsNum < -20 || repsNum > 20) {
+            errors.push('Progression reps increment must be a whole number between -20 and 20');
+        }
+    }
+
+    if (everyWeeks !== undefined) {
+        const weeksNum = Number(everyWeeks);
+        if (!Number.isInteger(weeksNum) || weeksNum < 1 || weeksNum > MAX_PROGRAM_WEEKS) {
+            errors.push(`Progression interval must be a whole number of weeks between 1 and ${MAX_PROGRAM_WEEKS}`);
+        }
+    }
+
+    return errors;
+};
+
+// A session runs on a day (1-7) of one week, or of every week when week is left out
+const validateSession = (session, durationWeeks) => {
+    if (!session || typeof session !== 'object' || Array.isArray(session)) {
+        return ['Session must be an object'];
+    }
+
+    const errors = [];
+    const { name, week, day, duration, exercises } = session;
+
+    const nameError = validateTemplateName(name);
+    if (nameError) errors.push(nameError);
+
+    if (week !== undefined && week !== null) {
+        const weekNum = Number(week);
+        if (!Number.isInteger(weekNum) || weekNum < 1 || weekNum > durationWeeks) {
+            errors.push(`Week must be a whole number between 1 and ${durationWeeks}`);
+        }
+    }
+
+    const dayNum = Number(day);
+    if (!Number.isInteger(dayNum) || dayNum < 1 || dayNum > 7) {
+        errors.push('Day must be a whole number between 1 and 7');
+    }
+
+    if (duration !== undefined && duration !== null) {
+        const durationError = validateDuration(duration);
+        if (durationError) errors.push(durationError);
+    }
+
+    if (exercises !== undefined) {
+        const exerciseErrors = validateExerciseList(exercises);
+        errors.push(...exerciseErrors);
+
+        if (exerciseErrors.length === 0) {
+            exercises.forEach((exercise, index) => {
+                validateProgression(exercise.progression).forEach((error) =>
+                    errors.push(`Exercise ${index + 1}: ${error}`)
+                );
+            });
+        }
+    }
+
+    return errors;
+};
+
+const validateSessions = (sessions, durationWeeks) => {
+    if (!Array.isArray(sessions) || sessions.length === 0) {
+        return ['At least one session is required'];
+    }
+
+    if (sessions.length > MAX_PROGRAM_SESSIONS) {
+        return [`A program cannot have more than ${MAX_PROGRAM_SESSIONS} sessions`];
+    }
+
+    const errors = [];
+    sessions.forEach((session, index) => {
+        validateSession(session, durationWeeks).forEach((error) => errors.push(`Session ${index + 1}: ${error}`));
+    });
+
+    return errors;
+};
+
+// Main validation functions
+const validateProgramForCreation = (programData) => {
+    const errors = [];
+    const { name, description, exerciseType, durationWeeks, sessions, visibility } = programData;
+
+    const nameError = validateTemplateName(name);
+    if (nameError) errors.push(nameError);
+
+    const exerciseTypeError = validateExerciseType(exerciseType);
+    if (exerciseTypeError) errors.push(exerciseTypeError);
+
+    const durationWeeksError = validateDurationWeeks(durationWeeks);
+    if (durationWeeksError) {
+        errors.push(durationWeeksError);
+    } else {
+        errors.push(...validateSessions(sessions, Number(durationWeeks)));
+    }
+
+    // Optional field validations
+    const descriptionError = validateDescription(description);
+    if (descriptionError) errors.push(descriptionError);
+
+    const visibilityError = validateVisibility(visibility);
+    if (visibilityError) errors.push(visibilityError);
+
+    return errors;
+};
+
+// Weeks and sessions are validated together, so updates pass the current durationWeeks
+const validateProgramForUpdate = (programData, currentDurationWeeks) => {
+    const errors = [];
+    const { name, description, exerciseType, durationWeeks, sessions, visibility } = programData;
+
+    // Only validate provided fields for updates
+    if (name !== undefined) {
+        const nameError = validateTemplateName(name);
+        if (nameError) errors.push(nameError);
+    }
+
+    if (exerciseType !== undefined) {
+        const exerciseTypeError = validateExerciseType(exerciseType);
+        if (exerciseTypeError) errors.push(exerciseTypeError);
+    }
+
+    if (durationWeeks !== undefined) {
+        const durationWeeksError = validateDurationWeeks(durationWeeks);
+        if (durationWeeksError) errors.push(durationWeeksError);
+    }
+
+    if (errors.length === 0 && (sessions !== undefined || durationWeeks !== undefined)) {
+        if (sessions === undefined) {
+            errors.push('Sessions are required when changing the duration in weeks');
+        } else {
+            errors.push(...validateSessions(sessions, Number(durationWeeks || currentDurationWeeks)));
+        }
+    }
+
+    const descriptionError = validateDescription(description);
+    if (descriptionError) errors.push(descriptionError);
+
+    const visibilityError = validateVisibility(visibility);
+    if (visibilityError) errors.push(visibilityError);
+
+    return errors;
+};
+
+const validateEnrollment = (enrollmentData) => {
+    const errors = [];
+    const { startDate } = enrollmentData;
+
+    if (startDate !== undefined) {
+        const startDateError = validateDate(startDate);
+        if (startDateError) errors.push(startDateError);
+    }
+
+    return errors;
+};
+
+// Links a logged workout to a scheduled session; week defaults to the week of the workout date
+const validateSessionLink = (programSession) => {
+    if (!programSession || typeof programSession !== 'object' || Array.isArray(programSession)) {
+        return ['Program session must be an object'];
+    }
+
+    const errors = [];
+    const { enrollmentId, sessionId, week } = programSession;
+
+    if (!ObjectId.isValid(enrollmentId)) {
+        errors.push('Invalid enrollment ID format');
+    }
+
+    if (!ObjectId.isValid(sessionId)) {
+        errors.push('Invalid session ID format');
+    }
+
+    if (week !== undefined && week !== null) {
+        const weekNum = Number(week);
+        if (!Number.isInteger(weekNum) || weekNum < 1 || weekNum > MAX_PROGRAM_WEEKS) {
+            errors.push(`Week must be a whole number between 1 and ${MAX_PROGRAM_WEEKS}`);
+        }
+    }
+
+    return errors;
+};
+
+const normalizeProgression = (progression) => {
+    if (!progression) {
+        return null;
+    }
+
+    return {
+        weightIncrement: Number(progression.weightIncrement) || 0,
+        repsIncrement: Number(progression.repsIncrement) || 0,
+        everyWeeks: Number(progression.everyWeeks) || 1
+    };
+};
+
+module.exports = {
+    MAX_PROGRAM_WEEKS,
+    validateProgramForCreation,
+    validateProgramForUpdate,
+    validateEnrollment,
+    validateSessionLink,
+    normalizeProgression,
+    validateDurationWeeks,
+    validateProgression
+};
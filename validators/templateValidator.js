@@ -0,0 +1,107 @@
+const {
+    validateWorkoutName,
+    validateDuration,
+    validateExerciseType,
+    validateNotes,
+    validateExerciseList
+} = require('./workoutValidator');
+
+// Who can see and start a template besides its owner
+const TEMPLATE_VISIBILITIES = ['private', 'athletes', 'public'];
+
+// Individual field validators
+// Started workouts are named after the template, so names follow the workout name rules
+const validateTemplateName = (name) => {
+    if (!name) {
+        return 'Name is required';
+    }
+
+    if (typeof name !== 'string' || name.trim().length === 0) {
+        return 'Name must be a non-empty string';
+    }
+
+    if (validateWorkoutName(name)) {
+        return 'Name must be 100 characters or less and contain only letters, numbers, spaces and common punctuation';
+    }
+
+    return null;
+};
+
+const validateVisibility = (visibility) => {
+    if (visibility !== undefined && !TEMPLATE_VISIBILITIES.includes(visibility)) {
+        return `Visibility must be one of: ${TEMPLATE_VISIBILITIES.join(', ')}`;
+    }
+
+    return null;
+};
+
+// Main validation functions
+const validateTemplateForCreation = (templateData) => {
+    const errors = [];
+    const { name, exerciseType, duration, notes, exercises, visibility } = templateData;
+
+    const nameError = validateTemplateName(name);
+    if (nameError) errors.push(nameError);
+
+    const exerciseTypeError = validateExerciseType(exerciseType);
+    if (exerciseTypeError) errors.push(exerciseTypeError);
+
+    // Optional field validations
+    if (duration !== undefined && duration !== null) {
+        const durationError = validateDuration(duration);
+        if (durationError) errors.push(durationError);
+    }
+
+    const notesError = validateNotes(notes);
+    if (notesError) errors.push(notesError);
+
+    if (exercises !== undefined) {
+        errors.push(...validateExerciseList(exercises));
+    }
+
+    const visibilityError = validateVisibility(visibility);
+    if (visibilityError) errors.push(visibilityError);
+
+    return errors;
+};
+
+const validateTemplateForUpdate = (templateData) => {
+    const errors = [];
+    const { name, exerciseType, duration, notes, exercises, visibility } = templateData;
+
+    // Only validate provided fields for updates
+    if (name !== undefined) {
+        const nameError = validateTemplateName(name);
+        if (nameError) errors.push(nameError);
+    }
+
+    if (exerciseType !== undefined) {
+        const exerciseTypeError = validateExerciseType(exerciseType);
+        if (exerciseTypeError) errors.push(exerciseTypeError);
+    }
+
+    if (duration !== undefined && duration !== null) {
+        const durationError = validateDuration(duration);
+        if (durationError) errors.push(durationError);
+    }
+
+    const notesError = validateNotes(notes);
+    if (notesError) errors.push(notesError);
+
+    if (exercises !== undefined) {
+        errors.push(...validateExerciseList(exercises));
+    }
+
+    const visibilityError = validateVisibility(visibility);
+    if (visibilityError) errors.push(visibilityError);
+
+    return errors;
+};
+
+module.exports = {
+    TEMPLATE_VISIBILITIES,
+    validateTemplateForCreation,
+    validateTemplateForUpdate,
+    validateTemplateName,
+    validateVisibility
+};
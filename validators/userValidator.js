@@ -1,5 +1,37 @@
+const fs = require('fs');
+const path = require('path');
+
 // Validators
 
+// Password policy, configurable through the environment
+const passwordPolicy = {
+    minLength: parseInt(process.env.PASSWORD_MIN_LENGTH) || 8,
+    // bcrypt ignores everything after the first 72 bytes, so longer passwords are never allowed
+    maxBytes: Math.min(parseInt(process.env.PASSWORD_MAX_BYTES) || 72, 72),
+    requireLowercase: process.env.PASSWORD_REQUIRE_LOWERCASE !== 'false',
+    requireUppercase: process.env.PASSWORD_REQUIRE_UPPERCASE !== 'false',
+    requireNumber: process.env.PASSWORD_REQUIRE_NUMBER !== 'false',
+    requireSymbol: process.env.PASSWORD_REQUIRE_SYMBOL === 'true'
+};
+
+const commonPasswords = new Set(
+    fs
+        .readFileSync(path.join(__dirname, 'data', 'common-passwords.txt'), 'utf8')
+        .split(/\r?\n/)
+        .map((line) => line.trim().toLowerCase())
+        .filter((line) => line && !line.startsWith('#'))
+);
+
+// Name and email fragments long enough to be meaningful inside a password
+const getPersonalTerms = ({ firstName, lastName, email } = {}) => {
+    const terms = [firstName, lastName, email ? email.split('@')[0] : null]
+        .filter((value) => typeof value === 'string')
+        .flatMap((value) => value.toLowerCase().split(/[^a-z0-9À-ÿ]+/))
+        .filter((term) => term.length >= 3);
+
+    return [...new Set(terms)];
+};
+
 const validateName = (name, fieldName) => {
     if (!name) {
         return `${fieldName} is required`;
@@ -95,20 +127,55 @@ const validateWeight = (weight) => {
     return null;
 };
 
-const validatePassword = (password, passwordConfirm) => {
+// Returns every rule the password breaks, so users can fix them all at once
+const validatePassword = (password, passwordConfirm, personalInfo = {}) => {
+    const errors = [];
+
+    if (!password) errors.push('Password is required');
+
+    if (!passwordConfirm) {
+        errors.push('Password confirmation is required');
+    } else if (password && password !== passwordConfirm) {
+        errors.push('Passwords do not match');
+    }
+
     if (!password) {
-        return 'Password is required';
+        return errors;
     }
 
-    if (!passwordConfirm) {
-        return 'Password confirmation is required';
+    if (typeof password !== 'string') {
+        return [...errors, 'Password must be a string'];
     }
 
-    if (password !== passwordConfirm) {
-        return 'Passwords do not match';
+    if (password.length < passwordPolicy.minLength) {
+        errors.push(`Password must be at least ${passwordPolicy.minLength} characters`);
     }
 
-    return null;
+    if (Buffer.byteLength(password, 'utf8') > passwordPolicy.maxBytes) {
+        errors.push(`Password must be at most ${passwordPolicy.maxBytes} bytes`);
+    }
+
+    const missing = [];
+    if (passwordPolicy.requireLowercase && !/[a-z]/.test(password)) missing.push('a lowercase letter');
+    if (passwordPolicy.requireUppercase && !/[A-Z]/.test(password)) missing.push('an uppercase letter');
+    if (passwordPolicy.requireNumber && !/[0-9]/.test(password)) missing.push('a number');
+    if (passwordPolicy.requireSymbol && !/[^a-zA-Z0-9]/.test(password)) missing.push('a special character');
+
+    if (missing.length > 0) {
+        const list = missing.length > 1 ? `${missing.slice(0, -1).join(', ')} and ${missing.at(-1)}` : missing[0];
+        errors.push(`Password must contain ${list}`);
+    }
+
+    if (commonPasswords.has(password.toLowerCase())) {
+        errors.push('Password is too common');
+    }
+
+    const lowerPassword = password.toLowerCase();
+    if (getPersonalTerms(personalInfo).some((term) => lowerPassword.includes(term))) {
+        errors.push('Password must not contain your name or email');
+    }
+
+    return errors;
 };
 
 const validateUserForCreation = (userData) => {
@@ -125,8 +192,7 @@ const validateUserForCreation = (userData) => {
     const emailError = validateEmail(email);
     if (emailError) errors.push(emailError);
 
-    const passwordError = validatePassword(password, passwordConfirm);
-    if (passwordError) errors.push(passwordError);
+    errors.push(...validatePassword(password, passwordConfirm, { firstName, lastName, email }));
 
     const dobError = validateDateOfBirth(dateOfBirth);
     if (dobError) errors.push(dobError);
@@ -1,4 +1,5 @@
 const { ObjectId } = require('mongodb');
+const { EXERCISE_CATEGORIES, normalizeTaxonomyValue } = require('../config/exercises');
 
 // Individual field validators
 const validateUserId = (userId) => {
@@ -111,6 +112,28 @@ const validateCaloriesBurned = (calories) => {
     return null;
 };
 
+// Distance in kilometers, optional; used for the pace of distance activities
+const validateDistance = (distance) => {
+    if (distance === undefined || distance === null) {
+        return null;
+    }
+
+    const distanceNum = Number(distance);
+    if (isNaN(distanceNum)) {
+        return 'Distance must be a number';
+    }
+
+    if (distanceNum <= 0) {
+        return 'Distance must be greater than 0';
+    }
+
+    if (distanceNum > 1000) {
+        return 'Distance cannot exceed 1000 km';
+    }
+
+    return null;
+};
+
 const validateExerciseType = (exerciseType) => {
     if (!exerciseType) {
         return 'Exercise type is required';
@@ -129,18 +152,10 @@ const validateExerciseType = (exerciseType) => {
         return 'Exercise type must be 50 characters or less';
     }
 
-    // Valid exercise types (can be expanded)
-    const validTypes = [
-        'CARDIO', 'STRENGTH', 'FLEXIBILITY', 'BALANCE', 'SPORTS',
-        'RUNNING', 'CYCLING', 'SWIMMING', 'WALKING', 'WEIGHTLIFTING',
-        'YOGA', 'PILATES', 'CROSSFIT', 'BASKETBALL', 'FOOTBALL',
-        'TENNIS', 'BOXING', 'MARTIAL_ARTS', 'DANCING', 'HIKING',
-        'CLIMBING', 'ROWING', 'OTHER'
-    ];
-
-    const normalizedType = trimmedType.toUpperCase().replace(/\s+/g, '_');
-    if (!validTypes.includes(normalizedType)) {
-        return `Exercise type must be one of: ${validTypes.join(', ')}`;
+    // Exercise types are the categories of the exercise library
+    const normalizedType = normalizeTaxonomyValue(trimmedType);
+    if (!EXERCISE_CATEGORIES.includes(normalizedType)) {
+        return `Exercise type must be one of: ${EXERCISE_CATEGORIES.join(', ')}`;
     }
 
     return null;
@@ -160,6 +175,170 @@ const validateNotes = (notes) => {
     return null;
 };
 
+const validateWorkoutComment = (text) => {
+    if (!text) {
+        return 'Comment text is required';
+    }
+
+    if (typeof text !== 'string') {
+        return 'Comment text must be a string';
+    }
+
+    const trimmedText = text.trim();
+    if (trimmedText.length === 0) {
+        return 'Comment text cannot be empty';
+    }
+
+    if (trimmedText.length > 1000) {
+        return 'Comment text must be 1000 characters or less';
+    }
+
+    return null;
+};
+
+const MAX_EXERCISES_PER_WORKOUT = 50;
+const MAX_SETS_PER_EXERCISE = 50;
+const WEIGHT_UNITS = ['kg', 'lb'];
+
+const validateExerciseName = (name) => {
+    if (!name) {
+        return 'Exercise name is required';
+    }
+
+    if (typeof name !== 'string') {
+        return 'Exercise name must be a string';
+    }
+
+    const trimmedName = name.trim();
+    if (trimmedName.length === 0) {
+        return 'Exercise name cannot be empty';
+    }
+
+    if (trimmedName.length > 100) {
+        return 'Exercise name must be 100 characters or less';
+    }
+
+    const nameRegex = /^[a-zA-Z0-9\s\-_.(),!&'/]+$/;
+    if (!nameRegex.test(trimmedName)) {
+        return 'Exercise name contains invalid characters';
+    }
+
+    return null;
+};
+
+const validateReps = (reps) => {
+    if (reps === undefined || reps === null) {
+        return 'Reps is required';
+    }
+
+    const repsNum = Number(reps);
+    if (isNaN(repsNum)) {
+        return 'Reps must be a number';
+    }
+
+    if (repsNum < 0) {
+        return 'Reps cannot be negative';
+    }
+
+    if (repsNum > 1000) {
+        return 'Reps cannot exceed 1000';
+    }
+
+    if (!Number.isInteger(repsNum)) {
+        return 'Reps must be a whole number';
+    }
+
+    return null;
+};
+
+const validateWeight = (weight) => {
+    if (weight !== undefined && weight !== null) {
+        const weightNum = Number(weight);
+        if (isNaN(weightNum)) {
+            return 'Weight must be a number';
+        }
+
+        if (weightNum < 0) {
+            return 'Weight cannot be negative';
+        }
+
+        if (weightNum > 2000) {
+            return 'Weight cannot exceed 2000';
+        }
+    }
+
+    return null;
+};
+
+const validateWeightUnit = (unit) => {
+    if (unit !== undefined && unit !== null) {
+        if (typeof unit !== 'string' || !WEIGHT_UNITS.includes(unit.trim().toLowerCase())) {
+            return `Unit must be one of: ${WEIGHT_UNITS.join(', ')}`;
+        }
+    }
+
+    return null;
+};
+
+// Rate of perceived exertion, 1-10 in half steps
+const validateRpe = (rpe) => {
+    if (rpe !== undefined && rpe !== null) {
+        const rpeNum = Number(rpe);
+        if (isNaN(rpeNum)) {
+            return 'RPE must be a number';
+        }
+
+        if (rpeNum < 1 || rpeNum > 10) {
+            return 'RPE must be between 1 and 10';
+        }
+
+        if (!Number.isInteger(rpeNum * 2)) {
+            return 'RPE must be in steps of 0.5';
+        }
+    }
+
+    return null;
+};
+
+const validateRestSeconds = (restSeconds) => {
+    if (restSeconds !== undefined && restSeconds !== null) {
+        const restNum = Number(restSeconds);
+        if (isNaN(restNum)) {
+            return 'Rest must be a number';
+        }
+
+        if (restNum < 0) {
+            return 'Rest cannot be negative';
+        }
+
+        if (restNum > 3600) {
+            return 'Rest cannot exceed 1 hour (3600 seconds)';
+        }
+
+        if (!Number.isInteger(restNum)) {
+            return 'Rest must be a whole number (seconds)';
+        }
+    }
+
+    return null;
+};
+
+// Four phases (eccentric, pause, concentric, pause) as digits or X for explosive, e.g. 3010 or 3-0-X-0
+const validateTempo = (tempo) => {
+    if (tempo !== undefined && tempo !== null && tempo !== '') {
+        if (typeof tempo !== 'string') {
+            return 'Tempo must be a string';
+        }
+
+        const tempoRegex = /^[0-9X](-?[0-9X]){3}$/i;
+        if (!tempoRegex.test(tempo.trim())) {
+            return 'Tempo must have four phases, e.g. 3010 or 3-0-X-0';
+        }
+    }
+
+    return null;
+};
+
 const validatePaginationParams = (page, limit) => {
     const errors = [];
 
@@ -209,7 +388,7 @@ const validateDateRange = (startDate, endDate) => {
 // Main validation functions
 const validateWorkoutForCreation = (workoutData) => {
     const errors = [];
-    const { userId, workoutName, date, duration, caloriesBurned, exerciseType, notes } = workoutData;
+    const { userId, workoutName, date, duration, caloriesBurned, distance, exerciseType, notes } = workoutData;
 
     // Required field validations
     const userIdError = validateUserId(userId);
@@ -231,6 +410,9 @@ const validateWorkoutForCreation = (workoutData) => {
     if (exerciseTypeError) errors.push(exerciseTypeError);
 
     // Optional field validation
+    const distanceError = validateDistance(distance);
+    if (distanceError) errors.push(distanceError);
+
     const notesError = validateNotes(notes);
     if (notesError) errors.push(notesError);
 
@@ -239,7 +421,7 @@ const validateWorkoutForCreation = (workoutData) => {
 
 const validateWorkoutForUpdate = (workoutData) => {
     const errors = [];
-    const { userId, workoutName, date, duration, caloriesBurned, exerciseType, notes } = workoutData;
+    const { userId, workoutName, date, duration, caloriesBurned, distance, exerciseType, notes } = workoutData;
 
     // Only validate provided fields for updates
     if (userId !== undefined) {
@@ -267,6 +449,11 @@ const validateWorkoutForUpdate = (workoutData) => {
         if (caloriesError) errors.push(caloriesError);
     }
 
+    if (distance !== undefined) {
+        const distanceError = validateDistance(distance);
+        if (distanceError) errors.push(distanceError);
+    }
+
     if (exerciseType !== undefined) {
         const exerciseTypeError = validateExerciseType(exerciseType);
         if (exerciseTypeError) errors.push(exerciseTypeError);
@@ -280,6 +467,226 @@ const validateWorkoutForUpdate = (workoutData) => {
     return errors;
 };
 
+const validateSetForCreation = (setData) => {
+    const errors = [];
+
+    if (!setData || typeof setData !== 'object' || Array.isArray(setData)) {
+        return ['Set must be an object'];
+    }
+
+    const { reps, weight, unit, rpe, restSeconds, tempo } = setData;
+
+    const repsError = validateReps(reps);
+    if (repsError) errors.push(repsError);
+
+    const weightError = validateWeight(weight);
+    if (weightError) errors.push(weightError);
+
+    const unitError = validateWeightUnit(unit);
+    if (unitError) errors.push(unitError);
+
+    const rpeError = validateRpe(rpe);
+    if (rpeError) errors.push(rpeError);
+
+    const restError = validateRestSeconds(restSeconds);
+    if (restError) errors.push(restError);
+
+    const tempoError = validateTempo(tempo);
+    if (tempoError) errors.push(tempoError);
+
+    return errors;
+};
+
+const validateSetForUpdate = (setData) => {
+    const errors = [];
+    const { reps, weight, unit, rpe, restSeconds, tempo } = setData;
+
+    // Only validate provided fields for updates
+    if (reps !== undefined) {
+        const repsError = validateReps(reps);
+        if (repsError) errors.push(repsError);
+    }
+
+    const weightError = validateWeight(weight);
+    if (weightError) errors.push(weightError);
+
+    const unitError = validateWeightUnit(unit);
+    if (unitError) errors.push(unitError);
+
+    const rpeError = validateRpe(rpe);
+    if (rpeError) errors.push(rpeError);
+
+    const restError = validateRestSeconds(restSeconds);
+    if (restError) errors.push(restError);
+
+    const tempoError = validateTempo(tempo);
+    if (tempoError) errors.push(tempoError);
+
+    return errors;
+};
+
+// Validates a list of sets, prefixing errors with the set's position
+const validateSets = (sets) => {
+    if (!Array.isArray(sets)) {
+        return ['Sets must be an array'];
+    }
+
+    if (sets.length > MAX_SETS_PER_EXERCISE) {
+        return [`An exercise cannot have more than ${MAX_SETS_PER_EXERCISE} sets`];
+    }
+
+    const errors = [];
+    sets.forEach((setData, index) => {
+        validateSetForCreation(setData).forEach((error) => errors.push(`Set ${index + 1}: ${error}`));
+    });
+
+    return errors;
+};
+
+// Library exercises are referenced by exerciseId; null unlinks an exercise on updates
+const validateLibraryExerciseId = (exerciseId) => {
+    if (exerciseId !== undefined && exerciseId !== null && !ObjectId.isValid(exerciseId)) {
+        return 'Invalid library exercise ID format';
+    }
+
+    return null;
+};
+
+const validateExerciseForCreation = (exerciseData) => {
+    const errors = [];
+    const { exerciseId, name, notes, sets } = exerciseData;
+
+    const exerciseIdError = validateLibraryExerciseId(exerciseId);
+    if (exerciseIdError) errors.push(exerciseIdError);
+
+    // The name defaults to that of the library exercise
+    if (name !== undefined || !exerciseId) {
+        const nameError = validateExerciseName(name);
+        if (nameError) errors.push(nameError);
+    }
+
+    // Optional field validations
+    const notesError = validateNotes(notes);
+    if (notesError) errors.push(notesError);
+
+    if (sets !== undefined) {
+        errors.push(...validateSets(sets));
+    }
+
+    return errors;
+};
+
+const validateExerciseForUpdate = (exerciseData) => {
+    const errors = [];
+    const { exerciseId, name, notes, sets } = exerciseData;
+
+    const exerciseIdError = validateLibraryExerciseId(exerciseId);
+    if (exerciseIdError) errors.push(exerciseIdError);
+
+    if (name !== undefined) {
+        const nameError = validateExerciseName(name);
+        if (nameError) errors.push(nameError);
+    }
+
+    const notesError = validateNotes(notes);
+    if (notesError) errors.push(notesError);
+
+    if (sets !== undefined) {
+        errors.push(...validateSets(sets));
+    }
+
+    return errors;
+};
+
+// Validates a list of exercises, prefixing errors with the exercise's position
+const validateExerciseList = (exercises) => {
+    if (!Array.isArray(exercises)) {
+        return ['Exercises must be an array'];
+    }
+
+    if (exercises.length > MAX_EXERCISES_PER_WORKOUT) {
+        return [`A workout cannot have more than ${MAX_EXERCISES_PER_WORKOUT} exercises`];
+    }
+
+    const errors = [];
+    exercises.forEach((exerciseData, index) => {
+        const exerciseErrors = exerciseData && typeof exerciseData === 'object' && !Array.isArray(exerciseData)
+            ? validateExerciseForCreation(exerciseData)
+            : ['Exercise must be an object'];
+        exerciseErrors.forEach((error) => errors.push(`Exercise ${index + 1}: ${error}`));
+    });
+
+    return errors;
+};
+
+// The new order must list every current ID exactly once
+const validateOrder = (ids, currentIds, label) => {
+    if (!Array.isArray(ids)) {
+        return [`${label} IDs must be an array`];
+    }
+
+    const requested = ids.map((id) => String(id));
+    const unique = new Set(requested);
+    if (unique.size !== requested.length) {
+        return [`${label} IDs must not contain duplicates`];
+    }
+
+    const current = currentIds.map((id) => id.toString());
+    if (requested.length !== current.length || !current.every((id) => unique.has(id))) {
+        return [`${label} IDs must list every ${label.toLowerCase()} of the workout exactly once`];
+    }
+
+    return [];
+};
+
+const normalizeSetData = (setData) => {
+    const normalized = {};
+
+    if (setData.reps !== undefined) {
+        normalized.reps = Number(setData.reps);
+    }
+
+    if (setData.weight !== undefined) {
+        normalized.weight = setData.weight === null ? null : Number(setData.weight);
+    }
+
+    if (setData.unit !== undefined) {
+        normalized.unit = setData.unit === null ? null : setData.unit.trim().toLowerCase();
+    }
+
+    if (setData.rpe !== undefined) {
+        normalized.rpe = setData.rpe === null ? null : Number(setData.rpe);
+    }
+
+    if (setData.restSeconds !== undefined) {
+        normalized.restSeconds = setData.restSeconds === null ? null : Number(setData.restSeconds);
+    }
+
+    if (setData.tempo !== undefined) {
+        normalized.tempo = setData.tempo ? setData.tempo.trim().toUpperCase() : null;
+    }
+
+    return normalized;
+};
+
+const normalizeExerciseData = (exerciseData) => {
+    const normalized = {};
+
+    if (exerciseData.exerciseId !== undefined) {
+        normalized.exerciseId = exerciseData.exerciseId ? exerciseData.exerciseId.toString() : null;
+    }
+
+    if (exerciseData.name !== undefined) {
+        normalized.name = exerciseData.name.trim();
+    }
+
+    if (exerciseData.notes !== undefined) {
+        normalized.notes = exerciseData.notes ? exerciseData.notes.trim() : '';
+    }
+
+    return normalized;
+};
+
 const normalizeWorkoutData = (workoutData) => {
     const normalized = {};
 
@@ -303,8 +710,12 @@ const normalizeWorkoutData = (workoutData) => {
         normalized.caloriesBurned = Number(workoutData.caloriesBurned);
     }
 
+    if (workoutData.distance !== undefined) {
+        normalized.distance = workoutData.distance === null ? null : Number(workoutData.distance);
+    }
+
     if (workoutData.exerciseType !== undefined) {
-        normalized.exerciseType = workoutData.exerciseType.trim().toUpperCase().replace(/\s+/g, '_');
+        normalized.exerciseType = normalizeTaxonomyValue(workoutData.exerciseType);
     }
 
     if (workoutData.notes !== undefined) {
@@ -320,11 +731,30 @@ module.exports = {
     validatePaginationParams,
     validateDateRange,
     normalizeWorkoutData,
+    validateExerciseForCreation,
+    validateExerciseForUpdate,
+    validateExerciseList,
+    validateSetForCreation,
+    validateSetForUpdate,
+    validateOrder,
+    normalizeExerciseData,
+    normalizeSetData,
+    MAX_EXERCISES_PER_WORKOUT,
+    MAX_SETS_PER_EXERCISE,
     validateUserId,
     validateWorkoutName,
     validateDate,
     validateDuration,
     validateCaloriesBurned,
+    validateDistance,
     validateExerciseType,
-    validateNotes
+    validateNotes,
+    validateWorkoutComment,
+    validateExerciseName,
+    validateReps,
+    validateWeight,
+    validateWeightUnit,
+    validateRpe,
+    validateRestSeconds,
+    validateTempo
 };
\ No newline at end of file